@@ -0,0 +1,109 @@
+/**
+ * ProductsService query benchmark.
+ *
+ * Times the findAll() query mix the k6 load and search scenarios send, against the
+ * indexed service and against a linear scan (the previous implementation), on a seeded
+ * catalog of PRODUCT_COUNT products (default 100k).
+ *
+ *   npm run bench:products
+ *   PRODUCT_COUNT=10000 BENCH_ITERATIONS=500 npm run bench:products
+ */
+import 'reflect-metadata';
+import { generateProducts } from '../src/products/product-seed';
+import { Product, ProductsService } from '../src/products/products.service';
+import { InMemoryProductRepository } from '../src/products/repositories/in-memory-product.repository';
+
+const PRODUCT_COUNT = parseInt(process.env.PRODUCT_COUNT || '100000', 10);
+const ITERATIONS = parseInt(process.env.BENCH_ITERATIONS || '200', 10);
+const SEED = parseInt(process.env.SEED || '42', 10);
+
+type FindAllArgs = Parameters<ProductsService['findAll']>;
+
+const QUERIES: { name: string; args: FindAllArgs }[] = [
+  { name: 'list (default sort)', args: [1, 10] },
+  { name: 'list page 500', args: [500, 20] },
+  { name: 'search "widget"', args: [1, 5, 'widget'] },
+  { name: 'search "laptop"', args: [1, 5, 'laptop'] },
+  { name: 'category', args: [1, 10, undefined, 'Electronics'] },
+  { name: 'price range, by price', args: [1, 10, undefined, undefined, 100, 200, 'price', 'asc'] },
+  { name: 'category + price + search', args: [1, 10, 'gadget', 'Books', 50, 500, 'name', 'asc'] },
+];
+
+// The pre-index findAll: copy, filter linearly, sort, slice
+function linearFindAll(all: Product[], ...[page = 1, limit = 10, search, category, minPrice, maxPrice, sortBy = 'createdAt', sortOrder = 'desc']: FindAllArgs) {
+  let filtered = [...all];
+  if (search) {
+    filtered = filtered.filter(p =>
+      p.name.toLowerCase().includes(search.toLowerCase()) ||
+      p.description.toLowerCase().includes(search.toLowerCase())
+    );
+  }
+  if (category) {
+    filtered = filtered.filter(p => p.category.toLowerCase() === category.toLowerCase());
+  }
+  if (minPrice !== undefined) {
+    filtered = filtered.filter(p => p.price >= minPrice);
+  }
+  if (maxPrice !== undefined) {
+    filtered = filtered.filter(p => p.price <= maxPrice);
+  }
+  filtered.sort((a, b) => {
+    const aValue = a[sortBy as keyof Product];
+    const bValue = b[sortBy as keyof Product];
+    return sortOrder === 'asc' ? (aValue > bValue ? 1 : -1) : (aValue < bValue ? 1 : -1);
+  });
+  return filtered.slice((page - 1) * limit, page * limit);
+}
+
+function percentile(sorted: number[], p: number): number {
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+async function time(run: () => unknown | Promise<unknown>, iterations: number) {
+  const samples: number[] = [];
+  for (let i = 0; i < iterations; i++) {
+    const start = process.hrtime.bigint();
+    await run();
+    samples.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  samples.sort((a, b) => a - b);
+  return { p50: percentile(samples, 50), p95: percentile(samples, 95), p99: percentile(samples, 99) };
+}
+
+function format(ms: number): string {
+  return ms < 1 ? `${(ms * 1000).toFixed(0)}µs` : `${ms.toFixed(2)}ms`;
+}
+
+async function main() {
+  const products = generateProducts(SEED, PRODUCT_COUNT);
+  const service = new ProductsService(new InMemoryProductRepository(products));
+
+  const buildStart = Date.now();
+  await service.onModuleInit();
+  console.log(`Catalog: ${PRODUCT_COUNT} products, seed ${SEED}, index built in ${Date.now() - buildStart}ms`);
+  console.log(`Iterations: ${ITERATIONS} per query (linear scan: ${Math.max(1, Math.floor(ITERATIONS / 10))})\n`);
+
+  const rows: string[][] = [['query', 'indexed p50', 'indexed p95', 'indexed p99', 'linear p50', 'linear p95']];
+
+  for (const query of QUERIES) {
+    // First call builds the cached sort order for the field
+    await service.findAll(...query.args);
+    const indexed = await time(() => service.findAll(...query.args), ITERATIONS);
+    const linear = await time(() => linearFindAll(products, ...query.args), Math.max(1, Math.floor(ITERATIONS / 10)));
+    rows.push([query.name, format(indexed.p50), format(indexed.p95), format(indexed.p99), format(linear.p50), format(linear.p95)]);
+  }
+
+  const writes = await time(async () => {
+    const created = await service.create({ name: 'Bench Widget', description: 'Benchmark product', price: 42, category: 'Sports', stock: 1 });
+    await service.update(created.id, { price: 43 });
+    await service.remove(created.id);
+  }, Math.max(1, Math.floor(ITERATIONS / 4)));
+  rows.push(['create + update + delete', format(writes.p50), format(writes.p95), format(writes.p99), '-', '-']);
+
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+  for (const row of rows) {
+    console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+  }
+}
+
+main();
@@ -3,6 +3,7 @@ import { APP_GUARD } from '@nestjs/core';
 import { ThrottlerGuard, ThrottlerModule } from '@nestjs/throttler';
 import { AuthModule } from './auth/auth.module';
 import { HealthModule } from './health/health.module';
+import { MetricsModule } from './metrics/metrics.module';
 import { ProductsModule } from './products/products.module';
 import { SimulationModule } from './simulation/simulation.module';
 import { UploadModule } from './upload/upload.module';
@@ -11,6 +12,8 @@ import { WebSocketModule } from './websocket/websocket.module';
 
 @Module({
   imports: [
+    // First, so its middleware runs before any other module's middleware
+    MetricsModule,
     // Ultra-high performance rate limiting for K6 testing
     ThrottlerModule.forRoot({
       ttl: 60000, // 1 minute
@@ -1,8 +1,16 @@
-import { Body, Controller, Get, Post, Request, UseGuards } from '@nestjs/common';
+import { Body, Controller, Get, Headers, HttpCode, HttpStatus, Post, Request, UseGuards } from '@nestjs/common';
 import { AuthGuard } from '@nestjs/passport';
-import { ApiBearerAuth, ApiBody, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { ApiBearerAuth, ApiBody, ApiHeader, ApiResponse, ApiTags } from '@nestjs/swagger';
 import { ThrottlerGuard } from '@nestjs/throttler';
-import { AuthService, RegisterDto } from './auth.service';
+import { parseTestRun, TEST_RUN_HEADER } from '../common/test-run';
+import { AuthService } from './auth.service';
+import { Roles } from './decorators/roles.decorator';
+import { LoginDto } from './dto/login.dto';
+import { RefreshTokenDto } from './dto/refresh-token.dto';
+import { RegisterDto } from './dto/register.dto';
+import { UnlockLoginDto } from './dto/unlock-login.dto';
+import { RolesGuard } from './guards/roles.guard';
+import { Role } from './roles.enum';
 
 @ApiTags('Authentication')
 @Controller('auth')
@@ -11,46 +19,54 @@ export class AuthController {
   constructor(private authService: AuthService) {}
 
   @Post('login')
+  @HttpCode(HttpStatus.OK)
   @UseGuards(AuthGuard('local'))
-  @ApiBody({
-    schema: {
-      type: 'object',
-      properties: {
-        username: { type: 'string' },
-        password: { type: 'string' },
-      },
-    },
-  })
+  @ApiBody({ type: LoginDto })
   @ApiResponse({ status: 200, description: 'Login successful' })
+  @ApiResponse({ status: 400, description: 'Validation failed' })
   @ApiResponse({ status: 401, description: 'Unauthorized' })
+  @ApiResponse({ status: 429, description: 'Username or IP locked after repeated failures (see Retry-After)' })
   async login(@Request() req) {
     return this.authService.login(req.user);
   }
 
   @Post('register')
-  @ApiBody({
-    schema: {
-      type: 'object',
-      properties: {
-        username: { type: 'string' },
-        email: { type: 'string' },
-        password: { type: 'string' },
-      },
-    },
-  })
+  @ApiHeader({ name: TEST_RUN_HEADER, required: false, description: 'Test run id, for DELETE /users?testRun=' })
   @ApiResponse({ status: 201, description: 'Registration successful' })
-  @ApiResponse({ status: 400, description: 'Bad request' })
-  async register(@Body() registerDto: RegisterDto) {
-    return this.authService.register(registerDto);
+  @ApiResponse({ status: 400, description: 'Validation failed' })
+  @ApiResponse({ status: 409, description: 'Username or email already taken' })
+  async register(@Body() registerDto: RegisterDto, @Headers(TEST_RUN_HEADER) testRun?: string) {
+    return this.authService.register(registerDto, parseTestRun(testRun));
   }
 
   @Post('refresh')
-  @UseGuards(AuthGuard('jwt'))
+  @HttpCode(HttpStatus.OK)
+  @ApiResponse({ status: 200, description: 'Token pair rotated' })
+  @ApiResponse({ status: 400, description: 'Validation failed' })
+  @ApiResponse({ status: 401, description: 'Invalid, expired or reused refresh token' })
+  async refresh(@Body() body: RefreshTokenDto) {
+    return this.authService.refreshToken(body.refresh_token);
+  }
+
+  @Post('logout')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  @ApiResponse({ status: 204, description: 'Session revoked' })
+  @ApiResponse({ status: 400, description: 'Validation failed' })
+  @ApiResponse({ status: 401, description: 'Invalid refresh token' })
+  async logout(@Body() body: RefreshTokenDto) {
+    await this.authService.logout(body.refresh_token);
+  }
+
+  @Post('unlock')
+  @HttpCode(HttpStatus.OK)
+  @UseGuards(AuthGuard('jwt'), RolesGuard)
+  @Roles(Role.Admin)
   @ApiBearerAuth()
-  @ApiResponse({ status: 200, description: 'Token refreshed' })
-  @ApiResponse({ status: 401, description: 'Unauthorized' })
-  async refresh(@Request() req) {
-    return this.authService.refreshToken(req.user);
+  @ApiResponse({ status: 200, description: 'Failed-login counters cleared' })
+  @ApiResponse({ status: 400, description: 'Validation failed, or neither username nor ip given' })
+  @ApiResponse({ status: 403, description: 'Forbidden' })
+  async unlock(@Body() body: UnlockLoginDto) {
+    return this.authService.unlockLogin(body.username, body.ip);
   }
 
   @Get('profile')
@@ -4,6 +4,8 @@ import { PassportModule } from '@nestjs/passport';
 import { UsersModule } from '../users/users.module';
 import { AuthController } from './auth.controller';
 import { AuthService } from './auth.service';
+import { LoginAttemptService } from './login-attempts.service';
+import { ACCESS_TOKEN_TTL_SECONDS, RefreshTokenService } from './refresh-token.service';
 import { JwtStrategy } from './strategies/jwt.strategy';
 import { LocalStrategy } from './strategies/local.strategy';
 
@@ -13,10 +15,10 @@ import { LocalStrategy } from './strategies/local.strategy';
     PassportModule,
     JwtModule.register({
       secret: process.env.JWT_SECRET || 'k6-demo-secret-key',
-      signOptions: { expiresIn: '1h' },
+      signOptions: { expiresIn: ACCESS_TOKEN_TTL_SECONDS },
     }),
   ],
-  providers: [AuthService, LocalStrategy, JwtStrategy],
+  providers: [AuthService, RefreshTokenService, LoginAttemptService, LocalStrategy, JwtStrategy],
   controllers: [AuthController],
   exports: [AuthService],
 })
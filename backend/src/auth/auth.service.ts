@@ -1,17 +1,17 @@
-import { Injectable, UnauthorizedException } from '@nestjs/common';
+import { BadRequestException, Injectable, UnauthorizedException } from '@nestjs/common';
 import { JwtService } from '@nestjs/jwt';
 import * as bcrypt from 'bcryptjs';
 import { UsersService } from '../users/users.service';
+import { RegisterDto } from './dto/register.dto';
+import { LoginAttemptService } from './login-attempts.service';
+import { RefreshTokenService } from './refresh-token.service';
+import { Role } from './roles.enum';
 
-export interface LoginDto {
+// The identity behind a verified access token, as JwtStrategy puts it on req.user
+export interface AuthenticatedUser {
+  id: string;
   username: string;
-  password: string;
-}
-
-export interface RegisterDto {
-  username: string;
-  email: string;
-  password: string;
+  roles: Role[];
 }
 
 @Injectable()
@@ -19,57 +19,97 @@ export class AuthService {
   constructor(
     private usersService: UsersService,
     private jwtService: JwtService,
+    private refreshTokens: RefreshTokenService,
+    private loginAttempts: LoginAttemptService,
   ) {}
 
-  async validateUser(username: string, password: string): Promise<any> {
-    const user = await this.usersService.findByUsername(username);
-    if (user && await bcrypt.compare(password, user.password)) {
-      const { password, ...result } = user;
-      return result;
+  // Counts failures per username and IP; throws LoginLockedException while either is locked
+  async validateUser(username: string, password: string, ip: string): Promise<any> {
+    return this.loginAttempts.attempt(username, ip, async () => {
+      const user = await this.usersService.findByUsername(username);
+      if (user && await bcrypt.compare(password, user.password)) {
+        const { password, ...result } = user;
+        return result;
+      }
+      return null;
+    });
+  }
+
+  unlockLogin(username?: string, ip?: string) {
+    if (!username && !ip) {
+      throw new BadRequestException('username or ip is required');
     }
-    return null;
+    return { unlocked: this.loginAttempts.unlock(username, ip) };
   }
 
   async login(user: any) {
-    const payload = { username: user.username, sub: user.id };
+    const { familyId, refreshToken } = this.refreshTokens.startFamily(user.id);
     return {
-      access_token: this.jwtService.sign(payload),
+      access_token: this.signAccessToken(user, familyId),
+      refresh_token: refreshToken,
       user: {
         id: user.id,
         username: user.username,
         email: user.email,
+        roles: user.roles,
       },
     };
   }
 
-  async register(registerDto: RegisterDto) {
+  // Duplicate usernames or emails are rejected by UsersService with 409 Conflict
+  async register(registerDto: RegisterDto, testRun?: string) {
     const { username, email, password } = registerDto;
-    
-    // Check if user already exists
-    const existingUser = await this.usersService.findByUsername(username);
-    if (existingUser) {
-      throw new UnauthorizedException('Username already exists');
-    }
-
-    // Hash password
-    const saltRounds = 10;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-    // Create user
-    const newUser = await this.usersService.create({
-      username,
-      email,
-      password: hashedPassword,
-    });
+    const newUser = await this.usersService.create({ username, email, password }, testRun);
 
     // Return login response
     return this.login(newUser);
   }
 
-  async refreshToken(user: any) {
-    const payload = { username: user.username, sub: user.id };
+  async refreshToken(refreshToken: string) {
+    if (!refreshToken) {
+      throw new UnauthorizedException('refresh_token is required');
+    }
+    const rotated = this.refreshTokens.rotate(refreshToken);
+
+    // Re-read the roles so a promotion or demotion applies from the next refresh
+    let current;
+    try {
+      current = await this.usersService.findOne(rotated.userId);
+    } catch (error) {
+      this.refreshTokens.revokeFamily(rotated.familyId);
+      throw new UnauthorizedException('User no longer exists');
+    }
+
     return {
-      access_token: this.jwtService.sign(payload),
+      access_token: this.signAccessToken(current, rotated.familyId),
+      refresh_token: rotated.refreshToken,
     };
   }
+
+  async logout(refreshToken: string) {
+    if (!refreshToken || !this.refreshTokens.revoke(refreshToken)) {
+      throw new UnauthorizedException('Invalid refresh token');
+    }
+  }
+
+  // For transports outside passport, such as the chat gateway: the checks JwtStrategy makes
+  async verifyAccessToken(token: string): Promise<AuthenticatedUser> {
+    let payload: any;
+    try {
+      payload = await this.jwtService.verifyAsync(token);
+    } catch (e) {
+      throw new UnauthorizedException('Invalid or expired access token');
+    }
+
+    if (payload.fam && this.refreshTokens.isFamilyRevoked(payload.fam)) {
+      throw new UnauthorizedException('Session has been revoked');
+    }
+    return { id: payload.sub, username: payload.username, roles: payload.roles || [] };
+  }
+
+  // `fam` ties the access token to its refresh-token family, so revoking the family revokes it too
+  private signAccessToken(user: any, familyId: string): string {
+    const payload = { username: user.username, sub: user.id, roles: user.roles, fam: familyId };
+    return this.jwtService.sign(payload);
+  }
 }
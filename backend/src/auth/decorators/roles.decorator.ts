@@ -0,0 +1,7 @@
+import { SetMetadata } from '@nestjs/common';
+import { Role } from '../roles.enum';
+
+export const ROLES_KEY = 'roles';
+
+// Restrict a route to users holding at least one of the given roles (enforced by RolesGuard)
+export const Roles = (...roles: Role[]) => SetMetadata(ROLES_KEY, roles);
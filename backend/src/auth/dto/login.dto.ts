@@ -0,0 +1,15 @@
+import { ApiProperty } from '@nestjs/swagger';
+import { IsNotEmpty, IsString } from 'class-validator';
+
+// Only the types are checked: accounts created before the registration rules must still log in
+export class LoginDto {
+  @ApiProperty({ example: 'testuser' })
+  @IsString()
+  @IsNotEmpty()
+  username: string;
+
+  @ApiProperty({ example: 'TestPassword123!' })
+  @IsString()
+  @IsNotEmpty()
+  password: string;
+}
@@ -0,0 +1,9 @@
+import { ApiProperty } from '@nestjs/swagger';
+import { IsNotEmpty, IsString } from 'class-validator';
+
+export class RefreshTokenDto {
+  @ApiProperty({ description: 'Refresh token from /auth/login, /auth/register or the last /auth/refresh' })
+  @IsString()
+  @IsNotEmpty()
+  refresh_token: string;
+}
@@ -0,0 +1,5 @@
+import { PickType } from '@nestjs/swagger';
+import { CreateUserDto } from '../../users/dto/create-user.dto';
+
+// Same rules as admin-created users; registration cannot choose roles
+export class RegisterDto extends PickType(CreateUserDto, ['username', 'email', 'password'] as const) {}
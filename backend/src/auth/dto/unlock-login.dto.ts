@@ -0,0 +1,16 @@
+import { ApiPropertyOptional } from '@nestjs/swagger';
+import { IsIP, IsNotEmpty, IsOptional, IsString } from 'class-validator';
+
+// At least one of the two is required; AuthService.unlockLogin() checks that
+export class UnlockLoginDto {
+  @ApiPropertyOptional({ description: 'Username whose failures and lockout are cleared' })
+  @IsOptional()
+  @IsString()
+  @IsNotEmpty()
+  username?: string;
+
+  @ApiPropertyOptional({ description: 'Client address (as the backend sees it) whose failures and lockout are cleared' })
+  @IsOptional()
+  @IsIP()
+  ip?: string;
+}
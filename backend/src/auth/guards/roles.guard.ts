@@ -0,0 +1,33 @@
+import { CanActivate, ExecutionContext, ForbiddenException, Injectable } from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { ROLES_KEY } from '../decorators/roles.decorator';
+import { Role } from '../roles.enum';
+
+export function hasRole(user: { roles?: Role[] } | undefined, role: Role): boolean {
+  return !!user && Array.isArray(user.roles) && user.roles.includes(role);
+}
+
+/**
+ * Checks the roles claim of the authenticated user against @Roles().
+ * Must run after AuthGuard('jwt'), which sets request.user.
+ */
+@Injectable()
+export class RolesGuard implements CanActivate {
+  constructor(private reflector: Reflector) {}
+
+  canActivate(context: ExecutionContext): boolean {
+    const requiredRoles = this.reflector.getAllAndOverride<Role[]>(ROLES_KEY, [
+      context.getHandler(),
+      context.getClass(),
+    ]);
+    if (!requiredRoles || requiredRoles.length === 0) {
+      return true;
+    }
+
+    const { user } = context.switchToHttp().getRequest();
+    if (!requiredRoles.some(role => hasRole(user, role))) {
+      throw new ForbiddenException(`Requires role: ${requiredRoles.join(' or ')}`);
+    }
+    return true;
+  }
+}
@@ -0,0 +1,130 @@
+import { LoginAttemptService, LoginLockedException } from './login-attempts.service';
+
+const LIMITS = {
+  LOGIN_MAX_FAILURES: '3',
+  LOGIN_IP_MAX_FAILURES: '5',
+  LOGIN_LOCKOUT_SECONDS: '60',
+  LOGIN_FAILURE_WINDOW_SECONDS: '120',
+  LOGIN_DELAY_STEP_MS: '0',
+  LOGIN_MAX_DELAY_MS: '0',
+};
+
+const user = { id: 'user-1' };
+const correct = async () => user;
+const wrong = async () => null;
+
+describe('LoginAttemptService', () => {
+  let service: LoginAttemptService;
+
+  // Limits are read when the service is created
+  function createService(overrides: Record<string, string> = {}) {
+    Object.assign(process.env, LIMITS, overrides);
+    service = new LoginAttemptService();
+  }
+
+  async function fail(times: number, username = 'alice', ip = '10.0.0.1') {
+    for (let i = 0; i < times; i++) {
+      await service.attempt(username, ip, wrong);
+    }
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    createService();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    Object.keys(LIMITS).forEach(name => delete process.env[name]);
+  });
+
+  it('returns the verified user, or null for a wrong password', async () => {
+    await expect(service.attempt('alice', '10.0.0.1', correct)).resolves.toBe(user);
+    await expect(service.attempt('alice', '10.0.0.1', wrong)).resolves.toBeNull();
+  });
+
+  it('locks the username after the limit, ignoring case, even for the correct password', async () => {
+    await fail(3, 'Alice');
+
+    const locked = service.attempt('alice', '10.0.0.2', correct);
+    await expect(locked).rejects.toBeInstanceOf(LoginLockedException);
+    await expect(locked).rejects.toMatchObject({ retryAfterSeconds: 60 });
+  });
+
+  it('does not check the password while locked', async () => {
+    await fail(3);
+    const verify = jest.fn(correct);
+
+    await expect(service.attempt('alice', '10.0.0.1', verify)).rejects.toThrow(LoginLockedException);
+    expect(verify).not.toHaveBeenCalled();
+  });
+
+  it('starts over once the lockout has run out', async () => {
+    await fail(3);
+    jest.advanceTimersByTime(60 * 1000);
+
+    await fail(2, 'alice', '10.0.0.2');
+    await expect(service.attempt('alice', '10.0.0.2', correct)).resolves.toBe(user);
+  });
+
+  it('forgets failures older than the failure window', async () => {
+    await fail(2);
+    jest.advanceTimersByTime(120 * 1000 + 1);
+
+    await fail(2);
+    await expect(service.attempt('alice', '10.0.0.1', correct)).resolves.toBe(user);
+  });
+
+  it('clears the username failures on a successful login', async () => {
+    await fail(2);
+    await service.attempt('alice', '10.0.0.1', correct);
+
+    await fail(2);
+    await expect(service.attempt('alice', '10.0.0.1', correct)).resolves.toBe(user);
+  });
+
+  it('locks an IP after failures across usernames, which a successful login does not clear', async () => {
+    await fail(2, 'alice');
+    await service.attempt('alice', '10.0.0.1', correct);
+    await fail(2, 'bob');
+    await fail(1, 'carol');
+
+    await expect(service.attempt('dave', '10.0.0.1', correct)).rejects.toThrow(LoginLockedException);
+    await expect(service.attempt('dave', '10.0.0.2', correct)).resolves.toBe(user);
+  });
+
+  it('unlocks a username or IP on request', async () => {
+    await fail(3);
+
+    expect(service.unlock('ALICE')).toEqual({ username: true, ip: false });
+    await expect(service.attempt('alice', '10.0.0.2', correct)).resolves.toBe(user);
+    expect(service.unlock(undefined, '10.0.0.1')).toEqual({ username: false, ip: true });
+    expect(service.unlock('nobody', '10.9.9.9')).toEqual({ username: false, ip: false });
+  });
+
+  it('checks concurrent attempts for one username one at a time', async () => {
+    const results = await Promise.allSettled([1, 2, 3, 4].map(() => service.attempt('alice', '10.0.0.1', wrong)));
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'fulfilled', 'rejected']);
+  });
+
+  it('delays failures past the first, doubling up to the maximum', async () => {
+    createService({ LOGIN_DELAY_STEP_MS: '100', LOGIN_MAX_DELAY_MS: '250', LOGIN_MAX_FAILURES: '0' });
+
+    const delays: number[] = [];
+    for (let i = 0; i < 4; i++) {
+      let settled = false;
+      const attempt = service.attempt('alice', '10.0.0.1', wrong).then(() => (settled = true));
+      let waited = 0;
+      await jest.advanceTimersByTimeAsync(0);
+      while (!settled) {
+        await jest.advanceTimersByTimeAsync(10);
+        waited += 10;
+      }
+      await attempt;
+      delays.push(waited);
+    }
+
+    expect(delays).toEqual([0, 100, 200, 250]);
+  });
+});
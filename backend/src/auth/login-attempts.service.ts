@@ -0,0 +1,177 @@
+import { HttpException, HttpStatus, Injectable } from '@nestjs/common';
+
+function envInt(name: string, fallback: number): number {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Expired counters are dropped at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+interface LoginAttemptLimits {
+  // Failures per username before it is locked (0 disables)
+  maxFailures: number;
+  // Failures per client IP, across usernames, before the IP is locked (0 disables)
+  maxIpFailures: number;
+  lockoutMs: number;
+  // Failures older than this no longer count
+  failureWindowMs: number;
+  // Delay before answering the nth failed attempt: step * 2^(n-2), capped at maxDelayMs
+  delayStepMs: number;
+  maxDelayMs: number;
+}
+
+function loginAttemptLimitsFromEnv(): LoginAttemptLimits {
+  return {
+    maxFailures: envInt('LOGIN_MAX_FAILURES', 5),
+    maxIpFailures: envInt('LOGIN_IP_MAX_FAILURES', 200),
+    lockoutMs: envInt('LOGIN_LOCKOUT_SECONDS', 300) * 1000,
+    failureWindowMs: envInt('LOGIN_FAILURE_WINDOW_SECONDS', 900) * 1000,
+    delayStepMs: envInt('LOGIN_DELAY_STEP_MS', 100),
+    maxDelayMs: envInt('LOGIN_MAX_DELAY_MS', 1600),
+  };
+}
+
+interface FailureRecord {
+  failures: number;
+  windowStart: number;
+  lockedUntil: number;
+}
+
+export class LoginLockedException extends HttpException {
+  constructor(readonly retryAfterSeconds: number) {
+    super({
+      statusCode: HttpStatus.TOO_MANY_REQUESTS,
+      message: 'Too many failed login attempts; try again later',
+      error: 'Too Many Requests',
+      retryAfter: retryAfterSeconds,
+    }, HttpStatus.TOO_MANY_REQUESTS);
+  }
+}
+
+/**
+ * Failed-login counters for /auth/login, per username and per client IP:
+ * - every failure past the first is answered after a growing delay
+ * - reaching the limit locks the username (or IP) for the lockout period; locked
+ *   attempts are rejected with 429 before the password is checked, even correct ones
+ * - a successful login clears the username's failures; IP failures only expire
+ *
+ * Attempts for the same username run one at a time, so concurrent guesses cannot slip
+ * past the limit while earlier ones are still being checked. IP counters are not
+ * serialized and may overshoot by the number of usernames attacked at once.
+ */
+@Injectable()
+export class LoginAttemptService {
+  private readonly limits = loginAttemptLimitsFromEnv();
+  private readonly byUsername = new Map<string, FailureRecord>();
+  private readonly byIp = new Map<string, FailureRecord>();
+  private readonly queues = new Map<string, Promise<void>>();
+  private lastSweep = Date.now();
+
+  /**
+   * Run `verify` as a login attempt for `username` from `ip`. Returns the user it resolves,
+   * or null after the failure delay. Throws LoginLockedException while either key is locked.
+   */
+  async attempt<T>(username: string, ip: string, verify: () => Promise<T | null>): Promise<T | null> {
+    const userKey = (username || '').toLowerCase();
+    let delayMs = 0;
+
+    const user = await this.serialize(userKey, async () => {
+      this.sweep();
+      this.assertNotLocked(this.byUsername, userKey, this.limits.maxFailures);
+      this.assertNotLocked(this.byIp, ip, this.limits.maxIpFailures);
+
+      const verified = await verify();
+      if (verified) {
+        this.byUsername.delete(userKey);
+        return verified;
+      }
+
+      const failures = this.recordFailure(this.byUsername, userKey, this.limits.maxFailures);
+      this.recordFailure(this.byIp, ip, this.limits.maxIpFailures);
+      delayMs = this.failureDelay(failures);
+      return null;
+    });
+
+    // Outside the queue, so the delay slows the caller without holding up the next attempt
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+    return user;
+  }
+
+  // Clear the failures and lockout of a username and/or IP; returns which ones had a record
+  unlock(username?: string, ip?: string): { username: boolean; ip: boolean } {
+    return {
+      username: username ? this.byUsername.delete(username.toLowerCase()) : false,
+      ip: ip ? this.byIp.delete(ip) : false,
+    };
+  }
+
+  private assertNotLocked(records: Map<string, FailureRecord>, key: string, limit: number) {
+    const record = records.get(key);
+    if (!record || limit <= 0) return;
+
+    const now = Date.now();
+    if (record.lockedUntil > now) {
+      throw new LoginLockedException(Math.ceil((record.lockedUntil - now) / 1000));
+    }
+    if (record.lockedUntil > 0) {
+      // The lockout has run out: start over
+      records.delete(key);
+    }
+  }
+
+  // Returns the failure count within the current window
+  private recordFailure(records: Map<string, FailureRecord>, key: string, limit: number): number {
+    const now = Date.now();
+    let record = records.get(key);
+    if (!record || now - record.windowStart > this.limits.failureWindowMs) {
+      record = { failures: 0, windowStart: now, lockedUntil: 0 };
+      records.set(key, record);
+    }
+
+    record.failures++;
+    if (limit > 0 && record.failures >= limit) {
+      record.lockedUntil = now + this.limits.lockoutMs;
+    }
+    return record.failures;
+  }
+
+  private failureDelay(failures: number): number {
+    if (failures < 2) return 0;
+    return Math.min(this.limits.delayStepMs * 2 ** (failures - 2), this.limits.maxDelayMs);
+  }
+
+  private async serialize<T>(key: string, task: () => Promise<T>): Promise<T> {
+    const previous = this.queues.get(key) || Promise.resolve();
+    let release: () => void;
+    const current = new Promise<void>(resolve => (release = resolve));
+    const tail = previous.then(() => current);
+    this.queues.set(key, tail);
+
+    await previous;
+    try {
+      return await task();
+    } finally {
+      release();
+      if (this.queues.get(key) === tail) {
+        this.queues.delete(key);
+      }
+    }
+  }
+
+  private sweep() {
+    const now = Date.now();
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) return;
+    this.lastSweep = now;
+
+    for (const records of [this.byUsername, this.byIp]) {
+      for (const [key, record] of records) {
+        if (record.lockedUntil <= now && now - record.windowStart > this.limits.failureWindowMs) {
+          records.delete(key);
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,75 @@
+import { UnauthorizedException } from '@nestjs/common';
+import { ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_SECONDS, RefreshTokenService } from './refresh-token.service';
+
+describe('RefreshTokenService', () => {
+  let service: RefreshTokenService;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    service = new RefreshTokenService();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('rotates a token into the next token of the same family', () => {
+    const { familyId, refreshToken } = service.startFamily('user-1');
+    const rotated = service.rotate(refreshToken);
+
+    expect(rotated).toMatchObject({ familyId, userId: 'user-1' });
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(service.rotate(rotated.refreshToken).familyId).toBe(familyId);
+  });
+
+  it('rejects unknown tokens', () => {
+    expect(() => service.rotate('unknown')).toThrow('Invalid refresh token');
+  });
+
+  it('revokes the whole family when a rotated token is presented again', () => {
+    const { familyId, refreshToken } = service.startFamily('user-1');
+    const rotated = service.rotate(refreshToken);
+
+    expect(() => service.rotate(refreshToken)).toThrow('Refresh token reuse detected; session revoked');
+    expect(service.isFamilyRevoked(familyId)).toBe(true);
+    expect(() => service.rotate(rotated.refreshToken)).toThrow(UnauthorizedException);
+  });
+
+  it('leaves other families alone', () => {
+    const stolen = service.startFamily('user-1');
+    const other = service.startFamily('user-1');
+    service.rotate(stolen.refreshToken);
+    expect(() => service.rotate(stolen.refreshToken)).toThrow(UnauthorizedException);
+
+    expect(service.rotate(other.refreshToken).familyId).toBe(other.familyId);
+  });
+
+  it('revokes a family on logout and reports unknown tokens', () => {
+    const { familyId, refreshToken } = service.startFamily('user-1');
+
+    expect(service.revoke(refreshToken)).toBe(true);
+    expect(service.isFamilyRevoked(familyId)).toBe(true);
+    expect(() => service.rotate(refreshToken)).toThrow('Invalid refresh token');
+    expect(service.revoke('unknown')).toBe(false);
+  });
+
+  it('rejects tokens once the family has expired', () => {
+    const { refreshToken } = service.startFamily('user-1');
+    jest.advanceTimersByTime(REFRESH_TOKEN_TTL_SECONDS * 1000);
+
+    expect(() => service.rotate(refreshToken)).toThrow('Invalid refresh token');
+  });
+
+  it('keeps a revoked family on the denylist until its access tokens have expired', () => {
+    const { familyId, refreshToken } = service.startFamily('user-1');
+    service.revoke(refreshToken);
+
+    jest.advanceTimersByTime(ACCESS_TOKEN_TTL_SECONDS * 1000 - 1);
+    expect(service.isFamilyRevoked(familyId)).toBe(true);
+
+    // Expired entries are dropped by the sweep when the next family starts
+    jest.advanceTimersByTime(1);
+    service.startFamily('user-2');
+    expect(service.isFamilyRevoked(familyId)).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+import { Injectable, UnauthorizedException } from '@nestjs/common';
+import { createHash, randomBytes } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+export const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+export const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Expired tokens and denylist entries are dropped at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+interface RefreshTokenRecord {
+  familyId: string;
+  userId: string;
+  expiresAt: number;
+  used: boolean;
+}
+
+interface TokenFamily {
+  userId: string;
+  expiresAt: number;
+  // Hashes of every token issued to the family, rotated ones included
+  tokenHashes: string[];
+}
+
+/**
+ * Refresh-token families for the auth module:
+ * - login and registration start a family; every refresh token is single use and
+ *   rotating it issues the next token of the same family
+ * - presenting an already-rotated token is treated as theft and revokes the family
+ * - revoked families go on a denylist until their access tokens have expired, so
+ *   JwtStrategy rejects those access tokens too
+ *
+ * Only SHA-256 hashes of refresh tokens are kept.
+ */
+@Injectable()
+export class RefreshTokenService {
+  private readonly tokens = new Map<string, RefreshTokenRecord>();
+  private readonly families = new Map<string, TokenFamily>();
+  // familyId -> time after which no access token of the family can still be valid
+  private readonly revokedFamilies = new Map<string, number>();
+  private lastSweep = Date.now();
+
+  startFamily(userId: string): { familyId: string; refreshToken: string } {
+    this.sweep();
+    const familyId = uuidv4();
+    this.families.set(familyId, {
+      userId,
+      expiresAt: Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000,
+      tokenHashes: [],
+    });
+    return { familyId, refreshToken: this.issue(familyId, userId) };
+  }
+
+  /**
+   * Consume `refreshToken` and return the next token of its family.
+   * Throws UnauthorizedException for unknown, expired, revoked or reused tokens.
+   */
+  rotate(refreshToken: string): { familyId: string; userId: string; refreshToken: string } {
+    const record = this.tokens.get(hashToken(refreshToken));
+    if (!record || record.expiresAt <= Date.now() || this.isFamilyRevoked(record.familyId)) {
+      throw new UnauthorizedException('Invalid refresh token');
+    }
+
+    if (record.used) {
+      this.revokeFamily(record.familyId);
+      throw new UnauthorizedException('Refresh token reuse detected; session revoked');
+    }
+
+    record.used = true;
+    return {
+      familyId: record.familyId,
+      userId: record.userId,
+      refreshToken: this.issue(record.familyId, record.userId),
+    };
+  }
+
+  // Revoke the family `refreshToken` belongs to; false when the token is unknown
+  revoke(refreshToken: string): boolean {
+    const record = this.tokens.get(hashToken(refreshToken));
+    if (!record) return false;
+    this.revokeFamily(record.familyId);
+    return true;
+  }
+
+  revokeFamily(familyId: string) {
+    const family = this.families.get(familyId);
+    if (family) {
+      family.tokenHashes.forEach(hash => this.tokens.delete(hash));
+      this.families.delete(familyId);
+    }
+    this.revokedFamilies.set(familyId, Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000);
+  }
+
+  isFamilyRevoked(familyId: string): boolean {
+    return this.revokedFamilies.has(familyId);
+  }
+
+  private issue(familyId: string, userId: string): string {
+    const family = this.families.get(familyId);
+    const refreshToken = randomBytes(32).toString('base64url');
+    const hash = hashToken(refreshToken);
+    this.tokens.set(hash, { familyId, userId, expiresAt: family.expiresAt, used: false });
+    family.tokenHashes.push(hash);
+    return refreshToken;
+  }
+
+  private sweep() {
+    const now = Date.now();
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) return;
+    this.lastSweep = now;
+
+    for (const [hash, record] of this.tokens) {
+      if (record.expiresAt <= now) this.tokens.delete(hash);
+    }
+    for (const [familyId, family] of this.families) {
+      if (family.expiresAt <= now) this.families.delete(familyId);
+    }
+    for (const [familyId, until] of this.revokedFamilies) {
+      if (until <= now) this.revokedFamilies.delete(familyId);
+    }
+  }
+}
+
+function hashToken(token: string): string {
+  return createHash('sha256').update(token).digest('hex');
+}
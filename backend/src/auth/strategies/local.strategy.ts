@@ -1,16 +1,36 @@
 import { Injectable, UnauthorizedException } from '@nestjs/common';
 import { PassportStrategy } from '@nestjs/passport';
+import { plainToInstance } from 'class-transformer';
+import { validate } from 'class-validator';
 import { Strategy } from 'passport-local';
+import { validationExceptionFactory } from '../../common/validation';
 import { AuthService } from '../auth.service';
+import { LoginDto } from '../dto/login.dto';
+import { LoginLockedException } from '../login-attempts.service';
 
 @Injectable()
 export class LocalStrategy extends PassportStrategy(Strategy) {
   constructor(private authService: AuthService) {
-    super();
+    super({ passReqToCallback: true });
   }
 
-  async validate(username: string, password: string): Promise<any> {
-    const user = await this.authService.validateUser(username, password);
+  async validate(req: any, username: string, password: string): Promise<any> {
+    // The guard runs before the global ValidationPipe, and passport-local hands over JSON values as they are
+    const errors = await validate(plainToInstance(LoginDto, req.body || {}), { whitelist: true, forbidNonWhitelisted: true });
+    if (errors.length > 0) {
+      throw validationExceptionFactory(process.env.NODE_ENV !== 'production')(errors);
+    }
+
+    let user;
+    try {
+      user = await this.authService.validateUser(username, password, req.ip);
+    } catch (error) {
+      if (error instanceof LoginLockedException) {
+        req.res.setHeader('Retry-After', error.retryAfterSeconds.toString());
+      }
+      throw error;
+    }
+
     if (!user) {
       throw new UnauthorizedException();
     }
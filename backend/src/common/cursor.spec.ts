@@ -0,0 +1,40 @@
+import { BadRequestException } from '@nestjs/common';
+import { compareToCursor, CursorPosition, decodeCursor, encodeCursor } from './cursor';
+
+describe('cursor', () => {
+  const position: CursorPosition = { sortBy: 'price', sortOrder: 'desc', value: 19.99, id: 'p-42' };
+
+  it('round-trips a position through an opaque URL-safe string', () => {
+    const cursor = encodeCursor(position);
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor, 'price', 'desc')).toEqual(position);
+  });
+
+  it('keeps string sort values', () => {
+    const named = { ...position, sortBy: 'name', value: 'Hammer' };
+    expect(decodeCursor(encodeCursor(named), 'name', 'desc')).toEqual(named);
+  });
+
+  it('rejects a cursor issued for another sort', () => {
+    const cursor = encodeCursor(position);
+    expect(() => decodeCursor(cursor, 'price', 'asc')).toThrow('Cursor was issued for a different sortBy/sortOrder');
+    expect(() => decodeCursor(cursor, 'name', 'desc')).toThrow(BadRequestException);
+  });
+
+  it.each([
+    ['not base64 JSON', 'not-a-cursor'],
+    ['not an array', Buffer.from('{"id":"p-1"}').toString('base64url')],
+    ['the wrong length', Buffer.from('["price","desc","p-1"]').toString('base64url')],
+    ['a non-string id', Buffer.from('["price","desc",1,2]').toString('base64url')],
+  ])('rejects %s', (_, cursor) => {
+    expect(() => decodeCursor(cursor, 'price', 'desc')).toThrow('Invalid cursor');
+  });
+
+  it('orders items by sort value, then by id', () => {
+    expect(compareToCursor(10, 'p-99', position)).toBe(-1);
+    expect(compareToCursor(20, 'p-00', position)).toBe(1);
+    expect(compareToCursor(19.99, 'p-41', position)).toBe(-1);
+    expect(compareToCursor(19.99, 'p-43', position)).toBe(1);
+    expect(compareToCursor(19.99, 'p-42', position)).toBe(0);
+  });
+});
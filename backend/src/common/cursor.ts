@@ -0,0 +1,44 @@
+import { BadRequestException } from '@nestjs/common';
+
+/**
+ * Position in a sorted listing: the sort key and id of the last item returned.
+ * Paging "after" a position instead of skipping an offset keeps pages stable when
+ * items are inserted or deleted between requests.
+ */
+export interface CursorPosition {
+  sortBy: string;
+  sortOrder: 'asc' | 'desc';
+  value: number | string;
+  id: string;
+}
+
+export function encodeCursor(position: CursorPosition): string {
+  return Buffer.from(JSON.stringify([position.sortBy, position.sortOrder, position.value, position.id])).toString('base64url');
+}
+
+export function decodeCursor(cursor: string, sortBy: string, sortOrder: 'asc' | 'desc'): CursorPosition {
+  let decoded: unknown;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new BadRequestException('Invalid cursor');
+  }
+
+  if (!Array.isArray(decoded) || decoded.length !== 4 || typeof decoded[3] !== 'string') {
+    throw new BadRequestException('Invalid cursor');
+  }
+
+  const [cursorSortBy, cursorSortOrder, value, id] = decoded;
+  if (cursorSortBy !== sortBy || cursorSortOrder !== sortOrder) {
+    throw new BadRequestException('Cursor was issued for a different sortBy/sortOrder');
+  }
+
+  return { sortBy, sortOrder, value, id };
+}
+
+// Compare an item's (sort value, id) with a cursor position
+export function compareToCursor(value: number | string, id: string, position: CursorPosition): number {
+  if (value < position.value) return -1;
+  if (value > position.value) return 1;
+  return id < position.id ? -1 : id > position.id ? 1 : 0;
+}
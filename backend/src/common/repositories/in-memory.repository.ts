@@ -0,0 +1,36 @@
+export interface Entity {
+  id: string;
+}
+
+// Map-backed store shared by the in-memory and JSON-file repositories
+export class InMemoryRepository<T extends Entity> {
+  // Map keeps insertion order, so findAll() is stable across calls
+  protected readonly items = new Map<string, T>();
+
+  constructor(initialItems: T[] = []) {
+    for (const item of initialItems) {
+      this.items.set(item.id, item);
+    }
+  }
+
+  async findAll(): Promise<T[]> {
+    return [...this.items.values()];
+  }
+
+  async findById(id: string): Promise<T | undefined> {
+    return this.items.get(id);
+  }
+
+  async save(item: T): Promise<T> {
+    this.items.set(item.id, item);
+    return item;
+  }
+
+  async delete(id: string): Promise<boolean> {
+    return this.items.delete(id);
+  }
+
+  async count(): Promise<number> {
+    return this.items.size;
+  }
+}
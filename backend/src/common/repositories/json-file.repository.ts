@@ -0,0 +1,97 @@
+import { Logger, OnApplicationShutdown } from '@nestjs/common';
+import * as fs from 'fs';
+import * as path from 'path';
+import { Entity, InMemoryRepository } from './in-memory.repository';
+
+// Writes are batched so a k6 run creating thousands of records does not rewrite the file per request
+const FLUSH_DELAY_MS = 200;
+
+/**
+ * JSON-on-disk store. The file is read once at startup (or seeded when missing) and
+ * rewritten (atomically, via a temp file) shortly after each change and on shutdown.
+ * `revive` turns a parsed record back into an entity, e.g. restoring Date fields.
+ */
+export class JsonFileRepository<T extends Entity> extends InMemoryRepository<T> implements OnApplicationShutdown {
+  private readonly logger = new Logger(this.constructor.name);
+  private flushTimer: NodeJS.Timeout | null = null;
+
+  constructor(
+    private readonly filePath: string,
+    seed: () => T[],
+    private readonly revive: (stored: any) => T,
+    private readonly noun: string,
+  ) {
+    super();
+
+    const stored = this.read();
+    const items = stored || seed();
+    for (const item of items) {
+      this.items.set(item.id, item);
+    }
+
+    if (stored) {
+      this.logger.log(`Loaded ${items.length} ${noun} from ${filePath}`);
+    } else {
+      this.flush();
+      this.logger.log(`Seeded ${items.length} ${noun} into ${filePath}`);
+    }
+  }
+
+  async save(item: T): Promise<T> {
+    await super.save(item);
+    this.scheduleFlush();
+    return item;
+  }
+
+  async delete(id: string): Promise<boolean> {
+    const deleted = await super.delete(id);
+    if (deleted) {
+      this.scheduleFlush();
+    }
+    return deleted;
+  }
+
+  onApplicationShutdown() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+      this.flush();
+    }
+  }
+
+  private read(): T[] | null {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    try {
+      const stored: unknown[] = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return stored.map(this.revive);
+    } catch (error) {
+      throw new Error(`Failed to read ${this.noun} store ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  private scheduleFlush() {
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, FLUSH_DELAY_MS);
+  }
+
+  private flush() {
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify([...this.items.values()]));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      this.logger.error(`Failed to write ${this.noun} store ${this.filePath}: ${error.message}`);
+    }
+  }
+}
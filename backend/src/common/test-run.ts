@@ -0,0 +1,16 @@
+import { BadRequestException } from '@nestjs/common';
+
+// k6 suites send their run id in this header so everything a run creates can be cleaned up
+export const TEST_RUN_HEADER = 'x-test-run';
+
+const TEST_RUN_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+export function parseTestRun(value: string | undefined): string | undefined {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (!TEST_RUN_PATTERN.test(value)) {
+    throw new BadRequestException(`${TEST_RUN_HEADER} must be 1-64 letters, digits, "_", ".", ":" or "-"`);
+  }
+  return value;
+}
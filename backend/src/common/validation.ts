@@ -0,0 +1,41 @@
+import { BadRequestException, ValidationError } from '@nestjs/common';
+import { WsException } from '@nestjs/websockets';
+
+export interface FieldError {
+  field: string;
+  messages: string[];
+}
+
+function flatten(errors: ValidationError[], parent?: string): FieldError[] {
+  return errors.flatMap(error => {
+    const field = parent ? `${parent}.${error.property}` : error.property;
+    const own = error.constraints ? [{ field, messages: Object.values(error.constraints) }] : [];
+    return [...own, ...flatten(error.children || [], field)];
+  });
+}
+
+/**
+ * Exception factory for the global ValidationPipe. Every validation failure has the same body:
+ *   { statusCode: 400, error: 'Bad Request', message: 'Validation failed', errors: [{ field, messages }] }
+ * `errors` is left out when details are hidden (production).
+ */
+export function validationExceptionFactory(showDetails: boolean) {
+  return (errors: ValidationError[]) => new BadRequestException({
+    statusCode: 400,
+    error: 'Bad Request',
+    message: 'Validation failed',
+    ...(showDetails ? { errors: flatten(errors) } : {}),
+  });
+}
+
+/**
+ * The same body for gateway events. Nest emits it to the client as an `exception` event;
+ * `status: 'error'` matches the body of other WsExceptions.
+ */
+export function wsValidationExceptionFactory(showDetails: boolean) {
+  return (errors: ValidationError[]) => new WsException({
+    status: 'error',
+    message: 'Validation failed',
+    ...(showDetails ? { errors: flatten(errors) } : {}),
+  });
+}
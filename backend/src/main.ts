@@ -2,6 +2,19 @@ import { Logger, ValidationPipe } from '@nestjs/common';
 import { NestFactory } from '@nestjs/core';
 import { DocumentBuilder, SwaggerModule } from '@nestjs/swagger';
 import { AppModule } from './app.module';
+import { validationExceptionFactory } from './common/validation';
+
+/**
+ * Express `trust proxy` from TRUST_PROXY: unset or 'false' trusts nobody (req.ip is the socket
+ * address), a number trusts that many hops, anything else is passed through (addresses,
+ * subnets or presets such as 'loopback', comma-separated).
+ */
+function trustProxySetting(value: string | undefined): boolean | number | string {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  const hops = Number(value);
+  return Number.isInteger(hops) ? hops : value;
+}
 
 async function bootstrap() {
   const logger = new Logger('Bootstrap');
@@ -24,11 +37,11 @@ async function bootstrap() {
       transformOptions: {
         enableImplicitConversion: true,
       },
-      disableErrorMessages: process.env.NODE_ENV === 'production',
+      exceptionFactory: validationExceptionFactory(process.env.NODE_ENV !== 'production'),
     }));
 
-    // Trust proxy for load balancing
-    app.getHttpAdapter().getInstance().set('trust proxy', 1);
+    // Only trusted proxies may set the client address (req.ip) through X-Forwarded-For
+    app.getHttpAdapter().getInstance().set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
 
     // Swagger only in development
     if (process.env.NODE_ENV !== 'production') {
@@ -38,6 +51,7 @@ async function bootstrap() {
         .setVersion('1.0')
         .addBearerAuth()
         .addTag('Health', 'Health check endpoints')
+        .addTag('Metrics', 'Prometheus metrics')
         .addTag('Auth', 'Authentication endpoints')
         .addTag('Users', 'User management')
         .addTag('Products', 'Product management')
@@ -0,0 +1,25 @@
+import { Controller, Get, Header } from '@nestjs/common';
+import { ApiOperation, ApiProduces, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { SkipThrottle } from '@nestjs/throttler';
+import { MetricsService } from './metrics.service';
+import { PROMETHEUS_CONTENT_TYPE } from './prometheus';
+
+@ApiTags('Metrics')
+@Controller('metrics')
+@SkipThrottle()
+export class MetricsController {
+  constructor(private readonly metricsService: MetricsService) {}
+
+  @Get()
+  @Header('Content-Type', PROMETHEUS_CONTENT_TYPE)
+  @Header('Cache-Control', 'no-store')
+  @ApiOperation({
+    summary: 'Prometheus metrics',
+    description: 'Request counts and latency histograms per route, in-flight requests, event-loop lag, GC pauses, heap usage and websocket connections, in the Prometheus text format',
+  })
+  @ApiProduces(PROMETHEUS_CONTENT_TYPE)
+  @ApiResponse({ status: 200, description: 'Metrics in the Prometheus text format' })
+  metrics(): string {
+    return this.metricsService.render();
+  }
+}
@@ -0,0 +1,28 @@
+import { Injectable, NestMiddleware } from '@nestjs/common';
+import { MetricsService } from './metrics.service';
+
+// Routes are labelled below the global prefix set in main.ts
+const API_PREFIX = /^\/api\/v1\/?/;
+
+// Responses sent before routing (unknown paths, injected faults) have no route template
+const UNMATCHED_ROUTE = 'unmatched';
+
+/**
+ * Times every HTTP request and counts it by the route template it was handled by, so label
+ * cardinality stays bounded whatever the URLs.
+ */
+@Injectable()
+export class MetricsMiddleware implements NestMiddleware {
+  constructor(private readonly metricsService: MetricsService) {}
+
+  use(req, res, next: () => void) {
+    const done = this.metricsService.startRequest(req.method);
+
+    // 'close' also fires when the connection drops before the response is complete
+    res.once('close', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}`.replace(API_PREFIX, '') : UNMATCHED_ROUTE;
+      done(route, res.writableFinished ? res.statusCode : 'aborted');
+    });
+    next();
+  }
+}
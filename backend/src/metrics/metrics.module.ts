@@ -0,0 +1,18 @@
+import { Global, MiddlewareConsumer, Module, NestModule } from '@nestjs/common';
+import { MetricsController } from './metrics.controller';
+import { MetricsMiddleware } from './metrics.middleware';
+import { MetricsService } from './metrics.service';
+
+// Global rather than imported where needed: Nest applies the middleware of less deeply imported
+// modules first, and the request timer has to run before every other middleware (e.g. faults)
+@Global()
+@Module({
+  controllers: [MetricsController],
+  providers: [MetricsService],
+  exports: [MetricsService],
+})
+export class MetricsModule implements NestModule {
+  configure(consumer: MiddlewareConsumer) {
+    consumer.apply(MetricsMiddleware).forRoutes('*');
+  }
+}
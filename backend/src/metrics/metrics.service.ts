@@ -0,0 +1,155 @@
+import { Injectable, OnApplicationShutdown, OnModuleInit } from '@nestjs/common';
+import { constants, IntervalHistogram, monitorEventLoopDelay, PerformanceObserver } from 'perf_hooks';
+import { Counter, Gauge, Histogram } from './prometheus';
+
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const GC_DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1];
+
+// Event-loop delay sampling interval, in milliseconds
+const EVENT_LOOP_RESOLUTION_MS = 10;
+
+const GC_KINDS: Record<number, string> = {
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb',
+};
+
+const NANOSECONDS_PER_SECOND = 1e9;
+
+/**
+ * Server-side metrics in Prometheus format: HTTP traffic (fed by MetricsMiddleware), websocket
+ * connections (fed by ChatGateway) and Node.js runtime saturation, read when scraped.
+ *
+ * Event-loop delay is measured between scrapes: every scrape reports the delay since the
+ * previous one and starts a new measurement.
+ */
+@Injectable()
+export class MetricsService implements OnModuleInit, OnApplicationShutdown {
+  private readonly requests = new Counter('http_requests_total', 'HTTP requests by method, route and status');
+  private readonly requestDuration = new Histogram(
+    'http_request_duration_seconds',
+    'HTTP request latency by method and route',
+    HTTP_DURATION_BUCKETS,
+  );
+  private readonly requestsInFlight = new Gauge('http_requests_in_flight', 'HTTP requests being handled');
+
+  private readonly eventLoopLag = new Gauge('nodejs_eventloop_lag_seconds', 'Event-loop delay since the previous scrape, by statistic');
+  private readonly gcDuration = new Histogram('nodejs_gc_duration_seconds', 'Garbage collection pauses by kind', GC_DURATION_BUCKETS);
+  private readonly heapUsed = new Gauge('nodejs_heap_size_used_bytes', 'V8 heap in use');
+  private readonly heapTotal = new Gauge('nodejs_heap_size_total_bytes', 'V8 heap allocated');
+  private readonly externalMemory = new Gauge('nodejs_external_memory_bytes', 'Memory of C++ objects bound to JavaScript objects');
+  private readonly residentMemory = new Gauge('process_resident_memory_bytes', 'Resident set size');
+  private readonly activeHandles = new Gauge('nodejs_active_handles', 'Active libuv handles (sockets, servers, timers)');
+  private readonly cpuSeconds = new Counter('process_cpu_seconds_total', 'CPU time spent, by mode');
+  private readonly startTime = new Gauge('process_start_time_seconds', 'Process start time since the Unix epoch');
+
+  private readonly websocketsOpen = new Gauge('websocket_connections', 'Open Socket.IO connections');
+  private readonly websocketsAccepted = new Counter('websocket_connections_total', 'Socket.IO connections accepted');
+  private readonly websocketsRejected = new Counter('websocket_connections_rejected_total', 'Socket.IO connections rejected by authentication');
+
+  private readonly metrics = [
+    this.requests,
+    this.requestDuration,
+    this.requestsInFlight,
+    this.eventLoopLag,
+    this.gcDuration,
+    this.heapUsed,
+    this.heapTotal,
+    this.externalMemory,
+    this.residentMemory,
+    this.activeHandles,
+    this.cpuSeconds,
+    this.startTime,
+    this.websocketsOpen,
+    this.websocketsAccepted,
+    this.websocketsRejected,
+  ];
+
+  private eventLoopDelay: IntervalHistogram;
+  private gcObserver: PerformanceObserver;
+
+  onModuleInit() {
+    this.eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+    this.eventLoopDelay.enable();
+
+    this.gcObserver = new PerformanceObserver(list => {
+      for (const entry of list.getEntries()) {
+        const kind = (entry as any).detail ? (entry as any).detail.kind : (entry as any).kind;
+        this.gcDuration.observe({ kind: GC_KINDS[kind] || 'unknown' }, entry.duration / 1000);
+      }
+    });
+    this.gcObserver.observe({ entryTypes: ['gc'] });
+
+    this.startTime.set(Math.round(Date.now() / 1000 - process.uptime()));
+    this.websocketsOpen.set(0);
+    this.websocketsAccepted.set(0);
+    this.websocketsRejected.set(0);
+  }
+
+  onApplicationShutdown() {
+    this.eventLoopDelay.disable();
+    this.gcObserver.disconnect();
+  }
+
+  /**
+   * Count a request as in flight; call the returned function once it has been answered, with
+   * the route template (e.g. `products/:id`) and the status sent, or 'aborted'.
+   */
+  startRequest(method: string): (route: string, status: number | string) => void {
+    const started = process.hrtime.bigint();
+    this.requestsInFlight.inc();
+
+    return (route, status) => {
+      const seconds = Number(process.hrtime.bigint() - started) / NANOSECONDS_PER_SECOND;
+      this.requestsInFlight.dec();
+      this.requests.inc({ method, route, status });
+      this.requestDuration.observe({ method, route }, seconds);
+    };
+  }
+
+  websocketConnected() {
+    this.websocketsOpen.inc();
+    this.websocketsAccepted.inc();
+  }
+
+  websocketDisconnected() {
+    this.websocketsOpen.dec();
+  }
+
+  websocketRejected() {
+    this.websocketsRejected.inc();
+  }
+
+  /**
+   * All metrics in the Prometheus text format; reads the runtime gauges first.
+   */
+  render(): string {
+    this.collectRuntime();
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+
+  private collectRuntime() {
+    const delay = this.eventLoopDelay;
+    if (delay.count > 0) {
+      this.eventLoopLag.set(delay.mean / NANOSECONDS_PER_SECOND, { stat: 'mean' });
+      this.eventLoopLag.set(delay.percentile(50) / NANOSECONDS_PER_SECOND, { stat: 'p50' });
+      this.eventLoopLag.set(delay.percentile(99) / NANOSECONDS_PER_SECOND, { stat: 'p99' });
+      this.eventLoopLag.set(delay.max / NANOSECONDS_PER_SECOND, { stat: 'max' });
+    }
+    delay.reset();
+
+    const memory = process.memoryUsage();
+    this.heapUsed.set(memory.heapUsed);
+    this.heapTotal.set(memory.heapTotal);
+    this.externalMemory.set(memory.external);
+    this.residentMemory.set(memory.rss);
+
+    // Undocumented, but the only way to count handles; prom-client reads it too
+    this.activeHandles.set((process as any)._getActiveHandles().length);
+
+    const cpu = process.cpuUsage();
+    this.cpuSeconds.set(cpu.user / 1e6, { mode: 'user' });
+    this.cpuSeconds.set(cpu.system / 1e6, { mode: 'system' });
+  }
+}
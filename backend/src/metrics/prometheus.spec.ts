@@ -0,0 +1,58 @@
+import { Counter, Gauge, Histogram } from './prometheus';
+
+describe('prometheus metrics', () => {
+  it('renders a counter with its help, type and one line per label set', () => {
+    const counter = new Counter('http_requests_total', 'HTTP requests');
+    counter.inc({ method: 'GET', status: 200 });
+    counter.inc({ method: 'GET', status: 200 }, 2);
+    counter.inc({ method: 'POST', status: 201 });
+
+    expect(counter.render()).toBe([
+      '# HELP http_requests_total HTTP requests',
+      '# TYPE http_requests_total counter',
+      'http_requests_total{method="GET",status="200"} 3',
+      'http_requests_total{method="POST",status="201"} 1',
+    ].join('\n'));
+  });
+
+  it('renders a metric without labels and without samples', () => {
+    const gauge = new Gauge('in_flight', 'Requests being handled');
+    expect(gauge.render()).toBe('# HELP in_flight Requests being handled\n# TYPE in_flight gauge');
+
+    gauge.inc();
+    gauge.inc();
+    gauge.dec();
+    expect(gauge.render().split('\n').pop()).toBe('in_flight 1');
+  });
+
+  it('overwrites values with set()', () => {
+    const cpu = new Counter('cpu_seconds_total', 'CPU time');
+    cpu.set(1.5, { mode: 'user' });
+    cpu.set(2.25, { mode: 'user' });
+
+    expect(cpu.render().split('\n').pop()).toBe('cpu_seconds_total{mode="user"} 2.25');
+  });
+
+  it('escapes backslashes, quotes and newlines in label values', () => {
+    const counter = new Counter('errors_total', 'Errors');
+    counter.inc({ route: 'a\\b "c"\nd' });
+
+    expect(counter.render().split('\n').pop()).toBe('errors_total{route="a\\\\b \\"c\\"\\nd"} 1');
+  });
+
+  it('renders cumulative histogram buckets with +Inf, sum and count', () => {
+    const histogram = new Histogram('latency_seconds', 'Latency', [0.5, 0.1]);
+    histogram.observe({ route: 'products' }, 0.05);
+    histogram.observe({ route: 'products' }, 0.1);
+    histogram.observe({ route: 'products' }, 0.3);
+    histogram.observe({ route: 'products' }, 2);
+
+    expect(histogram.render().split('\n').slice(2)).toEqual([
+      'latency_seconds_bucket{route="products",le="0.1"} 2',
+      'latency_seconds_bucket{route="products",le="0.5"} 3',
+      'latency_seconds_bucket{route="products",le="+Inf"} 4',
+      'latency_seconds_sum{route="products"} 2.45',
+      'latency_seconds_count{route="products"} 4',
+    ]);
+  });
+});
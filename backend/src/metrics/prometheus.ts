@@ -0,0 +1,132 @@
+// Minimal Prometheus metric types, rendered in the text exposition format (version 0.0.4)
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Label values by name; every series of a metric should use the same label names
+export type Labels = Record<string, string | number>;
+
+function escapeLabelValue(value: string | number): string {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels: Labels): string {
+  const names = Object.keys(labels);
+  if (names.length === 0) {
+    return '';
+  }
+  return `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+}
+
+function formatValue(value: number): string {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+abstract class Metric<T> {
+  // Series by their rendered label set
+  protected readonly series = new Map<string, { labels: Labels; value: T }>();
+
+  constructor(
+    readonly name: string,
+    private readonly help: string,
+    private readonly type: 'counter' | 'gauge' | 'histogram',
+  ) {}
+
+  protected seriesFor(labels: Labels, initial: () => T): T {
+    const key = formatLabels(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels, value: initial() };
+      this.series.set(key, entry);
+    }
+    return entry.value;
+  }
+
+  protected sample(suffix: string, labels: Labels, value: number): string {
+    return `${this.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`;
+  }
+
+  protected abstract samples(): string[];
+
+  render(): string {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+}
+
+abstract class ScalarMetric extends Metric<{ current: number }> {
+  protected add(labels: Labels, amount: number) {
+    this.seriesFor(labels, () => ({ current: 0 })).current += amount;
+  }
+
+  // Overwrite the value; counters use it for totals counted elsewhere (e.g. process.cpuUsage())
+  set(value: number, labels: Labels = {}) {
+    this.seriesFor(labels, () => ({ current: 0 })).current = value;
+  }
+
+  protected samples(): string[] {
+    return [...this.series.values()].map(({ labels, value }) => this.sample('', labels, value.current));
+  }
+}
+
+export class Counter extends ScalarMetric {
+  constructor(name: string, help: string) {
+    super(name, help, 'counter');
+  }
+
+  inc(labels: Labels = {}, amount = 1) {
+    this.add(labels, amount);
+  }
+}
+
+export class Gauge extends ScalarMetric {
+  constructor(name: string, help: string) {
+    super(name, help, 'gauge');
+  }
+
+  inc(labels: Labels = {}, amount = 1) {
+    this.add(labels, amount);
+  }
+
+  dec(labels: Labels = {}, amount = 1) {
+    this.add(labels, -amount);
+  }
+}
+
+interface HistogramSeries {
+  // Observations per bucket, not cumulative; the last slot is +Inf
+  buckets: number[];
+  sum: number;
+  count: number;
+}
+
+export class Histogram extends Metric<HistogramSeries> {
+  private readonly bounds: number[];
+
+  constructor(name: string, help: string, bounds: number[]) {
+    super(name, help, 'histogram');
+    this.bounds = [...bounds].sort((a, b) => a - b);
+  }
+
+  observe(labels: Labels, value: number) {
+    const series = this.seriesFor(labels, () => ({ buckets: new Array(this.bounds.length + 1).fill(0), sum: 0, count: 0 }));
+    const index = this.bounds.findIndex(bound => value <= bound);
+    series.buckets[index === -1 ? this.bounds.length : index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  protected samples(): string[] {
+    const lines: string[] = [];
+    for (const { labels, value } of this.series.values()) {
+      let cumulative = 0;
+      [...this.bounds, Infinity].forEach((bound, i) => {
+        cumulative += value.buckets[i];
+        lines.push(this.sample('_bucket', { ...labels, le: formatValue(bound) }, cumulative));
+      });
+      lines.push(this.sample('_sum', labels, value.sum));
+      lines.push(this.sample('_count', labels, value.count));
+    }
+    return lines;
+  }
+}
@@ -0,0 +1,37 @@
+import { ApiProperty, ApiPropertyOptional } from '@nestjs/swagger';
+import { IsInt, IsNumber, IsOptional, IsString, IsUrl, Length, Max, MaxLength, Min } from 'class-validator';
+
+export class CreateProductDto {
+  @ApiProperty({ minLength: 1, maxLength: 100, example: 'Laptop' })
+  @IsString()
+  @Length(1, 100)
+  name: string;
+
+  @ApiProperty({ maxLength: 2000, example: 'High-performance laptop for professionals' })
+  @IsString()
+  @MaxLength(2000)
+  description: string;
+
+  @ApiProperty({ minimum: 0, maximum: 1000000, example: 1299.99 })
+  @IsNumber({ allowNaN: false, allowInfinity: false, maxDecimalPlaces: 2 })
+  @Min(0)
+  @Max(1000000)
+  price: number;
+
+  @ApiProperty({ minLength: 1, maxLength: 50, example: 'Electronics' })
+  @IsString()
+  @Length(1, 50)
+  category: string;
+
+  @ApiProperty({ minimum: 0, maximum: 1000000, example: 50 })
+  @IsInt()
+  @Min(0)
+  @Max(1000000)
+  stock: number;
+
+  @ApiPropertyOptional({ maxLength: 2048, example: 'https://example.com/laptop.jpg' })
+  @IsOptional()
+  @IsUrl()
+  @MaxLength(2048)
+  imageUrl?: string;
+}
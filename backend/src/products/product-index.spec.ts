@@ -0,0 +1,96 @@
+import { ProductIndex, ProductQuery, tokenize } from './product-index';
+import { Product } from './products.service';
+
+function product(id: string, fields: Partial<Product> = {}): Product {
+  return {
+    id,
+    name: `Product ${id}`,
+    description: '',
+    price: 10,
+    category: 'Tools',
+    stock: 1,
+    createdAt: new Date(0),
+    updatedAt: new Date(0),
+    ...fields,
+  };
+}
+
+function query(fields: Partial<ProductQuery> = {}): ProductQuery {
+  return { sortBy: 'price', sortOrder: 'asc', offset: 0, limit: 10, ...fields };
+}
+
+const ids = (products: Product[]) => products.map(p => p.id);
+
+describe('tokenize', () => {
+  it('lowercases and splits on anything but letters and digits', () => {
+    expect(tokenize('Wireless-Mouse, 2.4GHz  Ünïcode')).toEqual(['wireless', 'mouse', '2', '4ghz', 'ünïcode']);
+  });
+
+  it('returns no tokens for punctuation only', () => {
+    expect(tokenize(' -- ')).toEqual([]);
+  });
+});
+
+describe('ProductIndex', () => {
+  let index: ProductIndex;
+
+  beforeEach(() => {
+    index = new ProductIndex([
+      product('a', { name: 'Red Hammer', price: 30, category: 'Tools' }),
+      product('b', { name: 'Blue Hammer', price: 10, category: 'tools', testRun: 'run-1' }),
+      product('c', { name: 'Garden Hose', price: 20, category: 'Garden', testRun: 'run-1' }),
+      product('d', { name: 'Hammock', price: 20, category: 'Garden' }),
+    ]);
+  });
+
+  it('matches categories case-insensitively but lists them as stored', () => {
+    expect(ids(index.query(query({ category: 'TOOLS' })).products)).toEqual(['b', 'a']);
+    expect(index.categories()).toEqual(['Garden', 'Tools', 'tools']);
+  });
+
+  it('matches every search token as a prefix', () => {
+    expect(ids(index.query(query({ search: 'ham' })).products)).toEqual(['b', 'd', 'a']);
+    expect(ids(index.query(query({ search: 'hammer red' })).products)).toEqual(['a']);
+    expect(index.query(query({ search: 'saw' })).total).toBe(0);
+  });
+
+  it('filters by price range, inclusive at both ends', () => {
+    expect(ids(index.query(query({ minPrice: 20, maxPrice: 30 })).products)).toEqual(['c', 'd', 'a']);
+    expect(ids(index.query(query({ category: 'garden', maxPrice: 19 })).products)).toEqual([]);
+  });
+
+  it('breaks ties in the sort value by id, in both directions', () => {
+    expect(ids(index.query(query()).products)).toEqual(['b', 'c', 'd', 'a']);
+    expect(ids(index.query(query({ sortOrder: 'desc' })).products)).toEqual(['a', 'd', 'c', 'b']);
+  });
+
+  it('pages by offset and reports whether more follow', () => {
+    const page = index.query(query({ offset: 1, limit: 2 }));
+    expect(ids(page.products)).toEqual(['c', 'd']);
+    expect(page).toMatchObject({ total: 4, hasMore: true });
+    expect(index.query(query({ offset: 2, limit: 2 })).hasMore).toBe(false);
+  });
+
+  it('resumes after a cursor position, skipping nothing in between', () => {
+    const after = { sortBy: 'price', sortOrder: 'asc' as const, value: 20, id: 'c' };
+    expect(ids(index.query(query({ after, offset: 3 })).products)).toEqual(['d', 'a']);
+
+    const before = { ...after, sortOrder: 'desc' as const, id: 'd' };
+    expect(ids(index.query(query({ sortOrder: 'desc', after: before })).products)).toEqual(['c', 'b']);
+  });
+
+  it('keeps indexes and cached sort orders up to date on upsert and remove', () => {
+    index.query(query({ sortBy: 'name' }));
+
+    index.upsert(product('a', { name: 'Anvil', price: 5, category: 'Forge' }));
+    index.upsert(product('e', { name: 'Hammer Drill', price: 50, category: 'Tools', testRun: 'run-1' }));
+    index.remove('b');
+
+    expect(index.size).toBe(4);
+    expect(ids(index.query(query({ search: 'hammer' })).products)).toEqual(['e']);
+    expect(ids(index.query(query({ sortBy: 'name' })).products)).toEqual(['a', 'c', 'e', 'd']);
+    expect(ids(index.query(query()).products)).toEqual(['a', 'c', 'd', 'e']);
+    expect(index.categories()).toEqual(['Forge', 'Garden', 'Tools']);
+    expect(index.testRunIds('run-1').sort()).toEqual(['c', 'e']);
+  });
+});
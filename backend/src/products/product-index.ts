@@ -0,0 +1,310 @@
+import { compareToCursor, CursorPosition } from '../common/cursor';
+import { Product } from './products.service';
+
+export const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'name', 'price', 'stock'] as const;
+export type SortField = typeof SORTABLE_FIELDS[number];
+
+export interface ProductQuery {
+  search?: string;
+  category?: string;
+  testRun?: string;
+  minPrice?: number;
+  maxPrice?: number;
+  sortBy: SortField;
+  sortOrder: 'asc' | 'desc';
+  offset: number;
+  limit: number;
+  // Resume after this position instead of skipping `offset` items
+  after?: CursorPosition;
+}
+
+// Below this share of the catalog, sorting the matches beats walking a cached sort order
+const SORT_CANDIDATES_RATIO = 0.25;
+
+export function tokenize(text: string): string[] {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(token => token.length > 0);
+}
+
+export function sortValue(product: Product, field: SortField): number | string {
+  const value = product[field];
+  return value instanceof Date ? value.getTime() : value;
+}
+
+// Total order: the sort field first, then the id so equal values keep a stable order
+function compareBy(field: SortField) {
+  return (a: Product, b: Product) => {
+    const aValue = sortValue(a, field);
+    const bValue = sortValue(b, field);
+    if (aValue < bValue) return -1;
+    if (aValue > bValue) return 1;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  };
+}
+
+// First index in `sorted` whose element is not before `target`
+function lowerBound<T>(sorted: T[], isBefore: (item: T) => boolean): number {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (isBefore(sorted[mid])) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+function addToIndex(index: Map<string, Set<string>>, key: string, id: string) {
+  let ids = index.get(key);
+  if (!ids) {
+    ids = new Set();
+    index.set(key, ids);
+  }
+  ids.add(id);
+}
+
+function removeFromIndex(index: Map<string, Set<string>>, key: string, id: string): boolean {
+  const ids = index.get(key);
+  if (!ids) return false;
+  ids.delete(id);
+  if (ids.size === 0) {
+    index.delete(key);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Read-side query layer over the catalog:
+ * - category index (case-insensitive) and a price-sorted array for range lookups
+ * - test-run index, so products created by one k6 run can be listed and purged
+ * - inverted index from name/description tokens to product ids; query tokens match as prefixes
+ * - sort orders built on first use per field, then kept up to date on every write
+ */
+export class ProductIndex {
+  private readonly byId = new Map<string, Product>();
+  private readonly byCategory = new Map<string, Set<string>>();
+  private readonly categoryNames = new Map<string, number>();
+  private readonly byTestRun = new Map<string, Set<string>>();
+  private readonly byToken = new Map<string, Set<string>>();
+  private readonly vocabulary: string[] = [];
+  private readonly sortOrders = new Map<SortField, Product[]>();
+
+  constructor(products: Product[] = []) {
+    for (const product of products) {
+      this.addEntries(product);
+    }
+    this.vocabulary.push(...this.byToken.keys());
+    this.vocabulary.sort();
+  }
+
+  get size(): number {
+    return this.byId.size;
+  }
+
+  get(id: string): Product | undefined {
+    return this.byId.get(id);
+  }
+
+  categories(): string[] {
+    return [...this.categoryNames.keys()].sort();
+  }
+
+  testRunIds(testRun: string): string[] {
+    return [...(this.byTestRun.get(testRun) || [])];
+  }
+
+  upsert(product: Product) {
+    this.remove(product.id);
+
+    for (const token of this.addEntries(product)) {
+      this.vocabulary.splice(lowerBound(this.vocabulary, t => t < token), 0, token);
+    }
+    for (const [field, order] of this.sortOrders) {
+      const compare = compareBy(field);
+      order.splice(lowerBound(order, p => compare(p, product) < 0), 0, product);
+    }
+  }
+
+  remove(id: string) {
+    const product = this.byId.get(id);
+    if (!product) return;
+
+    this.byId.delete(id);
+    removeFromIndex(this.byCategory, product.category.toLowerCase(), id);
+
+    const remaining = this.categoryNames.get(product.category) - 1;
+    if (remaining > 0) {
+      this.categoryNames.set(product.category, remaining);
+    } else {
+      this.categoryNames.delete(product.category);
+    }
+    if (product.testRun) {
+      removeFromIndex(this.byTestRun, product.testRun, id);
+    }
+
+    for (const token of new Set(tokenize(`${product.name} ${product.description}`))) {
+      if (removeFromIndex(this.byToken, token, id)) {
+        this.vocabulary.splice(lowerBound(this.vocabulary, t => t < token), 1);
+      }
+    }
+
+    for (const [field, order] of this.sortOrders) {
+      const compare = compareBy(field);
+      order.splice(lowerBound(order, p => compare(p, product) < 0), 1);
+    }
+  }
+
+  query(query: ProductQuery): { products: Product[]; total: number; hasMore: boolean } {
+    const matches = this.match(query);
+    const order = this.sortOrder(query.sortBy);
+
+    if (matches === null) {
+      return this.collect(order, null, order.length, query);
+    }
+    if (matches.length < order.length * SORT_CANDIDATES_RATIO) {
+      return this.collect(matches.sort(compareBy(query.sortBy)), null, matches.length, query);
+    }
+    return this.collect(order, new Set(matches.map(product => product.id)), matches.length, query);
+  }
+
+  // Returns the new tokens added to the inverted index
+  private addEntries(product: Product): string[] {
+    const newTokens: string[] = [];
+
+    this.byId.set(product.id, product);
+    addToIndex(this.byCategory, product.category.toLowerCase(), product.id);
+    this.categoryNames.set(product.category, (this.categoryNames.get(product.category) || 0) + 1);
+    if (product.testRun) {
+      addToIndex(this.byTestRun, product.testRun, product.id);
+    }
+
+    for (const token of new Set(tokenize(`${product.name} ${product.description}`))) {
+      if (!this.byToken.has(token)) {
+        newTokens.push(token);
+      }
+      addToIndex(this.byToken, token, product.id);
+    }
+
+    return newTokens;
+  }
+
+  private sortOrder(field: SortField): Product[] {
+    let order = this.sortOrders.get(field);
+    if (!order) {
+      order = [...this.byId.values()].sort(compareBy(field));
+      this.sortOrders.set(field, order);
+    }
+    return order;
+  }
+
+  // Walk `sorted` in the requested direction from the cursor (or offset), keeping products in `ids`
+  private collect(sorted: Product[], ids: Set<string> | null, total: number, query: ProductQuery) {
+    const { after, sortBy } = query;
+    const descending = query.sortOrder === 'desc';
+    const step = descending ? -1 : 1;
+    const isBeforeCursor = (p: Product) => compareToCursor(sortValue(p, sortBy), p.id, after) < 0;
+    const isAtOrBeforeCursor = (p: Product) => compareToCursor(sortValue(p, sortBy), p.id, after) <= 0;
+
+    let i: number;
+    if (descending) {
+      i = (after ? lowerBound(sorted, isBeforeCursor) : sorted.length) - 1;
+    } else {
+      i = after ? lowerBound(sorted, isAtOrBeforeCursor) : 0;
+    }
+
+    let skip = after ? 0 : query.offset;
+    if (!ids) {
+      i += step * skip;
+      skip = 0;
+    }
+
+    const products: Product[] = [];
+    for (; i >= 0 && i < sorted.length && products.length <= query.limit; i += step) {
+      const product = sorted[i];
+      if (ids && !ids.has(product.id)) continue;
+      if (skip > 0) {
+        skip--;
+        continue;
+      }
+      products.push(product);
+    }
+
+    const hasMore = products.length > query.limit;
+    if (hasMore) {
+      products.pop();
+    }
+
+    return { products, total, hasMore };
+  }
+
+  // Products matching the filters, or null when nothing is filtered
+  private match(query: ProductQuery): Product[] | null {
+    const idSets: Set<string>[] = [];
+
+    if (query.category) {
+      idSets.push(this.byCategory.get(query.category.toLowerCase()) || new Set());
+    }
+    if (query.testRun) {
+      idSets.push(this.byTestRun.get(query.testRun) || new Set());
+    }
+    if (query.search) {
+      idSets.push(this.searchIds(query.search));
+    }
+
+    const hasPriceFilter = query.minPrice !== undefined || query.maxPrice !== undefined;
+
+    if (idSets.length === 0) {
+      return hasPriceFilter ? this.priceRange(query.minPrice, query.maxPrice) : null;
+    }
+
+    idSets.sort((a, b) => a.size - b.size);
+    const [smallest, ...others] = idSets;
+    const matches: Product[] = [];
+
+    for (const id of smallest) {
+      if (!others.every(ids => ids.has(id))) continue;
+      const product = this.byId.get(id);
+      if (query.minPrice !== undefined && product.price < query.minPrice) continue;
+      if (query.maxPrice !== undefined && product.price > query.maxPrice) continue;
+      matches.push(product);
+    }
+
+    return matches;
+  }
+
+  private priceRange(minPrice?: number, maxPrice?: number): Product[] {
+    const byPrice = this.sortOrder('price');
+    const start = minPrice === undefined ? 0 : lowerBound(byPrice, p => p.price < minPrice);
+    const end = maxPrice === undefined ? byPrice.length : lowerBound(byPrice, p => p.price <= maxPrice);
+    return byPrice.slice(start, end);
+  }
+
+  // Every query token must prefix-match a token of the product's name or description
+  private searchIds(search: string): Set<string> {
+    const queryTokens = [...new Set(tokenize(search))];
+    if (queryTokens.length === 0) {
+      return new Set();
+    }
+
+    let result: Set<string> | null = null;
+    for (const queryToken of queryTokens) {
+      const ids = new Set<string>();
+      for (let i = lowerBound(this.vocabulary, t => t < queryToken); i < this.vocabulary.length; i++) {
+        const token = this.vocabulary[i];
+        if (!token.startsWith(queryToken)) break;
+        for (const id of this.byToken.get(token)) {
+          if (!result || result.has(id)) {
+            ids.add(id);
+          }
+        }
+      }
+      result = ids;
+      if (result.size === 0) break;
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,84 @@
+import { Product } from './products.service';
+
+export const DEFAULT_SEED = 42;
+export const DEFAULT_PRODUCT_COUNT = 1000;
+
+// Fixed timestamps keep createdAt sorting identical between runs
+const SEED_EPOCH = Date.UTC(2024, 0, 1);
+
+const CATEGORIES = ['Electronics', 'Home & Kitchen', 'Books', 'Clothing', 'Sports'];
+const PRODUCT_TYPES = ['Widget', 'Gadget', 'Tool', 'Device', 'Accessory'];
+
+const FEATURED_PRODUCTS = [
+  {
+    name: 'Laptop',
+    description: 'High-performance laptop for professionals',
+    price: 1299.99,
+    category: 'Electronics',
+    stock: 50,
+    imageUrl: 'https://example.com/laptop.jpg',
+  },
+  {
+    name: 'Smartphone',
+    description: 'Latest model smartphone with advanced features',
+    price: 899.99,
+    category: 'Electronics',
+    stock: 100,
+    imageUrl: 'https://example.com/phone.jpg',
+  },
+  {
+    name: 'Coffee Mug',
+    description: 'Ceramic coffee mug for daily use',
+    price: 19.99,
+    category: 'Home & Kitchen',
+    stock: 200,
+    imageUrl: 'https://example.com/mug.jpg',
+  },
+];
+
+// mulberry32: small, fast PRNG returning floats in [0, 1)
+export function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate the demo catalog. The same seed and count always produce the same products.
+ */
+export function generateProducts(seed: number = DEFAULT_SEED, count: number = DEFAULT_PRODUCT_COUNT): Product[] {
+  const random = createRandom(seed);
+  const products: Product[] = [];
+
+  for (let i = 1; i <= count; i++) {
+    const createdAt = new Date(SEED_EPOCH + i * 1000);
+    const featured = FEATURED_PRODUCTS[i - 1];
+
+    if (featured) {
+      products.push({ id: i.toString(), ...featured, createdAt, updatedAt: createdAt });
+      continue;
+    }
+
+    const category = CATEGORIES[Math.floor(random() * CATEGORIES.length)];
+    const type = PRODUCT_TYPES[Math.floor(random() * PRODUCT_TYPES.length)];
+
+    products.push({
+      id: i.toString(),
+      name: `${type} ${i}`,
+      description: `Description for ${type} ${i}`,
+      price: Math.round((random() * 1000 + 10) * 100) / 100,
+      category,
+      stock: Math.floor(random() * 500),
+      imageUrl: `https://example.com/${type.toLowerCase()}-${i}.jpg`,
+      createdAt,
+      updatedAt: createdAt,
+    });
+  }
+
+  return products;
+}
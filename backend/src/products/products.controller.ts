@@ -1,6 +1,13 @@
-import { Body, Controller, Delete, Get, Param, Patch, Post, Query } from '@nestjs/common';
-import { ApiQuery, ApiResponse, ApiTags } from '@nestjs/swagger';
-import { CreateProductDto, ProductsService, UpdateProductDto } from './products.service';
+import { BadRequestException, Body, Controller, Delete, Get, Headers, Param, Patch, Post, Query, UseGuards } from '@nestjs/common';
+import { AuthGuard } from '@nestjs/passport';
+import { ApiBearerAuth, ApiHeader, ApiQuery, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { Roles } from '../auth/decorators/roles.decorator';
+import { RolesGuard } from '../auth/guards/roles.guard';
+import { Role } from '../auth/roles.enum';
+import { parseTestRun, TEST_RUN_HEADER } from '../common/test-run';
+import { CreateProductDto } from './dto/create-product.dto';
+import { UpdateProductDto } from './dto/update-product.dto';
+import { ProductsService } from './products.service';
 
 @ApiTags('Products')
 @Controller('products')
@@ -12,6 +19,8 @@ export class ProductsController {
   @ApiQuery({ name: 'limit', required: false })
   @ApiQuery({ name: 'search', required: false })
   @ApiQuery({ name: 'category', required: false })
+  @ApiQuery({ name: 'cursor', required: false, description: 'nextCursor from the previous page; replaces page' })
+  @ApiQuery({ name: 'testRun', required: false, description: 'Only products created with this X-Test-Run id' })
   @ApiResponse({ status: 200, description: 'Products retrieved successfully' })
   async findAll(
     @Query('page') page?: string,
@@ -22,6 +31,8 @@ export class ProductsController {
     @Query('maxPrice') maxPrice?: string,
     @Query('sortBy') sortBy?: string,
     @Query('sortOrder') sortOrder?: 'asc' | 'desc',
+    @Query('cursor') cursor?: string,
+    @Query('testRun') testRun?: string,
   ) {
     return this.productsService.findAll(
       parseInt(page) || 1,
@@ -31,7 +42,9 @@ export class ProductsController {
       minPrice ? parseFloat(minPrice) : undefined,
       maxPrice ? parseFloat(maxPrice) : undefined,
       sortBy || 'createdAt',
-      sortOrder || 'desc'
+      sortOrder || 'desc',
+      cursor,
+      parseTestRun(testRun)
     );
   }
 
@@ -48,19 +61,49 @@ export class ProductsController {
   }
 
   @Post()
+  @UseGuards(AuthGuard('jwt'), RolesGuard)
+  @Roles(Role.Admin)
+  @ApiBearerAuth()
+  @ApiHeader({ name: TEST_RUN_HEADER, required: false, description: 'Test run id, for DELETE /products?testRun=' })
   @ApiResponse({ status: 201, description: 'Product created successfully' })
-  async create(@Body() createProductDto: CreateProductDto) {
-    return this.productsService.create(createProductDto);
+  @ApiResponse({ status: 400, description: 'Validation failed' })
+  @ApiResponse({ status: 403, description: 'Admin role required' })
+  async create(@Body() createProductDto: CreateProductDto, @Headers(TEST_RUN_HEADER) testRun?: string) {
+    return this.productsService.create(createProductDto, parseTestRun(testRun));
   }
 
   @Patch(':id')
+  @UseGuards(AuthGuard('jwt'), RolesGuard)
+  @Roles(Role.Admin)
+  @ApiBearerAuth()
   @ApiResponse({ status: 200, description: 'Product updated successfully' })
+  @ApiResponse({ status: 400, description: 'Validation failed' })
+  @ApiResponse({ status: 403, description: 'Admin role required' })
   async update(@Param('id') id: string, @Body() updateProductDto: UpdateProductDto) {
     return this.productsService.update(id, updateProductDto);
   }
 
+  @Delete()
+  @UseGuards(AuthGuard('jwt'), RolesGuard)
+  @Roles(Role.Admin)
+  @ApiBearerAuth()
+  @ApiQuery({ name: 'testRun', required: true, type: String, description: 'X-Test-Run id the products were created with' })
+  @ApiResponse({ status: 200, description: 'Products of the test run deleted' })
+  @ApiResponse({ status: 403, description: 'Admin role required' })
+  async purgeTestRun(@Query('testRun') testRun?: string) {
+    const run = parseTestRun(testRun);
+    if (!run) {
+      throw new BadRequestException('testRun is required');
+    }
+    return { testRun: run, deleted: await this.productsService.purgeTestRun(run) };
+  }
+
   @Delete(':id')
+  @UseGuards(AuthGuard('jwt'), RolesGuard)
+  @Roles(Role.Admin)
+  @ApiBearerAuth()
   @ApiResponse({ status: 200, description: 'Product deleted successfully' })
+  @ApiResponse({ status: 403, description: 'Admin role required' })
   async remove(@Param('id') id: string) {
     await this.productsService.remove(id);
     return { message: 'Product deleted successfully' };
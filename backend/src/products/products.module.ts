@@ -1,9 +1,43 @@
-import { Module } from '@nestjs/common';
+import { Logger, Module } from '@nestjs/common';
+import { DEFAULT_PRODUCT_COUNT, DEFAULT_SEED, generateProducts } from './product-seed';
 import { ProductsController } from './products.controller';
 import { ProductsService } from './products.service';
+import { FileProductRepository } from './repositories/file-product.repository';
+import { InMemoryProductRepository } from './repositories/in-memory-product.repository';
+import { PRODUCT_REPOSITORY, ProductRepository } from './repositories/product.repository';
+
+// PRODUCT_STORE=memory|file selects the backend; SEED and PRODUCT_COUNT shape the generated catalog
+export function createProductRepository(): ProductRepository {
+  const store = process.env.PRODUCT_STORE || 'memory';
+  const seed = process.env.SEED ? parseInt(process.env.SEED, 10) : DEFAULT_SEED;
+  const count = process.env.PRODUCT_COUNT ? parseInt(process.env.PRODUCT_COUNT, 10) : DEFAULT_PRODUCT_COUNT;
+
+  if (isNaN(seed) || isNaN(count)) {
+    throw new Error('SEED and PRODUCT_COUNT must be integers');
+  }
+
+  switch (store) {
+    case 'memory':
+      new Logger('ProductsModule').log(`In-memory product store, seed ${seed}, ${count} products`);
+      return new InMemoryProductRepository(generateProducts(seed, count));
+    case 'file':
+      return new FileProductRepository(
+        process.env.PRODUCT_STORE_FILE || 'data/products.json',
+        () => generateProducts(seed, count),
+      );
+    default:
+      throw new Error(`Unknown PRODUCT_STORE "${store}". Use "memory" or "file"`);
+  }
+}
 
 @Module({
-  providers: [ProductsService],
+  providers: [
+    ProductsService,
+    {
+      provide: PRODUCT_REPOSITORY,
+      useFactory: createProductRepository,
+    },
+  ],
   controllers: [ProductsController],
 })
 export class ProductsModule {}
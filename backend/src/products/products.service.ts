@@ -1,5 +1,10 @@
-import { Injectable, NotFoundException } from '@nestjs/common';
+import { Inject, Injectable, NotFoundException, OnModuleInit } from '@nestjs/common';
 import { v4 as uuidv4 } from 'uuid';
+import { decodeCursor, encodeCursor } from '../common/cursor';
+import { CreateProductDto } from './dto/create-product.dto';
+import { UpdateProductDto } from './dto/update-product.dto';
+import { ProductIndex, SORTABLE_FIELDS, SortField, sortValue } from './product-index';
+import { PRODUCT_REPOSITORY, ProductRepository } from './repositories/product.repository';
 
 export interface Product {
   id: string;
@@ -11,89 +16,21 @@ export interface Product {
   imageUrl?: string;
   createdAt: Date;
   updatedAt: Date;
-}
-
-export interface CreateProductDto {
-  name: string;
-  description: string;
-  price: number;
-  category: string;
-  stock: number;
-  imageUrl?: string;
-}
-
-export interface UpdateProductDto {
-  name?: string;
-  description?: string;
-  price?: number;
-  category?: string;
-  stock?: number;
-  imageUrl?: string;
+  // X-Test-Run header of the request that created the product, for bulk cleanup after a k6 run
+  testRun?: string;
 }
 
 @Injectable()
-export class ProductsService {
-  private products: Product[] = [
-    {
-      id: '1',
-      name: 'Laptop',
-      description: 'High-performance laptop for professionals',
-      price: 1299.99,
-      category: 'Electronics',
-      stock: 50,
-      imageUrl: 'https://example.com/laptop.jpg',
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    },
-    {
-      id: '2',
-      name: 'Smartphone',
-      description: 'Latest model smartphone with advanced features',
-      price: 899.99,
-      category: 'Electronics',
-      stock: 100,
-      imageUrl: 'https://example.com/phone.jpg',
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    },
-    {
-      id: '3',
-      name: 'Coffee Mug',
-      description: 'Ceramic coffee mug for daily use',
-      price: 19.99,
-      category: 'Home & Kitchen',
-      stock: 200,
-      imageUrl: 'https://example.com/mug.jpg',
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    },
-  ];
+export class ProductsService implements OnModuleInit {
+  private index = new ProductIndex();
 
-  // Generate more products for testing
-  constructor() {
-    this.generateMoreProducts();
-  }
+  constructor(
+    @Inject(PRODUCT_REPOSITORY)
+    private readonly productRepository: ProductRepository,
+  ) {}
 
-  private generateMoreProducts() {
-    const categories = ['Electronics', 'Home & Kitchen', 'Books', 'Clothing', 'Sports'];
-    const productTypes = ['Widget', 'Gadget', 'Tool', 'Device', 'Accessory'];
-    
-    for (let i = 4; i <= 1000; i++) {
-      const category = categories[Math.floor(Math.random() * categories.length)];
-      const type = productTypes[Math.floor(Math.random() * productTypes.length)];
-      
-      this.products.push({
-        id: i.toString(),
-        name: `${type} ${i}`,
-        description: `Description for ${type} ${i}`,
-        price: Math.round((Math.random() * 1000 + 10) * 100) / 100,
-        category,
-        stock: Math.floor(Math.random() * 500),
-        imageUrl: `https://example.com/${type.toLowerCase()}-${i}.jpg`,
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      });
-    }
+  async onModuleInit() {
+    this.index = new ProductIndex(await this.productRepository.findAll());
   }
 
   async findAll(
@@ -104,106 +41,101 @@ export class ProductsService {
     minPrice?: number,
     maxPrice?: number,
     sortBy: string = 'createdAt',
-    sortOrder: 'asc' | 'desc' = 'desc'
+    sortOrder: 'asc' | 'desc' = 'desc',
+    cursor?: string,
+    testRun?: string
   ): Promise<{
     products: Product[];
     total: number;
-    page: number;
+    page?: number;
     limit: number;
-    totalPages: number;
+    totalPages?: number;
+    nextCursor: string | null;
   }> {
-    let filteredProducts = [...this.products];
-
-    // Apply filters
-    if (search) {
-      filteredProducts = filteredProducts.filter(product =>
-        product.name.toLowerCase().includes(search.toLowerCase()) ||
-        product.description.toLowerCase().includes(search.toLowerCase())
-      );
-    }
-
-    if (category) {
-      filteredProducts = filteredProducts.filter(product =>
-        product.category.toLowerCase() === category.toLowerCase()
-      );
-    }
+    const sortField: SortField = SORTABLE_FIELDS.includes(sortBy as SortField) ? (sortBy as SortField) : 'createdAt';
+    const { products, total, hasMore } = this.index.query({
+      search,
+      category,
+      testRun,
+      minPrice,
+      maxPrice,
+      sortBy: sortField,
+      sortOrder,
+      offset: (page - 1) * limit,
+      limit,
+      after: cursor ? decodeCursor(cursor, sortField, sortOrder) : undefined,
+    });
 
-    if (minPrice !== undefined) {
-      filteredProducts = filteredProducts.filter(product => product.price >= minPrice);
-    }
+    const last = products[products.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor({ sortBy: sortField, sortOrder, value: sortValue(last, sortField), id: last.id })
+      : null;
 
-    if (maxPrice !== undefined) {
-      filteredProducts = filteredProducts.filter(product => product.price <= maxPrice);
+    // Cursor pages have no page number
+    if (cursor) {
+      return { products, total, limit, nextCursor };
     }
 
-    // Apply sorting
-    filteredProducts.sort((a, b) => {
-      const aValue = a[sortBy as keyof Product];
-      const bValue = b[sortBy as keyof Product];
-      
-      if (sortOrder === 'asc') {
-        return aValue > bValue ? 1 : -1;
-      } else {
-        return aValue < bValue ? 1 : -1;
-      }
-    });
-
-    const total = filteredProducts.length;
     const totalPages = Math.ceil(total / limit);
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-
-    const products = filteredProducts.slice(startIndex, endIndex);
-
-    return { products, total, page, limit, totalPages };
+    return { products, total, page, limit, totalPages, nextCursor };
   }
 
   async findOne(id: string): Promise<Product> {
-    const product = this.products.find(p => p.id === id);
+    const product = this.index.get(id);
     if (!product) {
       throw new NotFoundException('Product not found');
     }
     return product;
   }
 
-  async create(createProductDto: CreateProductDto): Promise<Product> {
+  async create(createProductDto: CreateProductDto, testRun?: string): Promise<Product> {
     const newProduct: Product = {
       id: uuidv4(),
       ...createProductDto,
       createdAt: new Date(),
       updatedAt: new Date(),
+      ...(testRun && { testRun }),
     };
 
-    this.products.push(newProduct);
+    await this.productRepository.save(newProduct);
+    this.index.upsert(newProduct);
     return newProduct;
   }
 
   async update(id: string, updateProductDto: UpdateProductDto): Promise<Product> {
-    const productIndex = this.products.findIndex(p => p.id === id);
-    if (productIndex === -1) {
-      throw new NotFoundException('Product not found');
-    }
+    const product = await this.findOne(id);
 
-    this.products[productIndex] = {
-      ...this.products[productIndex],
+    const updatedProduct: Product = {
+      ...product,
       ...updateProductDto,
       updatedAt: new Date(),
     };
 
-    return this.products[productIndex];
+    await this.productRepository.save(updatedProduct);
+    this.index.upsert(updatedProduct);
+    return updatedProduct;
   }
 
   async remove(id: string): Promise<void> {
-    const productIndex = this.products.findIndex(p => p.id === id);
-    if (productIndex === -1) {
+    const deleted = await this.productRepository.delete(id);
+    if (!deleted) {
       throw new NotFoundException('Product not found');
     }
 
-    this.products.splice(productIndex, 1);
+    this.index.remove(id);
+  }
+
+  // Delete every product created with this X-Test-Run id; returns how many were deleted
+  async purgeTestRun(testRun: string): Promise<number> {
+    const ids = this.index.testRunIds(testRun);
+    for (const id of ids) {
+      await this.productRepository.delete(id);
+      this.index.remove(id);
+    }
+    return ids.length;
   }
 
   async getCategories(): Promise<string[]> {
-    const categories = [...new Set(this.products.map(p => p.category))];
-    return categories.sort();
+    return this.index.categories();
   }
 }
@@ -0,0 +1,17 @@
+import { JsonFileRepository } from '../../common/repositories/json-file.repository';
+import { Product } from '../products.service';
+import { ProductRepository } from './product.repository';
+
+function reviveProduct(stored: any): Product {
+  return {
+    ...stored,
+    createdAt: new Date(stored.createdAt),
+    updatedAt: new Date(stored.updatedAt),
+  };
+}
+
+export class FileProductRepository extends JsonFileRepository<Product> implements ProductRepository {
+  constructor(filePath: string, seed: () => Product[]) {
+    super(filePath, seed, reviveProduct, 'products');
+  }
+}
@@ -0,0 +1,5 @@
+import { InMemoryRepository } from '../../common/repositories/in-memory.repository';
+import { Product } from '../products.service';
+import { ProductRepository } from './product.repository';
+
+export class InMemoryProductRepository extends InMemoryRepository<Product> implements ProductRepository {}
@@ -0,0 +1,12 @@
+import { Product } from '../products.service';
+
+export const PRODUCT_REPOSITORY = 'PRODUCT_REPOSITORY';
+
+// Storage behind ProductsService. Filtering, sorting and paging stay in the service.
+export interface ProductRepository {
+  findAll(): Promise<Product[]>;
+  findById(id: string): Promise<Product | undefined>;
+  save(product: Product): Promise<Product>;
+  delete(id: string): Promise<boolean>;
+  count(): Promise<number>;
+}
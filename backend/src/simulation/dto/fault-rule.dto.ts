@@ -0,0 +1,185 @@
+import { ApiProperty, ApiPropertyOptional } from '@nestjs/swagger';
+import { Type } from 'class-transformer';
+import {
+    ArrayMaxSize,
+    IsArray,
+    IsIn,
+    IsInt,
+    IsNumber,
+    IsOptional,
+    IsString,
+    Length,
+    Matches,
+    Max,
+    Min,
+    ValidateIf,
+    ValidateNested
+} from 'class-validator';
+
+// Longest latency a rule may add, so a mistyped rule cannot hang requests for good
+export const MAX_FAULT_LATENCY_MS = 60000;
+
+export const LATENCY_DISTRIBUTIONS = ['fixed', 'uniform', 'normal', 'exponential'] as const;
+export type LatencyDistribution = typeof LATENCY_DISTRIBUTIONS[number];
+
+export const FAULT_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+export class LatencyFaultDto {
+  @ApiProperty({ enum: LATENCY_DISTRIBUTIONS, example: 'normal' })
+  @IsIn(LATENCY_DISTRIBUTIONS)
+  distribution: LatencyDistribution;
+
+  @ApiPropertyOptional({ description: 'fixed: the added delay', example: 500 })
+  @ValidateIf(o => o.distribution === 'fixed')
+  @IsInt()
+  @Min(0)
+  @Max(MAX_FAULT_LATENCY_MS)
+  ms?: number;
+
+  @ApiPropertyOptional({ description: 'uniform: lower bound', example: 100 })
+  @ValidateIf(o => o.distribution === 'uniform')
+  @IsInt()
+  @Min(0)
+  @Max(MAX_FAULT_LATENCY_MS)
+  min?: number;
+
+  @ApiPropertyOptional({ description: 'uniform: upper bound', example: 900 })
+  @ValidateIf(o => o.distribution === 'uniform')
+  @IsInt()
+  @Min(0)
+  @Max(MAX_FAULT_LATENCY_MS)
+  max?: number;
+
+  @ApiPropertyOptional({ description: 'normal and exponential: mean delay', example: 500 })
+  @ValidateIf(o => o.distribution === 'normal' || o.distribution === 'exponential')
+  @IsInt()
+  @Min(0)
+  @Max(MAX_FAULT_LATENCY_MS)
+  mean?: number;
+
+  @ApiPropertyOptional({ description: 'normal: standard deviation', example: 100 })
+  @ValidateIf(o => o.distribution === 'normal')
+  @IsInt()
+  @Min(0)
+  @Max(MAX_FAULT_LATENCY_MS)
+  stddev?: number;
+
+  @ApiPropertyOptional({ minimum: 0, maximum: 1, default: 1, description: 'Share of matching requests delayed' })
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  rate?: number;
+}
+
+export class ErrorFaultDto {
+  @ApiProperty({ minimum: 400, maximum: 599, example: 503 })
+  @IsInt()
+  @Min(400)
+  @Max(599)
+  status: number;
+
+  @ApiProperty({ minimum: 0, maximum: 1, example: 0.2, description: 'Share of matching requests answered with this status' })
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  rate: number;
+
+  @ApiPropertyOptional({ minimum: 0, maximum: 3600, description: 'Sent as Retry-After' })
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  @Max(3600)
+  retryAfterSeconds?: number;
+}
+
+export class SlowBodyFaultDto {
+  @ApiProperty({ minimum: 1, example: 10240, description: 'Response body is trickled out at this rate' })
+  @IsInt()
+  @Min(1)
+  bytesPerSecond: number;
+
+  @ApiPropertyOptional({ minimum: 0, maximum: 1, default: 1, description: 'Share of matching requests slowed' })
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  rate?: number;
+}
+
+export class FaultRuleDto {
+  @ApiPropertyOptional({ maxLength: 100, example: 'products-latency', description: 'Label for reports' })
+  @IsOptional()
+  @IsString()
+  @Length(1, 100)
+  name?: string;
+
+  @ApiPropertyOptional({ enum: FAULT_METHODS, description: 'Only requests with this method; any method when left out' })
+  @IsOptional()
+  @IsIn(FAULT_METHODS)
+  method?: string;
+
+  @ApiProperty({
+    example: 'products/**',
+    description: 'Route below /api/v1. "*" matches one path segment, a trailing "**" any number of them',
+  })
+  @IsString()
+  @Length(1, 200)
+  @Matches(/^[A-Za-z0-9_.\-*:/]+$/, { message: 'path may only contain letters, digits, "/", "*", "_", ".", ":" and "-"' })
+  path: string;
+
+  @ApiPropertyOptional({ type: LatencyFaultDto })
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => LatencyFaultDto)
+  latency?: LatencyFaultDto;
+
+  @ApiPropertyOptional({ type: [ErrorFaultDto], description: 'Rates add up to at most 1' })
+  @IsOptional()
+  @IsArray()
+  @ArrayMaxSize(10)
+  @ValidateNested({ each: true })
+  @Type(() => ErrorFaultDto)
+  errors?: ErrorFaultDto[];
+
+  @ApiPropertyOptional({ minimum: 0, maximum: 1, description: 'Share of matching requests whose connection is reset' })
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  resetRate?: number;
+
+  @ApiPropertyOptional({ type: SlowBodyFaultDto })
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => SlowBodyFaultDto)
+  slowBody?: SlowBodyFaultDto;
+
+  @ApiPropertyOptional({ minimum: 0, maximum: 86400, default: 0, description: 'Seconds until the rule becomes active' })
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  @Max(86400)
+  startsInSeconds?: number;
+
+  @ApiPropertyOptional({ minimum: 1, maximum: 86400, description: 'Seconds the rule stays active; until removed when left out' })
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  @Max(86400)
+  durationSeconds?: number;
+
+  @ApiPropertyOptional({ description: 'Seed of the rule\'s random decisions; FAULT_SEED when left out' })
+  @IsOptional()
+  @IsInt()
+  seed?: number;
+}
+
+export class FaultScheduleDto {
+  @ApiProperty({ type: [FaultRuleDto] })
+  @IsArray()
+  @ArrayMaxSize(50)
+  @ValidateNested({ each: true })
+  @Type(() => FaultRuleDto)
+  rules: FaultRuleDto[];
+}
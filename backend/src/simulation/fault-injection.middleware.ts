@@ -0,0 +1,108 @@
+import { HttpStatus, Injectable, NestMiddleware } from '@nestjs/common';
+import { STATUS_CODES } from 'http';
+import { FaultAction, FaultInjectionService } from './fault-injection.service';
+
+// Routes are matched below the global prefix set in main.ts
+const API_PREFIX = /^\/api\/v1\/?/;
+
+// Throttled bodies are written in this many slices per second
+const SLOW_BODY_TICKS_PER_SECOND = 10;
+
+// `encoding` may be the callback of write()/end(), as Node allows
+function toBuffer(chunk: any, encoding?: any): Buffer {
+  return Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding as BufferEncoding : undefined);
+}
+
+/**
+ * Hold back everything the handler writes and send it at `bytesPerSecond` once the handler ends
+ * the response. Headers (including Content-Length) go out with the first slice.
+ */
+function throttleBody(res, bytesPerSecond: number) {
+  const write = res.write.bind(res);
+  const end = res.end.bind(res);
+  const pending: Buffer[] = [];
+
+  res.write = (chunk, encoding?, callback?) => {
+    pending.push(toBuffer(chunk, encoding));
+    const done = [encoding, callback].find(arg => typeof arg === 'function');
+    if (done) {
+      done();
+    }
+    return true;
+  };
+
+  res.end = (chunk?, encoding?, callback?) => {
+    if (chunk && typeof chunk !== 'function') {
+      pending.push(toBuffer(chunk, encoding));
+    }
+    const done = [chunk, encoding, callback].find(arg => typeof arg === 'function');
+    const body = Buffer.concat(pending);
+    const sliceBytes = Math.max(1, Math.ceil(bytesPerSecond / SLOW_BODY_TICKS_PER_SECOND));
+    let offset = 0;
+
+    const tick = () => {
+      if (res.destroyed) {
+        return;
+      }
+      if (offset >= body.length) {
+        end(done);
+        return;
+      }
+      write(body.subarray(offset, offset + sliceBytes));
+      offset += sliceBytes;
+      setTimeout(tick, 1000 / SLOW_BODY_TICKS_PER_SECOND);
+    };
+    tick();
+    return res;
+  };
+}
+
+/**
+ * Applies the FaultInjectionService rules to every request before it reaches its controller:
+ * waits out the added latency, then resets the connection, answers with the injected error, or
+ * lets the request through with a throttled response body.
+ */
+@Injectable()
+export class FaultInjectionMiddleware implements NestMiddleware {
+  constructor(private readonly faultInjectionService: FaultInjectionService) {}
+
+  async use(req, res, next: () => void) {
+    const path = req.originalUrl.split('?')[0].replace(API_PREFIX, '');
+    const action = this.faultInjectionService.decide(req.method, path);
+    if (!action) {
+      next();
+      return;
+    }
+
+    res.setHeader('X-Fault-Injected', action.rule.name || action.rule.id);
+    if (action.delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, action.delayMs));
+    }
+
+    if (action.reset) {
+      req.socket.destroy();
+      return;
+    }
+    if (action.error) {
+      this.sendError(res, action);
+      return;
+    }
+    if (action.bytesPerSecond) {
+      throttleBody(res, action.bytesPerSecond);
+    }
+    next();
+  }
+
+  private sendError(res, action: FaultAction) {
+    const { status, retryAfterSeconds } = action.error;
+    if (retryAfterSeconds !== undefined) {
+      res.setHeader('Retry-After', String(retryAfterSeconds));
+    }
+    res.status(status).json({
+      statusCode: status,
+      message: 'Injected fault',
+      error: STATUS_CODES[status] || (status >= HttpStatus.INTERNAL_SERVER_ERROR ? 'Server Error' : 'Client Error'),
+      fault: action.rule.name || action.rule.id,
+    });
+  }
+}
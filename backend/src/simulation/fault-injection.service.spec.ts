@@ -0,0 +1,142 @@
+import { Logger, NotFoundException } from '@nestjs/common';
+import { FaultRuleDto, MAX_FAULT_LATENCY_MS } from './dto/fault-rule.dto';
+import { FaultInjectionService } from './fault-injection.service';
+
+const ALWAYS_503 = { errors: [{ status: 503, rate: 1 }] };
+
+describe('FaultInjectionService', () => {
+  let service: FaultInjectionService;
+
+  beforeEach(() => {
+    jest.spyOn(Logger.prototype, 'warn').mockImplementation(() => undefined);
+    service = new FaultInjectionService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  function add(rule: Partial<FaultRuleDto>) {
+    return service.add({ path: '**', ...ALWAYS_503, ...rule });
+  }
+
+  describe('path patterns', () => {
+    it.each([
+      ['products', 'products', true],
+      ['/products/', 'products', true],
+      ['products', 'products/1', false],
+      ['products/*', 'products/1', true],
+      ['products/*', 'products', false],
+      ['products/*', 'products/1/reviews', false],
+      ['products/:id', 'products/abc-1', true],
+      ['products/:id/reviews', 'products/1/reviews', true],
+      ['products/**', 'products', true],
+      ['products/**', 'products/1/reviews', true],
+      ['products/**', 'productsx', false],
+      ['files/*.csv', 'files/report.csv', true],
+      ['files/*.csv', 'files/reportxcsv', false],
+      ['**', 'users/1', true],
+    ])('%s matching %s is %s', (pattern, path, matches) => {
+      add({ path: pattern });
+      expect(service.decide('GET', path) !== null).toBe(matches);
+    });
+  });
+
+  it('only matches the rule method when one is given', () => {
+    add({ method: 'POST' });
+
+    expect(service.decide('GET', 'products')).toBeNull();
+    expect(service.decide('POST', 'products')).not.toBeNull();
+  });
+
+  it('never faults the fault routes themselves', () => {
+    add({});
+
+    expect(service.decide('DELETE', 'simulation/faults')).toBeNull();
+    expect(service.decide('DELETE', 'simulation/faults/1')).toBeNull();
+    expect(service.decide('GET', 'simulation/faultsx')).not.toBeNull();
+  });
+
+  it('lets the first matching rule decide', () => {
+    const first = add({ path: 'products/*', errors: [{ status: 500, rate: 1 }] });
+    add({ path: 'products/**' });
+
+    expect(service.decide('GET', 'products/1')).toMatchObject({ rule: first, error: { status: 500 } });
+    expect(service.decide('GET', 'products').error.status).toBe(503);
+  });
+
+  it('applies a rule only within its time window', () => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    add({ startsInSeconds: 10, durationSeconds: 5 });
+
+    expect(service.decide('GET', 'products')).toBeNull();
+    jest.advanceTimersByTime(10 * 1000);
+    expect(service.decide('GET', 'products')).not.toBeNull();
+    jest.advanceTimersByTime(5 * 1000);
+    expect(service.decide('GET', 'products')).toBeNull();
+  });
+
+  it('resets instead of answering with an error, and counts both in the stats', () => {
+    const rule = add({ resetRate: 1, latency: { distribution: 'fixed', ms: 250 } });
+
+    expect(service.decide('GET', 'products')).toEqual({ rule, delayMs: 250, reset: true });
+    expect(rule.stats).toMatchObject({ matched: 1, delayed: 1, resets: 1, errors: {} });
+  });
+
+  it('draws at most one error status per request, in proportion to the rates', () => {
+    const rule = add({ errors: [{ status: 500, rate: 0.2 }, { status: 503, rate: 0.3 }], seed: 7 });
+
+    for (let i = 0; i < 1000; i++) {
+      service.decide('GET', 'products');
+    }
+
+    expect(rule.stats.matched).toBe(1000);
+    expect(rule.stats.errors[500]).toBeGreaterThan(150);
+    expect(rule.stats.errors[500]).toBeLessThan(250);
+    expect(rule.stats.errors[503]).toBeGreaterThan(250);
+    expect(rule.stats.errors[503]).toBeLessThan(350);
+  });
+
+  it('repeats the same faults for the same seed', () => {
+    const rule = { errors: [{ status: 500, rate: 0.5 }], latency: { distribution: 'exponential' as const, mean: 100 }, seed: 3 };
+    const run = () => {
+      service.replace([{ path: '**', ...rule }]);
+      return Array.from({ length: 20 }, () => {
+        const action = service.decide('GET', 'products');
+        return [action.delayMs, action.error?.status];
+      });
+    };
+
+    expect(run()).toEqual(run());
+  });
+
+  it('keeps sampled latency between zero and the maximum', () => {
+    add({ errors: [], latency: { distribution: 'normal', mean: MAX_FAULT_LATENCY_MS, stddev: MAX_FAULT_LATENCY_MS } });
+
+    for (let i = 0; i < 100; i++) {
+      const { delayMs } = service.decide('GET', 'products');
+      expect(delayMs).toBeGreaterThanOrEqual(0);
+      expect(delayMs).toBeLessThanOrEqual(MAX_FAULT_LATENCY_MS);
+    }
+  });
+
+  it('rejects rules that cannot be applied', () => {
+    expect(() => add({ errors: [], latency: { distribution: 'uniform', min: 50, max: 10 } }))
+      .toThrow('latency.min must not be greater than latency.max');
+    expect(() => add({ errors: [{ status: 500, rate: 0.6 }, { status: 503, rate: 0.6 }] }))
+      .toThrow('Error rates must add up to at most 1');
+    expect(() => add({ errors: [] })).toThrow('A fault rule needs latency, errors, resetRate or slowBody');
+    expect(service.findAll()).toEqual([]);
+  });
+
+  it('removes rules one by one or all at once', () => {
+    const rule = add({});
+    add({});
+
+    expect(service.remove(rule.id)).toBe(rule);
+    expect(() => service.remove(rule.id)).toThrow(NotFoundException);
+    expect(service.clear()).toBe(1);
+    expect(service.decide('GET', 'products')).toBeNull();
+  });
+});
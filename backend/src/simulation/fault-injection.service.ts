@@ -0,0 +1,239 @@
+import { BadRequestException, Injectable, Logger, NotFoundException } from '@nestjs/common';
+import { v4 as uuidv4 } from 'uuid';
+import { createRandom, DEFAULT_SEED } from '../products/product-seed';
+import { ErrorFaultDto, FaultRuleDto, LatencyFaultDto, MAX_FAULT_LATENCY_MS, SlowBodyFaultDto } from './dto/fault-rule.dto';
+
+// Requests to the fault routes themselves are never faulted, so faults can always be removed
+const ADMIN_PATH = 'simulation/faults';
+
+export interface FaultStats {
+  matched: number;
+  delayed: number;
+  errors: Record<string, number>;
+  resets: number;
+  slowBodies: number;
+}
+
+export interface FaultRule {
+  id: string;
+  name?: string;
+  method?: string;
+  path: string;
+  latency?: LatencyFaultDto;
+  errors: ErrorFaultDto[];
+  resetRate: number;
+  slowBody?: SlowBodyFaultDto;
+  seed: number;
+  activeFrom: Date;
+  activeUntil?: Date;
+  stats: FaultStats;
+}
+
+// What to do to one request; produced by FaultInjectionService.decide()
+export interface FaultAction {
+  rule: FaultRule;
+  delayMs: number;
+  reset: boolean;
+  error?: ErrorFaultDto;
+  bytesPerSecond?: number;
+}
+
+interface ActiveRule {
+  rule: FaultRule;
+  pattern: RegExp;
+  random: () => number;
+}
+
+// Seed for rules that bring none, so a run can be repeated with the same faults
+function defaultSeed(): number {
+  const seed = parseInt(process.env.FAULT_SEED, 10);
+  return Number.isNaN(seed) ? DEFAULT_SEED : seed;
+}
+
+// "products/*" and "products/:id" match one segment after products/, "products/**" products
+// and anything below it
+function compilePath(path: string): RegExp {
+  const segments = path.replace(/^\/+|\/+$/g, '').split('/');
+  const anyDepth = segments[segments.length - 1] === '**';
+  const source = (anyDepth ? segments.slice(0, -1) : segments).map(segment => {
+    if (segment.startsWith(':')) {
+      return '[^/]+';
+    }
+    return segment.split('*').map(part => part.replace(/[.]/g, '\\.')).join('[^/]*');
+  });
+  if (anyDepth) {
+    // A bare "**" matches every route
+    return new RegExp(source.length > 0 ? `^${source.join('/')}(?:/.*)?$` : '^.*$');
+  }
+  return new RegExp(`^${source.join('/')}$`);
+}
+
+// Box-Muller transform of two uniform draws
+function normal(random: () => number, mean: number, stddev: number): number {
+  const u = 1 - random();
+  const v = random();
+  return mean + stddev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function sampleLatency(latency: LatencyFaultDto, random: () => number): number {
+  let ms: number;
+  switch (latency.distribution) {
+    case 'fixed':
+      ms = latency.ms;
+      break;
+    case 'uniform':
+      ms = latency.min + random() * (latency.max - latency.min);
+      break;
+    case 'normal':
+      ms = normal(random, latency.mean, latency.stddev);
+      break;
+    case 'exponential':
+      ms = -latency.mean * Math.log(1 - random());
+      break;
+  }
+  return Math.round(Math.min(Math.max(ms, 0), MAX_FAULT_LATENCY_MS));
+}
+
+/**
+ * Runtime fault rules for chaos experiments, applied to incoming requests by
+ * FaultInjectionMiddleware:
+ * - a rule matches requests by route pattern (and optionally method) while its time window is open
+ * - the first matching rule decides: added latency from a distribution, a connection reset,
+ *   an error status, a throttled response body, each with its own rate
+ * - every rule draws from its own PRNG seeded with `seed` (FAULT_SEED by default), so the same
+ *   requests in the same order get the same faults
+ *
+ * Rules live in memory only: a restart clears them.
+ */
+@Injectable()
+export class FaultInjectionService {
+  private readonly logger = new Logger(FaultInjectionService.name);
+  private rules: ActiveRule[] = [];
+
+  findAll(): FaultRule[] {
+    return this.rules.map(active => active.rule);
+  }
+
+  add(dto: FaultRuleDto): FaultRule {
+    const active = this.compile(dto);
+    this.rules.push(active);
+    this.logger.warn(`Fault rule ${this.describe(active.rule)} added`);
+    return active.rule;
+  }
+
+  // Replace every rule at once, e.g. with the schedule of a chaos experiment
+  replace(dtos: FaultRuleDto[]): FaultRule[] {
+    const compiled = dtos.map(dto => this.compile(dto));
+    this.rules = compiled;
+    this.logger.warn(`Fault rules replaced: ${compiled.length} rule(s)`);
+    return this.findAll();
+  }
+
+  remove(id: string): FaultRule {
+    const active = this.rules.find(candidate => candidate.rule.id === id);
+    if (!active) {
+      throw new NotFoundException('Fault rule not found');
+    }
+    this.rules = this.rules.filter(candidate => candidate !== active);
+    this.logger.warn(`Fault rule ${this.describe(active.rule)} removed`);
+    return active.rule;
+  }
+
+  clear(): number {
+    const count = this.rules.length;
+    this.rules = [];
+    if (count > 0) {
+      this.logger.warn(`All ${count} fault rule(s) removed`);
+    }
+    return count;
+  }
+
+  isActive(rule: FaultRule, now: number = Date.now()): boolean {
+    return rule.activeFrom.getTime() <= now && (!rule.activeUntil || now < rule.activeUntil.getTime());
+  }
+
+  /**
+   * The faults for a request to `path` (below the global prefix, without query string), or
+   * null when no active rule matches.
+   */
+  decide(method: string, path: string): FaultAction | null {
+    if (this.rules.length === 0 || path === ADMIN_PATH || path.startsWith(`${ADMIN_PATH}/`)) {
+      return null;
+    }
+
+    const now = Date.now();
+    const active = this.rules.find(candidate =>
+      (!candidate.rule.method || candidate.rule.method === method) &&
+      this.isActive(candidate.rule, now) &&
+      candidate.pattern.test(path));
+    if (!active) {
+      return null;
+    }
+
+    const { rule, random } = active;
+    rule.stats.matched++;
+    const action: FaultAction = { rule, delayMs: 0, reset: false };
+
+    if (rule.latency && random() < (rule.latency.rate ?? 1)) {
+      action.delayMs = sampleLatency(rule.latency, random);
+      rule.stats.delayed++;
+    }
+
+    if (rule.resetRate > 0 && random() < rule.resetRate) {
+      action.reset = true;
+      rule.stats.resets++;
+      return action;
+    }
+
+    if (rule.errors.length > 0) {
+      // One draw picks at most one status: the rates are consecutive slices of [0, 1)
+      let draw = random();
+      action.error = rule.errors.find(error => (draw -= error.rate) < 0);
+      if (action.error) {
+        rule.stats.errors[action.error.status] = (rule.stats.errors[action.error.status] || 0) + 1;
+        return action;
+      }
+    }
+
+    if (rule.slowBody && random() < (rule.slowBody.rate ?? 1)) {
+      action.bytesPerSecond = rule.slowBody.bytesPerSecond;
+      rule.stats.slowBodies++;
+    }
+    return action;
+  }
+
+  private compile(dto: FaultRuleDto): ActiveRule {
+    if (dto.latency && dto.latency.distribution === 'uniform' && dto.latency.min > dto.latency.max) {
+      throw new BadRequestException('latency.min must not be greater than latency.max');
+    }
+    const errors = dto.errors || [];
+    if (errors.reduce((sum, error) => sum + error.rate, 0) > 1) {
+      throw new BadRequestException('Error rates must add up to at most 1');
+    }
+    if (!dto.latency && errors.length === 0 && !dto.resetRate && !dto.slowBody) {
+      throw new BadRequestException('A fault rule needs latency, errors, resetRate or slowBody');
+    }
+
+    const activeFrom = Date.now() + (dto.startsInSeconds || 0) * 1000;
+    const seed = dto.seed ?? defaultSeed();
+    const rule: FaultRule = {
+      id: uuidv4(),
+      name: dto.name,
+      method: dto.method,
+      path: dto.path.replace(/^\/+|\/+$/g, ''),
+      latency: dto.latency,
+      errors,
+      resetRate: dto.resetRate || 0,
+      slowBody: dto.slowBody,
+      seed,
+      activeFrom: new Date(activeFrom),
+      activeUntil: dto.durationSeconds ? new Date(activeFrom + dto.durationSeconds * 1000) : undefined,
+      stats: { matched: 0, delayed: 0, errors: {}, resets: 0, slowBodies: 0 },
+    };
+    return { rule, pattern: compilePath(rule.path), random: createRandom(seed) };
+  }
+
+  private describe(rule: FaultRule): string {
+    return `${rule.name || rule.id} (${rule.method || '*'} ${rule.path})`;
+  }
+}
@@ -0,0 +1,62 @@
+import { Body, Controller, Delete, Get, Param, ParseUUIDPipe, Post, Put, UseGuards } from '@nestjs/common';
+import { AuthGuard } from '@nestjs/passport';
+import { ApiBearerAuth, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { Roles } from '../auth/decorators/roles.decorator';
+import { RolesGuard } from '../auth/guards/roles.guard';
+import { Role } from '../auth/roles.enum';
+import { FaultRuleDto, FaultScheduleDto } from './dto/fault-rule.dto';
+import { FaultInjectionService, FaultRule } from './fault-injection.service';
+
+@ApiTags('Simulation')
+@Controller('simulation/faults')
+@UseGuards(AuthGuard('jwt'), RolesGuard)
+@Roles(Role.Admin)
+@ApiBearerAuth()
+@ApiResponse({ status: 403, description: 'Admin role required' })
+export class FaultsController {
+  constructor(private readonly faultInjectionService: FaultInjectionService) {}
+
+  @Get()
+  @ApiResponse({ status: 200, description: 'Fault rules in match order, with whether they are active and what they injected' })
+  async findAll() {
+    return this.schedule(this.faultInjectionService.findAll());
+  }
+
+  @Post()
+  @ApiResponse({ status: 201, description: 'Fault rule added after the existing ones' })
+  @ApiResponse({ status: 400, description: 'Validation failed' })
+  async create(@Body() faultRuleDto: FaultRuleDto) {
+    return this.view(this.faultInjectionService.add(faultRuleDto));
+  }
+
+  @Put()
+  @ApiResponse({ status: 200, description: 'All fault rules replaced' })
+  @ApiResponse({ status: 400, description: 'Validation failed; the existing rules are kept' })
+  async replace(@Body() faultScheduleDto: FaultScheduleDto) {
+    return this.schedule(this.faultInjectionService.replace(faultScheduleDto.rules));
+  }
+
+  @Delete()
+  @ApiResponse({ status: 200, description: 'All fault rules removed' })
+  async clear() {
+    return { deleted: this.faultInjectionService.clear() };
+  }
+
+  @Delete(':id')
+  @ApiResponse({ status: 200, description: 'Fault rule removed; the response carries its final stats' })
+  @ApiResponse({ status: 404, description: 'Fault rule not found' })
+  async remove(@Param('id', ParseUUIDPipe) id: string) {
+    return this.view(this.faultInjectionService.remove(id));
+  }
+
+  private schedule(rules: FaultRule[]) {
+    return {
+      now: new Date().toISOString(),
+      rules: rules.map(rule => this.view(rule)),
+    };
+  }
+
+  private view(rule: FaultRule) {
+    return { ...rule, active: this.faultInjectionService.isActive(rule) };
+  }
+}
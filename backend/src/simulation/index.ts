@@ -1,3 +1,4 @@
+export * from './fault-injection.service';
+export * from './faults.controller';
 export * from './simulation.controller';
 export * from './simulation.module';
-
@@ -1,7 +1,15 @@
-import { Module } from '@nestjs/common';
+import { MiddlewareConsumer, Module, NestModule } from '@nestjs/common';
+import { FaultInjectionMiddleware } from './fault-injection.middleware';
+import { FaultInjectionService } from './fault-injection.service';
+import { FaultsController } from './faults.controller';
 import { SimulationController } from './simulation.controller';
 
 @Module({
-  controllers: [SimulationController],
+  controllers: [SimulationController, FaultsController],
+  providers: [FaultInjectionService],
 })
-export class SimulationModule {}
+export class SimulationModule implements NestModule {
+  configure(consumer: MiddlewareConsumer) {
+    consumer.apply(FaultInjectionMiddleware).forRoutes('*');
+  }
+}
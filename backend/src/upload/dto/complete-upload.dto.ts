@@ -0,0 +1,11 @@
+import { ApiPropertyOptional } from '@nestjs/swagger';
+import { IsOptional, Matches } from 'class-validator';
+
+export const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+export class CompleteUploadDto {
+  @ApiPropertyOptional({ description: 'Expected SHA-256 of the whole file (hex); a mismatch answers 422' })
+  @IsOptional()
+  @Matches(SHA256_PATTERN, { message: 'sha256 must be 64 hex characters' })
+  sha256?: string;
+}
@@ -0,0 +1,20 @@
+import { ApiProperty, ApiPropertyOptional } from '@nestjs/swagger';
+import { IsInt, IsOptional, IsString, Length, MaxLength, Min } from 'class-validator';
+
+export class InitUploadDto {
+  @ApiProperty({ minLength: 1, maxLength: 255, example: 'large_test.csv' })
+  @IsString()
+  @Length(1, 255)
+  filename: string;
+
+  @ApiProperty({ minimum: 1, description: 'Total file size in bytes', example: 5242880 })
+  @IsInt()
+  @Min(1)
+  size: number;
+
+  @ApiPropertyOptional({ maxLength: 255, example: 'text/csv' })
+  @IsOptional()
+  @IsString()
+  @MaxLength(255)
+  mimetype?: string;
+}
@@ -0,0 +1,104 @@
+import { checkFileContent, checkFileType, FileContentMismatchException, sanitizeFilename, UnsupportedFileTypeException } from './file-validation';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const ELF = Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01]);
+
+// A DOS header whose e_lfanew field points at a PE signature right behind it
+function windowsExecutable(): Buffer {
+  const sample = Buffer.alloc(0x80);
+  sample.write('MZ', 0, 'latin1');
+  sample.writeUInt32LE(0x40, 0x3c);
+  sample.write('PE\0\0', 0x40, 'latin1');
+  return sample;
+}
+
+function codeOf(check: () => void): string {
+  try {
+    check();
+  } catch (error) {
+    return error.getResponse().code;
+  }
+  return 'ok';
+}
+
+describe('sanitizeFilename', () => {
+  it.each([
+    ['../../etc/passwd', 'passwd'],
+    ['C:\\Users\\me\\report.pdf', 'report.pdf'],
+    ['my report (final).txt', 'my_report_final_.txt'],
+    ['.bashrc', 'bashrc'],
+    ['', 'file'],
+    ['...', 'file'],
+  ])('turns %j into %j', (filename, expected) => {
+    expect(sanitizeFilename(filename)).toBe(expected);
+  });
+
+  it('keeps the end of names longer than 255 characters', () => {
+    const safe = sanitizeFilename(`${'a'.repeat(300)}.txt`);
+    expect(safe).toHaveLength(255);
+    expect(safe.endsWith('.txt')).toBe(true);
+  });
+});
+
+describe('checkFileType', () => {
+  it('returns the sanitized name of an allowlisted file', () => {
+    expect(checkFileType('../Photo 1.PNG', 'image/png')).toBe('Photo_1.PNG');
+    expect(checkFileType('data.csv', 'text/csv; charset=utf-8')).toBe('data.csv');
+    expect(checkFileType('data.bin', undefined)).toBe('data.bin');
+  });
+
+  it('accepts the generic MIME type for any allowlisted extension', () => {
+    expect(checkFileType('photo.png', 'application/octet-stream')).toBe('photo.png');
+  });
+
+  it('rejects extensions off the allowlist and files without one', () => {
+    expect(() => checkFileType('setup.exe', 'application/octet-stream')).toThrow('.exe files are not allowed');
+    expect(() => checkFileType('README', 'text/plain')).toThrow('Files without an extension are not allowed');
+  });
+
+  it('rejects a declared MIME type that does not fit the extension', () => {
+    expect(() => checkFileType('photo.png', 'text/html')).toThrow(UnsupportedFileTypeException);
+  });
+});
+
+describe('checkFileContent', () => {
+  it('accepts content that matches the extension', () => {
+    expect(codeOf(() => checkFileContent('photo.png', PNG))).toBe('ok');
+    expect(codeOf(() => checkFileContent('notes.txt', Buffer.from('héllo wörld\n')))).toBe('ok');
+    expect(codeOf(() => checkFileContent('blob.bin', Buffer.from([0x00, 0xff, 0x10])))).toBe('ok');
+  });
+
+  it('rejects executables whatever the extension', () => {
+    expect(codeOf(() => checkFileContent('blob.bin', ELF))).toBe('EXECUTABLE_CONTENT');
+    expect(codeOf(() => checkFileContent('photo.png', windowsExecutable()))).toBe('EXECUTABLE_CONTENT');
+  });
+
+  it('rejects content of another type than the extension', () => {
+    expect(() => checkFileContent('photo.jpg', PNG)).toThrow('File content (png) does not match its .jpg extension');
+    expect(() => checkFileContent('notes.txt', PNG)).toThrow(FileContentMismatchException);
+    expect(() => checkFileContent('notes.txt', Buffer.from([0x61, 0x00, 0x62]))).toThrow('File content (binary)');
+  });
+
+  it('accepts text that merely starts with "MZ"', () => {
+    const csv = Buffer.from(`MZ,Mozambique,${'x'.repeat(100)}\nMY,Malaysia\n`);
+    expect(codeOf(() => checkFileContent('countries.csv', csv))).toBe('ok');
+  });
+
+  it('treats "MZ" binary data whose PE header lies past the sample as an executable', () => {
+    const sample = Buffer.alloc(0x80, 0xff);
+    sample.write('MZ', 0, 'latin1');
+    sample.writeUInt32LE(0x1000, 0x3c);
+    expect(codeOf(() => checkFileContent('blob.bin', sample))).toBe('EXECUTABLE_CONTENT');
+  });
+
+  it('accepts "MZ" binary data without a PE header where it points', () => {
+    const sample = windowsExecutable();
+    sample.write('XX', 0x40, 'latin1');
+    expect(codeOf(() => checkFileContent('blob.bin', sample))).toBe('ok');
+  });
+
+  it('tolerates a multi-byte character cut off at the end of the sample', () => {
+    const text = Buffer.from(`${'a'.repeat(8191)}é`);
+    expect(codeOf(() => checkFileContent('notes.txt', text))).toBe('ok');
+  });
+});
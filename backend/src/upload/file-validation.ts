@@ -0,0 +1,203 @@
+import { HttpException, HttpStatus } from '@nestjs/common';
+
+// Content sniffing looks at this many leading bytes
+export const SNIFF_BYTES = 8192;
+
+const MAX_FILENAME_LENGTH = 255;
+
+interface FileType {
+  name: string;
+  extensions: string[];
+  // Declared MIME types accepted for the extension, besides application/octet-stream
+  mimetypes: string[];
+  // 'text': must decode as UTF-8 without NUL bytes; 'signature': must start with one of
+  // `signatures`; 'binary': anything that is not an executable
+  content: 'text' | 'signature' | 'binary';
+  signatures?: number[][];
+}
+
+const GENERIC_MIMETYPE = 'application/octet-stream';
+
+// The upload allowlist
+export const FILE_TYPES: FileType[] = [
+  { name: 'text', extensions: ['txt', 'log', 'md'], mimetypes: ['text/plain', 'text/markdown'], content: 'text' },
+  { name: 'csv', extensions: ['csv'], mimetypes: ['text/csv', 'text/plain', 'application/vnd.ms-excel'], content: 'text' },
+  { name: 'json', extensions: ['json'], mimetypes: ['application/json', 'text/plain'], content: 'text' },
+  {
+    name: 'png',
+    extensions: ['png'],
+    mimetypes: ['image/png'],
+    content: 'signature',
+    signatures: [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  },
+  { name: 'jpeg', extensions: ['jpg', 'jpeg'], mimetypes: ['image/jpeg'], content: 'signature', signatures: [[0xff, 0xd8, 0xff]] },
+  {
+    name: 'gif',
+    extensions: ['gif'],
+    mimetypes: ['image/gif'],
+    content: 'signature',
+    signatures: [[0x47, 0x49, 0x46, 0x38, 0x37, 0x61], [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]],
+  },
+  { name: 'pdf', extensions: ['pdf'], mimetypes: ['application/pdf'], content: 'signature', signatures: [[0x25, 0x50, 0x44, 0x46, 0x2d]] },
+  {
+    name: 'zip',
+    extensions: ['zip'],
+    mimetypes: ['application/zip', 'application/x-zip-compressed'],
+    content: 'signature',
+    signatures: [[0x50, 0x4b, 0x03, 0x04], [0x50, 0x4b, 0x05, 0x06]],
+  },
+  { name: 'binary', extensions: ['bin', 'dat'], mimetypes: [], content: 'binary' },
+];
+
+// Rejected whatever the file claims to be: ELF and Mach-O (Windows PE: see isWindowsExecutable())
+const EXECUTABLE_SIGNATURES: number[][] = [
+  [0x7f, 0x45, 0x4c, 0x46],
+  [0xfe, 0xed, 0xfa, 0xce],
+  [0xfe, 0xed, 0xfa, 0xcf],
+  [0xce, 0xfa, 0xed, 0xfe],
+  [0xcf, 0xfa, 0xed, 0xfe],
+];
+
+const DOS_SIGNATURE = [0x4d, 0x5a];
+// Where the DOS header keeps the offset of the PE header ("PE\0\0")
+const PE_OFFSET_FIELD = 0x3c;
+const PE_SIGNATURE = [0x50, 0x45, 0x00, 0x00];
+
+const ALLOWED_EXTENSIONS = FILE_TYPES.reduce((all, type) => all.concat(type.extensions), [] as string[]);
+
+export class UnsupportedFileTypeException extends HttpException {
+  constructor(filename: string, message: string) {
+    super({
+      statusCode: HttpStatus.UNSUPPORTED_MEDIA_TYPE,
+      message,
+      error: 'Unsupported Media Type',
+      code: 'UNSUPPORTED_FILE_TYPE',
+      filename,
+      allowedExtensions: ALLOWED_EXTENSIONS,
+    }, HttpStatus.UNSUPPORTED_MEDIA_TYPE);
+  }
+}
+
+export class FileContentMismatchException extends HttpException {
+  constructor(filename: string, code: 'EXECUTABLE_CONTENT' | 'CONTENT_MISMATCH', message: string, detectedType: string) {
+    super({
+      statusCode: HttpStatus.UNPROCESSABLE_ENTITY,
+      message,
+      error: 'Unprocessable Entity',
+      code,
+      filename,
+      detectedType,
+    }, HttpStatus.UNPROCESSABLE_ENTITY);
+  }
+}
+
+/**
+ * Make a client-supplied filename safe to show and store: keep only the last path segment,
+ * replace anything but letters, digits, ".", "_" and "-" with "_", and drop leading dots so
+ * the result can be neither a path nor a hidden file.
+ */
+export function sanitizeFilename(filename: string): string {
+  const base = (filename || '').split(/[\\/]/).pop();
+  const safe = base
+    .replace(/[^A-Za-z0-9._-]/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^\.+/, '')
+    .slice(-MAX_FILENAME_LENGTH);
+  return safe || 'file';
+}
+
+function extensionOf(filename: string): string {
+  const dot = filename.lastIndexOf('.');
+  return dot === -1 ? '' : filename.slice(dot + 1).toLowerCase();
+}
+
+function startsWith(sample: Buffer, signature: number[]): boolean {
+  return sample.length >= signature.length && signature.every((byte, i) => sample[i] === byte);
+}
+
+/**
+ * "MZ" alone is just two letters a text file may start with: a Windows executable also has the
+ * PE signature where its DOS header points. When that lies past the sample, anything that
+ * does not look like text counts as an executable.
+ */
+function isWindowsExecutable(sample: Buffer): boolean {
+  if (!startsWith(sample, DOS_SIGNATURE) || sample.length < PE_OFFSET_FIELD + 4) {
+    return false;
+  }
+  const peOffset = sample.readUInt32LE(PE_OFFSET_FIELD);
+  if (peOffset + PE_SIGNATURE.length > sample.length) {
+    return !looksLikeText(sample);
+  }
+  return startsWith(sample.subarray(peOffset), PE_SIGNATURE);
+}
+
+// Name of the allowlisted type (or 'executable') the leading bytes belong to, if recognizable
+function detectSignature(sample: Buffer): string | null {
+  if (isWindowsExecutable(sample) || EXECUTABLE_SIGNATURES.some(signature => startsWith(sample, signature))) {
+    return 'executable';
+  }
+  const match = FILE_TYPES.find(type => (type.signatures || []).some(signature => startsWith(sample, signature)));
+  return match ? match.name : null;
+}
+
+function looksLikeText(sample: Buffer): boolean {
+  if (sample.includes(0)) {
+    return false;
+  }
+  try {
+    // `stream` tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Check a file's name and declared MIME type against the allowlist, before any content is
+ * looked at. Returns the sanitized filename; throws UnsupportedFileTypeException (415).
+ */
+export function checkFileType(filename: string, mimetype: string): string {
+  const safeName = sanitizeFilename(filename);
+  const extension = extensionOf(safeName);
+  const type = FILE_TYPES.find(candidate => candidate.extensions.includes(extension));
+  if (!type) {
+    throw new UnsupportedFileTypeException(safeName, extension
+      ? `.${extension} files are not allowed`
+      : 'Files without an extension are not allowed');
+  }
+
+  const declared = (mimetype || GENERIC_MIMETYPE).split(';')[0].trim().toLowerCase();
+  if (declared !== GENERIC_MIMETYPE && !type.mimetypes.includes(declared)) {
+    throw new UnsupportedFileTypeException(safeName, `Content type ${declared} does not match a .${extension} file`);
+  }
+  return safeName;
+}
+
+/**
+ * Sniff the leading bytes of a file whose name passed checkFileType(), so a renamed or
+ * spoofed file is caught. Throws FileContentMismatchException (422).
+ */
+export function checkFileContent(filename: string, sample: Buffer) {
+  const head = sample.subarray(0, SNIFF_BYTES);
+  const type = FILE_TYPES.find(candidate => candidate.extensions.includes(extensionOf(filename)));
+  const detected = detectSignature(head);
+
+  if (detected === 'executable') {
+    throw new FileContentMismatchException(filename, 'EXECUTABLE_CONTENT', 'File content is an executable', detected);
+  }
+
+  const mismatch = (detectedType: string) => new FileContentMismatchException(
+    filename,
+    'CONTENT_MISMATCH',
+    `File content (${detectedType}) does not match its .${extensionOf(filename)} extension`,
+    detectedType,
+  );
+
+  if (type.content === 'signature' && detected !== type.name) {
+    throw mismatch(detected || 'unknown');
+  }
+  if (type.content === 'text' && (detected || !looksLikeText(head))) {
+    throw mismatch(detected || 'binary');
+  }
+}
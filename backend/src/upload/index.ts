@@ -1,3 +1,3 @@
 export * from './upload.controller';
 export * from './upload.module';
-
+export * from './upload.service';
@@ -0,0 +1,81 @@
+import { OnApplicationShutdown } from '@nestjs/common';
+import { createReadStream, promises as fs } from 'fs';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { JsonFileRepository } from '../../common/repositories/json-file.repository';
+import { StoredFile, UploadStorage } from './upload-storage';
+
+function reviveStoredFile(stored: any): StoredFile {
+  return {
+    ...stored,
+    createdAt: new Date(stored.createdAt),
+  };
+}
+
+class StoredFileIndex extends JsonFileRepository<StoredFile> {
+  constructor(filePath: string) {
+    super(filePath, () => [], reviveStoredFile, 'stored files');
+  }
+}
+
+/**
+ * Files on the local disk: the bytes of each file in `<dir>/<id>`, the metadata in
+ * `<dir>/index.json`. The content is written before the index entry, so a crash can leave
+ * an unlisted file behind but never a listed file without content.
+ */
+export class LocalUploadStorage implements UploadStorage, OnApplicationShutdown {
+  private readonly index: StoredFileIndex;
+
+  constructor(private readonly dir: string) {
+    this.index = new StoredFileIndex(join(dir, 'index.json'));
+  }
+
+  findAll(): Promise<StoredFile[]> {
+    return this.index.findAll();
+  }
+
+  findById(id: string): Promise<StoredFile | undefined> {
+    return this.index.findById(id);
+  }
+
+  async save(file: StoredFile, content: Buffer): Promise<StoredFile> {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.pathOf(file.id), content);
+    return this.index.save(file);
+  }
+
+  async saveFrom(file: StoredFile, sourcePath: string): Promise<StoredFile> {
+    await fs.mkdir(this.dir, { recursive: true });
+    try {
+      await fs.rename(sourcePath, this.pathOf(file.id));
+    } catch (error) {
+      // UPLOAD_TMP_DIR may be on another filesystem
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.copyFile(sourcePath, this.pathOf(file.id));
+      await fs.rm(sourcePath, { force: true });
+    }
+    return this.index.save(file);
+  }
+
+  read(file: StoredFile, start: number, end: number): Readable {
+    return createReadStream(this.pathOf(file.id), { start, end });
+  }
+
+  async delete(id: string): Promise<boolean> {
+    const deleted = await this.index.delete(id);
+    if (deleted) {
+      await fs.rm(this.pathOf(id), { force: true });
+    }
+    return deleted;
+  }
+
+  onApplicationShutdown() {
+    this.index.onApplicationShutdown();
+  }
+
+  private pathOf(id: string): string {
+    return join(this.dir, id);
+  }
+}
@@ -0,0 +1,30 @@
+import { Readable } from 'stream';
+
+export const UPLOAD_STORAGE = 'UPLOAD_STORAGE';
+
+export interface StoredFile {
+  id: string;
+  // Sanitized name, see sanitizeFilename()
+  filename: string;
+  size: number;
+  mimetype: string;
+  sha256: string;
+  createdAt: Date;
+  // Id of the user who uploaded the file; files stored before uploads required a login have none
+  ownerId?: string;
+  // X-Test-Run header of the request that uploaded the file, for bulk cleanup after a k6 run
+  testRun?: string;
+}
+
+// Storage behind UploadService: file metadata plus content. Paging and validation stay in the service.
+export interface UploadStorage {
+  findAll(): Promise<StoredFile[]>;
+  findById(id: string): Promise<StoredFile | undefined>;
+  // Store `content` as the file's bytes
+  save(file: StoredFile, content: Buffer): Promise<StoredFile>;
+  // Take over the file at `sourcePath` (e.g. an assembled resumable upload) as the file's bytes
+  saveFrom(file: StoredFile, sourcePath: string): Promise<StoredFile>;
+  // Read bytes `start` to `end`, both inclusive
+  read(file: StoredFile, start: number, end: number): Readable;
+  delete(id: string): Promise<boolean>;
+}
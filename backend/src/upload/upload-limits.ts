@@ -0,0 +1,37 @@
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+function envInt(name: string, fallback: number): number {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const MB = 1024 * 1024;
+
+export interface UploadLimits {
+  // Largest file accepted by POST /upload/file and /upload/files
+  maxFileBytes: number;
+  // Most files in one POST /upload/files
+  maxFiles: number;
+  // Largest chunk of a resumable upload
+  maxChunkBytes: number;
+  // Largest file a resumable upload may declare
+  maxResumableBytes: number;
+  // Resumable uploads not completed within this time are discarded
+  sessionTtlMs: number;
+}
+
+// Read once at startup: the multer interceptors are configured when the controller is defined
+export const UPLOAD_LIMITS: UploadLimits = {
+  maxFileBytes: envInt('UPLOAD_MAX_FILE_BYTES', 10 * MB),
+  maxFiles: envInt('UPLOAD_MAX_FILES', 10),
+  maxChunkBytes: envInt('UPLOAD_MAX_CHUNK_BYTES', 5 * MB),
+  maxResumableBytes: envInt('UPLOAD_MAX_RESUMABLE_BYTES', 100 * MB),
+  sessionTtlMs: envInt('UPLOAD_SESSION_TTL_SECONDS', 3600) * 1000,
+};
+
+// Resumable uploads are assembled here until they complete
+export const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || join(tmpdir(), 'k6-demo-uploads');
+
+// Accepted files and their index (index.json) are kept here across restarts
+export const UPLOAD_STORAGE_DIR = process.env.UPLOAD_STORAGE_DIR || 'data/uploads';
@@ -1,12 +1,122 @@
-import { Controller, Post, UploadedFile, UseInterceptors } from '@nestjs/common';
-import { FileInterceptor } from '@nestjs/platform-express';
-import { ApiBody, ApiConsumes, ApiTags } from '@nestjs/swagger';
+import {
+    BadRequestException,
+    Body,
+    Controller,
+    Delete,
+    Get,
+    Headers,
+    HttpException,
+    HttpStatus,
+    Param,
+    ParseUUIDPipe,
+    PayloadTooLargeException,
+    Post,
+    Put,
+    Query,
+    Request,
+    Res,
+    UnsupportedMediaTypeException,
+    UploadedFile,
+    UploadedFiles,
+    UseGuards,
+    UseInterceptors
+} from '@nestjs/common';
+import { AuthGuard } from '@nestjs/passport';
+import { FileInterceptor, FilesInterceptor } from '@nestjs/platform-express';
+import { ApiBearerAuth, ApiBody, ApiConsumes, ApiHeader, ApiQuery, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { Roles } from '../auth/decorators/roles.decorator';
+import { RolesGuard } from '../auth/guards/roles.guard';
+import { Role } from '../auth/roles.enum';
+import { parseTestRun, TEST_RUN_HEADER } from '../common/test-run';
+import { CompleteUploadDto, SHA256_PATTERN } from './dto/complete-upload.dto';
+import { InitUploadDto } from './dto/init-upload.dto';
+import { UPLOAD_LIMITS } from './upload-limits';
+import { ReceivedFile, UploadService } from './upload.service';
+
+const CHUNK_CHECKSUM_HEADER = 'x-chunk-sha256';
+
+// Collect a raw request body, refusing it with 413 as soon as it grows past `maxBytes`
+function readRawBody(req, maxBytes: number): Promise<Buffer> {
+  const tooLarge = () => new PayloadTooLargeException(`Chunks are limited to ${maxBytes} bytes`);
+  if (parseInt(req.headers['content-length'], 10) > maxBytes) {
+    return Promise.reject(tooLarge());
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let received = 0;
+    req.on('data', (data: Buffer) => {
+      received += data.length;
+      if (received > maxBytes) {
+        // Keep draining the rest of the body, but stop collecting it
+        req.removeAllListeners('data');
+        req.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(data);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+interface ByteRange {
+  start: number;
+  end: number;
+}
+
+/**
+ * Parse a single-range `Range: bytes=...` header for a file of `size` bytes. Returns null when
+ * the header is to be ignored and the whole file sent (absent, malformed or multi-range), and
+ * 'unsatisfiable' when the range holds no byte of the file.
+ */
+function parseRange(header: string | undefined, size: number): ByteRange | 'unsatisfiable' | null {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+  if (size === 0) {
+    return 'unsatisfiable';
+  }
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    return suffix === 0 ? 'unsatisfiable' : { start: Math.max(size - suffix, 0), end: size - 1 };
+  }
+
+  const start = parseInt(match[1], 10);
+  const end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  if (start >= size) {
+    return 'unsatisfiable';
+  }
+  return end < start ? null : { start, end };
+}
+
+// Whether an If-None-Match header lists `etag` (weak comparison, as RFC 9110 asks for)
+function etagMatches(header: string, etag: string): boolean {
+  return header.trim() === '*' || header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+function parseOffset(value: string | undefined): number {
+  const offset = Number(value);
+  if (value === undefined || value === '' || !Number.isInteger(offset) || offset < 0) {
+    throw new BadRequestException('offset must be a non-negative integer');
+  }
+  return offset;
+}
 
 @ApiTags('Upload')
 @Controller('upload')
+@UseGuards(AuthGuard('jwt'))
+@ApiBearerAuth()
+@ApiResponse({ status: 401, description: 'Unauthorized' })
 export class UploadController {
+  constructor(private readonly uploadService: UploadService) {}
+
   @Post('file')
-  @UseInterceptors(FileInterceptor('file'))
+  @UseInterceptors(FileInterceptor('file', { limits: { fileSize: UPLOAD_LIMITS.maxFileBytes } }))
   @ApiConsumes('multipart/form-data')
   @ApiBody({
     description: 'File upload',
@@ -21,12 +131,218 @@ export class UploadController {
       },
     },
   })
-  async uploadFile(@UploadedFile() file: any) {
+  @ApiHeader({ name: TEST_RUN_HEADER, required: false, description: 'Test run id, for DELETE /upload?testRun=' })
+  @ApiResponse({ status: 201, description: 'File stored; the response carries its id and SHA-256' })
+  @ApiResponse({ status: 413, description: 'File larger than UPLOAD_MAX_FILE_BYTES' })
+  @ApiResponse({ status: 415, description: 'File extension or declared type not allowed' })
+  @ApiResponse({ status: 422, description: 'File content does not match its type, or is an executable' })
+  async uploadFile(@UploadedFile() file: ReceivedFile, @Request() req, @Headers(TEST_RUN_HEADER) testRun?: string) {
+    if (!file) {
+      throw new BadRequestException('A file is required in the "file" field');
+    }
+    const [stored] = await this.uploadService.accept([file], req.user, parseTestRun(testRun));
+    return {
+      message: 'File uploaded successfully',
+      ...stored,
+    };
+  }
+
+  @Post('files')
+  @UseInterceptors(FilesInterceptor('files', UPLOAD_LIMITS.maxFiles, { limits: { fileSize: UPLOAD_LIMITS.maxFileBytes } }))
+  @ApiConsumes('multipart/form-data')
+  @ApiBody({
+    description: 'Multiple file upload',
+    type: 'multipart/form-data',
+    schema: {
+      type: 'object',
+      properties: {
+        files: {
+          type: 'array',
+          items: {
+            type: 'string',
+            format: 'binary',
+          },
+        },
+      },
+    },
+  })
+  @ApiHeader({ name: TEST_RUN_HEADER, required: false, description: 'Test run id, for DELETE /upload?testRun=' })
+  @ApiResponse({ status: 201, description: 'Files stored; each carries its id and SHA-256' })
+  @ApiResponse({ status: 400, description: 'No files, or more than UPLOAD_MAX_FILES' })
+  @ApiResponse({ status: 413, description: 'A file larger than UPLOAD_MAX_FILE_BYTES' })
+  @ApiResponse({ status: 415, description: 'A file extension or declared type not allowed; nothing is accepted' })
+  @ApiResponse({ status: 422, description: 'A file whose content does not match its type; nothing is accepted' })
+  async uploadFiles(@UploadedFiles() files: ReceivedFile[], @Request() req, @Headers(TEST_RUN_HEADER) testRun?: string) {
+    if (!files || files.length === 0) {
+      throw new BadRequestException('At least one file is required in the "files" field');
+    }
+
+    const stored = await this.uploadService.accept(files, req.user, parseTestRun(testRun));
+    return {
+      message: 'Files uploaded successfully',
+      count: stored.length,
+      totalSize: stored.reduce((sum, file) => sum + file.size, 0),
+      files: stored,
+    };
+  }
+
+  @Post('sessions')
+  @ApiHeader({ name: TEST_RUN_HEADER, required: false, description: 'Test run id, for DELETE /upload?testRun=' })
+  @ApiResponse({ status: 201, description: 'Resumable upload started' })
+  @ApiResponse({ status: 413, description: 'Declared size larger than UPLOAD_MAX_RESUMABLE_BYTES' })
+  @ApiResponse({ status: 415, description: 'File extension or declared type not allowed' })
+  async startUpload(@Body() initUploadDto: InitUploadDto, @Request() req, @Headers(TEST_RUN_HEADER) testRun?: string) {
+    return this.uploadService.start(initUploadDto, req.user, parseTestRun(testRun));
+  }
+
+  @Get('sessions/:id')
+  @ApiResponse({ status: 200, description: 'Resumable upload status, including the offset to continue from' })
+  @ApiResponse({ status: 403, description: 'Upload started by another user' })
+  @ApiResponse({ status: 404, description: 'Upload not found or expired' })
+  async getUploadStatus(@Param('id', ParseUUIDPipe) id: string, @Request() req) {
+    return this.uploadService.getStatus(id, req.user);
+  }
+
+  @Put('sessions/:id')
+  @ApiConsumes('application/octet-stream')
+  @ApiQuery({ name: 'offset', required: true, description: 'Byte offset of the chunk; must equal the current offset' })
+  @ApiHeader({ name: CHUNK_CHECKSUM_HEADER, required: false, description: 'SHA-256 of the chunk (hex), verified before it is stored' })
+  @ApiResponse({ status: 200, description: 'Chunk stored; the response carries the new offset' })
+  @ApiResponse({ status: 403, description: 'Upload started by another user' })
+  @ApiResponse({ status: 409, description: 'Offset does not match the upload (the response carries the current offset)' })
+  @ApiResponse({ status: 413, description: 'Chunk larger than UPLOAD_MAX_CHUNK_BYTES' })
+  @ApiResponse({ status: 422, description: 'Chunk checksum mismatch, or first chunk does not match the file type' })
+  async putChunk(
+    @Param('id', ParseUUIDPipe) id: string,
+    @Query('offset') offset: string,
+    @Headers(CHUNK_CHECKSUM_HEADER) checksum: string,
+    @Request() req,
+  ) {
+    if (!req.is('application/octet-stream')) {
+      throw new UnsupportedMediaTypeException('Chunks must be sent as application/octet-stream');
+    }
+    if (checksum && !SHA256_PATTERN.test(checksum)) {
+      throw new BadRequestException(`${CHUNK_CHECKSUM_HEADER} must be 64 hex characters`);
+    }
+
+    const start = parseOffset(offset);
+    const chunk = await readRawBody(req, UPLOAD_LIMITS.maxChunkBytes);
+    return this.uploadService.appendChunk(id, req.user, start, chunk, checksum);
+  }
+
+  @Post('sessions/:id/complete')
+  @ApiResponse({ status: 201, description: 'Upload complete and stored under the upload id; the response carries the SHA-256 of the whole file' })
+  @ApiResponse({ status: 403, description: 'Upload started by another user' })
+  @ApiResponse({ status: 409, description: 'Not every byte has been received yet' })
+  @ApiResponse({ status: 422, description: 'Whole-file checksum mismatch; the upload is discarded' })
+  async completeUpload(@Param('id', ParseUUIDPipe) id: string, @Body() completeUploadDto: CompleteUploadDto, @Request() req) {
     return {
       message: 'File uploaded successfully',
-      filename: file.originalname,
-      size: file.size,
-      mimetype: file.mimetype,
+      ...(await this.uploadService.complete(id, req.user, completeUploadDto.sha256)),
     };
   }
+
+  @Delete('sessions/:id')
+  @ApiResponse({ status: 200, description: 'Resumable upload aborted' })
+  @ApiResponse({ status: 403, description: 'Upload started by another user' })
+  @ApiResponse({ status: 404, description: 'Upload not found or expired' })
+  async abortUpload(@Param('id', ParseUUIDPipe) id: string, @Request() req) {
+    await this.uploadService.abort(id, req.user);
+    return { message: 'Upload aborted' };
+  }
+
+  @Get()
+  @ApiQuery({ name: 'page', required: false })
+  @ApiQuery({ name: 'limit', required: false })
+  @ApiQuery({ name: 'testRun', required: false, description: 'Only files uploaded with this X-Test-Run id' })
+  @ApiResponse({ status: 200, description: 'Stored files, newest first; customers only see their own' })
+  async findAll(
+    @Request() req,
+    @Query('page') page?: string,
+    @Query('limit') limit?: string,
+    @Query('testRun') testRun?: string,
+  ) {
+    return this.uploadService.findAll(req.user, parseInt(page) || 1, parseInt(limit) || 10, parseTestRun(testRun));
+  }
+
+  @Delete()
+  @UseGuards(RolesGuard)
+  @Roles(Role.Admin)
+  @ApiQuery({ name: 'testRun', required: true, type: String, description: 'X-Test-Run id the files were uploaded with' })
+  @ApiResponse({ status: 200, description: 'Files of the test run deleted' })
+  @ApiResponse({ status: 403, description: 'Admin role required' })
+  async purgeTestRun(@Query('testRun') testRun?: string) {
+    const run = parseTestRun(testRun);
+    if (!run) {
+      throw new BadRequestException('testRun is required');
+    }
+    return { testRun: run, deleted: await this.uploadService.purgeTestRun(run) };
+  }
+
+  @Get(':id')
+  @ApiHeader({ name: 'range', required: false, description: 'A single byte range, e.g. bytes=0-1023, bytes=1024- or bytes=-500' })
+  @ApiHeader({ name: 'if-none-match', required: false, description: 'ETag of a cached copy; answered with 304 while it is current' })
+  @ApiHeader({ name: 'if-range', required: false, description: 'ETag the Range applies to; the whole file is sent if it has changed' })
+  @ApiResponse({ status: 200, description: 'File content, with its SHA-256 as ETag' })
+  @ApiResponse({ status: 206, description: 'The requested byte range, described by Content-Range' })
+  @ApiResponse({ status: 304, description: 'If-None-Match lists the current ETag' })
+  @ApiResponse({ status: 403, description: 'File uploaded by another user' })
+  @ApiResponse({ status: 404, description: 'File not found' })
+  @ApiResponse({ status: 416, description: 'Range starts past the end of the file' })
+  async download(
+    @Param('id', ParseUUIDPipe) id: string,
+    @Headers('range') range: string,
+    @Headers('if-none-match') ifNoneMatch: string,
+    @Headers('if-range') ifRange: string,
+    @Request() req,
+    @Res() res,
+  ) {
+    const file = await this.uploadService.findOne(id, req.user);
+    const etag = `"${file.sha256}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', file.createdAt.toUTCString());
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    if (ifNoneMatch && etagMatches(ifNoneMatch, etag)) {
+      res.status(HttpStatus.NOT_MODIFIED).end();
+      return;
+    }
+
+    // A Range only applies to the version of the file the client already has part of
+    const byteRange = ifRange && ifRange.trim() !== etag ? null : parseRange(range, file.size);
+    if (byteRange === 'unsatisfiable') {
+      res.setHeader('Content-Range', `bytes */${file.size}`);
+      throw new HttpException({
+        statusCode: HttpStatus.REQUESTED_RANGE_NOT_SATISFIABLE,
+        message: `Range ${range} is outside the file's ${file.size} bytes`,
+        error: 'Range Not Satisfiable',
+      }, HttpStatus.REQUESTED_RANGE_NOT_SATISFIABLE);
+    }
+
+    const { start, end } = byteRange || { start: 0, end: file.size - 1 };
+    res.status(byteRange ? HttpStatus.PARTIAL_CONTENT : HttpStatus.OK);
+    res.setHeader('Content-Type', file.mimetype);
+    res.setHeader('Content-Length', end - start + 1);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    if (byteRange) {
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${file.size}`);
+    }
+
+    if (file.size === 0) {
+      res.end();
+      return;
+    }
+    const stream = this.uploadService.read(file, start, end);
+    stream.on('error', () => res.destroy());
+    stream.pipe(res);
+  }
+
+  @Delete(':id')
+  @ApiResponse({ status: 200, description: 'File deleted' })
+  @ApiResponse({ status: 403, description: 'File uploaded by another user' })
+  @ApiResponse({ status: 404, description: 'File not found' })
+  async remove(@Param('id', ParseUUIDPipe) id: string, @Request() req) {
+    await this.uploadService.remove(id, req.user);
+    return { message: 'File deleted successfully' };
+  }
 }
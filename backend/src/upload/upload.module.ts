@@ -1,7 +1,23 @@
-import { Module } from '@nestjs/common';
+import { Logger, Module } from '@nestjs/common';
+import { LocalUploadStorage } from './storage/local-upload-storage';
+import { UPLOAD_STORAGE, UploadStorage } from './storage/upload-storage';
+import { UPLOAD_STORAGE_DIR } from './upload-limits';
 import { UploadController } from './upload.controller';
+import { UploadService } from './upload.service';
+
+export function createUploadStorage(): UploadStorage {
+  new Logger('UploadModule').log(`Storing uploads in ${UPLOAD_STORAGE_DIR}`);
+  return new LocalUploadStorage(UPLOAD_STORAGE_DIR);
+}
 
 @Module({
   controllers: [UploadController],
+  providers: [
+    UploadService,
+    {
+      provide: UPLOAD_STORAGE,
+      useFactory: createUploadStorage,
+    },
+  ],
 })
 export class UploadModule {}
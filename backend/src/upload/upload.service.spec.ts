@@ -0,0 +1,125 @@
+import { ConflictException, ForbiddenException, UnprocessableEntityException } from '@nestjs/common';
+import { promises as fs } from 'fs';
+import { Role } from '../auth/roles.enum';
+import { StoredFile, UploadStorage } from './storage/upload-storage';
+import { sha256, UploadService } from './upload.service';
+
+const owner = { id: 'user-1', username: 'alice', roles: [Role.Customer] };
+const stranger = { id: 'user-2', username: 'bob', roles: [Role.Customer] };
+const admin = { id: 'admin-1', username: 'admin', roles: [Role.Admin] };
+
+const CONTENT = Buffer.from('id,name\n1,hammer\n2,anvil\n');
+
+// Keeps what it is given in memory; saveFrom() takes over the assembled file like the real storage
+function memoryStorage(): UploadStorage & { contents: Map<string, Buffer> } {
+  const files = new Map<string, StoredFile>();
+  const contents = new Map<string, Buffer>();
+  return {
+    contents,
+    findAll: async () => [...files.values()],
+    findById: async id => files.get(id),
+    save: async (file, content) => {
+      files.set(file.id, file);
+      contents.set(file.id, content);
+      return file;
+    },
+    saveFrom: jest.fn(async (file: StoredFile, sourcePath: string) => {
+      contents.set(file.id, await fs.readFile(sourcePath));
+      await fs.rm(sourcePath);
+      files.set(file.id, file);
+      return file;
+    }),
+    read: () => {
+      throw new Error('not used');
+    },
+    delete: async id => files.delete(id),
+  };
+}
+
+describe('UploadService resumable uploads', () => {
+  let storage: ReturnType<typeof memoryStorage>;
+  let service: UploadService;
+
+  beforeEach(() => {
+    storage = memoryStorage();
+    service = new UploadService(storage);
+  });
+
+  afterEach(async () => {
+    await service.onModuleDestroy();
+  });
+
+  async function startUpload() {
+    return service.start({ filename: 'items.csv', size: CONTENT.length, mimetype: 'text/csv' }, owner);
+  }
+
+  it('assembles chunks sent at the current offset and stores the file', async () => {
+    const { uploadId } = await startUpload();
+
+    const first = await service.appendChunk(uploadId, owner, 0, CONTENT.subarray(0, 10));
+    expect(first).toMatchObject({ offset: 10, chunkSha256: sha256(CONTENT.subarray(0, 10)) });
+    await service.appendChunk(uploadId, owner, 10, CONTENT.subarray(10));
+
+    const stored = await service.complete(uploadId, owner, sha256(CONTENT));
+    expect(stored).toMatchObject({ id: uploadId, filename: 'items.csv', size: CONTENT.length, sha256: sha256(CONTENT), ownerId: owner.id });
+    expect(storage.contents.get(uploadId)).toEqual(CONTENT);
+    expect(() => service.getStatus(uploadId, owner)).toThrow('Upload not found or expired');
+  });
+
+  it('rejects a chunk at the wrong offset with the offset to continue from', async () => {
+    const { uploadId } = await startUpload();
+    await service.appendChunk(uploadId, owner, 0, CONTENT.subarray(0, 10));
+
+    const resent = service.appendChunk(uploadId, owner, 0, CONTENT.subarray(0, 10));
+    await expect(resent).rejects.toBeInstanceOf(ConflictException);
+    await expect(resent).rejects.toMatchObject({ response: { offset: 10 } });
+    expect(service.getStatus(uploadId, owner).offset).toBe(10);
+  });
+
+  it('rejects chunks past the declared size or with the wrong checksum, without storing them', async () => {
+    const { uploadId } = await startUpload();
+
+    await expect(service.appendChunk(uploadId, owner, 0, Buffer.concat([CONTENT, Buffer.from('x')])))
+      .rejects.toThrow(`Chunk ends past the declared size of ${CONTENT.length} bytes`);
+    await expect(service.appendChunk(uploadId, owner, 0, CONTENT, sha256(Buffer.from('other'))))
+      .rejects.toThrow('Chunk checksum mismatch');
+    expect(service.getStatus(uploadId, owner).offset).toBe(0);
+  });
+
+  it('refuses to complete before every byte has arrived', async () => {
+    const { uploadId } = await startUpload();
+    await service.appendChunk(uploadId, owner, 0, CONTENT.subarray(0, 10));
+
+    await expect(service.complete(uploadId, owner))
+      .rejects.toThrow(`Upload is incomplete: 10 of ${CONTENT.length} bytes received`);
+  });
+
+  it('discards the upload when the expected checksum does not match', async () => {
+    const { uploadId } = await startUpload();
+    await service.appendChunk(uploadId, owner, 0, CONTENT);
+
+    await expect(service.complete(uploadId, owner, sha256(Buffer.from('other')))).rejects.toBeInstanceOf(UnprocessableEntityException);
+    expect(() => service.getStatus(uploadId, owner)).toThrow('Upload not found or expired');
+    expect(storage.saveFrom).not.toHaveBeenCalled();
+  });
+
+  it('keeps the upload when storing fails, so completing can be retried', async () => {
+    const { uploadId } = await startUpload();
+    await service.appendChunk(uploadId, owner, 0, CONTENT);
+    (storage.saveFrom as jest.Mock).mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(service.complete(uploadId, owner)).rejects.toThrow('disk full');
+    expect(service.getStatus(uploadId, owner).offset).toBe(CONTENT.length);
+
+    await expect(service.complete(uploadId, owner, sha256(CONTENT))).resolves.toMatchObject({ sha256: sha256(CONTENT) });
+    expect(storage.contents.get(uploadId)).toEqual(CONTENT);
+  });
+
+  it('limits an upload to its owner and admins', async () => {
+    const { uploadId } = await startUpload();
+
+    expect(() => service.getStatus(uploadId, stranger)).toThrow(ForbiddenException);
+    await expect(service.appendChunk(uploadId, stranger, 0, CONTENT)).rejects.toThrow('Upload belongs to another user');
+    expect(service.getStatus(uploadId, admin).offset).toBe(0);
+  });
+});
@@ -0,0 +1,354 @@
+import {
+    BadRequestException,
+    ConflictException,
+    ForbiddenException,
+    HttpStatus,
+    Inject,
+    Injectable,
+    NotFoundException,
+    OnModuleDestroy,
+    PayloadTooLargeException,
+    UnprocessableEntityException
+} from '@nestjs/common';
+import { createHash, Hash } from 'crypto';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
+import { AuthenticatedUser } from '../auth/auth.service';
+import { hasRole } from '../auth/guards/roles.guard';
+import { Role } from '../auth/roles.enum';
+import { InitUploadDto } from './dto/init-upload.dto';
+import { checkFileContent, checkFileType } from './file-validation';
+import { StoredFile, UPLOAD_STORAGE, UploadStorage } from './storage/upload-storage';
+import { UPLOAD_LIMITS, UPLOAD_TMP_DIR } from './upload-limits';
+
+// Expired resumable uploads are dropped at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// The fields of a multer (memory storage) file this service reads
+export interface ReceivedFile {
+  originalname: string;
+  size: number;
+  mimetype: string;
+  buffer: Buffer;
+}
+
+export interface ResumableUploadStatus {
+  uploadId: string;
+  filename: string;
+  size: number;
+  mimetype: string;
+  // Bytes received so far; the next chunk must start here
+  offset: number;
+  maxChunkBytes: number;
+  createdAt: string;
+  expiresAt: string;
+}
+
+interface ResumableUpload {
+  id: string;
+  filename: string;
+  size: number;
+  mimetype: string;
+  offset: number;
+  // Running SHA-256 over the bytes received so far
+  hash: Hash;
+  path: string;
+  createdAt: number;
+  expiresAt: number;
+  ownerId: string;
+  testRun?: string;
+  // Set while a chunk is written or the upload is handed to storage, so these never interleave
+  writing: boolean;
+}
+
+export function sha256(data: Buffer): string {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Upload handling behind UploadController:
+ * - every file must pass the allowlist in file-validation.ts: its sanitized name and declared
+ *   type first (415), then a sniff of its leading bytes (422)
+ * - accepted files are kept in the UPLOAD_STORAGE backend under a generated id, with their
+ *   SHA-256 so clients can verify what arrived (and what they download)
+ * - resumable uploads are assembled chunk by chunk in UPLOAD_TMP_DIR: each chunk must start
+ *   at the current offset, so a client that lost track asks for the status and continues
+ *   from there; the first chunk is sniffed, and completing checks the size and, if given,
+ *   the expected checksum before the file is handed to storage
+ * - stored files and resumable uploads belong to the user who uploaded them: others get 403,
+ *   except admins, who reach everything
+ */
+@Injectable()
+export class UploadService implements OnModuleDestroy {
+  private readonly uploads = new Map<string, ResumableUpload>();
+  private lastSweep = Date.now();
+
+  constructor(@Inject(UPLOAD_STORAGE) private readonly storage: UploadStorage) {}
+
+  /**
+   * Validate received multipart files and store them. Every file is validated before any is
+   * stored, so one rejected file (415/422) means nothing of the request is kept.
+   */
+  async accept(files: ReceivedFile[], owner: AuthenticatedUser, testRun?: string): Promise<StoredFile[]> {
+    const filenames = files.map(file => {
+      const filename = checkFileType(file.originalname, file.mimetype);
+      checkFileContent(filename, file.buffer);
+      return filename;
+    });
+
+    const stored: StoredFile[] = [];
+    for (const [i, file] of files.entries()) {
+      stored.push(await this.storage.save({
+        id: uuidv4(),
+        filename: filenames[i],
+        size: file.size,
+        mimetype: file.mimetype,
+        sha256: sha256(file.buffer),
+        createdAt: new Date(),
+        ownerId: owner.id,
+        ...(testRun ? { testRun } : {}),
+      }, file.buffer));
+    }
+    return stored;
+  }
+
+  // Customers only see their own files
+  async findAll(user: AuthenticatedUser, page: number = 1, limit: number = 10, testRun?: string): Promise<{
+    files: StoredFile[];
+    total: number;
+    page: number;
+    limit: number;
+    totalPages: number;
+  }> {
+    let files = await this.storage.findAll();
+    if (!hasRole(user, Role.Admin)) {
+      files = files.filter(file => file.ownerId === user.id);
+    }
+    if (testRun) {
+      files = files.filter(file => file.testRun === testRun);
+    }
+
+    // Newest first
+    files = [...files].reverse();
+    const total = files.length;
+    const start = (page - 1) * limit;
+    return {
+      files: files.slice(start, start + limit),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+  async findOne(id: string, user: AuthenticatedUser): Promise<StoredFile> {
+    const file = await this.storage.findById(id);
+    if (!file) {
+      throw new NotFoundException('File not found');
+    }
+    this.assertOwnerOrAdmin(user, file.ownerId, 'File');
+    return file;
+  }
+
+  // Bytes `start` to `end` (inclusive) of a stored file
+  read(file: StoredFile, start: number, end: number): Readable {
+    return this.storage.read(file, start, end);
+  }
+
+  async remove(id: string, user: AuthenticatedUser): Promise<void> {
+    await this.findOne(id, user);
+    if (!(await this.storage.delete(id))) {
+      throw new NotFoundException('File not found');
+    }
+  }
+
+  // Delete every file uploaded with this X-Test-Run tag
+  async purgeTestRun(testRun: string): Promise<number> {
+    const files = (await this.storage.findAll()).filter(file => file.testRun === testRun);
+    for (const file of files) {
+      await this.storage.delete(file.id);
+    }
+    return files.length;
+  }
+
+  async start(dto: InitUploadDto, owner: AuthenticatedUser, testRun?: string): Promise<ResumableUploadStatus> {
+    await this.sweep();
+    const filename = checkFileType(dto.filename, dto.mimetype);
+    if (dto.size > UPLOAD_LIMITS.maxResumableBytes) {
+      throw new PayloadTooLargeException(`Resumable uploads are limited to ${UPLOAD_LIMITS.maxResumableBytes} bytes`);
+    }
+
+    const id = uuidv4();
+    const now = Date.now();
+    const upload: ResumableUpload = {
+      id,
+      filename,
+      size: dto.size,
+      mimetype: dto.mimetype || 'application/octet-stream',
+      offset: 0,
+      hash: createHash('sha256'),
+      path: join(UPLOAD_TMP_DIR, `${id}.part`),
+      createdAt: now,
+      expiresAt: now + UPLOAD_LIMITS.sessionTtlMs,
+      ownerId: owner.id,
+      testRun,
+      writing: false,
+    };
+
+    await fs.mkdir(UPLOAD_TMP_DIR, { recursive: true });
+    await fs.writeFile(upload.path, Buffer.alloc(0));
+    this.uploads.set(id, upload);
+    return this.status(upload);
+  }
+
+  getStatus(id: string, user: AuthenticatedUser): ResumableUploadStatus {
+    return this.status(this.find(id, user));
+  }
+
+  /**
+   * Append a chunk at `offset`. A chunk that does not start at the current offset is
+   * rejected with 409 and the current offset; a `checksum` (SHA-256 hex) that does not
+   * match the chunk is rejected with 422, as is a first chunk whose content does not match
+   * the file type. Rejected chunks are not stored.
+   */
+  async appendChunk(
+    id: string,
+    user: AuthenticatedUser,
+    offset: number,
+    chunk: Buffer,
+    checksum?: string,
+  ): Promise<ResumableUploadStatus & { chunkSha256: string }> {
+    const upload = this.find(id, user);
+    if (upload.writing) {
+      throw this.offsetConflict(upload, 'Another request is writing this upload');
+    }
+    if (offset !== upload.offset) {
+      throw this.offsetConflict(upload, `Chunk must start at offset ${upload.offset}`);
+    }
+    if (chunk.length === 0) {
+      throw new BadRequestException('Chunk is empty');
+    }
+    if (offset + chunk.length > upload.size) {
+      throw new BadRequestException(`Chunk ends past the declared size of ${upload.size} bytes`);
+    }
+
+    const chunkSha256 = sha256(chunk);
+    if (checksum && checksum.toLowerCase() !== chunkSha256) {
+      throw new UnprocessableEntityException('Chunk checksum mismatch');
+    }
+    if (offset === 0) {
+      checkFileContent(upload.filename, chunk);
+    }
+
+    upload.writing = true;
+    try {
+      await fs.appendFile(upload.path, chunk);
+    } finally {
+      upload.writing = false;
+    }
+    upload.hash.update(chunk);
+    upload.offset += chunk.length;
+    return { ...this.status(upload), chunkSha256 };
+  }
+
+  /**
+   * Finish an upload once every byte has arrived and move it into storage. With an expected
+   * `checksum` that does not match, the upload is discarded and 422 returned.
+   */
+  async complete(id: string, user: AuthenticatedUser, checksum?: string): Promise<StoredFile> {
+    const upload = this.find(id, user);
+    if (upload.writing) {
+      throw this.offsetConflict(upload, 'Another request is writing this upload');
+    }
+    if (upload.offset < upload.size) {
+      throw this.offsetConflict(upload, `Upload is incomplete: ${upload.offset} of ${upload.size} bytes received`);
+    }
+
+    // A copy, so the running hash can still be digested when completing is retried
+    const digest = upload.hash.copy().digest('hex');
+    if (checksum && checksum.toLowerCase() !== digest) {
+      await this.discard(upload);
+      throw new UnprocessableEntityException(`Checksum mismatch: received file has SHA-256 ${digest}`);
+    }
+
+    // The upload stays until storage has the file, so a failed save can be completed again
+    upload.writing = true;
+    try {
+      const stored = await this.storage.saveFrom({
+        id: upload.id,
+        filename: upload.filename,
+        size: upload.size,
+        mimetype: upload.mimetype,
+        sha256: digest,
+        createdAt: new Date(),
+        ownerId: upload.ownerId,
+        ...(upload.testRun ? { testRun: upload.testRun } : {}),
+      }, upload.path);
+      this.uploads.delete(upload.id);
+      return stored;
+    } finally {
+      upload.writing = false;
+    }
+  }
+
+  async abort(id: string, user: AuthenticatedUser): Promise<void> {
+    await this.discard(this.find(id, user));
+  }
+
+  async onModuleDestroy() {
+    await Promise.all([...this.uploads.values()].map(upload => this.discard(upload)));
+  }
+
+  private find(id: string, user: AuthenticatedUser): ResumableUpload {
+    const upload = this.uploads.get(id);
+    if (!upload || upload.expiresAt <= Date.now()) {
+      throw new NotFoundException('Upload not found or expired');
+    }
+    this.assertOwnerOrAdmin(user, upload.ownerId, 'Upload');
+    return upload;
+  }
+
+  private assertOwnerOrAdmin(user: AuthenticatedUser, ownerId: string | undefined, what: string) {
+    if (ownerId !== user.id && !hasRole(user, Role.Admin)) {
+      throw new ForbiddenException(`${what} belongs to another user`);
+    }
+  }
+
+  private status(upload: ResumableUpload): ResumableUploadStatus {
+    return {
+      uploadId: upload.id,
+      filename: upload.filename,
+      size: upload.size,
+      mimetype: upload.mimetype,
+      offset: upload.offset,
+      maxChunkBytes: UPLOAD_LIMITS.maxChunkBytes,
+      createdAt: new Date(upload.createdAt).toISOString(),
+      expiresAt: new Date(upload.expiresAt).toISOString(),
+    };
+  }
+
+  private offsetConflict(upload: ResumableUpload, message: string): ConflictException {
+    return new ConflictException({
+      statusCode: HttpStatus.CONFLICT,
+      message,
+      error: 'Conflict',
+      offset: upload.offset,
+    });
+  }
+
+  private async discard(upload: ResumableUpload) {
+    this.uploads.delete(upload.id);
+    await fs.rm(upload.path, { force: true });
+  }
+
+  private async sweep() {
+    const now = Date.now();
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) return;
+    this.lastSweep = now;
+
+    const expired = [...this.uploads.values()].filter(upload => upload.expiresAt <= now && !upload.writing);
+    await Promise.all(expired.map(upload => this.discard(upload)));
+  }
+}
@@ -0,0 +1,49 @@
+import { ApiProperty, ApiPropertyOptional } from '@nestjs/swagger';
+import {
+  IsArray,
+  IsEmail,
+  IsEnum,
+  IsOptional,
+  IsString,
+  IsStrongPassword,
+  Length,
+  Matches,
+  MaxLength,
+} from 'class-validator';
+import { Role } from '../../auth/roles.enum';
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+export class CreateUserDto {
+  @ApiProperty({ minLength: 3, maxLength: 64, pattern: USERNAME_PATTERN.source, example: 'testuser' })
+  @IsString()
+  @Length(3, 64)
+  @Matches(USERNAME_PATTERN, { message: 'username may only contain letters, digits, "_", "." and "-"' })
+  username: string;
+
+  @ApiProperty({ maxLength: 254, example: 'test@example.com' })
+  @IsEmail()
+  @MaxLength(254)
+  email: string;
+
+  @ApiProperty({
+    minLength: 8,
+    maxLength: 72,
+    description: 'At least one lowercase letter, one uppercase letter and one digit',
+    example: 'TestPassword123!',
+  })
+  @IsString()
+  // bcrypt ignores everything past 72 bytes
+  @MaxLength(72)
+  @IsStrongPassword(
+    { minLength: 8, minLowercase: 1, minUppercase: 1, minNumbers: 1, minSymbols: 0 },
+    { message: 'password must be at least 8 characters and contain a lowercase letter, an uppercase letter and a digit' },
+  )
+  password: string;
+
+  @ApiPropertyOptional({ enum: Role, isArray: true })
+  @IsOptional()
+  @IsArray()
+  @IsEnum(Role, { each: true })
+  roles?: Role[];
+}
@@ -0,0 +1,5 @@
+import { OmitType, PartialType } from '@nestjs/swagger';
+import { CreateUserDto } from './create-user.dto';
+
+// Usernames are fixed once created
+export class UpdateUserDto extends PartialType(OmitType(CreateUserDto, ['username'] as const)) {}
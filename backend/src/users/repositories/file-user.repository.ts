@@ -0,0 +1,19 @@
+import { JsonFileRepository } from '../../common/repositories/json-file.repository';
+import { User } from '../users.service';
+import { UserRepository } from './user.repository';
+
+function reviveUser(stored: any): User {
+  return {
+    ...stored,
+    createdAt: new Date(stored.createdAt),
+    updatedAt: new Date(stored.updatedAt),
+    deletedAt: stored.deletedAt ? new Date(stored.deletedAt) : null,
+  };
+}
+
+// Stores password hashes; keep the file out of version control (data/ is gitignored)
+export class FileUserRepository extends JsonFileRepository<User> implements UserRepository {
+  constructor(filePath: string, seed: () => User[]) {
+    super(filePath, seed, reviveUser, 'users');
+  }
+}
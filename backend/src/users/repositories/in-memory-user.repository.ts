@@ -0,0 +1,5 @@
+import { InMemoryRepository } from '../../common/repositories/in-memory.repository';
+import { User } from '../users.service';
+import { UserRepository } from './user.repository';
+
+export class InMemoryUserRepository extends InMemoryRepository<User> implements UserRepository {}
@@ -0,0 +1,12 @@
+import { User } from '../users.service';
+
+export const USER_REPOSITORY = 'USER_REPOSITORY';
+
+// Storage behind UsersService. Uniqueness, ordering and soft delete stay in the service.
+export interface UserRepository {
+  findAll(): Promise<User[]>;
+  findById(id: string): Promise<User | undefined>;
+  save(user: User): Promise<User>;
+  delete(id: string): Promise<boolean>;
+  count(): Promise<number>;
+}
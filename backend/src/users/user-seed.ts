@@ -0,0 +1,35 @@
+import * as bcrypt from 'bcryptjs';
+import { Role } from '../auth/roles.enum';
+import { User } from './users.service';
+
+/**
+ * The seeded accounts: `admin` (admin role) and `testuser` (customer). Both use
+ * ADMIN_PASSWORD, default 'admin123', so shared environments can override it.
+ */
+export function generateUsers(): User[] {
+  const passwordHash = bcrypt.hashSync(process.env.ADMIN_PASSWORD || 'admin123', 10);
+  const createdAt = new Date();
+
+  return [
+    {
+      id: '1',
+      username: 'admin',
+      email: 'admin@example.com',
+      password: passwordHash,
+      roles: [Role.Admin],
+      createdAt,
+      updatedAt: createdAt,
+      deletedAt: null,
+    },
+    {
+      id: '2',
+      username: 'testuser',
+      email: 'test@example.com',
+      password: passwordHash,
+      roles: [Role.Customer],
+      createdAt,
+      updatedAt: createdAt,
+      deletedAt: null,
+    },
+  ];
+}
@@ -1,20 +1,30 @@
 import {
+    BadRequestException,
     Body,
     Controller,
     DefaultValuePipe,
     Delete,
+    ForbiddenException,
     Get,
+    Headers,
     Param,
     ParseIntPipe,
     Patch,
     Post,
     Query,
+    Request,
     UseGuards
 } from '@nestjs/common';
 import { AuthGuard } from '@nestjs/passport';
-import { ApiBearerAuth, ApiQuery, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { ApiBearerAuth, ApiHeader, ApiQuery, ApiResponse, ApiTags } from '@nestjs/swagger';
 import { ThrottlerGuard } from '@nestjs/throttler';
-import { CreateUserDto, UpdateUserDto, UsersService } from './users.service';
+import { Roles } from '../auth/decorators/roles.decorator';
+import { hasRole, RolesGuard } from '../auth/guards/roles.guard';
+import { Role } from '../auth/roles.enum';
+import { parseTestRun, TEST_RUN_HEADER } from '../common/test-run';
+import { CreateUserDto } from './dto/create-user.dto';
+import { UpdateUserDto } from './dto/update-user.dto';
+import { UsersService } from './users.service';
 
 @ApiTags('Users')
 @Controller('users')
@@ -22,37 +32,72 @@ import { CreateUserDto, UpdateUserDto, UsersService } from './users.service';
 export class UsersController {
   constructor(private readonly usersService: UsersService) {}
 
+  // Customers may only read and edit their own account, and never their roles
+  private assertSelfOrAdmin(user: any, id: string) {
+    if (user.id !== id && !hasRole(user, Role.Admin)) {
+      throw new ForbiddenException('Customers can only access their own account');
+    }
+  }
+
   @Get()
-  @UseGuards(AuthGuard('jwt'))
+  @UseGuards(AuthGuard('jwt'), RolesGuard)
+  @Roles(Role.Admin)
   @ApiBearerAuth()
   @ApiQuery({ name: 'page', required: false, type: Number })
   @ApiQuery({ name: 'limit', required: false, type: Number })
   @ApiQuery({ name: 'search', required: false, type: String })
+  @ApiQuery({ name: 'cursor', required: false, type: String, description: 'nextCursor from the previous page; replaces page' })
+  @ApiQuery({ name: 'testRun', required: false, type: String, description: 'Only users created with this X-Test-Run id' })
   @ApiResponse({ status: 200, description: 'Users retrieved successfully' })
+  @ApiResponse({ status: 403, description: 'Admin role required' })
   async findAll(
     @Query('page', new DefaultValuePipe(1), ParseIntPipe) page: number,
     @Query('limit', new DefaultValuePipe(10), ParseIntPipe) limit: number,
     @Query('search') search?: string,
+    @Query('cursor') cursor?: string,
+    @Query('testRun') testRun?: string,
   ) {
-    return this.usersService.findAll(page, limit, search);
+    return this.usersService.findAll(page, limit, search, cursor, parseTestRun(testRun));
+  }
+
+  @Delete()
+  @UseGuards(AuthGuard('jwt'), RolesGuard)
+  @Roles(Role.Admin)
+  @ApiBearerAuth()
+  @ApiQuery({ name: 'testRun', required: true, type: String, description: 'X-Test-Run id the users were created with' })
+  @ApiResponse({ status: 200, description: 'Users of the test run permanently deleted' })
+  @ApiResponse({ status: 403, description: 'Admin role required' })
+  async purgeTestRun(@Query('testRun') testRun?: string) {
+    const run = parseTestRun(testRun);
+    if (!run) {
+      throw new BadRequestException('testRun is required');
+    }
+    return { testRun: run, deleted: await this.usersService.purgeTestRun(run) };
   }
 
   @Get(':id')
   @UseGuards(AuthGuard('jwt'))
   @ApiBearerAuth()
   @ApiResponse({ status: 200, description: 'User retrieved successfully' })
+  @ApiResponse({ status: 403, description: 'Not your account' })
   @ApiResponse({ status: 404, description: 'User not found' })
-  async findOne(@Param('id') id: string) {
+  async findOne(@Param('id') id: string, @Request() req) {
+    this.assertSelfOrAdmin(req.user, id);
     return this.usersService.findOne(id);
   }
 
   @Post()
-  @UseGuards(AuthGuard('jwt'))
+  @UseGuards(AuthGuard('jwt'), RolesGuard)
+  @Roles(Role.Admin)
   @ApiBearerAuth()
+  @ApiHeader({ name: TEST_RUN_HEADER, required: false, description: 'Test run id, for DELETE /users?testRun=' })
   @ApiResponse({ status: 201, description: 'User created successfully' })
-  async create(@Body() createUserDto: CreateUserDto) {
-    const user = await this.usersService.create(createUserDto);
-    const { password, ...result } = user;
+  @ApiResponse({ status: 400, description: 'Validation failed' })
+  @ApiResponse({ status: 403, description: 'Admin role required' })
+  @ApiResponse({ status: 409, description: 'Username or email already taken' })
+  async create(@Body() createUserDto: CreateUserDto, @Headers(TEST_RUN_HEADER) testRun?: string) {
+    const user = await this.usersService.create(createUserDto, parseTestRun(testRun));
+    const { password, deletedAt, ...result } = user;
     return result;
   }
 
@@ -60,15 +105,24 @@ export class UsersController {
   @UseGuards(AuthGuard('jwt'))
   @ApiBearerAuth()
   @ApiResponse({ status: 200, description: 'User updated successfully' })
+  @ApiResponse({ status: 400, description: 'Validation failed' })
+  @ApiResponse({ status: 403, description: 'Not your account, or changing roles without the admin role' })
+  @ApiResponse({ status: 409, description: 'Email already taken' })
   @ApiResponse({ status: 404, description: 'User not found' })
-  async update(@Param('id') id: string, @Body() updateUserDto: UpdateUserDto) {
+  async update(@Param('id') id: string, @Body() updateUserDto: UpdateUserDto, @Request() req) {
+    this.assertSelfOrAdmin(req.user, id);
+    if (updateUserDto.roles !== undefined && !hasRole(req.user, Role.Admin)) {
+      throw new ForbiddenException('Only admins can change roles');
+    }
     return this.usersService.update(id, updateUserDto);
   }
 
   @Delete(':id')
-  @UseGuards(AuthGuard('jwt'))
+  @UseGuards(AuthGuard('jwt'), RolesGuard)
+  @Roles(Role.Admin)
   @ApiBearerAuth()
-  @ApiResponse({ status: 200, description: 'User deleted successfully' })
+  @ApiResponse({ status: 200, description: 'User deleted (soft delete)' })
+  @ApiResponse({ status: 403, description: 'Admin role required' })
   @ApiResponse({ status: 404, description: 'User not found' })
   async remove(@Param('id') id: string) {
     await this.usersService.remove(id);
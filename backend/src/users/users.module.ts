@@ -1,9 +1,34 @@
-import { Module } from '@nestjs/common';
+import { Logger, Module } from '@nestjs/common';
+import { FileUserRepository } from './repositories/file-user.repository';
+import { InMemoryUserRepository } from './repositories/in-memory-user.repository';
+import { USER_REPOSITORY, UserRepository } from './repositories/user.repository';
+import { generateUsers } from './user-seed';
 import { UsersController } from './users.controller';
 import { UsersService } from './users.service';
 
+// USER_STORE=memory|file selects the backend
+export function createUserRepository(): UserRepository {
+  const store = process.env.USER_STORE || 'memory';
+
+  switch (store) {
+    case 'memory':
+      new Logger('UsersModule').log('In-memory user store');
+      return new InMemoryUserRepository(generateUsers());
+    case 'file':
+      return new FileUserRepository(process.env.USER_STORE_FILE || 'data/users.json', generateUsers);
+    default:
+      throw new Error(`Unknown USER_STORE "${store}". Use "memory" or "file"`);
+  }
+}
+
 @Module({
-  providers: [UsersService],
+  providers: [
+    UsersService,
+    {
+      provide: USER_REPOSITORY,
+      useFactory: createUserRepository,
+    },
+  ],
   controllers: [UsersController],
   exports: [UsersService],
 })
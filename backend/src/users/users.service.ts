@@ -1,115 +1,230 @@
-import { Injectable, NotFoundException } from '@nestjs/common';
+import { ConflictException, Inject, Injectable, NotFoundException, OnModuleInit } from '@nestjs/common';
+import * as bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
+import { Role } from '../auth/roles.enum';
+import { compareToCursor, CursorPosition, decodeCursor, encodeCursor } from '../common/cursor';
+import { CreateUserDto } from './dto/create-user.dto';
+import { UpdateUserDto } from './dto/update-user.dto';
+import { USER_REPOSITORY, UserRepository } from './repositories/user.repository';
 
 export interface User {
   id: string;
   username: string;
   email: string;
   password: string;
+  roles: Role[];
   createdAt: Date;
   updatedAt: Date;
+  // Set by DELETE /users/:id; the user is hidden but keeps its username and email until purged
+  deletedAt?: Date | null;
+  // X-Test-Run header of the request that created the user, for bulk cleanup after a k6 run
+  testRun?: string;
 }
 
-export interface CreateUserDto {
-  username: string;
-  email: string;
-  password: string;
+export type PublicUser = Omit<User, 'password' | 'deletedAt'>;
+
+const PASSWORD_SALT_ROUNDS = 10;
+
+function compareUsers(a: User, b: User): number {
+  const diff = a.createdAt.getTime() - b.createdAt.getTime();
+  if (diff !== 0) return diff;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+// Index of the first user after the cursor position
+function sortedIndexAfter(users: User[], after: CursorPosition): number {
+  let low = 0;
+  let high = users.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (compareToCursor(users[mid].createdAt.getTime(), users[mid].id, after) <= 0) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
 }
 
-export interface UpdateUserDto {
-  email?: string;
-  password?: string;
+function toPublicUser({ password, deletedAt, ...user }: User): PublicUser {
+  return user;
 }
 
 @Injectable()
-export class UsersService {
-  private users: User[] = [
-    {
-      id: '1',
-      username: 'admin',
-      email: 'admin@example.com',
-      password: '$2a$10$N9qo8uLOickgx2ZMRZoMpOIpnqe5Nc5.l9efvBu8kq8zrLLGn9qO6', // password: 'admin123'
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    },
-    {
-      id: '2',
-      username: 'testuser',
-      email: 'test@example.com',
-      password: '$2a$10$N9qo8uLOickgx2ZMRZoMpOIpnqe5Nc5.l9efvBu8kq8zrLLGn9qO6', // password: 'admin123'
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    },
-  ];
-
-  async findAll(page: number = 1, limit: number = 10, search?: string): Promise<{ users: Omit<User, 'password'>[]; total: number; page: number; limit: number }> {
+export class UsersService implements OnModuleInit {
+  // Active users in (createdAt, id) order, so the cursor position can be binary searched
+  private users: User[] = [];
+  // Every stored user, soft-deleted ones included
+  private readonly byId = new Map<string, User>();
+  // Lower-cased username/email -> user id, for the unique constraints
+  private readonly usernames = new Map<string, string>();
+  private readonly emails = new Map<string, string>();
+
+  constructor(
+    @Inject(USER_REPOSITORY)
+    private readonly userRepository: UserRepository,
+  ) {}
+
+  async onModuleInit() {
+    for (const user of await this.userRepository.findAll()) {
+      this.addToIndexes(user);
+    }
+    this.users = [...this.byId.values()].filter(user => !user.deletedAt).sort(compareUsers);
+  }
+
+  async findAll(
+    page: number = 1,
+    limit: number = 10,
+    search?: string,
+    cursor?: string,
+    testRun?: string
+  ): Promise<{ users: PublicUser[]; total: number; page?: number; limit: number; nextCursor: string | null }> {
     let filteredUsers = this.users;
+
+    if (testRun) {
+      filteredUsers = filteredUsers.filter(user => user.testRun === testRun);
+    }
     
     if (search) {
-      filteredUsers = this.users.filter(user => 
+      filteredUsers = filteredUsers.filter(user => 
         user.username.toLowerCase().includes(search.toLowerCase()) ||
         user.email.toLowerCase().includes(search.toLowerCase())
       );
     }
 
     const total = filteredUsers.length;
-    const startIndex = (page - 1) * limit;
+    let startIndex = (page - 1) * limit;
+
+    if (cursor) {
+      const after = decodeCursor(cursor, 'createdAt', 'asc');
+      startIndex = sortedIndexAfter(filteredUsers, after);
+    }
+
     const endIndex = startIndex + limit;
-    
     const users = filteredUsers
       .slice(startIndex, endIndex)
-      .map(({ password, ...user }) => user);
+      .map(toPublicUser);
 
-    return { users, total, page, limit };
-  }
+    const last = users[users.length - 1];
+    const nextCursor = endIndex < total && last
+      ? encodeCursor({ sortBy: 'createdAt', sortOrder: 'asc', value: last.createdAt.getTime(), id: last.id })
+      : null;
 
-  async findOne(id: string): Promise<Omit<User, 'password'>> {
-    const user = this.users.find(u => u.id === id);
-    if (!user) {
-      throw new NotFoundException('User not found');
+    if (cursor) {
+      return { users, total, limit, nextCursor };
     }
-    const { password, ...result } = user;
-    return result;
+
+    return { users, total, page, limit, nextCursor };
+  }
+
+  async findOne(id: string): Promise<PublicUser> {
+    return toPublicUser(this.getActive(id));
   }
 
   async findByUsername(username: string): Promise<User | undefined> {
-    return this.users.find(u => u.username === username);
+    const user = this.byId.get(this.usernames.get(username.toLowerCase()));
+    return user && !user.deletedAt && user.username === username ? user : undefined;
   }
 
-  async create(createUserDto: CreateUserDto): Promise<User> {
+  // Hashes the password; throws ConflictException when the username or email is taken
+  async create(createUserDto: CreateUserDto, testRun?: string): Promise<User> {
+    this.assertAvailable(createUserDto.username, createUserDto.email);
+
+    const now = new Date();
     const newUser: User = {
       id: uuidv4(),
-      ...createUserDto,
-      createdAt: new Date(),
-      updatedAt: new Date(),
+      username: createUserDto.username,
+      email: createUserDto.email,
+      password: await bcrypt.hash(createUserDto.password, PASSWORD_SALT_ROUNDS),
+      roles: createUserDto.roles && createUserDto.roles.length > 0 ? createUserDto.roles : [Role.Customer],
+      createdAt: now,
+      updatedAt: now,
+      deletedAt: null,
+      ...(testRun ? { testRun } : {}),
     };
-    
+
+    // Checked again after hashing: another request may have claimed the name meanwhile
+    this.assertAvailable(newUser.username, newUser.email);
+    this.addToIndexes(newUser);
     this.users.push(newUser);
+
+    // Keep (createdAt, id) order when two users are created in the same millisecond
+    for (let i = this.users.length - 1; i > 0 && compareUsers(this.users[i - 1], this.users[i]) > 0; i--) {
+      [this.users[i - 1], this.users[i]] = [this.users[i], this.users[i - 1]];
+    }
+
+    await this.userRepository.save(newUser);
     return newUser;
   }
 
-  async update(id: string, updateUserDto: UpdateUserDto): Promise<Omit<User, 'password'>> {
-    const userIndex = this.users.findIndex(u => u.id === id);
-    if (userIndex === -1) {
-      throw new NotFoundException('User not found');
+  async update(id: string, updateUserDto: UpdateUserDto): Promise<PublicUser> {
+    const user = this.getActive(id);
+    const changes: Partial<User> = { ...updateUserDto };
+    if (updateUserDto.password !== undefined) {
+      changes.password = await bcrypt.hash(updateUserDto.password, PASSWORD_SALT_ROUNDS);
+    }
+    if (updateUserDto.email !== undefined) {
+      this.assertAvailable(undefined, updateUserDto.email, id);
+      this.emails.delete(user.email.toLowerCase());
+      this.emails.set(updateUserDto.email.toLowerCase(), id);
     }
 
-    this.users[userIndex] = {
-      ...this.users[userIndex],
-      ...updateUserDto,
-      updatedAt: new Date(),
-    };
-
-    const { password, ...result } = this.users[userIndex];
-    return result;
+    // Mutated in place: the ordered list and the indexes hold the same object
+    Object.assign(user, changes, { updatedAt: new Date() });
+    await this.userRepository.save(user);
+    return toPublicUser(user);
   }
 
+  // Soft delete: the user can no longer log in or be listed
   async remove(id: string): Promise<void> {
-    const userIndex = this.users.findIndex(u => u.id === id);
-    if (userIndex === -1) {
+    const user = this.getActive(id);
+    user.deletedAt = new Date();
+    user.updatedAt = user.deletedAt;
+    this.users.splice(this.users.indexOf(user), 1);
+    await this.userRepository.save(user);
+  }
+
+  // Hard delete every user created with this X-Test-Run tag, soft-deleted ones included
+  async purgeTestRun(testRun: string): Promise<number> {
+    const purged = [...this.byId.values()].filter(user => user.testRun === testRun);
+    if (purged.length === 0) {
+      return 0;
+    }
+
+    const ids = new Set(purged.map(user => user.id));
+    this.users = this.users.filter(user => !ids.has(user.id));
+    for (const user of purged) {
+      this.byId.delete(user.id);
+      this.usernames.delete(user.username.toLowerCase());
+      this.emails.delete(user.email.toLowerCase());
+      await this.userRepository.delete(user.id);
+    }
+    return purged.length;
+  }
+
+  private getActive(id: string): User {
+    const user = this.byId.get(id);
+    if (!user || user.deletedAt) {
       throw new NotFoundException('User not found');
     }
+    return user;
+  }
+
+  // Usernames and emails are unique case-insensitively, across soft-deleted users too
+  private assertAvailable(username: string | undefined, email: string | undefined, exceptId?: string) {
+    const usernameOwner = username !== undefined ? this.usernames.get(username.toLowerCase()) : undefined;
+    if (usernameOwner !== undefined && usernameOwner !== exceptId) {
+      throw new ConflictException('Username already exists');
+    }
+    const emailOwner = email !== undefined ? this.emails.get(email.toLowerCase()) : undefined;
+    if (emailOwner !== undefined && emailOwner !== exceptId) {
+      throw new ConflictException('Email already registered');
+    }
+  }
 
-    this.users.splice(userIndex, 1);
+  private addToIndexes(user: User) {
+    this.byId.set(user.id, user);
+    this.usernames.set(user.username.toLowerCase(), user.id);
+    this.emails.set(user.email.toLowerCase(), user.id);
   }
 }
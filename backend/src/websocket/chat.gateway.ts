@@ -1,23 +1,156 @@
-import { MessageBody, SubscribeMessage, WebSocketGateway, WebSocketServer } from '@nestjs/websockets';
-import { Server } from 'socket.io';
+import { UsePipes, ValidationPipe } from '@nestjs/common';
+import {
+    ConnectedSocket,
+    MessageBody,
+    OnGatewayConnection,
+    OnGatewayDisconnect,
+    OnGatewayInit,
+    SubscribeMessage,
+    WebSocketGateway,
+    WebSocketServer,
+    WsException
+} from '@nestjs/websockets';
+import { Server, Socket } from 'socket.io';
+import { AuthenticatedUser, AuthService } from '../auth/auth.service';
+import { wsValidationExceptionFactory } from '../common/validation';
+import { MetricsService } from '../metrics/metrics.service';
+import { ChatMessage, ChatService } from './chat.service';
+import { RoomDto } from './dto/room.dto';
+import { SendMessageDto } from './dto/send-message.dto';
 
+// The access token comes from the Socket.IO auth payload ({ token }) or an Authorization header
+function accessToken(socket: Socket): string | undefined {
+  const fromAuth = socket.handshake.auth && socket.handshake.auth.token;
+  if (typeof fromAuth === 'string' && fromAuth) {
+    return fromAuth.replace(/^Bearer\s+/i, '');
+  }
+
+  const header = socket.handshake.headers.authorization;
+  const match = typeof header === 'string' && header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Chat over Socket.IO. Connections need a valid access token; rejected ones get a
+ * connect_error with the reason.
+ *
+ * Client events (all acknowledged when the client asks for an ack):
+ * - join { room }:          ack { room, members, history }; others get `presence` (join)
+ * - leave { room }:         ack { room, left }; others get `presence` (leave)
+ * - message { room, text }: ack and room broadcast of the stored message (with its `seq`)
+ * - ping:                   ack 'pong'
+ *
+ * Invalid payloads and messages to rooms the socket has not joined are answered with an
+ * `exception` event instead of an ack.
+ */
 @WebSocketGateway({
   cors: {
     origin: '*',
   },
 })
-export class ChatGateway {
+@UsePipes(new ValidationPipe({
+  whitelist: true,
+  forbidNonWhitelisted: true,
+  exceptionFactory: wsValidationExceptionFactory(process.env.NODE_ENV !== 'production'),
+}))
+export class ChatGateway implements OnGatewayInit, OnGatewayConnection, OnGatewayDisconnect {
   @WebSocketServer()
   server: Server;
 
+  constructor(
+    private readonly authService: AuthService,
+    private readonly chatService: ChatService,
+    private readonly metricsService: MetricsService,
+  ) {}
+
+  afterInit(server: Server) {
+    server.use((socket, next) => {
+      const token = accessToken(socket);
+      if (!token) {
+        this.metricsService.websocketRejected();
+        return next(new Error('Access token required'));
+      }
+
+      this.authService.verifyAccessToken(token).then(
+        user => {
+          socket.data.user = user;
+          next();
+        },
+        error => {
+          this.metricsService.websocketRejected();
+          next(new Error(error.message));
+        },
+      );
+    });
+  }
+
+  handleConnection() {
+    this.metricsService.websocketConnected();
+  }
+
+  handleDisconnect(client: Socket) {
+    this.metricsService.websocketDisconnected();
+    const user: AuthenticatedUser = client.data.user;
+    if (!user) return;
+
+    for (const room of this.chatService.roomsOf(client.id)) {
+      this.leaveRoom(client, room, user);
+    }
+  }
+
+  @SubscribeMessage('join')
+  handleJoin(@ConnectedSocket() client: Socket, @MessageBody() { room }: RoomDto) {
+    const user: AuthenticatedUser = client.data.user;
+    const { arrived, members, history } = this.chatService.join(room, client.id, user);
+    client.join(room);
+
+    if (arrived) {
+      client.to(room).emit('presence', {
+        room,
+        event: 'join',
+        user: { id: user.id, username: user.username },
+        members: members.length,
+      });
+    }
+    return { room, members, history };
+  }
+
+  @SubscribeMessage('leave')
+  handleLeave(@ConnectedSocket() client: Socket, @MessageBody() { room }: RoomDto) {
+    const left = this.leaveRoom(client, room, client.data.user);
+    return { room, left };
+  }
+
   @SubscribeMessage('message')
-  handleMessage(@MessageBody() data: string): string {
-    this.server.emit('message', data);
-    return data;
+  handleMessage(@ConnectedSocket() client: Socket, @MessageBody() { room, text }: SendMessageDto): ChatMessage {
+    if (!this.chatService.isMember(room, client.id)) {
+      throw new WsException(`Join room "${room}" before sending to it`);
+    }
+
+    const message = this.chatService.addMessage(room, client.data.user, text);
+    this.server.to(room).emit('message', message);
+    return message;
   }
 
   @SubscribeMessage('ping')
   handlePing(): string {
     return 'pong';
   }
+
+  // Returns false when the socket was not in the room
+  private leaveRoom(client: Socket, room: string, user: AuthenticatedUser): boolean {
+    const result = this.chatService.leave(room, client.id, user.id);
+    if (!result) return false;
+
+    client.leave(room);
+    if (result.departed) {
+      this.server.to(room).emit('presence', {
+        room,
+        event: 'leave',
+        user: { id: user.id, username: user.username },
+        members: result.remaining,
+      });
+    }
+    return true;
+  }
 }
@@ -0,0 +1,137 @@
+import { Injectable } from '@nestjs/common';
+import { v4 as uuidv4 } from 'uuid';
+import { AuthenticatedUser } from '../auth/auth.service';
+
+export interface ChatMember {
+  id: string;
+  username: string;
+}
+
+export interface ChatMessage {
+  id: string;
+  room: string;
+  // Per-room sequence number, so clients can spot lost or reordered messages
+  seq: number;
+  user: ChatMember;
+  text: string;
+  sentAt: string;
+}
+
+interface RoomMember extends ChatMember {
+  // A user is present while at least one of their sockets is in the room
+  socketIds: Set<string>;
+}
+
+interface Room {
+  members: Map<string, RoomMember>;
+  history: ChatMessage[];
+  nextSeq: number;
+}
+
+export const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 50;
+
+/**
+ * Room state for ChatGateway:
+ * - presence is per user, so a user with several sockets in a room joins and leaves once
+ * - each room keeps its last CHAT_HISTORY_LIMIT messages, served to new members on join
+ * - a room and its history are dropped when its last member leaves
+ */
+@Injectable()
+export class ChatService {
+  private readonly rooms = new Map<string, Room>();
+  // socket id -> rooms it has joined, for cleanup on disconnect
+  private readonly socketRooms = new Map<string, Set<string>>();
+
+  /**
+   * Add a socket to a room. `arrived` is true when this made the user present,
+   * i.e. it was none of their sockets' room before.
+   */
+  join(room: string, socketId: string, user: AuthenticatedUser): {
+    arrived: boolean;
+    members: ChatMember[];
+    history: ChatMessage[];
+  } {
+    let state = this.rooms.get(room);
+    if (!state) {
+      state = { members: new Map(), history: [], nextSeq: 1 };
+      this.rooms.set(room, state);
+    }
+
+    let member = state.members.get(user.id);
+    const arrived = !member;
+    if (!member) {
+      member = { id: user.id, username: user.username, socketIds: new Set() };
+      state.members.set(user.id, member);
+    }
+    member.socketIds.add(socketId);
+
+    let joined = this.socketRooms.get(socketId);
+    if (!joined) {
+      joined = new Set();
+      this.socketRooms.set(socketId, joined);
+    }
+    joined.add(room);
+
+    return { arrived, members: this.members(state), history: [...state.history] };
+  }
+
+  /**
+   * Remove a socket from a room. Returns null when the socket was not in it, otherwise
+   * whether the user is gone from the room and how many members remain.
+   */
+  leave(room: string, socketId: string, userId: string): { departed: boolean; remaining: number } | null {
+    const state = this.rooms.get(room);
+    const member = state && state.members.get(userId);
+    if (!member || !member.socketIds.delete(socketId)) {
+      return null;
+    }
+
+    const joined = this.socketRooms.get(socketId);
+    joined.delete(room);
+    if (joined.size === 0) {
+      this.socketRooms.delete(socketId);
+    }
+
+    const departed = member.socketIds.size === 0;
+    if (departed) {
+      state.members.delete(userId);
+    }
+    if (state.members.size === 0) {
+      this.rooms.delete(room);
+    }
+    return { departed, remaining: state.members.size };
+  }
+
+  // Rooms the socket was in, for leaving them all on disconnect
+  roomsOf(socketId: string): string[] {
+    return [...(this.socketRooms.get(socketId) || [])];
+  }
+
+  isMember(room: string, socketId: string): boolean {
+    const joined = this.socketRooms.get(socketId);
+    return Boolean(joined && joined.has(room));
+  }
+
+  // Record a message from a member; the caller has checked membership
+  addMessage(room: string, user: AuthenticatedUser, text: string): ChatMessage {
+    const state = this.rooms.get(room);
+    const message: ChatMessage = {
+      id: uuidv4(),
+      room,
+      seq: state.nextSeq++,
+      user: { id: user.id, username: user.username },
+      text,
+      sentAt: new Date().toISOString(),
+    };
+
+    state.history.push(message);
+    if (state.history.length > CHAT_HISTORY_LIMIT) {
+      state.history.splice(0, state.history.length - CHAT_HISTORY_LIMIT);
+    }
+    return message;
+  }
+
+  private members(state: Room): ChatMember[] {
+    return [...state.members.values()].map(({ id, username }) => ({ id, username }));
+  }
+}
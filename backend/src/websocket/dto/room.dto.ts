@@ -0,0 +1,9 @@
+import { IsString, Matches } from 'class-validator';
+
+export const ROOM_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+export class RoomDto {
+  @IsString()
+  @Matches(ROOM_PATTERN, { message: 'room must be 1-64 letters, digits, "_", ".", ":" or "-"' })
+  room: string;
+}
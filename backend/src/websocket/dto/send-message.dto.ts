@@ -0,0 +1,8 @@
+import { IsString, Length } from 'class-validator';
+import { RoomDto } from './room.dto';
+
+export class SendMessageDto extends RoomDto {
+  @IsString()
+  @Length(1, 10000)
+  text: string;
+}
@@ -1,3 +1,3 @@
 export * from './chat.gateway';
+export * from './chat.service';
 export * from './websocket.module';
-
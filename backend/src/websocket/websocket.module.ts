@@ -1,7 +1,11 @@
 import { Module } from '@nestjs/common';
+import { AuthModule } from '../auth/auth.module';
 import { ChatGateway } from './chat.gateway';
+import { ChatService } from './chat.service';
 
 @Module({
-  providers: [ChatGateway],
+  imports: [AuthModule],
+  providers: [ChatGateway, ChatService],
+  exports: [ChatService],
 })
 export class WebSocketModule {}
@@ -27,6 +27,7 @@ function show_help() {
     echo -e "  ${GREEN}clean${NC}          Clean temporary files"
     echo -e "  ${GREEN}latest${NC}         Show latest test results"
     echo -e "  ${GREEN}compare${NC}        Compare two test results"
+    echo -e "  ${GREEN}baseline${NC}       Save a results file as a regression baseline"
     echo ""
     echo "Examples:"
     echo "  $0 list"
@@ -34,6 +35,7 @@ function show_help() {
     echo "  $0 archive"
     echo "  $0 latest load"
     echo "  $0 compare load-test-results.json stress-test-results.json"
+    echo "  $0 baseline load-test-results.json"
 }
 
 function list_reports() {
@@ -146,6 +148,25 @@ function compare_results() {
     fi
 }
 
+function save_baseline() {
+    source_file="$2"
+    if [ ! -f "$source_file" ]; then
+        source_file="$PERFORMANCE_DIR/$2"
+    fi
+
+    if [ -z "$2" ] || [ ! -f "$source_file" ]; then
+        echo -e "${RED}❌ Results file not found: $2${NC}"
+        return 1
+    fi
+
+    baseline_name="$(basename "$source_file" .json)-baseline"
+    mkdir -p "$ARCHIVED_DIR"
+    cp "$source_file" "$ARCHIVED_DIR/$baseline_name.json"
+
+    echo -e "${GREEN}✅ Saved baseline:${NC} $ARCHIVED_DIR/$baseline_name.json"
+    echo "Check future runs against it with: BASELINE=$baseline_name k6 run <test>"
+}
+
 # Main script logic
 case ${1:-help} in
     "list")
@@ -166,6 +187,9 @@ case ${1:-help} in
     "compare")
         compare_results "$@"
         ;;
+    "baseline")
+        save_baseline "$@"
+        ;;
     "help"|*)
         show_help
         ;;
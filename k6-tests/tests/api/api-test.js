@@ -8,20 +8,29 @@
  * - Data consistency testing
  * - API contract validation
  * - Performance validation for each endpoint
+ * - Role-based access control (admin vs customer)
  */
 
 import { check, group, sleep } from 'k6';
 import http from 'k6/http';
 import { Counter, Rate, Trend } from 'k6/metrics';
+import { loadOptions } from '../../utils/config.js';
 import {
     API_BASE_URL,
     COMMON_HEADERS,
+    generateRandomProduct,
     generateRandomUser,
     getAuthHeaders,
     validateAuthResponse,
     validatePaginatedResponse,
     validateResponse
 } from '../../utils/helpers.js';
+import { api, checks } from '../../utils/http-client.js';
+import { walkPages } from '../../utils/pagination.js';
+import { withRegressionReport } from '../../utils/regression.js';
+import { adminLogin, getSession, provisionUserPool } from '../../utils/session.js';
+import { logCleanupSummary } from '../../utils/summary.js';
+import { cleanupTestRun, startTestRun, useTestRun } from '../../utils/test-run.js';
 
 // Custom metrics for API testing
 export const apiEndpointSuccess = new Rate('api_endpoint_success');
@@ -31,7 +40,7 @@ export const apiContractViolations = new Counter('api_contract_violations');
 export const endpointResponseTime = new Trend('endpoint_response_time');
 
 // API test configuration
-export const options = {
+export const options = loadOptions({
   stages: [
     { duration: '1m', target: 5 },   // Gradual ramp-up for API testing
     { duration: '5m', target: 10 },  // Sustained API testing
@@ -46,13 +55,11 @@ export const options = {
   },
   tags: {
     test_type: 'api_test',
-    environment: __ENV.ENV || 'dev',
   },
-};
+});
 
 // Test data storage
 let testUsers = [];
-let testProducts = [];
 let authTokens = {};
 
 export function setup() {
@@ -67,6 +74,9 @@ export function setup() {
   console.log('✅ API is available, starting comprehensive tests...');
   return { 
     startTime: Date.now(),
+    testRun: startTestRun('api-test'),
+    users: provisionUserPool(),
+    adminToken: adminLogin(),
     testData: {
       users: [],
       products: [],
@@ -76,6 +86,8 @@ export function setup() {
 }
 
 export default function (data) {
+  useTestRun(data);
+
   // Group 1: Authentication API Testing
   group('Authentication API', function () {
     testAuthenticationEndpoints();
@@ -83,7 +95,12 @@ export default function (data) {
   
   // Group 2: Users API Testing
   group('Users API', function () {
-    testUsersEndpoints();
+    testUsersEndpoints(data.users, data.adminToken);
+  });
+  
+  // Group 2b: Role-based access control
+  group('Access Control', function () {
+    testAccessControl(data.users, data.adminToken);
   });
   
   // Group 3: Products API Testing
@@ -98,7 +115,7 @@ export default function (data) {
   
   // Group 5: Upload API Testing
   group('Upload API', function () {
-    testUploadEndpoints();
+    testUploadEndpoints(data.users);
   });
   
   // Group 6: Simulation API Testing
@@ -108,7 +125,7 @@ export default function (data) {
   
   // Group 7: Error Handling Testing
   group('Error Handling', function () {
-    testErrorHandling();
+    testErrorHandling(data.adminToken);
   });
   
   sleep(1);
@@ -152,11 +169,13 @@ function testAuthenticationEndpoints() {
   endpointResponseTime.add(registerResponse.timings.duration);
   
   let authToken = '';
+  let refreshToken = '';
   let userId = '';
   
   if (registerResponse.status === 201) {
     const body = JSON.parse(registerResponse.body);
     authToken = body.access_token;
+    refreshToken = body.refresh_token;
     userId = body.user.id;
     testUsers.push({ ...userData, id: userId, token: authToken });
   }
@@ -200,17 +219,21 @@ function testAuthenticationEndpoints() {
     apiEndpointSuccess.add(profileCheck);
     
     // Test Token Refresh
-    const refreshResponse = http.post(`${API_BASE_URL}/auth/refresh`, {}, {
-      headers: getAuthHeaders(authToken),
-      tags: { name: 'auth_refresh', api: 'auth' }
-    });
+    const refreshResponse = http.post(
+      `${API_BASE_URL}/auth/refresh`,
+      JSON.stringify({ refresh_token: refreshToken }),
+      { 
+        headers: COMMON_HEADERS,
+        tags: { name: 'auth_refresh', api: 'auth' }
+      }
+    );
     
     const refreshCheck = check(refreshResponse, {
       'refresh status is 200': (r) => r.status === 200,
-      'refresh returns new token': (r) => {
+      'refresh returns new token pair': (r) => {
         try {
           const body = JSON.parse(r.body);
-          return body.access_token !== undefined;
+          return body.access_token !== undefined && body.refresh_token && body.refresh_token !== refreshToken;
         } catch (e) {
           return false;
         }
@@ -221,16 +244,17 @@ function testAuthenticationEndpoints() {
   }
 }
 
-function testUsersEndpoints() {
-  // Use existing auth token if available
-  const authUser = testUsers.length > 0 ? testUsers[0] : null;
-  if (!authUser) return;
+function testUsersEndpoints(users, adminToken) {
+  // Authenticate as the VU's pooled user
+  const session = getSession(users);
+  const authUser = { id: session.userId, username: session.username, email: session.email };
   
-  const authHeaders = getAuthHeaders(authUser.token);
+  const authHeaders = getAuthHeaders(session.token);
+  const adminHeaders = getAuthHeaders(adminToken);
   
-  // Test Users List (with pagination)
+  // Test Users List (with pagination, admin only)
   const usersListResponse = http.get(`${API_BASE_URL}/users?page=1&limit=5`, {
-    headers: authHeaders,
+    headers: adminHeaders,
     tags: { name: 'users_list', api: 'users' }
   });
   
@@ -250,13 +274,28 @@ function testUsersEndpoints() {
   
   // Test Users Search
   const searchResponse = http.get(`${API_BASE_URL}/users?search=test&page=1&limit=5`, {
-    headers: authHeaders,
+    headers: adminHeaders,
     tags: { name: 'users_search', api: 'users' }
   });
   
   const searchCheck = check(searchResponse, validateResponse(searchResponse));
   apiEndpointSuccess.add(searchCheck);
   
+  // Test Users Cursor Pagination
+  const usersCrawl = walkPages('users', {
+    itemsKey: 'users',
+    query: { limit: 20 },
+    maxPages: 5,
+    token: adminToken,
+  });
+  
+  const usersCrawlCheck = check(usersCrawl, {
+    'users cursor pages load': (c) => c.failedStatus === null && c.pages > 0,
+    'users cursor pages have no duplicates': (c) => c.duplicates === 0,
+  });
+  
+  apiEndpointSuccess.add(usersCrawlCheck);
+  
   // Test Get Single User
   const userDetailResponse = http.get(`${API_BASE_URL}/users/${authUser.id}`, {
     headers: authHeaders,
@@ -304,6 +343,60 @@ function testUsersEndpoints() {
   crudOperationSuccess.add(updateCheck);
 }
 
+function testAccessControl(users, adminToken) {
+  const session = getSession(users);
+  const productData = generateRandomProduct();
+  
+  // Customers are rejected from user management and product mutations
+  const asCustomer = { token: session.token, expect: [403] };
+  const customerRequests = {
+    'list users': api.get('users', asCustomer),
+    'read another user': api.get('users/{id}', { ...asCustomer, params: { id: '1' } }),
+    'grant themselves admin': api.patch('users/{id}', { roles: ['admin'] }, { ...asCustomer, params: { id: session.userId } }),
+    'create product': api.post('products', productData, asCustomer),
+    'update product': api.patch('products/{id}', { price: 1 }, { ...asCustomer, params: { id: '1' } }),
+    'delete product': api.delete('products/{id}', { ...asCustomer, params: { id: '1' } }),
+  };
+  
+  for (const action of Object.keys(customerRequests)) {
+    const forbidden = check(customerRequests[action], {
+      [`customer cannot ${action} (403)`]: checks.status(403),
+    });
+    apiEndpointSuccess.add(forbidden);
+  }
+  
+  // Anonymous product mutations are rejected before the role check
+  const anonymousCreate = api.post('products', productData, { expect: [401] });
+  apiEndpointSuccess.add(check(anonymousCreate, {
+    'anonymous cannot create product (401)': checks.status(401),
+  }));
+  
+  // Admins manage the catalog
+  const createResponse = api.post('products', productData, { token: adminToken });
+  const created = check(createResponse, {
+    'admin can create product': checks.status(201),
+    'created product has id': checks.has('id'),
+  });
+  crudOperationSuccess.add(created);
+  
+  if (created) {
+    const productId = createResponse.data.id;
+    
+    const updateResponse = api.patch('products/{id}', { price: productData.price + 1 }, {
+      params: { id: productId },
+      token: adminToken,
+    });
+    crudOperationSuccess.add(check(updateResponse, {
+      'admin can update product': checks.status(200),
+    }));
+    
+    const deleteResponse = api.delete('products/{id}', { params: { id: productId }, token: adminToken });
+    crudOperationSuccess.add(check(deleteResponse, {
+      'admin can delete product': checks.status(200),
+    }));
+  }
+}
+
 function testProductsEndpoints() {
   // Test Products List (public endpoint)
   const productsResponse = http.get(`${API_BASE_URL}/products?page=1&limit=10`, {
@@ -409,6 +502,31 @@ function testProductsEndpoints() {
   
   apiEndpointSuccess.add(filterCheck);
   dataConsistencyRate.add(filterCheck);
+  
+  // Test Cursor Pagination (first pages of a filtered, sorted listing)
+  let cursorPagesInOrder = true;
+  let lastPrice = -1;
+  const crawl = walkPages('products', {
+    itemsKey: 'products',
+    query: { category: 'Electronics', limit: 25, sortBy: 'price', sortOrder: 'asc' },
+    maxPages: 5,
+    onPage: (items, response) => {
+      check(response, validatePaginatedResponse(response));
+      for (const item of items) {
+        cursorPagesInOrder = cursorPagesInOrder && item.price >= lastPrice && item.category === 'Electronics';
+        lastPrice = item.price;
+      }
+    },
+  });
+  
+  const crawlCheck = check(crawl, {
+    'cursor pages load': (c) => c.failedStatus === null && c.pages > 0,
+    'cursor pages have no duplicates': (c) => c.duplicates === 0,
+    'cursor pages keep sort order and filters': () => cursorPagesInOrder,
+  });
+  
+  apiEndpointSuccess.add(crawlCheck);
+  dataConsistencyRate.add(crawlCheck);
 }
 
 function testHealthEndpoints() {
@@ -475,7 +593,10 @@ function testHealthEndpoints() {
   apiEndpointSuccess.add(errorCheck);
 }
 
-function testUploadEndpoints() {
+function testUploadEndpoints(users) {
+  // Uploads belong to the user who sent them
+  const session = getSession(users);
+  
   // Create a simple file for testing
   const fileContent = 'test file content for K6 upload testing';
   const boundary = '----formdata-k6-' + Math.random().toString(36);
@@ -489,6 +610,7 @@ function testUploadEndpoints() {
   const uploadResponse = http.post(`${API_BASE_URL}/upload/file`, body, {
     headers: {
       'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      'Authorization': `Bearer ${session.token}`,
     },
     tags: { name: 'upload_file', api: 'upload' }
   });
@@ -568,7 +690,7 @@ function testSimulationEndpoints() {
   apiEndpointSuccess.add(randomCheck);
 }
 
-function testErrorHandling() {
+function testErrorHandling(adminToken) {
   // Test 404 Error
   const notFoundResponse = http.get(`${API_BASE_URL}/nonexistent-endpoint`, {
     headers: COMMON_HEADERS,
@@ -614,16 +736,39 @@ function testErrorHandling() {
     'invalid JSON handled': (r) => r.status === 400,
   });
   
-  const errorHandlingSuccess = notFoundCheck && invalidProductCheck && unauthorizedCheck && invalidJsonCheck;
+  // Test DTO validation: every field error is reported in one 400 body
+  const invalidRegistration = api.post('auth/register', {
+    username: 'no spaces allowed',
+    email: 'not-an-email',
+    password: 'weak',
+  }, { tags: { name: 'error_validation' }, expect: [400] });
+  
+  const invalidProduct = api.post('products', {
+    ...generateRandomProduct(),
+    price: -5,
+    stock: 1.5,
+    unexpected: true,
+  }, { token: adminToken, tags: { name: 'error_validation' }, expect: [400] });
+  
+  const validationCheck = check(invalidRegistration, {
+    'invalid registration returns 400': checks.status(400),
+    'validation error lists each field': checks.matches(body =>
+      body.message === 'Validation failed' &&
+      ['username', 'email', 'password'].every(field => body.errors.some(e => e.field === field))),
+  }) && check(invalidProduct, {
+    'invalid product returns 400': checks.status(400),
+    'invalid product lists price, stock and unknown fields': checks.matches(body =>
+      ['price', 'stock', 'unexpected'].every(field => body.errors.some(e => e.field === field))),
+  });
+  
+  const errorHandlingSuccess = notFoundCheck && invalidProductCheck && unauthorizedCheck && invalidJsonCheck && validationCheck;
   apiEndpointSuccess.add(errorHandlingSuccess);
 }
 
 export function teardown(data) {
   console.log('🧹 API Test Teardown...');
   
-  // Cleanup test data if needed
-  console.log(`Created ${testUsers.length} test users`);
-  console.log(`Tested ${testProducts.length} products`);
+  cleanupTestRun(data);
   
   if (data.startTime) {
     const totalTestTime = Date.now() - data.startTime;
@@ -640,6 +785,7 @@ export function handleSummary(data) {
   console.log(`- Data consistency rate: ${(metrics.data_consistency_rate?.values?.rate * 100) || 'N/A'}%`);
   console.log(`- API contract violations: ${metrics.api_contract_violations?.values?.count || 0}`);
   console.log(`- Average endpoint response time: ${metrics.endpoint_response_time?.values?.avg || 'N/A'}ms`);
+  logCleanupSummary(metrics);
   
   const apiTestAnalysis = {
     endpointSuccessRate: metrics.api_endpoint_success?.values?.rate,
@@ -652,11 +798,11 @@ export function handleSummary(data) {
     recommendations: generateApiRecommendations(metrics),
   };
   
-  return {
+  return withRegressionReport({
     'stdout': '\n🧪 Comprehensive API Test Completed!\n',
     'api-test-results.json': JSON.stringify(data, null, 2),
     'api-analysis.json': JSON.stringify(apiTestAnalysis, null, 2),
-  };
+  }, data);
 }
 
 function extractTestedEndpoints(data) {
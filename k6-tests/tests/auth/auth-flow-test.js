@@ -3,7 +3,7 @@
  * 
  * This test focuses specifically on authentication scenarios and security:
  * - Login/logout flows
- * - Token management and refresh
+ * - Token management and refresh (refresh-token rotation, reuse detection, logout revocation)
  * - Session handling
  * - Security validation
  * - Concurrent authentication
@@ -14,13 +14,18 @@ import { check, group, sleep } from 'k6';
 import { SharedArray } from 'k6/data';
 import http from 'k6/http';
 import { Counter, Rate, Trend } from 'k6/metrics';
+import { loadOptions } from '../../utils/config.js';
 import {
     API_BASE_URL,
+    clientAddressHeaders,
     COMMON_HEADERS,
     generateRandomUser,
     getAuthHeaders,
     randomSleep
 } from '../../utils/helpers.js';
+import { withRegressionReport } from '../../utils/regression.js';
+import { logCleanupSummary } from '../../utils/summary.js';
+import { cleanupTestRun, startTestRun, useTestRun } from '../../utils/test-run.js';
 
 // Load test users from CSV
 const users = new SharedArray('users', function () {
@@ -37,9 +42,10 @@ export const sessionDuration = new Trend('session_duration');
 export const concurrentAuthAttempts = new Counter('concurrent_auth_attempts');
 export const authenticationErrors = new Counter('authentication_errors');
 export const tokenRefreshSuccessRate = new Rate('token_refresh_success_rate');
+export const sessionRevocationRate = new Rate('session_revocation_rate');
 
 // Authentication test configuration
-export const options = {
+export const options = loadOptions({
   stages: [
     { duration: '1m', target: 5 },   // Start with light auth load
     { duration: '3m', target: 15 },  // Increase to moderate auth load
@@ -53,13 +59,13 @@ export const options = {
     'authentication_success_rate': ['rate>0.95'],
     'token_validation_rate': ['rate>0.98'],
     'token_refresh_success_rate': ['rate>0.95'],
+    'session_revocation_rate': ['rate>0.99'],
     'authentication_errors': ['count<10'],
   },
   tags: {
     test_type: 'auth_flow_test',
-    environment: __ENV.ENV || 'dev',
   },
-};
+});
 
 // Global auth session tracking
 let activeSessions = [];
@@ -77,6 +83,7 @@ export function setup() {
   console.log('✅ Authentication test setup complete');
   return { 
     startTime: Date.now(),
+    testRun: startTestRun('auth-flow'),
     authMetrics: {
       totalAttempts: 0,
       successfulAuths: 0,
@@ -86,6 +93,7 @@ export function setup() {
 }
 
 export default function (data) {
+  useTestRun(data);
   const vuId = __VU;
   const iterationId = __ITER;
   
@@ -182,7 +190,9 @@ function testUserRegistration(vuId, iterationId) {
     activeSessions.push({
       userId: body.user.id,
       username: userData.username,
+      password: userData.password,
       token: body.access_token,
+      refreshToken: body.refresh_token,
       vuId,
       iterationId,
       registrationTime
@@ -211,7 +221,7 @@ function testUserLogin(vuId, iterationId) {
       password: testUser.password
     }),
     { 
-      headers: COMMON_HEADERS,
+      headers: { ...COMMON_HEADERS, ...clientAddressHeaders(vuId) },
       tags: { 
         name: 'auth_login', 
         api: 'auth',
@@ -283,6 +293,17 @@ function testUserLogin(vuId, iterationId) {
   }
 }
 
+function postRefresh(refreshToken, tags) {
+  return http.post(
+    `${API_BASE_URL}/auth/refresh`,
+    JSON.stringify({ refresh_token: refreshToken }),
+    { 
+      headers: COMMON_HEADERS,
+      tags: { api: 'auth', ...tags }
+    }
+  );
+}
+
 function testTokenManagement(vuId, iterationId) {
   // Find an active session for this VU
   const activeSession = activeSessions.find(s => s.vuId === vuId);
@@ -291,14 +312,10 @@ function testTokenManagement(vuId, iterationId) {
     return;
   }
   
-  // Test token refresh
-  const refreshResponse = http.post(`${API_BASE_URL}/auth/refresh`, {}, {
-    headers: getAuthHeaders(activeSession.token),
-    tags: { 
-      name: 'token_refresh', 
-      api: 'auth',
-      vu_id: vuId.toString()
-    }
+  // Test token refresh (rotates the refresh token)
+  const refreshResponse = postRefresh(activeSession.refreshToken, {
+    name: 'token_refresh', 
+    vu_id: vuId.toString()
   });
   
   const refreshSuccess = check(refreshResponse, {
@@ -311,6 +328,14 @@ function testTokenManagement(vuId, iterationId) {
         return false;
       }
     },
+    'token refresh rotates refresh token': (r) => {
+      try {
+        const body = JSON.parse(r.body);
+        return body.refresh_token && body.refresh_token !== activeSession.refreshToken;
+      } catch (e) {
+        return false;
+      }
+    },
     'refreshed token is valid JWT': (r) => {
       try {
         const body = JSON.parse(r.body);
@@ -326,7 +351,8 @@ function testTokenManagement(vuId, iterationId) {
   
   if (refreshResponse.status === 200) {
     const body = JSON.parse(refreshResponse.body);
-    activeSession.token = body.access_token; // Update session with new token
+    activeSession.token = body.access_token; // Update session with the new token pair
+    activeSession.refreshToken = body.refresh_token;
     
     // Validate new token works
     sleep(0.1);
@@ -346,8 +372,11 @@ function testTokenManagement(vuId, iterationId) {
     tokenValidationRate.add(newTokenValidation);
   }
   
-  // Test using old token (should fail)
-  const oldTokenResponse = http.get(`${API_BASE_URL}/auth/profile`, {
+  // Test refresh token reuse detection on a second, throwaway login of the same user
+  testRefreshTokenReuse(activeSession);
+  
+  // Test using a malformed token (should fail)
+  const invalidTokenResponse = http.get(`${API_BASE_URL}/auth/profile`, {
     headers: getAuthHeaders('invalid_token_12345'),
     tags: { 
       name: 'invalid_token_test', 
@@ -355,11 +384,74 @@ function testTokenManagement(vuId, iterationId) {
     }
   });
   
-  check(oldTokenResponse, {
+  check(invalidTokenResponse, {
     'invalid token returns 401': (r) => r.status === 401,
   });
 }
 
+function testRefreshTokenReuse(activeSession) {
+  const loginResponse = http.post(
+    `${API_BASE_URL}/auth/login`,
+    JSON.stringify({
+      username: activeSession.username,
+      password: activeSession.password
+    }),
+    { 
+      headers: { ...COMMON_HEADERS, ...clientAddressHeaders(activeSession.vuId) },
+      tags: { name: 'auth_login', api: 'auth', user_type: 'reuse_probe' }
+    }
+  );
+  
+  if (loginResponse.status !== 200) {
+    authenticationErrors.add(1);
+    return;
+  }
+  
+  const login = JSON.parse(loginResponse.body);
+  const rotateResponse = postRefresh(login.refresh_token, { name: 'token_refresh' });
+  if (rotateResponse.status !== 200) {
+    tokenRefreshSuccessRate.add(false);
+    return;
+  }
+  const rotated = JSON.parse(rotateResponse.body);
+  
+  // Replaying the rotated token must fail and revoke everything issued to that login
+  const reuseResponse = postRefresh(login.refresh_token, { name: 'token_refresh_reuse' });
+  const successorResponse = postRefresh(rotated.refresh_token, { name: 'token_refresh_revoked' });
+  const revokedAccessResponse = http.get(`${API_BASE_URL}/auth/profile`, {
+    headers: getAuthHeaders(rotated.access_token),
+    tags: { 
+      name: 'token_validation', 
+      api: 'auth',
+      validation_type: 'revoked_family'
+    }
+  });
+  
+  // Other logins of the same user are separate families and stay valid
+  const otherSessionResponse = http.get(`${API_BASE_URL}/auth/profile`, {
+    headers: getAuthHeaders(activeSession.token),
+    tags: { 
+      name: 'token_validation', 
+      api: 'auth',
+      validation_type: 'other_family'
+    }
+  });
+  
+  const revoked = check(reuseResponse, {
+    'reused refresh token returns 401': (r) => r.status === 401,
+  }) && check(successorResponse, {
+    'refresh token family revoked after reuse': (r) => r.status === 401,
+  }) && check(revokedAccessResponse, {
+    'access token revoked after reuse': (r) => r.status === 401,
+  });
+  
+  sessionRevocationRate.add(revoked);
+  
+  tokenValidationRate.add(check(otherSessionResponse, {
+    'other sessions unaffected by reuse': (r) => r.status === 200,
+  }));
+}
+
 function testSessionManagement(vuId, iterationId) {
   const activeSession = activeSessions.find(s => s.vuId === vuId);
   
@@ -397,6 +489,48 @@ function testSessionManagement(vuId, iterationId) {
   if (currentSessionDuration > 300000) { // 5 minutes
     console.log(`Long session detected for user ${activeSession.username}: ${currentSessionDuration}ms`);
   }
+  
+  // Test logout: revokes the refresh token and every access token of the session
+  const logoutResponse = http.post(
+    `${API_BASE_URL}/auth/logout`,
+    JSON.stringify({ refresh_token: activeSession.refreshToken }),
+    { 
+      headers: COMMON_HEADERS,
+      tags: { 
+        name: 'auth_logout', 
+        api: 'auth',
+        vu_id: vuId.toString()
+      }
+    }
+  );
+  
+  const logoutSuccess = check(logoutResponse, {
+    'logout status is 204': (r) => r.status === 204,
+  });
+  
+  if (logoutSuccess) {
+    const postLogoutProfile = http.get(`${API_BASE_URL}/auth/profile`, {
+      headers: getAuthHeaders(activeSession.token),
+      tags: { 
+        name: 'token_validation', 
+        api: 'auth',
+        validation_type: 'post_logout'
+      }
+    });
+    const postLogoutRefresh = postRefresh(activeSession.refreshToken, { name: 'token_refresh_revoked' });
+    
+    sessionRevocationRate.add(check(postLogoutProfile, {
+      'access token rejected after logout': (r) => r.status === 401,
+    }) && check(postLogoutRefresh, {
+      'refresh token rejected after logout': (r) => r.status === 401,
+    }));
+  } else {
+    authenticationErrors.add(1);
+  }
+  
+  // The session is over either way; later iterations use the next registration
+  activeSessions = activeSessions.filter(s => s !== activeSession);
+  sessionStartTimes.delete(activeSession.userId);
 }
 
 function testConcurrentAuthentication(vuId, iterationId) {
@@ -442,6 +576,10 @@ function testConcurrentAuthentication(vuId, iterationId) {
 }
 
 function testSecurityScenarios(vuId, iterationId) {
+  // Failed-login probes come from their own address so the per-IP lockout they
+  // trigger never blocks this VU's real logins (when the backend trusts X-Forwarded-For, see TRUST_PROXY)
+  const probeHeaders = { ...COMMON_HEADERS, ...clientAddressHeaders(100000 + vuId * 1000 + iterationId) };
+  
   // Test 1: SQL Injection attempt in login
   const sqlInjectionResponse = http.post(
     `${API_BASE_URL}/auth/login`,
@@ -450,7 +588,7 @@ function testSecurityScenarios(vuId, iterationId) {
       password: "password"
     }),
     { 
-      headers: COMMON_HEADERS,
+      headers: probeHeaders,
       tags: { 
         name: 'security_sql_injection', 
         api: 'auth'
@@ -459,7 +597,7 @@ function testSecurityScenarios(vuId, iterationId) {
   );
   
   check(sqlInjectionResponse, {
-    'SQL injection attempt blocked': (r) => r.status === 400 || r.status === 401,
+    'SQL injection attempt blocked': (r) => r.status === 400 || r.status === 401 || r.status === 429,
     'SQL injection no server error': (r) => r.status !== 500,
   });
   
@@ -481,7 +619,7 @@ function testSecurityScenarios(vuId, iterationId) {
   );
   
   check(xssResponse, {
-    'XSS attempt handled': (r) => r.status === 400 || r.status === 201,
+    'XSS attempt rejected with 400': (r) => r.status === 400,
     'XSS no script in response': (r) => !r.body.includes('<script>'),
   });
   
@@ -503,37 +641,45 @@ function testSecurityScenarios(vuId, iterationId) {
   );
   
   check(weakPasswordResponse, {
-    'weak password handling': (r) => r.status === 400 || r.status === 201,
+    'weak password rejected with 400': (r) => r.status === 400,
+    'weak password error names the field': (r) => {
+      try {
+        const body = JSON.parse(r.body);
+        return body.errors.some(e => e.field === 'password');
+      } catch (e) {
+        return false;
+      }
+    },
   });
   
-  // Test 4: Rate limiting on auth endpoints
-  const rateLimitResponses = [];
-  for (let i = 0; i < 5; i++) {
-    rateLimitResponses.push(
+  // Test 4: Account lockout after repeated failed logins (LOGIN_MAX_FAILURES, default 5)
+  const lockoutUsername = `bruteforce_${vuId}_${iterationId}`;
+  const lockoutResponses = [];
+  for (let i = 0; i < 6; i++) {
+    lockoutResponses.push(
       http.post(
         `${API_BASE_URL}/auth/login`,
         JSON.stringify({
-          username: "nonexistent",
+          username: lockoutUsername,
           password: "wrongpassword"
         }),
         { 
-          headers: COMMON_HEADERS,
+          headers: probeHeaders,
           tags: { 
-            name: 'security_rate_limit', 
+            name: 'security_lockout', 
             api: 'auth',
             attempt: i.toString()
           }
         }
       )
     );
-    
-    sleep(0.1);
   }
   
-  const rateLimitTriggered = rateLimitResponses.some(r => r.status === 429);
-  
-  check({ rateLimitTriggered }, {
-    'rate limiting active': () => rateLimitTriggered || rateLimitResponses.every(r => r.status === 401),
+  const lastAttempt = lockoutResponses[lockoutResponses.length - 1];
+  check(lockoutResponses, {
+    'failed logins before the limit return 401': (rs) => rs.slice(0, 5).every(r => r.status === 401),
+    'account locked after repeated failures': () => lastAttempt.status === 429,
+    'lockout response has Retry-After': () => parseInt(lastAttempt.headers['Retry-After']) > 0,
   });
 }
 
@@ -553,6 +699,8 @@ export function teardown(data) {
     const totalTestTime = Date.now() - data.startTime;
     console.log(`Total authentication test duration: ${totalTestTime}ms`);
   }
+  
+  cleanupTestRun(data);
 }
 
 export function handleSummary(data) {
@@ -562,14 +710,17 @@ export function handleSummary(data) {
   console.log(`- Authentication success rate: ${(metrics.authentication_success_rate?.values?.rate * 100) || 'N/A'}%`);
   console.log(`- Token validation rate: ${(metrics.token_validation_rate?.values?.rate * 100) || 'N/A'}%`);
   console.log(`- Token refresh success rate: ${(metrics.token_refresh_success_rate?.values?.rate * 100) || 'N/A'}%`);
+  console.log(`- Session revocation rate: ${(metrics.session_revocation_rate?.values?.rate * 100) || 'N/A'}%`);
   console.log(`- Average session duration: ${metrics.session_duration?.values?.avg || 'N/A'}ms`);
   console.log(`- Concurrent auth attempts: ${metrics.concurrent_auth_attempts?.values?.count || 0}`);
   console.log(`- Authentication errors: ${metrics.authentication_errors?.values?.count || 0}`);
+  logCleanupSummary(metrics);
   
   const authFlowAnalysis = {
     authenticationSuccessRate: metrics.authentication_success_rate?.values?.rate,
     tokenValidationRate: metrics.token_validation_rate?.values?.rate,
     tokenRefreshSuccessRate: metrics.token_refresh_success_rate?.values?.rate,
+    sessionRevocationRate: metrics.session_revocation_rate?.values?.rate,
     averageSessionDuration: metrics.session_duration?.values?.avg,
     concurrentAuthCapability: metrics.concurrent_auth_attempts?.values?.count,
     securityTestResults: extractSecurityResults(data),
@@ -577,11 +728,11 @@ export function handleSummary(data) {
     recommendations: generateAuthRecommendations(metrics),
   };
   
-  return {
+  return withRegressionReport({
     'stdout': '\n🔐 Authentication Flow Test Completed!\n',
     'auth-flow-results.json': JSON.stringify(data, null, 2),
     'auth-analysis.json': JSON.stringify(authFlowAnalysis, null, 2),
-  };
+  }, data);
 }
 
 function extractSecurityResults(data) {
@@ -0,0 +1,255 @@
+/**
+ * Brute-Force Protection Test
+ *
+ * Measures how accurately the login lockout holds under concurrent attackers:
+ * - Targeted attack: a burst of concurrent wrong-password guesses (one address each) against
+ *   a fresh account; exactly LOGIN_MAX_FAILURES must be answered 401, the rest 429 + Retry-After
+ * - The owner is locked out too, until an admin calls /auth/unlock
+ * - Password spray: one address guesses many usernames until the per-IP lockout engages;
+ *   other addresses keep working
+ * - Bystanders log in throughout and must never be locked out
+ *
+ * LOGIN_MAX_FAILURES and LOGIN_IP_MAX_FAILURES must match the backend's settings (defaults 5 and 200).
+ * Requests carry X-Forwarded-For to simulate distinct client addresses; the backend only uses it
+ * when it trusts the k6 host as a proxy (TRUST_PROXY=loopback, or the k6 host's address).
+ */
+
+import { check, sleep } from 'k6';
+import http from 'k6/http';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import { loadOptions } from '../../utils/config.js';
+import {
+    API_BASE_URL,
+    clientAddressHeaders,
+    COMMON_HEADERS,
+    generateRandomUser,
+    getRandomArrayItem
+} from '../../utils/helpers.js';
+import { api } from '../../utils/http-client.js';
+import { withRegressionReport } from '../../utils/regression.js';
+import { adminLogin, provisionUserPool } from '../../utils/session.js';
+import { logCleanupSummary } from '../../utils/summary.js';
+import { cleanupTestRun, startTestRun, useTestRun } from '../../utils/test-run.js';
+
+const MAX_FAILURES = parseInt(__ENV.LOGIN_MAX_FAILURES || '5');
+const IP_MAX_FAILURES = parseInt(__ENV.LOGIN_IP_MAX_FAILURES || '200');
+const ATTACKERS = parseInt(__ENV.ATTACKERS || '20');
+const SPRAY_BATCH_SIZE = 25;
+
+// Address ranges, so attackers, sprayers and bystanders never share a per-IP counter
+const ATTACKER_ADDRESSES = 1000000;
+const SPRAY_ADDRESSES = 2000000;
+const BYSTANDER_ADDRESSES = 3000000;
+
+export const lockoutAccuracy = new Rate('lockout_accuracy');
+export const lockoutAdmittedFailures = new Trend('lockout_admitted_failures');
+export const lockoutEnforced = new Rate('lockout_enforced');
+export const lockoutUnlockSuccess = new Rate('lockout_unlock_success');
+export const lockoutFalsePositives = new Rate('lockout_false_positive');
+export const ipLockoutAccuracy = new Rate('ip_lockout_accuracy');
+export const ipLockoutAdmittedFailures = new Trend('ip_lockout_admitted_failures');
+export const guessesRejected = new Counter('guesses_rejected');
+
+export const options = loadOptions({
+  scenarios: {
+    targeted_attack: {
+      executor: 'constant-vus',
+      vus: 5,
+      duration: '2m',
+      tags: { scenario: 'targeted_attack' },
+      exec: 'targetedAttack',
+    },
+    password_spray: {
+      executor: 'constant-vus',
+      vus: 1,
+      duration: '2m',
+      tags: { scenario: 'password_spray' },
+      exec: 'passwordSpray',
+    },
+    bystanders: {
+      executor: 'constant-arrival-rate',
+      rate: 2,
+      timeUnit: '1s',
+      duration: '2m',
+      preAllocatedVUs: 2,
+      maxVUs: 5,
+      tags: { scenario: 'bystanders' },
+      exec: 'bystanderLogin',
+    },
+  },
+  thresholds: {
+    'lockout_accuracy': ['rate>0.99'],
+    'lockout_enforced': ['rate>0.99'],
+    'lockout_unlock_success': ['rate>0.99'],
+    'lockout_false_positive': ['rate<0.01'],
+    'ip_lockout_accuracy': ['rate>0.99'],
+    'http_req_duration{scenario:bystanders}': ['p(95)<1000'],
+  },
+  tags: {
+    test_type: 'brute_force_test',
+  },
+});
+
+export function setup() {
+  console.log('🛡️ Starting Brute-Force Protection Test Setup...');
+  console.log(`Expecting lockout after ${MAX_FAILURES} failures per username, ${IP_MAX_FAILURES} per IP`);
+
+  return {
+    testRun: startTestRun('brute-force'),
+    adminToken: adminLogin(),
+    bystanders: provisionUserPool(5),
+  };
+}
+
+function loginRequest(username, password, addressId, name) {
+  return {
+    method: 'POST',
+    url: `${API_BASE_URL}/auth/login`,
+    body: JSON.stringify({ username, password }),
+    params: {
+      headers: { ...COMMON_HEADERS, ...clientAddressHeaders(addressId) },
+      tags: { name, api: 'auth' },
+      responseCallback: http.expectedStatuses(401, 429),
+    },
+  };
+}
+
+function hasRetryAfter(response) {
+  return parseInt(response.headers['Retry-After']) > 0;
+}
+
+function unlock(data, target) {
+  const response = api.post('auth/unlock', target, { token: data.adminToken });
+  const unlocked = check(response, {
+    'unlock status is 200': (r) => r.status === 200,
+  });
+  lockoutUnlockSuccess.add(unlocked);
+  return unlocked;
+}
+
+export function targetedAttack(data) {
+  useTestRun(data);
+  const victim = generateRandomUser();
+  victim.username = `bf_vu${__VU}_it${__ITER}_${victim.username}`;
+  victim.email = `bf_vu${__VU}_it${__ITER}_${victim.email}`;
+
+  const registration = api.post('auth/register', victim, { tags: { name: 'bruteforce_victim' } });
+  if (registration.status !== 201) {
+    console.warn(`Could not register victim ${victim.username}: ${registration.status}`);
+    sleep(1);
+    return;
+  }
+
+  // All guesses at once, each from its own address, so only the per-username limit applies
+  const firstAddress = ATTACKER_ADDRESSES + (__VU * 10000 + __ITER) * ATTACKERS;
+  const guesses = http.batch(
+    Array.from({ length: ATTACKERS }, (_, i) =>
+      loginRequest(victim.username, `wrong-${i}`, firstAddress + i, 'bruteforce_guess'))
+  );
+
+  const admitted = guesses.filter(r => r.status === 401).length;
+  const rejected = guesses.filter(r => r.status === 429);
+  lockoutAdmittedFailures.add(admitted);
+  guessesRejected.add(rejected.length);
+
+  lockoutAccuracy.add(check(guesses, {
+    'exactly the allowed failures were admitted': () => admitted === Math.min(MAX_FAILURES, ATTACKERS),
+    'every other guess was locked out': () => admitted + rejected.length === guesses.length,
+    'lockout responses carry Retry-After': () => rejected.every(hasRetryAfter),
+  }));
+
+  // The right password does not get through a lockout either
+  const ownerLogin = api.post('auth/login', { username: victim.username, password: victim.password }, {
+    headers: clientAddressHeaders(firstAddress - 1),
+    tags: { name: 'bruteforce_owner_login' },
+    expect: [429],
+  });
+  lockoutEnforced.add(check(ownerLogin, {
+    'owner is locked out': (r) => r.status === 429,
+    'owner lockout carries Retry-After': (r) => hasRetryAfter(r),
+  }));
+
+  if (unlock(data, { username: victim.username })) {
+    const afterUnlock = api.post('auth/login', { username: victim.username, password: victim.password }, {
+      headers: clientAddressHeaders(firstAddress - 1),
+      tags: { name: 'bruteforce_owner_login' },
+    });
+    lockoutUnlockSuccess.add(check(afterUnlock, {
+      'owner can log in after unlock': (r) => r.status === 200,
+    }));
+  }
+
+  sleep(1);
+}
+
+export function passwordSpray(data) {
+  const address = SPRAY_ADDRESSES + __ITER;
+  let admitted = 0;
+  let locked = false;
+
+  // One guess per username, so only the per-IP limit applies
+  for (let sent = 0; !locked && sent < IP_MAX_FAILURES + SPRAY_BATCH_SIZE; sent += SPRAY_BATCH_SIZE) {
+    const responses = http.batch(
+      Array.from({ length: SPRAY_BATCH_SIZE }, (_, i) =>
+        loginRequest(`spray_${__ITER}_${sent + i}`, 'Password1!', address, 'bruteforce_spray'))
+    );
+    admitted += responses.filter(r => r.status === 401).length;
+    locked = responses.some(r => r.status === 429);
+    guessesRejected.add(responses.filter(r => r.status === 429).length);
+  }
+
+  ipLockoutAdmittedFailures.add(admitted);
+
+  // IP counters are not serialized, so a batch in flight may overshoot the limit a little
+  const bystander = getRandomArrayItem(data.bystanders);
+  const fromLockedAddress = api.post('auth/login', { username: bystander.username, password: bystander.password }, {
+    headers: clientAddressHeaders(address),
+    tags: { name: 'bruteforce_spray_login' },
+    expect: [429],
+  });
+
+  ipLockoutAccuracy.add(check({ admitted, locked }, {
+    'spraying address was locked out': () => locked,
+    'lockout engaged at the IP limit': () => admitted >= IP_MAX_FAILURES && admitted < IP_MAX_FAILURES + SPRAY_BATCH_SIZE,
+  }) && check(fromLockedAddress, {
+    'valid login from a locked address is refused': (r) => r.status === 429 && hasRetryAfter(r),
+  }));
+
+  unlock(data, { ip: clientAddressHeaders(address)['X-Forwarded-For'] });
+  sleep(2);
+}
+
+export function bystanderLogin(data) {
+  const bystander = data.bystanders[__ITER % data.bystanders.length];
+  const response = api.post('auth/login', { username: bystander.username, password: bystander.password }, {
+    headers: clientAddressHeaders(BYSTANDER_ADDRESSES + __VU),
+    tags: { name: 'bruteforce_bystander_login' },
+  });
+
+  lockoutFalsePositives.add(response.status === 429);
+  check(response, {
+    'bystander login succeeds': (r) => r.status === 200,
+  });
+}
+
+export function teardown(data) {
+  cleanupTestRun(data);
+}
+
+export function handleSummary(data) {
+  const metrics = data.metrics;
+
+  console.log('📊 Brute-Force Protection Test Summary:');
+  console.log(`- Lockout accuracy: ${(metrics.lockout_accuracy?.values?.rate * 100) || 'N/A'}%`);
+  console.log(`- Failures admitted per attack: avg ${metrics.lockout_admitted_failures?.values?.avg || 'N/A'}, max ${metrics.lockout_admitted_failures?.values?.max || 'N/A'} (limit ${MAX_FAILURES})`);
+  console.log(`- Lockout enforced for owners: ${(metrics.lockout_enforced?.values?.rate * 100) || 'N/A'}%`);
+  console.log(`- IP lockout accuracy: ${(metrics.ip_lockout_accuracy?.values?.rate * 100) || 'N/A'}%`);
+  console.log(`- Bystander false lockouts: ${(metrics.lockout_false_positive?.values?.rate * 100) || 0}%`);
+  console.log(`- Guesses rejected: ${metrics.guesses_rejected?.values?.count || 0}`);
+  logCleanupSummary(metrics);
+
+  return withRegressionReport({
+    'stdout': '\n🛡️ Brute-Force Protection Test Completed!\n',
+    'brute-force-results.json': JSON.stringify(data, null, 2),
+  }, data);
+}
@@ -10,16 +10,17 @@
  */
 
 import { check, sleep } from 'k6';
-import http from 'k6/http';
 import { Counter, Rate, Trend } from 'k6/metrics';
+import { loadOptions } from '../../utils/config.js';
 import {
-    API_BASE_URL,
-    COMMON_HEADERS,
-    generateRandomUser,
     PERFORMANCE_THRESHOLDS,
     randomSleep,
     thinkTime
 } from '../../utils/helpers.js';
+import { api, checks } from '../../utils/http-client.js';
+import { withRegressionReport } from '../../utils/regression.js';
+import { getSession, provisionUserPool, sessionApi } from '../../utils/session.js';
+import { cleanupTestRun, startTestRun } from '../../utils/test-run.js';
 
 // Custom metrics
 export const authSuccessRate = new Rate('auth_success_rate');
@@ -27,8 +28,8 @@ export const healthCheckDuration = new Trend('health_check_duration');
 export const apiErrorRate = new Rate('api_error_rate');
 export const businessTransactionCounter = new Counter('business_transactions');
 
-// Test configuration
-export const options = {
+// Test configuration (merged with the ENV profile from config/*.json)
+export const options = loadOptions({
   stages: [
     { duration: '2m', target: 10 },  // Ramp-up to 10 users over 2 minutes
     { duration: '5m', target: 10 },  // Stay at 10 users for 5 minutes
@@ -36,29 +37,22 @@ export const options = {
     { duration: '5m', target: 20 },  // Stay at 20 users for 5 minutes
     { duration: '2m', target: 0 },   // Ramp-down to 0 users over 2 minutes
   ],
+  thresholds: PERFORMANCE_THRESHOLDS,
+  tags: {
+    test_type: 'load_test',
+  },
+}, {
   thresholds: {
-    ...PERFORMANCE_THRESHOLDS,
     'health_check_duration': ['p(95)<500'], // Health checks should be very fast
     'business_transactions': ['count>100'], // Should complete at least 100 business transactions
   },
-  tags: {
-    test_type: 'load_test',
-    environment: __ENV.ENV || 'dev',
-  },
-};
-
-// Test data
-let authToken = '';
-const testUsers = [];
+});
 
 export function setup() {
   console.log('🚀 Starting Load Test Setup...');
   
   // Test API availability
-  const healthResponse = http.get(`${API_BASE_URL}/health`, {
-    headers: COMMON_HEADERS,
-    tags: { name: 'health_check' }
-  });
+  const healthResponse = api.get('health');
   
   console.log(`Health check status: ${healthResponse.status}`);
   
@@ -66,154 +60,73 @@ export function setup() {
     throw new Error('API is not available - health check failed');
   }
 
-  // Create test users for the test
-  for (let i = 0; i < 5; i++) {
-    const userData = generateRandomUser();
-    const registerResponse = http.post(
-      `${API_BASE_URL}/auth/register`,
-      JSON.stringify(userData),
-      { 
-        headers: COMMON_HEADERS,
-        tags: { name: 'register_user' }
-      }
-    );
-    
-    if (registerResponse.status === 201) {
-      const body = JSON.parse(registerResponse.body);
-      testUsers.push({
-        ...userData,
-        token: body.access_token,
-        userId: body.user.id
-      });
-    }
-  }
+  // Pre-provision the users VUs authenticate as
+  const testRun = startTestRun('basic-load');
+  const users = provisionUserPool(5);
   
-  console.log(`✅ Setup completed. Created ${testUsers.length} test users.`);
-  return { testUsers };
+  console.log(`✅ Setup completed. Created ${users.length} test users.`);
+  return { testRun, users };
 }
 
 export default function (data) {
   const startTime = Date.now();
   
   // Step 1: Health Check (simulates monitoring/load balancer checks)
-  const healthStartTime = Date.now();
-  const healthResponse = http.get(`${API_BASE_URL}/health`, {
-    headers: COMMON_HEADERS,
-    tags: { name: 'health_check', api: 'health' }
-  });
-  
-  const healthCheckTime = Date.now() - healthStartTime;
-  healthCheckDuration.add(healthCheckTime);
+  const healthResponse = api.get('health');
+  healthCheckDuration.add(healthResponse.timings.duration);
   
   check(healthResponse, {
-    'health check status is 200': (r) => r.status === 200,
-    'health check response time < 500ms': (r) => r.timings.duration < 500,
-    'health check has status field': (r) => {
-      const body = JSON.parse(r.body);
-      return body.status === 'ok';
-    }
+    'health check status is 200': checks.status(200),
+    'health check response time < 500ms': checks.fasterThan(500),
+    'health check has status field': checks.equals('status', 'ok'),
   });
   
   // Simulate user think time
   sleep(randomSleep(0.5, 1.5));
   
-  // Step 2: User Authentication (random user from setup)
-  if (data.testUsers && data.testUsers.length > 0) {
-    const randomUser = data.testUsers[Math.floor(Math.random() * data.testUsers.length)];
-    
-    const loginResponse = http.post(
-      `${API_BASE_URL}/auth/login`,
-      JSON.stringify({
-        username: randomUser.username,
-        password: randomUser.password
-      }),
-      { 
-        headers: COMMON_HEADERS,
-        tags: { name: 'user_login', api: 'auth' }
-      }
-    );
-    
-    const authSuccess = check(loginResponse, {
-      'login status is 200': (r) => r.status === 200,
-      'login response time < 1000ms': (r) => r.timings.duration < 1000,
-      'login response has token': (r) => {
-        try {
-          const body = JSON.parse(r.body);
-          return body.access_token !== undefined;
-        } catch (e) {
-          return false;
-        }
-      }
-    });
-    
-    authSuccessRate.add(authSuccess);
-    
-    if (loginResponse.status === 200) {
-      const body = JSON.parse(loginResponse.body);
-      authToken = body.access_token;
-    }
-  }
+  // Step 2: User Authentication (VU's pooled user, logged in once and refreshed as needed)
+  const session = getSession(data.users);
+  authSuccessRate.add(Boolean(session.token));
   
   // Simulate user think time after login
   sleep(thinkTime());
   
   // Step 3: Browse Products (simulates typical user behavior)
-  const productsResponse = http.get(`${API_BASE_URL}/products?page=1&limit=10`, {
-    headers: COMMON_HEADERS,
-    tags: { name: 'browse_products', api: 'products' }
-  });
+  const productsResponse = api.get('products', { query: { page: 1, limit: 10 } });
   
   check(productsResponse, {
-    'products list status is 200': (r) => r.status === 200,
-    'products response time < 2000ms': (r) => r.timings.duration < 2000,
-    'products response has data': (r) => {
-      try {
-        const body = JSON.parse(r.body);
-        return body.products && Array.isArray(body.products);
-      } catch (e) {
-        return false;
-      }
-    }
+    'products list status is 200': checks.status(200),
+    'products response time < 2000ms': checks.fasterThan(2000),
+    'products response has data': checks.isArray('products'),
   });
   
   // Random product interaction
-  if (productsResponse.status === 200) {
-    const body = JSON.parse(productsResponse.body);
-    if (body.products && body.products.length > 0) {
+  if (productsResponse.status === 200 && productsResponse.data) {
+    const products = productsResponse.data.products || [];
+    if (products.length > 0) {
       // Get details of a random product
-      const randomProduct = body.products[Math.floor(Math.random() * body.products.length)];
+      const randomProduct = products[Math.floor(Math.random() * products.length)];
       
       sleep(randomSleep(1, 2));
       
-      const productDetailResponse = http.get(`${API_BASE_URL}/products/${randomProduct.id}`, {
-        headers: COMMON_HEADERS,
-        tags: { name: 'product_detail', api: 'products' }
-      });
+      const productDetailResponse = api.get('products/{id}', { params: { id: randomProduct.id } });
       
       check(productDetailResponse, {
-        'product detail status is 200': (r) => r.status === 200,
-        'product detail response time < 1500ms': (r) => r.timings.duration < 1500,
+        'product detail status is 200': checks.status(200),
+        'product detail response time < 1500ms': checks.fasterThan(1500),
       });
     }
   }
   
-  // Step 4: User Profile Access (if authenticated)
-  if (authToken) {
-    sleep(randomSleep(0.5, 1));
-    
-    const profileResponse = http.get(`${API_BASE_URL}/auth/profile`, {
-      headers: {
-        ...COMMON_HEADERS,
-        'Authorization': `Bearer ${authToken}`
-      },
-      tags: { name: 'user_profile', api: 'auth' }
-    });
-    
-    check(profileResponse, {
-      'profile status is 200': (r) => r.status === 200,
-      'profile response time < 1000ms': (r) => r.timings.duration < 1000,
-    });
-  }
+  // Step 4: User Profile Access (re-logs in transparently on 401)
+  sleep(randomSleep(0.5, 1));
+  
+  const profileResponse = sessionApi(data.users).get('auth/profile');
+  
+  check(profileResponse, {
+    'profile status is 200': checks.status(200),
+    'profile response time < 1000ms': checks.fasterThan(1000),
+  });
   
   // Step 5: Search functionality
   const searchQueries = ['laptop', 'smartphone', 'widget', 'gadget', 'device'];
@@ -221,14 +134,11 @@ export default function (data) {
   
   sleep(randomSleep(1, 2));
   
-  const searchResponse = http.get(`${API_BASE_URL}/products?search=${randomQuery}&page=1&limit=5`, {
-    headers: COMMON_HEADERS,
-    tags: { name: 'search_products', api: 'products' }
-  });
+  const searchResponse = api.get('products', { query: { search: randomQuery, page: 1, limit: 5 } });
   
   check(searchResponse, {
-    'search status is 200': (r) => r.status === 200,
-    'search response time < 2000ms': (r) => r.timings.duration < 2000,
+    'search status is 200': checks.status(200),
+    'search response time < 2000ms': checks.fasterThan(2000),
   });
   
   // Step 6: Category browsing
@@ -237,14 +147,11 @@ export default function (data) {
   
   sleep(randomSleep(0.5, 1.5));
   
-  const categoryResponse = http.get(`${API_BASE_URL}/products?category=${randomCategory}&page=1&limit=10`, {
-    headers: COMMON_HEADERS,
-    tags: { name: 'browse_category', api: 'products' }
-  });
+  const categoryResponse = api.get('products', { query: { category: randomCategory, page: 1, limit: 10 } });
   
   check(categoryResponse, {
-    'category browse status is 200': (r) => r.status === 200,
-    'category response time < 2000ms': (r) => r.timings.duration < 2000,
+    'category browse status is 200': checks.status(200),
+    'category response time < 2000ms': checks.fasterThan(2000),
   });
   
   // Calculate business transaction time
@@ -262,7 +169,8 @@ export default function (data) {
 
 export function teardown(data) {
   console.log('🧹 Load Test Teardown...');
-  console.log(`Test completed with ${data.testUsers ? data.testUsers.length : 0} test users`);
+  console.log(`Test completed with ${data.users ? data.users.length : 0} test users`);
+  cleanupTestRun(data);
 }
 
 export function handleSummary(data) {
@@ -272,8 +180,8 @@ export function handleSummary(data) {
   console.log(`- Average response time: ${data.metrics.http_req_duration.values.avg}ms`);
   console.log(`- 95th percentile: ${data.metrics.http_req_duration.values['p(95)']}ms`);
   
-  return {
+  return withRegressionReport({
     'stdout': '\n✅ Load Test Completed Successfully!\n',
     'load-test-results.json': JSON.stringify(data, null, 2),
-  };
+  }, data);
 }
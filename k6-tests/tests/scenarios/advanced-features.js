@@ -10,6 +10,10 @@
  * - Real-time data processing
  * - Custom metrics and checks
  * - Environment-specific configuration
+ * - Chaos experiments (ENABLE_CHAOS=true): a steady user journey while the backend's fault
+ *   injector runs the schedule of config/faults/chaos-schedule.json (or FAULT_PLAN), measuring
+ *   blast radius, retries and recovery time per fault window (see utils/chaos.js); CHAOS_RATE
+ *   sets the journeys started per second (default 5)
  */
 
 import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
@@ -17,6 +21,16 @@ import { htmlReport } from 'https://raw.githubusercontent.com/benc-uk/k6-reporte
 import { check, group, sleep } from 'k6';
 import http from 'k6/http';
 import { Gauge, Rate, Trend } from 'k6/metrics';
+import {
+    chaosDurationSeconds,
+    chaosReport,
+    chaosRequest,
+    chaosThresholds,
+    chaosWindows,
+    startChaos
+} from '../../utils/chaos.js';
+import { loadOptions } from '../../utils/config.js';
+import { clearFaults, loadFaultPlan } from '../../utils/faults.js';
 import {
     API_BASE_URL,
     COMMON_HEADERS,
@@ -24,6 +38,10 @@ import {
     getAuthHeaders,
     randomSleep
 } from '../../utils/helpers.js';
+import { withRegressionReport } from '../../utils/regression.js';
+import { adminLogin, provisionUserPool } from '../../utils/session.js';
+import { logCleanupSummary } from '../../utils/summary.js';
+import { cleanupTestRun, startTestRun, useTestRun } from '../../utils/test-run.js';
 
 // Advanced custom metrics
 export const customBusinessMetric = new Trend('business_process_duration');
@@ -42,7 +60,11 @@ const FEATURES = {
   enableRealTime: __ENV.ENABLE_REALTIME === 'true',
 };
 
-export const options = {
+const CHAOS_PLAN = FEATURES.enableChaos ? loadFaultPlan(__ENV.FAULT_PLAN || 'chaos-schedule') : null;
+const CHAOS_WINDOWS = CHAOS_PLAN ? chaosWindows(CHAOS_PLAN) : [];
+const CHAOS_RATE = parseInt(__ENV.CHAOS_RATE || '5');
+
+export const options = loadOptions({
   scenarios: {
     // Traditional HTTP API testing
     api_performance: {
@@ -83,6 +105,20 @@ export const options = {
       tags: { scenario: 'data_validation' },
       exec: 'dataValidationTest',
     },
+    
+    // Chaos experiment (if enabled): a constant arrival rate, so slow faults do not thin out the load
+    ...(CHAOS_PLAN ? {
+      chaos_experiment: {
+        executor: 'constant-arrival-rate',
+        rate: CHAOS_RATE,
+        timeUnit: '1s',
+        duration: `${chaosDurationSeconds(CHAOS_WINDOWS)}s`,
+        preAllocatedVUs: CHAOS_RATE * 2,
+        maxVUs: CHAOS_RATE * 10,
+        tags: { scenario: 'chaos_experiment' },
+        exec: 'chaosExperimentTest',
+      },
+    } : {}),
   },
   
   thresholds: {
@@ -93,11 +129,11 @@ export const options = {
     'data_integrity_rate': ['rate>0.99'],
     'performance_score': ['avg>80'],
     'service_availability': ['rate>0.999'],
+    ...(CHAOS_PLAN ? chaosThresholds(CHAOS_WINDOWS) : {}),
   },
   
   tags: {
     test_type: 'advanced_features',
-    environment: __ENV.ENV || 'dev',
     version: __ENV.APP_VERSION || 'unknown',
   },
   
@@ -109,7 +145,7 @@ export const options = {
       'amazon:ap:singapore': { loadZone: 'amazon:ap:singapore', percent: 25 },
     },
   },
-};
+});
 
 export function setup() {
   console.log('🚀 Starting Advanced K6 Features Test Setup...');
@@ -118,6 +154,8 @@ export function setup() {
   // Initialize test data
   const testData = {
     authToken: '',
+    adminToken: '',
+    testRun: startTestRun('advanced-features'),
     baselineMetrics: {},
     testStartTime: Date.now(),
   };
@@ -135,6 +173,9 @@ export function setup() {
     testData.authToken = body.access_token;
   }
   
+  // Data validation creates products, which needs the admin role
+  testData.adminToken = adminLogin();
+  
   // Collect baseline metrics
   const healthResponse = http.get(`${API_BASE_URL}/health`);
   if (healthResponse.status === 200) {
@@ -144,6 +185,12 @@ export function setup() {
     };
   }
   
+  if (CHAOS_PLAN) {
+    testData.users = provisionUserPool();
+    // Last, so the fault schedule starts with the load
+    testData.chaos = startChaos(CHAOS_PLAN, testData.adminToken);
+  }
+  
   console.log('✅ Advanced features test setup complete');
   return testData;
 }
@@ -233,6 +280,7 @@ export function apiPerformanceTest(data) {
 
 // Browser automation test (placeholder - requires k6/browser)
 export function browserAutomationTest(data) {
+  useTestRun(data);
   if (!FEATURES.enableBrowserTests) {
     console.log('Browser tests disabled');
     return;
@@ -271,7 +319,7 @@ export function browserAutomationTest(data) {
     );
     
     check(formResponse, {
-      'Form submission successful': (r) => r.status === 201 || r.status === 400,
+      'Form submission successful': (r) => r.status === 201 || r.status === 400 || r.status === 409,
     });
     
     sleep(randomSleep(3, 7)); // Simulate user behavior
@@ -315,9 +363,42 @@ export function systemMonitoringTest(data) {
   });
 }
 
+// Chaos experiment: the same journey over and over while the fault schedule runs
+export function chaosExperimentTest(data) {
+  const user = data.users[Math.floor(Math.random() * data.users.length)];
+  
+  group('Chaos Experiment', function() {
+    const loginResponse = chaosRequest(data.chaos, 'POST', 'auth/login', {}, {
+      username: user.username,
+      password: user.password,
+    });
+    check(loginResponse, {
+      'Chaos login succeeded': (r) => r.status === 200,
+    });
+    
+    const listResponse = chaosRequest(data.chaos, 'GET', 'products', { query: { limit: 20 } });
+    check(listResponse, {
+      'Chaos product list loaded': (r) => r.status === 200,
+    });
+    
+    const products = listResponse.data && Array.isArray(listResponse.data.products) ? listResponse.data.products : [];
+    if (products.length > 0) {
+      const product = products[Math.floor(Math.random() * products.length)];
+      chaosRequest(data.chaos, 'GET', 'products/{id}', { params: { id: product.id } });
+    }
+    
+    if (loginResponse.data && loginResponse.data.access_token) {
+      chaosRequest(data.chaos, 'GET', 'auth/profile', { token: loginResponse.data.access_token });
+    }
+    
+    chaosRequest(data.chaos, 'GET', 'health');
+  });
+}
+
 // Data validation test
 export function dataValidationTest(data) {
-  const authHeaders = getAuthHeaders(data.authToken);
+  useTestRun(data);
+  const authHeaders = getAuthHeaders(data.adminToken);
   
   group('Data Validation', function() {
     // Test data consistency across operations
@@ -328,6 +409,7 @@ export function dataValidationTest(data) {
       description: 'Advanced K6 test product',
       price: 99.99,
       category: 'test',
+      stock: 10,
     };
     
     const createResponse = http.post(
@@ -376,7 +458,7 @@ export function dataValidationTest(data) {
       dataIntegrityRate.add(dataIntegrity);
       
       // Update operation
-      const updateData = { price: productData.price * 1.1 };
+      const updateData = { price: Math.round(productData.price * 110) / 100 };
       const updateResponse = http.patch(
         `${API_BASE_URL}/products/${createdProductId}`,
         JSON.stringify(updateData),
@@ -496,12 +578,18 @@ function validateDataStructure(response) {
 export function teardown(data) {
   console.log('🧹 Advanced Features Test Teardown...');
   
-  // Cleanup test data if needed
-  if (data.authToken) {
-    console.log('Cleaning up test data...');
-    // Could perform cleanup operations here
+  if (data.chaos) {
+    try {
+      clearFaults(data.adminToken);
+    } catch (e) {
+      // Still remove the test data before the error fails the run
+      cleanupTestRun(data);
+      throw e;
+    }
   }
   
+  cleanupTestRun(data);
+  
   const testDuration = Date.now() - data.testStartTime;
   console.log(`Total test duration: ${testDuration}ms`);
 }
@@ -515,6 +603,18 @@ export function handleSummary(data) {
   console.log(`- Data Integrity Rate: ${(metrics.data_integrity_rate?.values?.rate * 100) || 'N/A'}%`);
   console.log(`- Service Availability: ${(metrics.service_availability?.values?.rate * 100) || 'N/A'}%`);
   console.log(`- Average Business Process Time: ${metrics.business_process_duration?.values?.avg || 'N/A'}ms`);
+  logCleanupSummary(metrics);
+  
+  const chaos = CHAOS_PLAN ? chaosReport(metrics, CHAOS_WINDOWS) : null;
+  if (chaos) {
+    console.log(`- Chaos baseline degraded: ${formatRate(chaos.baselineDegradedRate)} (SLO ${chaos.sloMs}ms)`);
+    for (const window of chaos.windows) {
+      console.log(`- Chaos ${window.name} (${window.startSeconds}s-${window.endSeconds}s): ${window.faultsInjected} faults, `
+        + `target degraded ${formatRate(window.targetDegradedRate)}, blast radius ${formatRate(window.blastRadius)}, `
+        + `${window.retries} retries (${formatRate(window.retrySuccessRate)} recovered), `
+        + `recovery p95 ${window.recoveryP95 !== undefined ? `${Math.round(window.recoveryP95)}ms` : 'N/A'}`);
+    }
+  }
   
   const advancedAnalysis = {
     systemMetrics: {
@@ -531,17 +631,22 @@ export function handleSummary(data) {
       enabled: FEATURES,
       testResults: analyzeFeatureResults(data),
     },
+    chaos: chaos ? { plan: CHAOS_PLAN.name, ...chaos } : null,
     recommendations: generateAdvancedRecommendations(metrics),
   };
   
   // Multiple output formats
-  return {
+  return withRegressionReport({
     'stdout': textSummary(data, { indent: ' ', enableColors: true }),
     'summary.html': htmlReport(data),
     'advanced-results.json': JSON.stringify(data, null, 2),
     'advanced-analysis.json': JSON.stringify(advancedAnalysis, null, 2),
     'metrics-export.csv': generateMetricsCSV(data),
-  };
+  }, data);
+}
+
+function formatRate(rate) {
+  return rate !== undefined ? `${(rate * 100).toFixed(1)}%` : 'N/A';
 }
 
 function analyzeFeatureResults(data) {
@@ -550,6 +655,7 @@ function analyzeFeatureResults(data) {
     browserAutomation: FEATURES.enableBrowserTests ? 'Browser automation tested' : 'Browser automation skipped',
     systemMonitoring: 'Real-time system monitoring active',
     dataValidation: 'Data integrity validation performed',
+    chaos: CHAOS_PLAN ? `Fault schedule ${CHAOS_PLAN.name} run under steady load` : 'Chaos experiment skipped',
     customMetrics: 'Advanced custom metrics collected',
   };
 }
@@ -2,7 +2,11 @@
  * File Upload Performance Test
  * 
  * This test demonstrates K6's file upload testing capabilities:
- * - Single and multiple file uploads
+ * - Single and multiple file uploads (POST /upload/file, /upload/files)
+ * - Resumable chunked uploads: init, chunks by offset, resume after a 409, complete
+ * - SHA-256 checksums echoed by the backend, compared with k6/crypto
+ * - Upload validation: disallowed types (415), spoofed content (422), path-traversal filenames
+ * - Downloads of stored files (GET /upload/{id}): throughput, ETag revalidation, byte ranges
  * - Different file sizes and types
  * - Upload performance metrics
  * - Error handling for large files
@@ -10,8 +14,10 @@
  */
 
 import { check, group, sleep } from 'k6';
+import crypto from 'k6/crypto';
 import http from 'k6/http';
 import { Counter, Rate, Trend } from 'k6/metrics';
+import { loadOptions } from '../../utils/config.js';
 import {
     API_BASE_URL,
     COMMON_HEADERS,
@@ -19,6 +25,10 @@ import {
     getAuthHeaders,
     randomSleep
 } from '../../utils/helpers.js';
+import { api } from '../../utils/http-client.js';
+import { withRegressionReport } from '../../utils/regression.js';
+import { logCleanupSummary } from '../../utils/summary.js';
+import { cleanupTestRun, startTestRun, useTestRun } from '../../utils/test-run.js';
 
 // Upload-specific metrics
 export const uploadSuccessRate = new Rate('upload_success_rate');
@@ -26,8 +36,18 @@ export const uploadErrors = new Counter('upload_errors');
 export const uploadSize = new Trend('upload_size_bytes');
 export const uploadThroughput = new Trend('upload_throughput_mbps');
 export const largeFileUploadTime = new Trend('large_file_upload_time');
+export const resumableUploadTime = new Trend('resumable_upload_time');
+export const uploadValidationAccuracy = new Rate('upload_validation_accuracy');
+export const downloadThroughput = new Trend('download_throughput_mbps');
+export const downloadRangeAccuracy = new Rate('download_range_accuracy');
 
-export const options = {
+// Resumable uploads send the large CSV in chunks of this size
+const RESUMABLE_CHUNK_BYTES = 256 * 1024;
+
+// Length of the byte range read from a random offset of a downloaded file
+const DOWNLOAD_RANGE_BYTES = 4096;
+
+export const options = loadOptions({
   stages: [
     { duration: '1m', target: 5 },  // Ramp up
     { duration: '3m', target: 5 },  // Stay at 5 users
@@ -42,14 +62,18 @@ export const options = {
     'http_req_duration{name:small_file_upload}': ['p(95)<2000'],
     'http_req_duration{name:medium_file_upload}': ['p(95)<5000'],
     'http_req_duration{name:large_file_upload}': ['p(95)<15000'],
+    'http_req_duration{name:upload/sessions/{id}}': ['p(95)<3000'],
     'upload_throughput_mbps': ['avg>1'], // At least 1 Mbps average
+    'upload_validation_accuracy': ['rate>0.99'], // Bad files rejected, unsafe names sanitized
+    'http_req_duration{name:upload/{id}}': ['p(95)<3000'],
+    'download_throughput_mbps': ['avg>1'],
+    'download_range_accuracy': ['rate>0.99'], // Every range answered with exactly its bytes
   },
   
   tags: {
     test_type: 'file_upload',
-    environment: __ENV.ENV || 'dev',
   },
-};
+});
 
 // Test file data
 const testFiles = {
@@ -95,10 +119,36 @@ const testFiles = {
   }
 };
 
+// A DOS header whose e_lfanew (offset 0x3c) points at the "PE\0\0" signature right after it
+const PE_HEADER = 'MZ' + '\x00'.repeat(0x3a) + '\x40\x00\x00\x00' + 'PE\x00\x00';
+
+// Allowed names and types whose content is something else
+const spoofedFiles = [
+  { label: 'executable', name: 'invoice.pdf', type: 'application/pdf', content: `${PE_HEADER} This program cannot be run in DOS mode`, code: 'EXECUTABLE_CONTENT' },
+  { label: 'image', name: 'photo.png', type: 'image/png', content: 'not really a PNG image', code: 'CONTENT_MISMATCH' },
+  { label: 'text', name: 'notes.txt', type: 'text/plain', content: '%PDF-1.7 pretending to be text', code: 'CONTENT_MISMATCH' },
+];
+
+// Each must be stored as plain "passwd.txt"
+const traversalFilenames = [
+  '../../etc/passwd.txt',
+  '..\\..\\windows\\passwd.txt',
+];
+
+// `code` field of a structured upload error, if any
+function errorCode(response) {
+  try {
+    return JSON.parse(response.body).code;
+  } catch (e) {
+    return undefined;
+  }
+}
+
 export function setup() {
   console.log('📁 Starting File Upload Test Setup...');
   
   // Register a test user for authenticated uploads
+  const testRun = startTestRun('file-upload');
   const userData = generateRandomUser();
   const registerResponse = http.post(
     `${API_BASE_URL}/auth/register`,
@@ -106,17 +156,18 @@ export function setup() {
     { headers: COMMON_HEADERS }
   );
   
-  let authToken = '';
-  if (registerResponse.status === 201) {
-    const body = JSON.parse(registerResponse.body);
-    authToken = body.access_token;
+  // Every upload route requires a login
+  if (registerResponse.status !== 201) {
+    throw new Error(`Could not register the upload user: ${registerResponse.status}`);
   }
+  const authToken = JSON.parse(registerResponse.body).access_token;
   
   console.log('✅ File upload test setup complete');
-  return { authToken };
+  return { testRun, authToken };
 }
 
 export default function(data) {
+  useTestRun(data);
   const authHeaders = getAuthHeaders(data.authToken);
   
   group('File Upload Test Suite', function() {
@@ -129,7 +180,7 @@ export default function(data) {
       
       const startTime = Date.now();
       const response = http.post(
-        `${API_BASE_URL}/upload/single`,
+        `${API_BASE_URL}/upload/file`,
         formData,
         { 
           headers: authHeaders,
@@ -148,6 +199,13 @@ export default function(data) {
             return false;
           }
         },
+        'Small file checksum echoed': (r) => {
+          try {
+            return JSON.parse(r.body).sha256 === crypto.sha256(testFiles.small.content, 'hex');
+          } catch (e) {
+            return false;
+          }
+        },
         'Small file upload under 2s': (r) => r.timings.duration < 2000,
       });
       
@@ -172,7 +230,7 @@ export default function(data) {
       
       const startTime = Date.now();
       const response = http.post(
-        `${API_BASE_URL}/upload/single`,
+        `${API_BASE_URL}/upload/file`,
         formData,
         { 
           headers: authHeaders,
@@ -191,6 +249,13 @@ export default function(data) {
             return false;
           }
         },
+        'Medium file checksum echoed': (r) => {
+          try {
+            return JSON.parse(r.body).sha256 === crypto.sha256(testFiles.medium.content, 'hex');
+          } catch (e) {
+            return false;
+          }
+        },
         'Medium file upload under 5s': (r) => r.timings.duration < 5000,
       });
       
@@ -216,7 +281,7 @@ export default function(data) {
         
         const startTime = Date.now();
         const response = http.post(
-          `${API_BASE_URL}/upload/single`,
+          `${API_BASE_URL}/upload/file`,
           formData,
           { 
             headers: authHeaders,
@@ -250,7 +315,26 @@ export default function(data) {
     
     sleep(randomSleep(0.5, 1));
     
-    // Test 4: Multiple file upload
+    // Test 4: Resumable chunked upload of the large file
+    let stored = null;
+    group('Resumable Chunked Upload', function() {
+      stored = uploadResumable(data.authToken, testFiles.large);
+      uploadSuccessRate.add(Boolean(stored));
+      if (!stored) {
+        uploadErrors.add(1);
+      }
+    });
+    
+    // Test 5: Download the stored file, whole and in byte ranges
+    if (stored) {
+      group('File Download', function() {
+        downloadFile(data.authToken, stored, testFiles.large.content);
+      });
+    }
+    
+    sleep(randomSleep(0.5, 1));
+    
+    // Test 6: Multiple file upload
     group('Multiple File Upload', function() {
       const formData = {
         files: [
@@ -262,7 +346,7 @@ export default function(data) {
       
       const startTime = Date.now();
       const response = http.post(
-        `${API_BASE_URL}/upload/multiple`,
+        `${API_BASE_URL}/upload/files`,
         formData,
         { 
           headers: authHeaders,
@@ -297,7 +381,7 @@ export default function(data) {
     
     sleep(randomSleep(1, 2));
     
-    // Test 5: Binary file upload
+    // Test 7: Binary file upload
     group('Binary File Upload', function() {
       const formData = {
         file: http.file(testFiles.binary.content, testFiles.binary.name, testFiles.binary.type)
@@ -305,7 +389,7 @@ export default function(data) {
       
       const startTime = Date.now();
       const response = http.post(
-        `${API_BASE_URL}/upload/single`,
+        `${API_BASE_URL}/upload/file`,
         formData,
         { 
           headers: authHeaders,
@@ -339,22 +423,23 @@ export default function(data) {
     
     sleep(randomSleep(0.5, 1));
     
-    // Test 6: Upload validation (invalid file type)
+    // Test 8: Upload validation (invalid file type)
     group('Upload Validation Test', function() {
       const invalidFormData = {
         file: http.file('malicious content', 'test.exe', 'application/x-msdownload')
       };
       
       const response = http.post(
-        `${API_BASE_URL}/upload/single`,
+        `${API_BASE_URL}/upload/file`,
         invalidFormData,
         { 
           headers: authHeaders,
-          tags: { name: 'invalid_file_upload', validation: 'test' }
+          tags: { name: 'invalid_file_upload', validation: 'test' },
+          responseCallback: http.expectedStatuses(415),
         }
       );
       
-      check(response, {
+      uploadValidationAccuracy.add(check(response, {
         'Invalid file rejected': (r) => r.status === 400 || r.status === 415,
         'Proper error message': (r) => {
           try {
@@ -363,9 +448,217 @@ export default function(data) {
           } catch (e) {
             return r.status === 400 || r.status === 415;
           }
-        }
+        },
+        'Rejection is coded as unsupported type': (r) => errorCode(r) === 'UNSUPPORTED_FILE_TYPE',
+      }));
+      
+      // Allowed extension and declared type, but the content gives them away
+      for (const spoof of spoofedFiles) {
+        const spoofResponse = http.post(
+          `${API_BASE_URL}/upload/file`,
+          { file: http.file(spoof.content, spoof.name, spoof.type) },
+          {
+            headers: authHeaders,
+            tags: { name: 'spoofed_file_upload', validation: spoof.label },
+            responseCallback: http.expectedStatuses(422),
+          }
+        );
+        
+        uploadValidationAccuracy.add(check(spoofResponse, {
+          [`Spoofed ${spoof.label} rejected with 422`]: (r) => r.status === 422,
+          [`Spoofed ${spoof.label} reported as ${spoof.code}`]: (r) => errorCode(r) === spoof.code,
+        }));
+      }
+      
+      // Path components must not survive into the stored name
+      for (const name of traversalFilenames) {
+        const traversalResponse = http.post(
+          `${API_BASE_URL}/upload/file`,
+          { file: http.file('harmless text', name, 'text/plain') },
+          {
+            headers: authHeaders,
+            tags: { name: 'traversal_file_upload', validation: 'path_traversal' },
+          }
+        );
+        
+        uploadValidationAccuracy.add(check(traversalResponse, {
+          'Path-traversal filename accepted as plain file': (r) => r.status === 201,
+          'Path-traversal filename sanitized': (r) => {
+            try {
+              const filename = JSON.parse(r.body).filename;
+              return filename === 'passwd.txt' && !/[\\/]/.test(filename);
+            } catch (e) {
+              return false;
+            }
+          },
+        }));
+      }
+    });
+  });
+}
+
+/**
+ * Upload `file` through the resumable protocol: start a session, send the chunks with their
+ * checksums, resend one chunk at a stale offset to check the 409 carries the offset to resume
+ * from, and complete with the whole-file checksum. Returns the stored file, or null if a step
+ * failed. The content must be ASCII, so string length equals byte length.
+ */
+function uploadResumable(token, file) {
+  const content = file.content;
+  const startTime = Date.now();
+  
+  const init = api.post('upload/sessions', {
+    filename: file.name,
+    size: content.length,
+    mimetype: file.type,
+  }, { token });
+  
+  if (!check(init, {
+    'Resumable upload started': (r) => r.status === 201 && Boolean(r.data && r.data.uploadId),
+  })) {
+    return null;
+  }
+  
+  const id = init.data.uploadId;
+  const chunkSize = Math.min(RESUMABLE_CHUNK_BYTES, init.data.maxChunkBytes);
+  let offset = 0;
+  let resumeChecked = false;
+  
+  while (offset < content.length) {
+    const chunk = content.substring(offset, offset + chunkSize);
+    const response = api.put('upload/sessions/{id}', chunk, {
+      params: { id },
+      query: { offset },
+      token,
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Chunk-SHA256': crypto.sha256(chunk, 'hex'),
+      },
+      timeout: '30s',
+    });
+    
+    const stored = check(response, {
+      'Chunk stored': (r) => r.status === 200,
+      'Chunk offset advanced': (r) => r.data && r.data.offset === offset + chunk.length,
+      'Chunk checksum echoed': (r) => r.data && r.data.chunkSha256 === crypto.sha256(chunk, 'hex'),
+    });
+    if (!stored) {
+      return null;
+    }
+    
+    // A retried chunk (e.g. after a lost response) is refused with the offset to resume from
+    if (!resumeChecked) {
+      resumeChecked = true;
+      const retry = api.put('upload/sessions/{id}', chunk, {
+        params: { id },
+        query: { offset },
+        token,
+        headers: { 'Content-Type': 'application/octet-stream' },
+        expect: [409],
       });
+      const status = api.get('upload/sessions/{id}', { params: { id }, token });
+      check({ retry, status }, {
+        'Stale chunk refused with current offset': (c) => c.retry.status === 409 && c.retry.data.offset === response.data.offset,
+        'Upload status reports current offset': (c) => c.status.status === 200 && c.status.data.offset === response.data.offset,
+      });
+    }
+    
+    offset = response.data.offset;
+  }
+  
+  const complete = api.post('upload/sessions/{id}/complete', {
+    sha256: crypto.sha256(content, 'hex'),
+  }, { params: { id }, token });
+  const uploadTime = Date.now() - startTime;
+  
+  const success = check(complete, {
+    'Resumable upload completed': (r) => r.status === 201,
+    'Resumable upload size matches': (r) => r.data && r.data.size === content.length,
+    'Resumable upload checksum matches': (r) => r.data && r.data.sha256 === crypto.sha256(content, 'hex'),
+  });
+  
+  if (success) {
+    uploadSize.add(content.length);
+    uploadThroughput.add(calculateThroughput(content.length, uploadTime));
+    resumableUploadTime.add(uploadTime);
+  }
+  return success ? complete.data : null;
+}
+
+/**
+ * Download a stored file whole and in byte ranges, comparing every byte with the uploaded
+ * `content`, revalidate it by ETag, then delete it. The content must be ASCII, as for
+ * uploadResumable(). Files belong to their uploader, so `token` is the uploader's.
+ */
+function downloadFile(token, file, content) {
+  const params = { id: file.id };
+  const size = content.length;
+  
+  const anonymous = api.get('upload/{id}', { params, expect: [401] });
+  check(anonymous, {
+    'Download without a token refused': (r) => r.status === 401,
+  });
+  
+  const full = api.get('upload/{id}', { params, token, timeout: '30s', tags: { download: 'full' } });
+  const downloaded = check(full, {
+    'Download successful': (r) => r.status === 200,
+    'Download content matches upload': (r) => r.body === content,
+    'Download ETag is the SHA-256': (r) => r.headers['Etag'] === `"${file.sha256}"`,
+    'Download advertises byte ranges': (r) => r.headers['Accept-Ranges'] === 'bytes',
+  });
+  if (downloaded) {
+    downloadThroughput.add(calculateThroughput(size, full.timings.duration));
+  }
+  
+  const revalidated = api.get('upload/{id}', {
+    params,
+    token,
+    headers: { 'If-None-Match': `"${file.sha256}"` },
+    tags: { download: 'conditional' },
+  });
+  check(revalidated, {
+    'Unchanged file answered with 304': (r) => r.status === 304 && !r.body,
+  });
+  
+  const offset = Math.floor(Math.random() * Math.max(size - DOWNLOAD_RANGE_BYTES, 1));
+  const ranges = [
+    { label: 'first KB', header: 'bytes=0-1023', start: 0, end: Math.min(1023, size - 1) },
+    { label: 'random offset', header: `bytes=${offset}-${offset + DOWNLOAD_RANGE_BYTES - 1}`, start: offset, end: Math.min(offset + DOWNLOAD_RANGE_BYTES, size) - 1 },
+    { label: 'open-ended', header: `bytes=${Math.max(size - 100, 0)}-`, start: Math.max(size - 100, 0), end: size - 1 },
+    { label: 'suffix', header: 'bytes=-500', start: Math.max(size - 500, 0), end: size - 1 },
+  ];
+  
+  for (const range of ranges) {
+    const response = api.get('upload/{id}', {
+      params,
+      token,
+      headers: { 'Range': range.header },
+      tags: { download: 'range' },
     });
+    downloadRangeAccuracy.add(check(response, {
+      [`Range ${range.label} answered with 206`]: (r) => r.status === 206,
+      [`Range ${range.label} has correct Content-Range`]: (r) => r.headers['Content-Range'] === `bytes ${range.start}-${range.end}/${size}`,
+      [`Range ${range.label} has correct bytes`]: (r) => r.body === content.substring(range.start, range.end + 1),
+    }));
+  }
+  
+  const unsatisfiable = api.get('upload/{id}', {
+    params,
+    token,
+    headers: { 'Range': `bytes=${size}-` },
+    tags: { download: 'range' },
+    expect: [416],
+  });
+  downloadRangeAccuracy.add(check(unsatisfiable, {
+    'Range past the end answered with 416': (r) => r.status === 416,
+    'Range past the end reports the size': (r) => r.headers['Content-Range'] === `bytes */${size}`,
+  }));
+  
+  // Keep the backend's storage from growing for the whole run
+  const removed = api.delete('upload/{id}', { params, token });
+  const gone = api.get('upload/{id}', { params, token, expect: [404] });
+  check({ removed, gone }, {
+    'Stored file deleted': (c) => c.removed.status === 200 && c.gone.status === 404,
   });
 }
 
@@ -403,6 +696,7 @@ function calculateThroughput(bytes, timeMs) {
 export function teardown(data) {
   console.log('🧹 File Upload Test Teardown...');
   console.log(`Auth token used: ${data.authToken ? 'Yes' : 'No'}`);
+  cleanupTestRun(data);
 }
 
 export function handleSummary(data) {
@@ -414,6 +708,11 @@ export function handleSummary(data) {
   console.log(`- Average File Size: ${formatBytes(metrics.upload_size?.values?.avg || 0)}`);
   console.log(`- Average Upload Throughput: ${(metrics.upload_throughput_mbps?.values?.avg || 0).toFixed(2)} Mbps`);
   console.log(`- Large File Upload Time (avg): ${metrics.large_file_upload_time?.values?.avg || 'N/A'}ms`);
+  console.log(`- Resumable Upload Time (avg): ${metrics.resumable_upload_time?.values?.avg || 'N/A'}ms`);
+  console.log(`- Validation Accuracy: ${(metrics.upload_validation_accuracy?.values?.rate * 100) || 'N/A'}%`);
+  console.log(`- Average Download Throughput: ${(metrics.download_throughput_mbps?.values?.avg || 0).toFixed(2)} Mbps`);
+  console.log(`- Range Download Accuracy: ${(metrics.download_range_accuracy?.values?.rate * 100) || 'N/A'}%`);
+  logCleanupSummary(metrics);
   
   const uploadAnalysis = {
     performanceMetrics: {
@@ -422,6 +721,10 @@ export function handleSummary(data) {
       averageFileSize: metrics.upload_size?.values?.avg,
       averageThroughput: metrics.upload_throughput_mbps?.values?.avg,
       largeFileUploadTime: metrics.large_file_upload_time?.values?.avg,
+      resumableUploadTime: metrics.resumable_upload_time?.values?.avg,
+      validationAccuracy: metrics.upload_validation_accuracy?.values?.rate,
+      averageDownloadThroughput: metrics.download_throughput_mbps?.values?.avg,
+      rangeDownloadAccuracy: metrics.download_range_accuracy?.values?.rate,
     },
     fileSizeAnalysis: {
       smallFiles: 'Files under 1KB - should upload in under 2s',
@@ -432,11 +735,11 @@ export function handleSummary(data) {
     recommendations: generateUploadRecommendations(metrics),
   };
   
-  return {
+  return withRegressionReport({
     'stdout': '\n📁 File Upload Performance Test Completed!\n',
     'upload-results.json': JSON.stringify(data, null, 2),
     'upload-analysis.json': JSON.stringify(uploadAnalysis, null, 2),
-  };
+  }, data);
 }
 
 function formatBytes(bytes) {
@@ -468,6 +771,8 @@ function generateUploadRecommendations(metrics) {
   const successRate = metrics.upload_success_rate?.values?.rate || 0;
   const avgThroughput = metrics.upload_throughput_mbps?.values?.avg || 0;
   const errorCount = metrics.upload_errors?.values?.count || 0;
+  const avgDownloadThroughput = metrics.download_throughput_mbps?.values?.avg || 0;
+  const rangeAccuracy = metrics.download_range_accuracy?.values?.rate;
   
   if (successRate < 0.90) {
     recommendations.push('Investigate upload failures - success rate below 90%');
@@ -477,13 +782,19 @@ function generateUploadRecommendations(metrics) {
     recommendations.push('Optimize upload throughput - average below 1 Mbps');
   }
   
+  if (avgDownloadThroughput < 1) {
+    recommendations.push('Optimize download throughput - average below 1 Mbps');
+  }
+  
+  if (rangeAccuracy !== undefined && rangeAccuracy < 0.99) {
+    recommendations.push('Byte-range downloads returned wrong content or headers - review Range handling');
+  }
+  
   if (errorCount > 5) {
     recommendations.push('High error count detected - review error handling');
   }
   
   recommendations.push('Implement progressive upload for large files');
-  recommendations.push('Add client-side file validation');
-  recommendations.push('Consider implementing upload resume functionality');
   recommendations.push('Optimize file processing pipelines');
   recommendations.push('Implement upload progress tracking');
   recommendations.push('Add virus scanning for uploaded files');
@@ -7,20 +7,30 @@
  * - Different execution patterns (constant VUs, ramping VUs, arrival rate)
  * - Scenario-specific metrics and thresholds
  * - Complex user journey simulation
+ * - Weighted step-based journeys (see utils/journey.js)
+ * - Cursor-paginated catalog crawls while admins create products (see utils/pagination.js)
  */
 
 import { check, group, sleep } from 'k6';
 import http from 'k6/http';
 import { Counter, Rate, Trend } from 'k6/metrics';
+import { loadOptions } from '../../utils/config.js';
 import {
     API_BASE_URL,
     COMMON_HEADERS,
     generateRandomProduct,
     generateRandomUser,
     getAuthHeaders,
-    randomSleep,
-    thinkTime
+    getRandomArrayItem,
+    randomSleep
 } from '../../utils/helpers.js';
+import { api, checks } from '../../utils/http-client.js';
+import { compileJourney, defineJourney, END, think } from '../../utils/journey.js';
+import { walkPages } from '../../utils/pagination.js';
+import { withRegressionReport } from '../../utils/regression.js';
+import { adminLogin, provisionUserPool } from '../../utils/session.js';
+import { logCleanupSummary } from '../../utils/summary.js';
+import { cleanupTestRun, startTestRun, useTestRun } from '../../utils/test-run.js';
 
 // Scenario-specific metrics
 export const apiUserSuccessRate = new Rate('api_user_success_rate');
@@ -31,7 +41,7 @@ export const userJourneyCompletionRate = new Rate('user_journey_completion_rate'
 export const scenarioErrors = new Counter('scenario_errors');
 
 // Mixed workload scenario configuration
-export const options = {
+export const options = loadOptions({
   scenarios: {
     // Scenario 1: API Users - Constant load
     api_users: {
@@ -85,6 +95,15 @@ export const options = {
       tags: { scenario: 'spike_traffic', user_type: 'spike' },
       exec: 'spikeTrafficScenario',
     },
+    
+    // Scenario 6: Catalog Crawl - Full cursor walks while admins insert products
+    catalog_crawl: {
+      executor: 'constant-vus',
+      vus: 2,
+      duration: '10m',
+      tags: { scenario: 'catalog_crawl', user_type: 'crawler' },
+      exec: 'catalogCrawlScenario',
+    },
   },
   
   thresholds: {
@@ -103,42 +122,32 @@ export const options = {
     'admin_user_success_rate': ['rate>0.90'],
     'user_journey_completion_rate': ['rate>0.85'],
     'business_transaction_time': ['p(95)<10000'],
+    'pagination_duplicate_items': ['count==0'],
   },
   
   tags: {
     test_type: 'mixed_workload',
-    environment: __ENV.ENV || 'dev',
   },
-};
+});
 
 // Shared test data
 let sharedTestData = {
   authTokens: new Map(),
   productIds: [],
   userIds: [],
+  testRun: '',
   adminToken: '',
+  customerToken: '',
 };
 
 export function setup() {
   console.log('🎭 Starting Mixed Workload Scenario Test Setup...');
   
-  // Create admin user for admin scenarios
-  const adminData = {
-    username: 'admin_user_mixed_test',
-    email: 'admin@mixedtest.com',
-    password: 'AdminPassword123!'
-  };
-  
-  const adminRegResponse = http.post(
-    `${API_BASE_URL}/auth/register`,
-    JSON.stringify(adminData),
-    { headers: COMMON_HEADERS }
-  );
+  sharedTestData.testRun = startTestRun('mixed-workload');
   
-  if (adminRegResponse.status === 201) {
-    const body = JSON.parse(adminRegResponse.body);
-    sharedTestData.adminToken = body.access_token;
-  }
+  // Admin scenarios need the admin role; registered users are always customers
+  sharedTestData.adminToken = adminLogin();
+  sharedTestData.customerToken = provisionUserPool(1)[0].token;
   
   // Get some existing products for testing
   const productsResponse = http.get(`${API_BASE_URL}/products?limit=20`);
@@ -153,6 +162,7 @@ export function setup() {
 
 // Scenario 1: API Users - Fast, efficient API consumption
 export function apiUserScenario(data) {
+  useTestRun(data);
   const startTime = Date.now();
   let success = true;
   
@@ -237,131 +247,95 @@ export function apiUserScenario(data) {
 }
 
 // Scenario 2: Web Users - Realistic browsing behavior
-export function webUserScenario(data) {
-  const startTime = Date.now();
-  let success = true;
-  
-  group('Web User Journey', function () {
-    // Step 1: Landing page simulation
-    const healthResponse = http.get(`${API_BASE_URL}/health`, {
-      headers: COMMON_HEADERS,
-      tags: { name: 'web_landing', scenario: 'web_users' }
-    });
-    
-    check(healthResponse, {
-      'Landing page loads': (r) => r.status === 200,
-    });
-    
-    sleep(thinkTime()); // User reads the page
-    
-    // Step 2: Browse products
-    const browseResponse = http.get(`${API_BASE_URL}/products?page=1&limit=12`, {
-      headers: COMMON_HEADERS,
-      tags: { name: 'web_browse', scenario: 'web_users' }
-    });
-    
-    const browseSuccess = check(browseResponse, {
-      'Product browse successful': (r) => r.status === 200,
-      'Products displayed': (r) => {
-        try {
-          const body = JSON.parse(r.body);
-          return body.products && body.products.length > 0;
-        } catch (e) {
-          return false;
-        }
-      }
-    });
-    
-    if (!browseSuccess) {
-      success = false;
-      scenarioErrors.add(1);
-    }
-    
-    sleep(thinkTime()); // User browses products
+// Tune the traffic mix by editing the weights below; request code lives in each step.
+const webUserJourney = defineJourney('web_user', {
+  entry: { landing: 100 },
+  thinkTime: think.uniform(1, 5), // User reads the page
+  steps: {
+    landing: {
+      run: () => {
+        const response = api.get('health');
+        return check(response, {
+          'Landing page loads': checks.status(200),
+        });
+      },
+      next: { browse: 70, search: 20, register: 10 },
+    },
     
-    // Step 3: Search functionality
-    const searchQueries = ['laptop', 'smartphone', 'coffee', 'book'];
-    const randomQuery = searchQueries[Math.floor(Math.random() * searchQueries.length)];
+    browse: {
+      run: ({ state }) => {
+        const response = api.get('products', { query: { page: 1, limit: 12 } });
+        state.products = (response.data && response.data.products) || [];
+        return check(response, {
+          'Product browse successful': checks.status(200),
+          'Products displayed': checks.nonEmptyArray('products'),
+        });
+      },
+      next: { detail: 60, search: 25, [END]: 15 },
+    },
     
-    const searchResponse = http.get(`${API_BASE_URL}/products?search=${randomQuery}&limit=10`, {
-      headers: COMMON_HEADERS,
-      tags: { name: 'web_search', scenario: 'web_users' }
-    });
+    search: {
+      run: ({ state }) => {
+        const searchQueries = ['laptop', 'smartphone', 'coffee', 'book'];
+        const response = api.get('products', {
+          query: { search: getRandomArrayItem(searchQueries), limit: 10 },
+        });
+        state.products = (response.data && response.data.products) || [];
+        return check(response, {
+          'Search successful': checks.status(200),
+        });
+      },
+      next: { detail: 70, browse: 10, [END]: 20 },
+    },
     
-    const searchSuccess = check(searchResponse, {
-      'Search successful': (r) => r.status === 200,
-    });
+    detail: {
+      run: ({ data, state }) => {
+        const candidates = state.products && state.products.length > 0
+          ? state.products.map(p => p.id)
+          : data.productIds;
+        if (!candidates || candidates.length === 0) return true;
+        
+        const response = api.get('products/{id}', { params: { id: getRandomArrayItem(candidates) } });
+        return check(response, {
+          'Product detail loads': checks.status(200),
+          'Product has required fields': checks.matches(body => body.name && body.price !== undefined),
+        });
+      },
+      next: { register: 30, browse: 20, [END]: 50 },
+    },
     
-    if (!searchSuccess) {
-      success = false;
+    register: {
+      run: () => {
+        const response = api.post('auth/register', generateRandomUser());
+        return check(response, {
+          'Web registration successful': checks.status(201, 409), // 409 if the username or email is taken
+        });
+      },
+      thinkTime: think.uniform(1, 2), // User fills form
+      next: { [END]: 1 },
+    },
+  },
+});
+
+const runWebUserJourney = compileJourney(webUserJourney, {
+  onComplete: ({ success, duration }) => {
+    if (!success) {
       scenarioErrors.add(1);
     }
-    
-    sleep(thinkTime()); // User reviews search results
-    
-    // Step 4: Product detail view
-    if (data.productIds.length > 0) {
-      const randomProductId = data.productIds[Math.floor(Math.random() * data.productIds.length)];
-      
-      const detailResponse = http.get(`${API_BASE_URL}/products/${randomProductId}`, {
-        headers: COMMON_HEADERS,
-        tags: { name: 'web_product_detail', scenario: 'web_users' }
-      });
-      
-      const detailSuccess = check(detailResponse, {
-        'Product detail loads': (r) => r.status === 200,
-        'Product has required fields': (r) => {
-          try {
-            const body = JSON.parse(r.body);
-            return body.name && body.price !== undefined;
-          } catch (e) {
-            return false;
-          }
-        }
-      });
-      
-      if (!detailSuccess) {
-        success = false;
-        scenarioErrors.add(1);
-      }
-      
-      sleep(thinkTime()); // User reads product details
-    }
-    
-    // Step 5: Optional user registration (30% chance)
-    if (Math.random() < 0.3) {
-      const userData = generateRandomUser();
-      
-      const registerResponse = http.post(
-        `${API_BASE_URL}/auth/register`,
-        JSON.stringify(userData),
-        { 
-          headers: COMMON_HEADERS,
-          tags: { name: 'web_register', scenario: 'web_users' }
-        }
-      );
-      
-      const regSuccess = check(registerResponse, {
-        'Web registration successful': (r) => r.status === 201 || r.status === 400, // 400 if user exists
-      });
-      
-      if (!regSuccess) {
-        success = false;
-        scenarioErrors.add(1);
-      }
-      
-      sleep(randomSleep(1, 2)); // User fills form
-    }
-  });
-  
-  const totalTime = Date.now() - startTime;
-  businessTransactionTime.add(totalTime);
-  webUserSuccessRate.add(success);
-  userJourneyCompletionRate.add(success);
+    businessTransactionTime.add(duration);
+    webUserSuccessRate.add(success);
+    userJourneyCompletionRate.add(success);
+  },
+});
+
+export function webUserScenario(data) {
+  useTestRun(data);
+  runWebUserJourney(data);
 }
 
 // Scenario 3: Admin Users - Complex administrative tasks
 export function adminUserScenario(data) {
+  useTestRun(data);
   const startTime = Date.now();
   let success = true;
   
@@ -436,7 +410,7 @@ export function adminUserScenario(data) {
     
     // Step 3: Update created product
     if (createdProductId) {
-      const updateData = { price: productData.price * 0.9 }; // 10% discount
+      const updateData = { price: Math.round(productData.price * 90) / 100 }; // 10% discount
       
       const updateResponse = http.patch(
         `${API_BASE_URL}/products/${createdProductId}`,
@@ -482,7 +456,30 @@ export function adminUserScenario(data) {
       scenarioErrors.add(1);
     }
     
-    // Step 5: System monitoring
+    // Step 5: Access control - the same operations are refused for customers
+    const customerAttempts = [
+      api.post('products', generateRandomProduct(), {
+        token: data.customerToken,
+        expect: [403],
+        tags: { name: 'customer_create_product', scenario: 'admin_users' },
+      }),
+      api.get('users', {
+        token: data.customerToken,
+        expect: [403],
+        tags: { name: 'customer_users_list', scenario: 'admin_users' },
+      }),
+    ];
+    
+    const accessControlSuccess = check(customerAttempts, {
+      'Customers are forbidden from admin operations (403)': (responses) => responses.every(r => r.status === 403),
+    });
+    
+    if (!accessControlSuccess) {
+      success = false;
+      scenarioErrors.add(1);
+    }
+    
+    // Step 6: System monitoring
     const monitoringRequests = [
       http.get(`${API_BASE_URL}/health/memory-intensive`, {
         headers: authHeaders,
@@ -566,10 +563,33 @@ export function spikeTrafficScenario(data) {
   });
 }
 
+// Scenario 6: Catalog Crawl - Walk the whole catalog page by page
+export function catalogCrawlScenario(data) {
+  group('Catalog Crawl', function () {
+    const crawl = walkPages('products', {
+      itemsKey: 'products',
+      query: { limit: 100, sortBy: getRandomArrayItem(['createdAt', 'price', 'name']), sortOrder: 'asc' },
+      maxPages: 200,
+    });
+    
+    const success = check(crawl, {
+      'Catalog crawl reached the last page': (c) => c.complete,
+      'Catalog crawl saw no duplicates': (c) => c.duplicates === 0,
+    });
+    
+    if (!success) {
+      scenarioErrors.add(1);
+    }
+    
+    sleep(randomSleep(2, 5));
+  });
+}
+
 export function teardown(data) {
   console.log('🧹 Mixed Workload Scenario Test Teardown...');
   console.log(`Admin token used: ${data.adminToken ? 'Yes' : 'No'}`);
   console.log(`Product IDs available: ${data.productIds.length}`);
+  cleanupTestRun(data);
 }
 
 export function handleSummary(data) {
@@ -582,6 +602,7 @@ export function handleSummary(data) {
   console.log(`- Overall Journey Completion Rate: ${(metrics.user_journey_completion_rate?.values?.rate * 100) || 'N/A'}%`);
   console.log(`- Average Business Transaction Time: ${metrics.business_transaction_time?.values?.avg || 'N/A'}ms`);
   console.log(`- Total Scenario Errors: ${metrics.scenario_errors?.values?.count || 0}`);
+  logCleanupSummary(metrics);
   
   const scenarioAnalysis = {
     apiUserPerformance: {
@@ -605,11 +626,11 @@ export function handleSummary(data) {
     recommendations: generateMixedWorkloadRecommendations(metrics),
   };
   
-  return {
+  return withRegressionReport({
     'stdout': '\n🎭 Mixed Workload Scenario Test Completed!\n',
     'mixed-workload-results.json': JSON.stringify(data, null, 2),
     'scenario-analysis.json': JSON.stringify(scenarioAnalysis, null, 2),
-  };
+  }, data);
 }
 
 function extractScenarioMetric(data, scenario, metric) {
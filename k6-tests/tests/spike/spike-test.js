@@ -7,17 +7,38 @@
  * - Auto-scaling response testing
  * - Circuit breaker and rate limiting validation
  * - Recovery after spike events
+ * - Chaos during spikes (FAULT_PLAN=<name>): backend faults from config/faults/<name>.json
+ *   for the whole run, see utils/faults.js
+ * - Server saturation (on unless SERVER_METRICS=false): a `server_monitor` scenario scrapes the
+ *   backend's /metrics, and the summary lines client p95 up with server signals for the
+ *   baseline, every spike and every recovery period, see utils/server-metrics.js
  */
 
 import { check, sleep } from 'k6';
 import http from 'k6/http';
 import { Counter, Rate, Trend } from 'k6/metrics';
+import { loadOptions } from '../../utils/config.js';
+import { applyFaults, clearFaults, loadFaultPlan } from '../../utils/faults.js';
 import {
     API_BASE_URL,
     COMMON_HEADERS,
     generateRandomUser,
     randomSleep
 } from '../../utils/helpers.js';
+import { withRegressionReport } from '../../utils/regression.js';
+import {
+    correlateServerMetrics,
+    logServerCorrelation,
+    monitorScenario,
+    monitorServer,
+    monitorThresholds,
+    SERVER_METRICS_ENABLED,
+    stageWindows,
+    tagLoadWindow
+} from '../../utils/server-metrics.js';
+import { adminLogin } from '../../utils/session.js';
+import { logCleanupSummary } from '../../utils/summary.js';
+import { cleanupTestRun, startTestRun, useTestRun } from '../../utils/test-run.js';
 
 // Custom metrics for spike testing
 export const spikeResponseTime = new Trend('spike_response_time');
@@ -27,48 +48,74 @@ export const rateLimitHitRate = new Rate('rate_limit_hit_rate');
 export const circuitBreakerTriggered = new Counter('circuit_breaker_triggered');
 export const autoScalingResponse = new Trend('auto_scaling_response_time');
 
-// Spike test configuration - multiple spike patterns
-export const options = {
-  stages: [
-    // Baseline load
-    { duration: '2m', target: 10 },
-    
-    // First spike - moderate
-    { duration: '30s', target: 100 },  // Sudden jump to 100 users
-    { duration: '1m', target: 100 },   // Maintain spike
-    { duration: '30s', target: 10 },   // Return to baseline
-    
-    // Recovery period
-    { duration: '2m', target: 10 },
-    
-    // Second spike - severe
-    { duration: '15s', target: 300 },  // Very sudden, very high spike
-    { duration: '1m', target: 300 },   // Maintain severe spike
-    { duration: '30s', target: 10 },   // Quick return to baseline
-    
-    // Recovery period
-    { duration: '2m', target: 10 },
-    
-    // Third spike - extreme
-    { duration: '10s', target: 500 },  // Extreme spike
-    { duration: '30s', target: 500 },  // Brief extreme load
-    { duration: '20s', target: 10 },   // Quick recovery
-    
-    // Final recovery
-    { duration: '2m', target: 10 },
-    { duration: '1m', target: 0 },
-  ],
+// Optional backend faults for the whole run (FAULT_PLAN=<name>)
+const FAULT_PLAN = loadFaultPlan();
+
+// Multiple spike patterns
+const SPIKE_STAGES = [
+  // Baseline load
+  { duration: '2m', target: 10 },
+  
+  // First spike - moderate
+  { duration: '30s', target: 100 },  // Sudden jump to 100 users
+  { duration: '1m', target: 100 },   // Maintain spike
+  { duration: '30s', target: 10 },   // Return to baseline
+  
+  // Recovery period
+  { duration: '2m', target: 10 },
+  
+  // Second spike - severe
+  { duration: '15s', target: 300 },  // Very sudden, very high spike
+  { duration: '1m', target: 300 },   // Maintain severe spike
+  { duration: '30s', target: 10 },   // Quick return to baseline
+  
+  // Recovery period
+  { duration: '2m', target: 10 },
+  
+  // Third spike - extreme
+  { duration: '10s', target: 500 },  // Extreme spike
+  { duration: '30s', target: 500 },  // Brief extreme load
+  { duration: '20s', target: 10 },   // Quick recovery
+  
+  // Final recovery
+  { duration: '2m', target: 10 },
+  { duration: '1m', target: 0 },
+];
+
+// Time windows of the server saturation report
+const SPIKE_WINDOWS = stageWindows(SPIKE_STAGES, [
+  'baseline',
+  'spike-1', 'spike-1', 'spike-1',
+  'recovery-1',
+  'spike-2', 'spike-2', 'spike-2',
+  'recovery-2',
+  'spike-3', 'spike-3', 'spike-3',
+  'recovery-3', 'recovery-3',
+]);
+
+// Spike test configuration (these win over the ENV profile)
+export const options = loadOptions({}, {
+  scenarios: {
+    spikes: {
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: SPIKE_STAGES,
+      tags: { scenario: 'spikes' },
+    },
+    ...(SERVER_METRICS_ENABLED ? { server_monitor: monitorScenario(SPIKE_WINDOWS) } : {}),
+  },
   thresholds: {
     'http_req_duration': ['p(95)<10000'], // Allow high response times during spikes
     'http_req_failed': ['rate<0.4'],      // Allow higher error rates during spikes
     'spike_error_rate': ['rate<0.6'],     // Spike-specific error tolerance
     'rate_limit_hit_rate': ['rate<0.8'],  // Expect rate limiting during spikes
+    ...(SERVER_METRICS_ENABLED ? monitorThresholds(SPIKE_WINDOWS) : {}),
   },
   tags: {
     test_type: 'spike_test',
-    environment: __ENV.ENV || 'dev',
+    ...(FAULT_PLAN ? { fault_plan: FAULT_PLAN.name } : {}),
   },
-};
+});
 
 // Track spike events
 let spikeEvents = [];
@@ -83,14 +130,25 @@ export function setup() {
     throw new Error('System is not healthy - cannot start spike test');
   }
   
+  const testRun = startTestRun('spike-test');
+  
+  // A plan may fault auth/login, so teardown reuses this token to remove it
+  const adminToken = FAULT_PLAN ? adminLogin() : null;
+  const faults = FAULT_PLAN ? applyFaults(FAULT_PLAN, adminToken) : null;
+  
   console.log('✅ System baseline established, ready for spike testing...');
   return { 
     startTime: Date.now(),
-    spikeEvents: []
+    testRun,
+    spikeEvents: [],
+    adminToken,
+    faults
   };
 }
 
 export default function (data) {
+  useTestRun(data);
+  tagLoadWindow(SPIKE_WINDOWS);
   const currentVUs = __VU;
   const phase = determineSpikePhase(currentVUs);
   
@@ -159,7 +217,7 @@ export default function (data) {
   
   const authCheck = check(authResponse, {
     'auth endpoint responds': (r) => r.status !== 0,
-    'auth handles spike load': (r) => r.status === 201 || r.status === 400 || r.status === 429 || r.status === 503,
+    'auth handles spike load': (r) => r.status === 201 || r.status === 409 || r.status === 429 || r.status === 503,
   });
   
   if (authResponse.status === 429) {
@@ -268,6 +326,11 @@ export default function (data) {
   sleep(sleepTime);
 }
 
+// Server metrics scraped alongside the spikes
+export function serverMonitor() {
+  monitorServer(SPIKE_WINDOWS);
+}
+
 function determineSpikePhase(currentVUs) {
   if (currentVUs >= 400) return 'extreme_spike';
   if (currentVUs >= 200) return 'severe_spike';
@@ -279,6 +342,16 @@ function determineSpikePhase(currentVUs) {
 export function teardown(data) {
   console.log('🧹 Spike Test Teardown...');
   
+  if (data.faults) {
+    try {
+      clearFaults(data.adminToken);
+    } catch (e) {
+      // Still remove the test data before the error fails the run
+      cleanupTestRun(data);
+      throw e;
+    }
+  }
+  
   // Check system recovery after spikes
   sleep(5); // Wait a moment for system to stabilize
   
@@ -292,6 +365,8 @@ export function teardown(data) {
     const totalTestTime = Date.now() - data.startTime;
     console.log(`Total spike test duration: ${totalTestTime}ms`);
   }
+  
+  cleanupTestRun(data);
 }
 
 export function handleSummary(data) {
@@ -304,6 +379,12 @@ export function handleSummary(data) {
   console.log(`- Rate limit hit rate: ${(metrics.rate_limit_hit_rate?.values?.rate * 100) || 'N/A'}%`);
   console.log(`- System overload incidents: ${(metrics.system_overload_indicator?.values?.rate * 100) || 'N/A'}%`);
   console.log(`- Circuit breaker triggers: ${metrics.circuit_breaker_triggered?.values?.count || 0}`);
+  logCleanupSummary(metrics);
+  
+  const serverSaturation = SERVER_METRICS_ENABLED ? correlateServerMetrics(metrics, SPIKE_WINDOWS) : null;
+  if (serverSaturation) {
+    logServerCorrelation(serverSaturation);
+  }
   
   const spikeAnalysis = {
     averageSpikeResponseTime: metrics.spike_response_time?.values?.avg,
@@ -313,14 +394,15 @@ export function handleSummary(data) {
     systemOverloadFrequency: metrics.system_overload_indicator?.values?.rate,
     circuitBreakerActivations: metrics.circuit_breaker_triggered?.values?.count,
     spikeHandlingAssessment: assessSpikeHandling(metrics),
+    serverSaturation,
     recommendations: generateSpikeRecommendations(metrics),
   };
   
-  return {
+  return withRegressionReport({
     'stdout': '\n⚡ Spike Test Completed!\n',
     'spike-test-results.json': JSON.stringify(data, null, 2),
     'spike-analysis.json': JSON.stringify(spikeAnalysis, null, 2),
-  };
+  }, data);
 }
 
 function assessSpikeHandling(metrics) {
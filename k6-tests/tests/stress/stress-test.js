@@ -7,18 +7,49 @@
  * - System recovery testing
  * - Error rate monitoring under stress
  * - Performance degradation analysis
+ * - Adaptive capacity search (STRESS_MODE=adaptive): steps the arrival rate up until
+ *   the SLO breaks and writes capacity-report.json
+ * - Chaos under stress (FAULT_PLAN=<name>): backend faults from config/faults/<name>.json
+ *   for the whole run, see utils/faults.js
+ * - Server saturation (on unless SERVER_METRICS=false): a `server_monitor` scenario scrapes the
+ *   backend's /metrics, and the summary lines client p95 up with server signals per load
+ *   window (a ladder rung, or a capacity step), see utils/server-metrics.js
  */
 
 import { check, sleep } from 'k6';
 import http from 'k6/http';
 import { Gauge, Rate, Trend } from 'k6/metrics';
+import {
+    analyzeCapacity,
+    buildCapacityScenario,
+    buildCapacityThresholds,
+    capacityConfigFromEnv,
+    tagCurrentStep
+} from '../../utils/capacity.js';
+import { loadOptions } from '../../utils/config.js';
+import { applyFaults, clearFaults, loadFaultPlan } from '../../utils/faults.js';
 import {
     API_BASE_URL,
     COMMON_HEADERS,
     generateRandomProduct,
-    generateRandomUser,
+    getRandomArrayItem,
     randomSleep
 } from '../../utils/helpers.js';
+import { api, checks } from '../../utils/http-client.js';
+import { withRegressionReport } from '../../utils/regression.js';
+import {
+    correlateServerMetrics,
+    logServerCorrelation,
+    monitorScenario,
+    monitorServer,
+    monitorThresholds,
+    SERVER_METRICS_ENABLED,
+    stageWindows,
+    tagLoadWindow
+} from '../../utils/server-metrics.js';
+import { adminLogin, provisionUserPool, sessionApi } from '../../utils/session.js';
+import { logCleanupSummary } from '../../utils/summary.js';
+import { cleanupTestRun, startTestRun, useTestRun } from '../../utils/test-run.js';
 
 // Custom metrics for stress testing
 export const systemStressLevel = new Gauge('system_stress_level');
@@ -27,43 +58,98 @@ export const responseTimeUnderStress = new Trend('response_time_under_stress');
 export const resourceExhaustionIndicator = new Rate('resource_exhaustion_indicator');
 export const systemRecoveryTime = new Trend('system_recovery_time');
 
-// Stress test configuration
-export const options = {
-  stages: [
-    // Initial ramp-up
-    { duration: '2m', target: 50 },   // Ramp to normal load
-    { duration: '5m', target: 50 },   // Maintain normal load
-    
-    // Stress phase 1 - Moderate stress
-    { duration: '2m', target: 100 },  // Double the load
-    { duration: '5m', target: 100 },  // Sustain moderate stress
-    
-    // Stress phase 2 - High stress
-    { duration: '2m', target: 200 },  // Quadruple the load
-    { duration: '5m', target: 200 },  // Sustain high stress
-    
-    // Stress phase 3 - Maximum stress
-    { duration: '2m', target: 300 },  // Maximum stress
-    { duration: '3m', target: 300 },  // Brief maximum stress
-    
-    // Recovery testing
-    { duration: '2m', target: 100 },  // Drop to moderate load
-    { duration: '3m', target: 50 },   // Return to normal
-    { duration: '2m', target: 0 },    // Complete shutdown
-  ],
+// Adaptive capacity search replaces the fixed ladder when STRESS_MODE=adaptive
+const ADAPTIVE_MODE = __ENV.STRESS_MODE === 'adaptive';
+const CAPACITY_CONFIG = capacityConfigFromEnv();
+const FAULT_PLAN = loadFaultPlan();
+
+// The load ladder
+const LADDER_STAGES = [
+  // Initial ramp-up
+  { duration: '2m', target: 50 },   // Ramp to normal load
+  { duration: '5m', target: 50 },   // Maintain normal load
+  
+  // Stress phase 1 - Moderate stress
+  { duration: '2m', target: 100 },  // Double the load
+  { duration: '5m', target: 100 },  // Sustain moderate stress
+  
+  // Stress phase 2 - High stress
+  { duration: '2m', target: 200 },  // Quadruple the load
+  { duration: '5m', target: 200 },  // Sustain high stress
+  
+  // Stress phase 3 - Maximum stress
+  { duration: '2m', target: 300 },  // Maximum stress
+  { duration: '3m', target: 300 },  // Brief maximum stress
+  
+  // Recovery testing
+  { duration: '2m', target: 100 },  // Drop to moderate load
+  { duration: '3m', target: 50 },   // Return to normal
+  { duration: '2m', target: 0 },    // Complete shutdown
+];
+
+// Time windows of the server saturation report: each rung with the ramp up to it
+const LADDER_WINDOWS = stageWindows(LADDER_STAGES, [
+  'normal', 'normal',
+  'stress-1', 'stress-1',
+  'stress-2', 'stress-2',
+  'stress-max', 'stress-max',
+  'recovery', 'recovery', 'recovery',
+]);
+
+const CAPACITY_SCENARIO = buildCapacityScenario(CAPACITY_CONFIG, 'capacityProbe');
+// One window per capacity step: its ramp and its hold
+const CAPACITY_WINDOWS = stageWindows(
+  CAPACITY_SCENARIO.stages,
+  CAPACITY_SCENARIO.stages.map((stage, i) => `step-${Math.floor(i / 2)}`)
+);
+
+const SERVER_WINDOWS = ADAPTIVE_MODE ? CAPACITY_WINDOWS : LADDER_WINDOWS;
+const serverMonitorScenarios = SERVER_METRICS_ENABLED ? { server_monitor: monitorScenario(SERVER_WINDOWS) } : {};
+const serverMonitorThresholds = SERVER_METRICS_ENABLED ? monitorThresholds(SERVER_WINDOWS) : {};
+
+// Stress test configuration (the load ladder and lenient thresholds win over the ENV profile)
+const fixedLadderOptions = {
+  scenarios: {
+    stress_ladder: {
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: LADDER_STAGES,
+      tags: { scenario: 'stress_ladder' },
+    },
+    ...serverMonitorScenarios,
+  },
   thresholds: {
     // More lenient thresholds for stress testing
     'http_req_duration': ['p(95)<5000'], // Allow higher response times
     'http_req_failed': ['rate<0.3'],     // Allow higher error rates under stress
     'error_rate_under_stress': ['rate<0.5'], // Monitor stress-specific errors
     'system_stress_level': ['value<100'], // Custom stress level monitoring
+    ...serverMonitorThresholds,
   },
   tags: {
     test_type: 'stress_test',
-    environment: __ENV.ENV || 'dev',
+    ...(FAULT_PLAN ? { fault_plan: FAULT_PLAN.name } : {}),
   },
 };
 
+const adaptiveOptions = {
+  scenarios: {
+    capacity_search: CAPACITY_SCENARIO,
+    ...serverMonitorScenarios,
+  },
+  thresholds: {
+    ...buildCapacityThresholds(CAPACITY_CONFIG),
+    ...serverMonitorThresholds,
+  },
+  tags: {
+    test_type: 'stress_test',
+    stress_mode: 'adaptive',
+    ...(FAULT_PLAN ? { fault_plan: FAULT_PLAN.name } : {}),
+  },
+};
+
+export const options = loadOptions({}, ADAPTIVE_MODE ? adaptiveOptions : fixedLadderOptions);
+
 // Global variables for tracking system state
 let consecutiveErrors = 0;
 let systemOverloaded = false;
@@ -78,11 +164,21 @@ export function setup() {
     throw new Error('System is not healthy - cannot start stress test');
   }
   
+  // Authenticate as pooled users so the stress measures the workload, not registration
+  const testRun = startTestRun('stress-test');
+  const users = provisionUserPool();
+  const adminToken = adminLogin();
+  
+  // Last, so the plan's time windows start with the load
+  const faults = FAULT_PLAN ? applyFaults(FAULT_PLAN, adminToken) : null;
+  
   console.log('✅ System is healthy, beginning stress test...');
-  return { startTime: Date.now() };
+  return { startTime: Date.now(), testRun, users, adminToken, faults };
 }
 
 export default function (data) {
+  useTestRun(data);
+  tagLoadWindow(SERVER_WINDOWS);
   const currentVUs = __VU;
   const currentStage = getCurrentStage();
   
@@ -119,50 +215,29 @@ export default function (data) {
     console.log(`✅ System recovered after ${recoveryTime}ms`);
   }
   
-  // Test 2: Authentication under stress
-  const userData = generateRandomUser();
-  const registerResponse = http.post(
-    `${API_BASE_URL}/auth/register`,
-    JSON.stringify(userData),
-    { 
-      headers: COMMON_HEADERS,
-      tags: { name: 'register_under_stress', stress_level: stressLevel.toString() }
-    }
-  );
-  
-  const authSuccess = check(registerResponse, {
-    'registration responds': (r) => r.status !== 0,
-    'registration succeeds or fails gracefully': (r) => r.status === 201 || r.status === 400 || r.status === 429,
+  // Test 2: Authenticated access under stress (pooled session, no per-iteration registration)
+  const authed = sessionApi(data.users);
+  const profileResponse = authed.get('auth/profile', {
+    tags: { stress_level: stressLevel.toString() }
   });
   
-  let authToken = '';
-  if (registerResponse.status === 201) {
-    const body = JSON.parse(registerResponse.body);
-    authToken = body.access_token;
-  }
+  check(profileResponse, {
+    'authenticated request responds': (r) => r.status !== 0,
+    'authenticated request succeeds or fails gracefully': (r) => r.status === 200 || r.status === 429 || r.status === 503,
+  });
   
-  // Test 3: Product operations under stress
+  // Test 3: Product operations under stress (catalog changes need the admin role)
   const productData = generateRandomProduct();
   
-  // Create product (if authenticated)
-  if (authToken) {
-    const createResponse = http.post(
-      `${API_BASE_URL}/products`,
-      JSON.stringify(productData),
-      { 
-        headers: {
-          ...COMMON_HEADERS,
-          'Authorization': `Bearer ${authToken}`
-        },
-        tags: { name: 'create_product_under_stress', stress_level: stressLevel.toString() }
-      }
-    );
-    
-    check(createResponse, {
-      'product creation responds': (r) => r.status !== 0,
-      'product creation handles load': (r) => r.status < 500 || r.status === 503, // Accept service unavailable
-    });
-  }
+  const createResponse = api.post('products', productData, {
+    token: data.adminToken,
+    tags: { name: 'create_product_under_stress', stress_level: stressLevel.toString() }
+  });
+  
+  check(createResponse, {
+    'product creation responds': (r) => r.status !== 0,
+    'product creation handles load': (r) => r.status < 500 || r.status === 503, // Accept service unavailable
+  });
   
   // Test 4: High-frequency product browsing
   for (let i = 0; i < 3; i++) {
@@ -219,7 +294,7 @@ export default function (data) {
   
   // Calculate error rates
   const totalRequests = 6; // Number of requests made in this iteration
-  const errorCount = [healthResponse, registerResponse, errorResponse].filter(r => r.status >= 400).length;
+  const errorCount = [healthResponse, profileResponse, errorResponse].filter(r => r.status >= 400).length;
   errorRateUnderStress.add(errorCount / totalRequests);
   
   // Adaptive sleep based on stress level
@@ -227,6 +302,40 @@ export default function (data) {
   sleep(sleepTime);
 }
 
+// Adaptive mode: one representative request mix per arrival, no think time
+export function capacityProbe(data) {
+  tagCurrentStep(CAPACITY_CONFIG);
+  tagLoadWindow(SERVER_WINDOWS);
+  
+  const listResponse = api.get('products', { query: { page: 1, limit: 20 } });
+  check(listResponse, {
+    'probe list status is 200': checks.status(200),
+  });
+  
+  const products = (listResponse.data && listResponse.data.products) || [];
+  if (products.length > 0) {
+    const detailResponse = api.get('products/{id}', { params: { id: getRandomArrayItem(products).id } });
+    check(detailResponse, {
+      'probe detail status is 200': checks.status(200),
+    });
+  }
+  
+  const searchResponse = api.get('products', { query: { search: 'widget', limit: 10 } });
+  check(searchResponse, {
+    'probe search status is 200': checks.status(200),
+  });
+  
+  const profileResponse = sessionApi(data.users).get('auth/profile');
+  check(profileResponse, {
+    'probe profile status is 200': checks.status(200),
+  });
+}
+
+// Server metrics scraped alongside the load
+export function serverMonitor() {
+  monitorServer(SERVER_WINDOWS);
+}
+
 function getCurrentStage() {
   const elapsed = __ENV.K6_CURRENT_STAGE_TIME || 0;
   const stages = [
@@ -256,6 +365,16 @@ function getCurrentStage() {
 export function teardown(data) {
   console.log('🧹 Stress Test Teardown...');
   
+  if (data.faults) {
+    try {
+      clearFaults(data.adminToken);
+    } catch (e) {
+      // Still remove the test data before the error fails the run
+      cleanupTestRun(data);
+      throw e;
+    }
+  }
+  
   // Final health check to see if system recovered
   const finalHealthResponse = http.get(`${API_BASE_URL}/health`);
   const systemRecovered = finalHealthResponse.status === 200;
@@ -266,6 +385,8 @@ export function teardown(data) {
     const totalTestTime = Date.now() - data.startTime;
     console.log(`Total stress test duration: ${totalTestTime}ms`);
   }
+  
+  cleanupTestRun(data);
 }
 
 export function handleSummary(data) {
@@ -277,6 +398,12 @@ export function handleSummary(data) {
   console.log(`- Resource exhaustion incidents: ${metrics.resource_exhaustion_indicator?.values?.rate || 'N/A'}`);
   console.log(`- Average response time under stress: ${metrics.response_time_under_stress?.values?.avg || 'N/A'}ms`);
   console.log(`- System recovery time: ${metrics.system_recovery_time?.values?.avg || 'N/A'}ms`);
+  logCleanupSummary(metrics);
+  
+  const serverSaturation = SERVER_METRICS_ENABLED ? correlateServerMetrics(metrics, SERVER_WINDOWS) : null;
+  if (serverSaturation) {
+    logServerCorrelation(serverSaturation);
+  }
   
   const stressAnalysis = {
     peakStressLevel: metrics.system_stress_level?.values?.max,
@@ -284,14 +411,31 @@ export function handleSummary(data) {
     resourceExhaustion: metrics.resource_exhaustion_indicator?.values?.rate,
     averageRecoveryTime: metrics.system_recovery_time?.values?.avg,
     systemBreakingPoint: identifyBreakingPoint(data),
+    serverSaturation,
     recommendations: generateRecommendations(data),
   };
   
-  return {
+  const outputs = {
     'stdout': '\n💪 Stress Test Completed!\n',
     'stress-test-results.json': JSON.stringify(data, null, 2),
     'stress-analysis.json': JSON.stringify(stressAnalysis, null, 2),
   };
+  
+  if (ADAPTIVE_MODE) {
+    const capacityReport = analyzeCapacity(data, CAPACITY_CONFIG);
+    
+    console.log('📈 Capacity Search:');
+    for (const step of capacityReport.steps) {
+      console.log(`- ${step.targetRate} it/s: p95 ${Math.round(step.p95)}ms, errors ${(step.errorRate * 100).toFixed(2)}% ${step.withinSlo ? '✅' : '❌'}`);
+    }
+    console.log(`- Last sustainable rate: ${capacityReport.lastSustainableRate || 'N/A'} it/s`);
+    console.log(`- First failing rate: ${capacityReport.firstFailingRate || 'N/A'} it/s`);
+    console.log(`- ${capacityReport.conclusion}`);
+    
+    outputs['capacity-report.json'] = JSON.stringify(capacityReport, null, 2);
+  }
+  
+  return withRegressionReport(outputs, data);
 }
 
 function identifyBreakingPoint(data) {
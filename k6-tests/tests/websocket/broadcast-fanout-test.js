@@ -0,0 +1,348 @@
+/**
+ * WebSocket Broadcast Fan-out Test
+ *
+ * Measures how ChatGateway delivers room broadcasts to the other members of a room:
+ * - `senders` VUs join every room and send to them in turn; each message carries its sender
+ *   stream (VU, iteration and stream start), a per-room sequence number and the send time
+ * - `receivers` VUs join one room each and check every message of every stream they see:
+ *   end-to-end delivery latency (send time to receipt), gaps in the sequence (lost messages),
+ *   late arrivals that fill a gap (out of order) and repeats (duplicates)
+ * - Rooms get many receivers and few senders, so one message fans out to several sockets
+ *
+ * Sender and receiver run on the same k6 instance, so both timestamps come from one clock.
+ * A stream that started before the receiver joined is checked from the first message the
+ * receiver saw; a lost final message of a stream cannot be told apart from one in flight
+ * and is not counted.
+ *
+ * Configuration (environment variables):
+ *   FANOUT_ROOMS             rooms to spread receivers over        (default 5)
+ *   FANOUT_SENDERS           sender VUs                            (default 5)
+ *   FANOUT_RECEIVERS         receiver VUs                          (default 25)
+ *   FANOUT_INTERVAL_MS       pause between a sender's messages     (default 200)
+ *   FANOUT_MESSAGE_BYTES     padding added to every message        (default 256)
+ *   FANOUT_SESSION_SECONDS   length of one Socket.IO session       (default 60)
+ *   FANOUT_DURATION          length of both scenarios              (default 3m)
+ */
+
+import { check } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import { loadOptions } from '../../utils/config.js';
+import { BASE_URL } from '../../utils/helpers.js';
+import { withRegressionReport } from '../../utils/regression.js';
+import { getSession, provisionUserPool } from '../../utils/session.js';
+import { connect } from '../../utils/socketio.js';
+import { logCleanupSummary } from '../../utils/summary.js';
+import { cleanupTestRun, startTestRun } from '../../utils/test-run.js';
+
+// Fan-out metrics
+export const fanoutSent = new Counter('ws_fanout_sent');
+export const fanoutDelivered = new Counter('ws_fanout_delivered');
+export const fanoutLatency = new Trend('ws_fanout_latency');
+export const fanoutLoss = new Rate('ws_fanout_loss');
+export const fanoutOutOfOrder = new Counter('ws_fanout_out_of_order');
+export const fanoutDuplicates = new Counter('ws_fanout_duplicates');
+export const fanoutRoomMembers = new Trend('ws_fanout_room_members');
+export const fanoutConnectionErrors = new Counter('ws_fanout_connection_errors');
+
+const ROOM_COUNT = parseInt(__ENV.FANOUT_ROOMS || '5');
+const SENDER_VUS = parseInt(__ENV.FANOUT_SENDERS || '5');
+const RECEIVER_VUS = parseInt(__ENV.FANOUT_RECEIVERS || '25');
+const MESSAGE_INTERVAL_MS = parseInt(__ENV.FANOUT_INTERVAL_MS || '200');
+const MESSAGE_PADDING = 'x'.repeat(parseInt(__ENV.FANOUT_MESSAGE_BYTES || '256'));
+const SESSION_MS = parseInt(__ENV.FANOUT_SESSION_SECONDS || '60') * 1000;
+const DURATION = __ENV.FANOUT_DURATION || '3m';
+// Senders stop this long before closing, so their last messages still reach the receivers
+const DRAIN_MS = 2000;
+// Senders start later, so most receivers are in their rooms before the first message
+const SENDER_START = '5s';
+
+// Marks fan-out messages: fanout|<stream>|<seq>|<sentAt>|<padding>
+const MESSAGE_PREFIX = 'fanout';
+
+export const options = loadOptions({
+  scenarios: {
+    receivers: {
+      executor: 'constant-vus',
+      vus: RECEIVER_VUS,
+      duration: DURATION,
+      gracefulStop: `${SESSION_MS / 1000 + 5}s`,
+      tags: { scenario: 'receivers' },
+      exec: 'receiver',
+    },
+    senders: {
+      executor: 'constant-vus',
+      vus: SENDER_VUS,
+      duration: DURATION,
+      startTime: SENDER_START,
+      gracefulStop: `${SESSION_MS / 1000 + 5}s`,
+      tags: { scenario: 'senders' },
+      exec: 'sender',
+    },
+  },
+  thresholds: {
+    'ws_fanout_latency': ['p(95)<250', 'p(99)<500'],
+    'ws_fanout_loss': ['rate<0.001'],
+    'ws_fanout_out_of_order': ['count==0'],
+    'ws_fanout_duplicates': ['count==0'],
+    'ws_fanout_delivered': ['count>0'],
+    'ws_fanout_connection_errors': ['count<5'],
+  },
+  tags: {
+    test_type: 'websocket_fanout_test',
+  },
+});
+
+export function setup() {
+  console.log('📡 Starting WebSocket Broadcast Fan-out Test Setup...');
+  console.log(`Socket.IO endpoint: ${BASE_URL}/socket.io/`);
+  console.log(`${SENDER_VUS} senders, ${RECEIVER_VUS} receivers in ${ROOM_COUNT} rooms, a message every ${MESSAGE_INTERVAL_MS}ms per sender`);
+
+  const testRun = startTestRun('websocket-fanout');
+  const users = provisionUserPool();
+
+  // Room names are unique to the run, so rooms left over from other runs do not mix in
+  const startTime = Date.now();
+  const rooms = [];
+  for (let i = 0; i < ROOM_COUNT; i++) {
+    rooms.push(`fanout.${startTime}.${i}`);
+  }
+
+  return { testRun, users, rooms, startTime };
+}
+
+function encodeMessage(stream, seq, sentAt) {
+  return `${MESSAGE_PREFIX}|${stream}|${seq}|${sentAt}|${MESSAGE_PADDING}`;
+}
+
+// Returns { stream, seq, sentAt, streamStart }, or null for messages not sent by this test
+function decodeMessage(text) {
+  const parts = typeof text === 'string' ? text.split('|') : [];
+  if (parts.length < 4 || parts[0] !== MESSAGE_PREFIX) {
+    return null;
+  }
+
+  // Stream ids are <vu>:<iteration>:<stream start>
+  return {
+    stream: parts[1],
+    seq: parseInt(parts[2]),
+    sentAt: parseInt(parts[3]),
+    streamStart: parseInt(parts[1].split(':')[2]),
+  };
+}
+
+function openSession(data, tagName, handler) {
+  const session = getSession(data.users);
+  let connected = false;
+
+  const response = connect(BASE_URL, {
+    auth: { token: session.token },
+    tags: { name: tagName },
+  }, function (io) {
+    io.on('connect', function () {
+      connected = true;
+    });
+
+    io.on('connect_error', function (error) {
+      console.log(`Socket.IO connect error for VU ${__VU}: ${JSON.stringify(error)}`);
+      fanoutConnectionErrors.add(1);
+    });
+
+    io.on('error', function (error) {
+      console.log(`WebSocket error for VU ${__VU}: ${error}`);
+      fanoutConnectionErrors.add(1);
+    });
+
+    io.on('exception', function (error) {
+      console.log(`Socket.IO exception for VU ${__VU}: ${JSON.stringify(error)}`);
+      fanoutConnectionErrors.add(1);
+    });
+
+    handler(io);
+  });
+
+  check({ response, connected }, {
+    'fan-out socket connected': (c) => c.response && c.response.status === 101 && c.connected,
+  });
+}
+
+/**
+ * Sender: joins every room, then sends to one room after the other. Each room gets its own
+ * stream, so receivers can check sequence numbers per room.
+ */
+export function sender(data) {
+  const nextSeq = {};
+  let stream = null;
+  let roomIndex = 0;
+  let joined = 0;
+  let sending = false;
+  let sent = 0;
+  let acked = 0;
+
+  openSession(data, 'websocket_fanout_sender', function (io) {
+    io.on('connect', function () {
+      data.rooms.forEach(room => {
+        nextSeq[room] = 1;
+        io.emit('join', { room }, () => {
+          joined++;
+          if (joined === data.rooms.length) {
+            // The stream starts once every room is joined, right before its first message
+            stream = `${__VU}:${__ITER}:${Date.now()}`;
+            sending = true;
+          }
+        });
+      });
+    });
+
+    io.setInterval(() => {
+      if (!sending) return;
+
+      const room = data.rooms[roomIndex++ % data.rooms.length];
+      const text = encodeMessage(stream, nextSeq[room]++, Date.now());
+      io.emit('message', { room, text }, () => {
+        acked++;
+      });
+      sent++;
+      fanoutSent.add(1, { room });
+    }, MESSAGE_INTERVAL_MS);
+
+    io.setTimeout(() => {
+      sending = false;
+    }, SESSION_MS - DRAIN_MS);
+
+    io.setTimeout(() => {
+      check({ joined, sent, acked }, {
+        'sender joined every room': (c) => c.joined === data.rooms.length,
+        'sender messages were acknowledged': (c) => c.sent > 0 && c.acked === c.sent,
+      });
+      io.close();
+    }, SESSION_MS);
+  });
+}
+
+/**
+ * Receiver: joins one room and checks every sender stream it sees for latency, gaps,
+ * late arrivals and repeats.
+ */
+export function receiver(data) {
+  const room = data.rooms[__VU % data.rooms.length];
+  // stream -> { highest, missing: Set of sequence numbers not received yet }
+  const streams = {};
+  let joinedAt = null;
+  let delivered = 0;
+  let outOfOrder = 0;
+  let duplicates = 0;
+
+  function onMessage(message) {
+    const received = Date.now();
+    const parsed = decodeMessage(message && message.text);
+    if (!parsed || message.room !== room) return;
+
+    delivered++;
+    fanoutDelivered.add(1, { room });
+    fanoutLatency.add(received - parsed.sentAt, { room });
+
+    let state = streams[parsed.stream];
+    if (!state) {
+      // Streams that started after the join must be seen from their first message on
+      const expectFromStart = joinedAt !== null && parsed.streamStart >= joinedAt;
+      state = { highest: expectFromStart ? 0 : parsed.seq - 1, missing: new Set() };
+      streams[parsed.stream] = state;
+    }
+
+    if (parsed.seq > state.highest) {
+      for (let seq = state.highest + 1; seq < parsed.seq; seq++) {
+        state.missing.add(seq);
+      }
+      state.highest = parsed.seq;
+      fanoutLoss.add(false);
+    } else if (state.missing.delete(parsed.seq)) {
+      outOfOrder++;
+      fanoutOutOfOrder.add(1, { room });
+      fanoutLoss.add(false);
+    } else {
+      duplicates++;
+      fanoutDuplicates.add(1, { room });
+    }
+  }
+
+  openSession(data, 'websocket_fanout_receiver', function (io) {
+    io.on('connect', function () {
+      io.emit('join', { room }, (reply) => {
+        joinedAt = Date.now();
+        fanoutRoomMembers.add(reply.members.length, { room });
+      });
+    });
+
+    io.on('message', onMessage);
+
+    io.setTimeout(() => {
+      // Gaps that were never filled are lost messages
+      let lost = 0;
+      Object.values(streams).forEach(state => {
+        lost += state.missing.size;
+      });
+      for (let i = 0; i < lost; i++) {
+        fanoutLoss.add(true);
+      }
+
+      check({ joinedAt, lost, outOfOrder, duplicates }, {
+        'receiver joined its room': (c) => c.joinedAt !== null,
+        'no broadcasts were lost': (c) => c.lost === 0,
+        'broadcasts arrived in order': (c) => c.outOfOrder === 0 && c.duplicates === 0,
+      });
+
+      console.log(`Receiver VU ${__VU} in ${room}: ${delivered} delivered from ${Object.keys(streams).length} streams, ${lost} lost, ${outOfOrder} out of order, ${duplicates} duplicates`);
+      io.close();
+    }, SESSION_MS);
+  });
+}
+
+export function teardown(data) {
+  console.log('🧹 WebSocket Fan-out Test Teardown...');
+  console.log(`Total fan-out test duration: ${Date.now() - data.startTime}ms`);
+
+  cleanupTestRun(data);
+}
+
+export function handleSummary(data) {
+  const metrics = data.metrics;
+  const sent = metrics.ws_fanout_sent?.values?.count || 0;
+  const delivered = metrics.ws_fanout_delivered?.values?.count || 0;
+
+  console.log('📊 WebSocket Broadcast Fan-out Summary:');
+  console.log(`- Messages sent: ${sent}`);
+  console.log(`- Deliveries to receivers: ${delivered} (fan-out factor ${sent > 0 ? (delivered / sent).toFixed(2) : 'N/A'})`);
+  console.log(`- Delivery latency p95: ${metrics.ws_fanout_latency?.values?.['p(95)'] || 'N/A'}ms, p99: ${metrics.ws_fanout_latency?.values?.['p(99)'] || 'N/A'}ms`);
+  console.log(`- Loss rate: ${(metrics.ws_fanout_loss?.values?.rate * 100) || 0}%`);
+  console.log(`- Out of order: ${metrics.ws_fanout_out_of_order?.values?.count || 0}`);
+  console.log(`- Duplicates: ${metrics.ws_fanout_duplicates?.values?.count || 0}`);
+  console.log(`- Connection errors: ${metrics.ws_fanout_connection_errors?.values?.count || 0}`);
+  logCleanupSummary(metrics);
+
+  const fanoutAnalysis = {
+    rooms: ROOM_COUNT,
+    senders: SENDER_VUS,
+    receivers: RECEIVER_VUS,
+    messageIntervalMs: MESSAGE_INTERVAL_MS,
+    messagesSent: sent,
+    deliveries: delivered,
+    fanoutFactor: sent > 0 ? delivered / sent : null,
+    averageRoomMembers: metrics.ws_fanout_room_members?.values?.avg,
+    latency: {
+      avg: metrics.ws_fanout_latency?.values?.avg,
+      p95: metrics.ws_fanout_latency?.values?.['p(95)'],
+      p99: metrics.ws_fanout_latency?.values?.['p(99)'],
+      max: metrics.ws_fanout_latency?.values?.max,
+    },
+    lossRate: metrics.ws_fanout_loss?.values?.rate,
+    outOfOrder: metrics.ws_fanout_out_of_order?.values?.count,
+    duplicates: metrics.ws_fanout_duplicates?.values?.count,
+    connectionErrors: metrics.ws_fanout_connection_errors?.values?.count,
+  };
+
+  return withRegressionReport({
+    'stdout': '\n📡 WebSocket Broadcast Fan-out Test Completed!\n',
+    'websocket-fanout-test-results.json': JSON.stringify(data, null, 2),
+    'websocket-fanout-analysis.json': JSON.stringify(fanoutAnalysis, null, 2),
+  }, data);
+}
@@ -1,18 +1,26 @@
 /**
  * WebSocket Performance Test
  * 
- * This test demonstrates K6's WebSocket testing capabilities:
- * - WebSocket connection establishment
- * - Real-time message exchange
- * - Connection stability under load
- * - Message throughput testing
- * - WebSocket-specific performance metrics
+ * Exercises the backend's ChatGateway over real Socket.IO framing (utils/socketio.js):
+ * - Engine.IO handshake and authenticated Socket.IO namespace connect time (pooled users' JWTs)
+ * - Connections without a token must be refused
+ * - Each VU joins one of WS_ROOMS rooms (many rooms, few members), gets the member list and
+ *   history, and sees the other members' presence join/leave events
+ * - 'ping' events, acknowledged with 'pong' (round-trip latency)
+ * - 'message' events: the ack returns the stored message and the server broadcasts it to the room
+ * - Message bursts and large (9KB) payloads
+ * - Sessions outlast the server's ping interval, so Engine.IO heartbeats must be answered
  */
 
 import { check, sleep } from 'k6';
 import { Counter, Rate, Trend } from 'k6/metrics';
-import ws from 'k6/ws';
-import { randomSleep } from '../../utils/helpers.js';
+import { loadOptions } from '../../utils/config.js';
+import { BASE_URL, randomSleep } from '../../utils/helpers.js';
+import { withRegressionReport } from '../../utils/regression.js';
+import { getSession, provisionUserPool } from '../../utils/session.js';
+import { connect } from '../../utils/socketio.js';
+import { logCleanupSummary } from '../../utils/summary.js';
+import { cleanupTestRun, startTestRun } from '../../utils/test-run.js';
 
 // WebSocket specific metrics
 export const wsConnectionSuccess = new Rate('ws_connection_success');
@@ -20,10 +28,29 @@ export const wsMessagesSent = new Counter('ws_messages_sent');
 export const wsMessagesReceived = new Counter('ws_messages_received');
 export const wsConnectionDuration = new Trend('ws_connection_duration');
 export const wsMessageLatency = new Trend('ws_message_latency');
+export const wsPingLatency = new Trend('ws_ping_latency');
+export const wsBroadcastLatency = new Trend('ws_broadcast_latency');
+export const wsAckSuccess = new Rate('ws_ack_success');
+export const wsHeartbeats = new Counter('ws_heartbeats');
 export const wsConnectionErrors = new Counter('ws_connection_errors');
+export const wsJoinLatency = new Trend('ws_join_latency');
+export const wsPresenceEvents = new Counter('ws_presence_events');
+export const wsAuthRejected = new Rate('ws_auth_rejected');
+
+// Long enough for at least one Engine.IO heartbeat (the server pings every 25s by default)
+const SESSION_MS = parseInt(__ENV.WS_SESSION_SECONDS || '30') * 1000;
+// Stop sending this long before closing, so the last acks can still arrive
+const DRAIN_MS = 2000;
+const PING_INTERVAL_MS = 1000;
+const MESSAGE_INTERVAL_MS = 2000;
+const BURST_SIZE = 5;
+// The gateway accepts message texts of up to 10000 characters
+const LARGE_MESSAGE_BYTES = 9000;
+// VUs spread over this many rooms, so each broadcast fans out to a few members only
+const ROOM_COUNT = parseInt(__ENV.WS_ROOMS || '10');
 
 // WebSocket test configuration
-export const options = {
+export const options = loadOptions({
   stages: [
     { duration: '30s', target: 5 },   // Start with few connections
     { duration: '1m', target: 15 },   // Increase WebSocket connections
@@ -34,30 +61,30 @@ export const options = {
   thresholds: {
     'ws_connection_success': ['rate>0.95'],
     'ws_message_latency': ['p(95)<100'],
+    'ws_ping_latency': ['p(95)<100'],
+    'ws_ack_success': ['rate>0.99'],
     'ws_connection_duration': ['p(95)<1000'],
     'ws_connection_errors': ['count<5'],
+    'ws_join_latency': ['p(95)<200'],
+    'ws_auth_rejected': ['rate==1'],
   },
   tags: {
     test_type: 'websocket_test',
-    environment: __ENV.ENV || 'dev',
   },
-};
-
-const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
-const WS_URL = BASE_URL.replace('http://', 'ws://').replace('https://', 'wss://');
+});
 
 export function setup() {
   console.log('🔌 Starting WebSocket Performance Test Setup...');
-  console.log(`WebSocket URL: ${WS_URL}`);
+  console.log(`Socket.IO endpoint: ${BASE_URL}/socket.io/`);
+  
+  // The gateway only accepts authenticated connections
+  const testRun = startTestRun('websocket');
+  const users = provisionUserPool();
   
   return { 
+    testRun,
+    users,
     startTime: Date.now(),
-    wsMetrics: {
-      totalConnections: 0,
-      successfulConnections: 0,
-      messagesSent: 0,
-      messagesReceived: 0
-    }
   };
 }
 
@@ -65,192 +92,211 @@ export default function (data) {
   const vuId = __VU;
   const iterationId = __ITER;
   
+  if (iterationId === 0) {
+    testRejectsAnonymous(vuId);
+  }
+  
   // Test WebSocket connection and messaging
-  testWebSocketConnection(vuId, iterationId);
+  const session = getSession(data.users);
+  testSocketIoSession(vuId, iterationId, session);
   
   sleep(randomSleep(1, 3));
 }
 
-function testWebSocketConnection(vuId, iterationId) {
-  const connectionStart = Date.now();
-  let messagesSentCount = 0;
-  let messagesReceivedCount = 0;
-  let messageTimes = new Map();
+// A connection without an access token must get a connect_error, not a session
+function testRejectsAnonymous(vuId) {
+  let rejection = null;
+  
+  connect(BASE_URL, {
+    tags: { name: 'websocket_anonymous' },
+  }, function (io) {
+    io.on('connect', function () {
+      io.close();
+    });
+    io.on('connect_error', function (error) {
+      rejection = error;
+    });
+  });
   
-  const url = `${WS_URL}/socket.io/?EIO=4&transport=websocket`;
+  const rejected = check(rejection, {
+    'anonymous connection is refused': (e) => e !== null && /token/i.test(e.message || ''),
+  });
+  wsAuthRejected.add(rejected);
+  if (!rejected) {
+    console.log(`Anonymous Socket.IO connection was not refused for VU ${vuId}`);
+  }
+}
+
+function testSocketIoSession(vuId, iterationId, session) {
+  const room = `room-${vuId % ROOM_COUNT}`;
+  const connectionStart = Date.now();
+  // Message id -> send time, until the broadcast of that message comes back
+  const awaitingBroadcast = new Map();
+  let connected = false;
+  let sending = false;
+  let messagesSent = 0;
+  let acksReceived = 0;
+  let broadcastsReceived = 0;
+  let ownBroadcasts = 0;
+  let presenceEvents = 0;
+  let joined = null;
+  let left = null;
+  let sequence = 0;
   
-  const response = ws.connect(url, {
+  const response = connect(BASE_URL, {
+    auth: { token: session.token },
     tags: { name: 'websocket_connection' },
-  }, function (socket) {
+  }, function (io) {
     
-    const connectionTime = Date.now() - connectionStart;
-    wsConnectionDuration.add(connectionTime);
+    function sendMessage(content) {
+      const id = `${vuId}:${iterationId}:${sequence++}`;
+      const text = `${id} ${content}`;
+      const sentAt = Date.now();
+      
+      awaitingBroadcast.set(id, sentAt);
+      io.emit('message', { room, text }, (message) => {
+        acksReceived++;
+        wsMessagesReceived.add(1);
+        wsMessageLatency.add(Date.now() - sentAt);
+        wsAckSuccess.add(Boolean(message) && message.text === text && message.room === room);
+      });
+      messagesSent++;
+      wsMessagesSent.add(1);
+    }
     
-    // Connection established successfully
-    const connectionSuccess = check(socket, {
-      'websocket connection established': (s) => s !== null,
+    function sendPing() {
+      const sentAt = Date.now();
+      io.emit('ping', (reply) => {
+        acksReceived++;
+        wsMessagesReceived.add(1);
+        wsPingLatency.add(Date.now() - sentAt);
+        wsAckSuccess.add(reply === 'pong');
+      });
+      messagesSent++;
+      wsMessagesSent.add(1);
+    }
+    
+    io.on('connect', function () {
+      connected = true;
+      wsConnectionDuration.add(Date.now() - connectionStart);
+      
+      const joinStart = Date.now();
+      io.emit('join', { room }, (reply) => {
+        wsJoinLatency.add(Date.now() - joinStart);
+        joined = reply;
+        sending = true;
+        
+        sendPing();
+        sendMessage(`Hello from VU ${vuId}`);
+      });
     });
     
-    wsConnectionSuccess.add(connectionSuccess);
+    io.on('connect_error', function (error) {
+      console.log(`Socket.IO connect error for VU ${vuId}: ${JSON.stringify(error)}`);
+      wsConnectionErrors.add(1);
+    });
     
-    if (!connectionSuccess) {
+    io.on('error', function (error) {
+      console.log(`WebSocket error for VU ${vuId}: ${error}`);
       wsConnectionErrors.add(1);
-      return;
-    }
+    });
     
-    console.log(`WebSocket connected for VU ${vuId}, iteration ${iterationId}`);
+    // Validation and membership errors come back as 'exception' events instead of acks
+    io.on('exception', function (error) {
+      console.log(`Socket.IO exception for VU ${vuId}: ${JSON.stringify(error)}`);
+      wsConnectionErrors.add(1);
+    });
     
-    // Socket.IO handshake
-    socket.on('open', function () {
-      console.log(`WebSocket opened for VU ${vuId}`);
-      
-      // Send initial ping message
-      const pingMessage = JSON.stringify({
-        type: 'ping',
-        timestamp: Date.now(),
-        vuId: vuId,
-        iterationId: iterationId
-      });
-      
-      socket.send(pingMessage);
-      messageTimes.set('ping', Date.now());
-      messagesSentCount++;
-      wsMessagesSent.add(1);
+    // Other members joining and leaving the room
+    io.on('presence', function () {
+      presenceEvents++;
+      wsPresenceEvents.add(1);
     });
     
-    // Handle incoming messages
-    socket.on('message', function (message) {
-      messagesReceivedCount++;
+    // Every member of the room receives its broadcasts, its own included
+    io.on('message', function (message) {
+      broadcastsReceived++;
       wsMessagesReceived.add(1);
       
-      try {
-        const data = JSON.parse(message);
-        
-        if (data.type === 'pong') {
-          const sentTime = messageTimes.get('ping');
-          if (sentTime) {
-            const latency = Date.now() - sentTime;
-            wsMessageLatency.add(latency);
-            console.log(`Ping-pong latency: ${latency}ms`);
-          }
-        }
-        
-        // Validate message structure
-        check(data, {
-          'message has type': (d) => d.type !== undefined,
-          'message has timestamp': (d) => d.timestamp !== undefined,
-        });
-        
-      } catch (e) {
-        console.log(`Error parsing WebSocket message: ${e}`);
+      const text = (message && message.text) || '';
+      const id = text.substring(0, text.indexOf(' '));
+      const sentAt = awaitingBroadcast.get(id);
+      if (sentAt !== undefined) {
+        awaitingBroadcast.delete(id);
+        ownBroadcasts++;
+        wsBroadcastLatency.add(Date.now() - sentAt);
       }
     });
     
-    // Handle connection errors
-    socket.on('error', function (error) {
-      console.log(`WebSocket error for VU ${vuId}: ${error}`);
-      wsConnectionErrors.add(1);
-    });
+    io.setInterval(() => {
+      if (sending) sendPing();
+    }, PING_INTERVAL_MS);
     
-    // Send periodic messages
-    const messageInterval = setInterval(() => {
-      if (socket.readyState === 1) { // OPEN state
-        const message = JSON.stringify({
-          type: 'chat',
-          content: `Test message from VU ${vuId} at ${Date.now()}`,
-          vuId: vuId,
-          messageNumber: messagesSentCount + 1
-        });
-        
-        socket.send(message);
-        messageTimes.set(`message_${messagesSentCount}`, Date.now());
-        messagesSentCount++;
-        wsMessagesSent.add(1);
-      }
-    }, 2000); // Send message every 2 seconds
+    io.setInterval(() => {
+      if (sending) sendMessage(`Test message from VU ${vuId} at ${Date.now()}`);
+    }, MESSAGE_INTERVAL_MS);
     
-    // Test burst messaging
-    setTimeout(() => {
-      if (socket.readyState === 1) {
-        for (let i = 0; i < 5; i++) {
-          const burstMessage = JSON.stringify({
-            type: 'burst',
-            content: `Burst message ${i} from VU ${vuId}`,
-            burstIndex: i,
-            vuId: vuId
-          });
-          
-          socket.send(burstMessage);
-          messageTimes.set(`burst_${i}`, Date.now());
-          messagesSentCount++;
-          wsMessagesSent.add(1);
-          
-          sleep(0.1); // Small delay between burst messages
-        }
+    // Burst: several messages back to back, acks and broadcasts must all arrive
+    io.setTimeout(() => {
+      for (let i = 0; sending && i < BURST_SIZE; i++) {
+        sendMessage(`Burst message ${i} from VU ${vuId}`);
       }
-    }, 5000); // Send burst after 5 seconds
+    }, 5000);
     
-    // Test large message handling
-    setTimeout(() => {
-      if (socket.readyState === 1) {
-        const largeData = 'x'.repeat(10000); // 10KB message
-        const largeMessage = JSON.stringify({
-          type: 'large',
-          content: largeData,
-          size: largeData.length,
-          vuId: vuId
-        });
-        
-        socket.send(largeMessage);
-        messageTimes.set('large_message', Date.now());
-        messagesSentCount++;
-        wsMessagesSent.add(1);
-      }
-    }, 8000); // Send large message after 8 seconds
+    // Large payload
+    io.setTimeout(() => {
+      if (sending) sendMessage('x'.repeat(LARGE_MESSAGE_BYTES));
+    }, 8000);
+    
+    io.setTimeout(() => {
+      sending = false;
+      io.emit('leave', { room }, (reply) => {
+        left = reply;
+      });
+    }, SESSION_MS - DRAIN_MS);
     
-    // Keep connection alive for testing duration
-    setTimeout(() => {
-      clearInterval(messageInterval);
+    io.setTimeout(() => {
+      const heartbeatExpected = io.handshake && io.handshake.pingInterval < SESSION_MS;
+      wsHeartbeats.add(io.heartbeats);
       
-      // Send final message before closing
-      if (socket.readyState === 1) {
-        const finalMessage = JSON.stringify({
-          type: 'goodbye',
-          content: `VU ${vuId} signing off`,
-          totalMessagesSent: messagesSentCount,
-          vuId: vuId
-        });
-        
-        socket.send(finalMessage);
-        wsMessagesSent.add(1);
+      // Acks still missing after the drain period count as lost
+      for (let i = 0; i < io.pendingAcks(); i++) {
+        wsAckSuccess.add(false);
       }
       
-      socket.close();
-    }, 15000); // Keep connection for 15 seconds
-    
-    // Handle connection close
-    socket.on('close', function () {
-      console.log(`WebSocket closed for VU ${vuId}. Sent: ${messagesSentCount}, Received: ${messagesReceivedCount}`);
-      
-      // Validate message exchange
-      check({ messagesSentCount, messagesReceivedCount }, {
-        'messages were sent': (counts) => counts.messagesSentCount > 0,
-        'messages were received': (counts) => counts.messagesReceivedCount > 0,
-        'reasonable message exchange': (counts) => counts.messagesReceivedCount >= counts.messagesSentCount * 0.5,
+      check({ messagesSent, acksReceived, ownBroadcasts, pending: io.pendingAcks() }, {
+        'messages were sent': (c) => c.messagesSent > 0,
+        'every event was acknowledged': (c) => c.pending === 0 && c.acksReceived === c.messagesSent,
+        'own messages were broadcast back': () => awaitingBroadcast.size === 0,
       });
-    });
-    
-    // Handle socket timeout
-    socket.setTimeout(function () {
-      console.log(`WebSocket timeout for VU ${vuId}`);
-      wsConnectionErrors.add(1);
-    }, 20000); // 20 second timeout
+      check({ joined, left }, {
+        'room was joined': (c) => c.joined !== null && c.joined.room === room,
+        'join lists own user as member': (c) => c.joined !== null &&
+          c.joined.members.some(member => member.username === session.username),
+        'join returns room history': (c) => c.joined !== null && Array.isArray(c.joined.history),
+        'room was left': (c) => c.left !== null && c.left.left === true,
+      });
+      if (heartbeatExpected) {
+        check(io, {
+          'server heartbeats were answered': (c) => c.heartbeats > 0,
+        });
+      }
+      
+      console.log(`Socket.IO session closed for VU ${vuId} in ${room}. Sent: ${messagesSent}, acks: ${acksReceived}, broadcasts: ${broadcastsReceived}, presence: ${presenceEvents}`);
+      io.close();
+    }, SESSION_MS);
   });
   
-  // Check if WebSocket connection was successful
-  check(response, {
-    'websocket connection response ok': (r) => r && r.status === 101,
+  const connectionSuccess = check(response, {
+    'websocket upgrade status is 101': (r) => r && r.status === 101,
+  }) && check({ connected }, {
+    'socket.io namespace joined': (c) => c.connected,
   });
+  
+  wsConnectionSuccess.add(connectionSuccess);
+  if (!connectionSuccess) {
+    wsConnectionErrors.add(1);
+  }
 }
 
 export function teardown(data) {
@@ -260,6 +306,8 @@ export function teardown(data) {
     const totalTestTime = Date.now() - data.startTime;
     console.log(`Total WebSocket test duration: ${totalTestTime}ms`);
   }
+  
+  cleanupTestRun(data);
 }
 
 export function handleSummary(data) {
@@ -270,8 +318,13 @@ export function handleSummary(data) {
   console.log(`- Total messages sent: ${metrics.ws_messages_sent?.values?.count || 0}`);
   console.log(`- Total messages received: ${metrics.ws_messages_received?.values?.count || 0}`);
   console.log(`- Average message latency: ${metrics.ws_message_latency?.values?.avg || 'N/A'}ms`);
+  console.log(`- Average ping latency: ${metrics.ws_ping_latency?.values?.avg || 'N/A'}ms`);
+  console.log(`- Ack success rate: ${(metrics.ws_ack_success?.values?.rate * 100) || 'N/A'}%`);
   console.log(`- Average connection duration: ${metrics.ws_connection_duration?.values?.avg || 'N/A'}ms`);
   console.log(`- Connection errors: ${metrics.ws_connection_errors?.values?.count || 0}`);
+  console.log(`- Average room join latency: ${metrics.ws_join_latency?.values?.avg || 'N/A'}ms`);
+  console.log(`- Presence events received: ${metrics.ws_presence_events?.values?.count || 0}`);
+  logCleanupSummary(metrics);
   
   const wsAnalysis = {
     connectionSuccessRate: metrics.ws_connection_success?.values?.rate,
@@ -279,26 +332,31 @@ export function handleSummary(data) {
     totalMessagesReceived: metrics.ws_messages_received?.values?.count,
     averageMessageLatency: metrics.ws_message_latency?.values?.avg,
     maxMessageLatency: metrics.ws_message_latency?.values?.max,
+    averagePingLatency: metrics.ws_ping_latency?.values?.avg,
+    averageBroadcastLatency: metrics.ws_broadcast_latency?.values?.avg,
+    ackSuccessRate: metrics.ws_ack_success?.values?.rate,
+    heartbeatsAnswered: metrics.ws_heartbeats?.values?.count,
     averageConnectionTime: metrics.ws_connection_duration?.values?.avg,
     connectionErrors: metrics.ws_connection_errors?.values?.count,
+    averageJoinLatency: metrics.ws_join_latency?.values?.avg,
+    presenceEvents: metrics.ws_presence_events?.values?.count,
+    anonymousRejectionRate: metrics.ws_auth_rejected?.values?.rate,
     messageExchangeRatio: calculateMessageExchangeRatio(metrics),
     websocketPerformanceScore: calculateWebSocketPerformanceScore(metrics),
     recommendations: generateWebSocketRecommendations(metrics),
   };
   
-  return {
+  return withRegressionReport({
     'stdout': '\n🔌 WebSocket Performance Test Completed!\n',
     'websocket-test-results.json': JSON.stringify(data, null, 2),
     'websocket-analysis.json': JSON.stringify(wsAnalysis, null, 2),
-  };
+  }, data);
 }
 
+// Share of emitted events the server acknowledged. Received/sent counts would overstate it,
+// since every client also receives the other room members' broadcasts.
 function calculateMessageExchangeRatio(metrics) {
-  const sent = metrics.ws_messages_sent?.values?.count || 0;
-  const received = metrics.ws_messages_received?.values?.count || 0;
-  
-  if (sent === 0) return 0;
-  return received / sent;
+  return metrics.ws_ack_success?.values?.rate || 0;
 }
 
 function calculateWebSocketPerformanceScore(metrics) {
@@ -0,0 +1,157 @@
+/**
+ * Capacity Search
+ *
+ * Builds a stepped `ramping-arrival-rate` scenario that raises the request rate until
+ * the SLO is breached, and turns the per-step results into a capacity report:
+ * - Every request is tagged `rate_step:<n>` for the step it ran in
+ * - Per-step thresholds on p95 latency and error rate abort the run on the first breach
+ * - analyzeCapacity() reports the last sustainable rate and the first failing rate
+ *
+ * Configuration (environment variables):
+ *   CAPACITY_START_RATE    first step, iterations/s          (default 10)
+ *   CAPACITY_RATE_STEP     increase per step, iterations/s   (default 10)
+ *   CAPACITY_MAX_STEPS     number of steps                   (default 10)
+ *   CAPACITY_RAMP_SECONDS  ramp between steps                (default 10)
+ *   CAPACITY_HOLD_SECONDS  time spent at each step           (default 60)
+ *   CAPACITY_MAX_VUS       VU ceiling for the executor       (default 500)
+ *   SLO_P95_MS             p95 latency SLO in ms             (default 2000)
+ *   SLO_ERROR_RATE         error rate SLO, 0-1               (default 0.05)
+ *   STOP_ON_BREACH         abort on first breach             (default true)
+ */
+
+import exec from 'k6/execution';
+
+export function capacityConfigFromEnv() {
+  return {
+    startRate: parseInt(__ENV.CAPACITY_START_RATE || '10'),
+    rateStep: parseInt(__ENV.CAPACITY_RATE_STEP || '10'),
+    maxSteps: parseInt(__ENV.CAPACITY_MAX_STEPS || '10'),
+    rampSeconds: parseInt(__ENV.CAPACITY_RAMP_SECONDS || '10'),
+    holdSeconds: parseInt(__ENV.CAPACITY_HOLD_SECONDS || '60'),
+    maxVUs: parseInt(__ENV.CAPACITY_MAX_VUS || '500'),
+    sloP95Ms: parseFloat(__ENV.SLO_P95_MS || '2000'),
+    sloErrorRate: parseFloat(__ENV.SLO_ERROR_RATE || '0.05'),
+    stopOnBreach: __ENV.STOP_ON_BREACH !== 'false',
+  };
+}
+
+export function stepRate(config, step) {
+  return config.startRate + step * config.rateStep;
+}
+
+/**
+ * Scenario that ramps to each step's rate and holds it.
+ */
+export function buildCapacityScenario(config, execName, tags = {}) {
+  const stages = [];
+  for (let step = 0; step < config.maxSteps; step++) {
+    const rate = stepRate(config, step);
+    stages.push({ duration: `${config.rampSeconds}s`, target: rate });
+    stages.push({ duration: `${config.holdSeconds}s`, target: rate });
+  }
+
+  return {
+    executor: 'ramping-arrival-rate',
+    startRate: config.startRate,
+    timeUnit: '1s',
+    preAllocatedVUs: Math.min(config.startRate * 2, config.maxVUs),
+    maxVUs: config.maxVUs,
+    stages,
+    exec: execName,
+    tags,
+  };
+}
+
+/**
+ * Per-step SLO thresholds. They also make k6 keep the per-step submetrics the report reads.
+ */
+export function buildCapacityThresholds(config) {
+  const thresholds = {};
+  const abort = {
+    abortOnFail: config.stopOnBreach,
+    delayAbortEval: `${Math.max(config.rampSeconds, 10)}s`,
+  };
+
+  for (let step = 0; step < config.maxSteps; step++) {
+    thresholds[`http_req_duration{rate_step:${step}}`] = [
+      { threshold: `p(95)<${config.sloP95Ms}`, ...abort },
+    ];
+    thresholds[`http_req_failed{rate_step:${step}}`] = [
+      { threshold: `rate<${config.sloErrorRate}`, ...abort },
+    ];
+    thresholds[`http_reqs{rate_step:${step}}`] = ['count>=0'];
+  }
+
+  return thresholds;
+}
+
+/**
+ * Tag the current iteration with the step it runs in. Call at the top of the exec function.
+ */
+export function tagCurrentStep(config) {
+  const elapsedSeconds = (Date.now() - exec.scenario.startTime) / 1000;
+  const step = Math.min(
+    Math.floor(elapsedSeconds / (config.rampSeconds + config.holdSeconds)),
+    config.maxSteps - 1
+  );
+
+  exec.vu.tags.rate_step = String(step);
+  return step;
+}
+
+/**
+ * Build the capacity report from handleSummary() data.
+ */
+export function analyzeCapacity(data, config) {
+  const steps = [];
+
+  for (let step = 0; step < config.maxSteps; step++) {
+    const requests = data.metrics[`http_reqs{rate_step:${step}}`];
+    if (!requests || !requests.values || requests.values.count === 0) {
+      break;
+    }
+
+    const duration = data.metrics[`http_req_duration{rate_step:${step}}`];
+    const failed = data.metrics[`http_req_failed{rate_step:${step}}`];
+    const p95 = duration ? duration.values['p(95)'] : null;
+    const errorRate = failed ? failed.values.rate : 0;
+
+    steps.push({
+      step,
+      targetRate: stepRate(config, step),
+      requests: requests.values.count,
+      p95,
+      errorRate,
+      withinSlo: p95 !== null && p95 < config.sloP95Ms && errorRate < config.sloErrorRate,
+    });
+  }
+
+  const firstFailing = steps.find(s => !s.withinSlo) || null;
+  const sustainable = steps.filter(s => s.withinSlo && (!firstFailing || s.step < firstFailing.step));
+  const lastSustainable = sustainable.length > 0 ? sustainable[sustainable.length - 1] : null;
+
+  return {
+    slo: {
+      p95Ms: config.sloP95Ms,
+      errorRate: config.sloErrorRate,
+    },
+    lastSustainableRate: lastSustainable ? lastSustainable.targetRate : null,
+    firstFailingRate: firstFailing ? firstFailing.targetRate : null,
+    breached: firstFailing !== null,
+    conclusion: describeCapacity(lastSustainable, firstFailing, steps),
+    steps,
+  };
+}
+
+function describeCapacity(lastSustainable, firstFailing, steps) {
+  if (steps.length === 0) {
+    return 'No capacity steps completed';
+  }
+  if (!firstFailing) {
+    return `SLO held up to ${steps[steps.length - 1].targetRate} it/s - raise CAPACITY_MAX_STEPS or CAPACITY_RATE_STEP to find the limit`;
+  }
+  if (!lastSustainable) {
+    return `SLO breached at the first step (${firstFailing.targetRate} it/s) - lower CAPACITY_START_RATE`;
+  }
+  return `Capacity is between ${lastSustainable.targetRate} and ${firstFailing.targetRate} it/s`;
+}
@@ -0,0 +1,277 @@
+/**
+ * Chaos Experiments
+ *
+ * Runs a fault schedule against the backend during a steady load and measures resilience per
+ * fault window, instead of raw throughput:
+ * - chaosWindows() turns a fault plan (see faults.js) into its schedule; every rule needs a
+ *   unique `name` and a `durationSeconds`, and `startsInSeconds` places it on the timeline
+ * - startChaos() at the end of setup() installs the plan; the windows count from that moment
+ * - chaosRequest() sends one request with the client's retry policy: status 0 (connection
+ *   reset), 429 and 5xx are retried up to CHAOS_MAX_RETRIES times, waiting for Retry-After when
+ *   the server sends one and an exponential backoff otherwise
+ *
+ * Every request is tagged with `chaos_window` - `baseline` before the first fault, the rule name
+ * while it is active and `after-<rule>` once it has ended - and with `chaos_target`, whether the
+ * active rule matches the request's method and path. Per window this gives:
+ * - blast radius: chaos_degraded of the requests the fault does not target; a request is
+ *   degraded when it still fails after its retries or takes longer than CHAOS_SLO_MS overall
+ * - retry behavior: chaos_retries (retries sent) and chaos_retry_success (share of retried
+ *   requests that eventually succeeded)
+ * - recovery time: chaos_recovery_time, from the end of a window to the first healthy request
+ *   a VU that saw the window sends to the faulted route
+ *
+ * Usage:
+ *   const CHAOS_WINDOWS = chaosWindows(PLAN);
+ *   export const options = { thresholds: chaosThresholds(CHAOS_WINDOWS) };
+ *   export function setup() { return { chaos: startChaos(PLAN, adminLogin()) }; }
+ *   export default function (data) { chaosRequest(data.chaos, 'GET', 'products'); }
+ */
+
+import { sleep } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import { applyFaults } from './faults.js';
+import { expandRoute, request } from './http-client.js';
+
+export const CHAOS_SLO_MS = parseInt(__ENV.CHAOS_SLO_MS || '300');
+export const CHAOS_RECOVERY_SECONDS = parseInt(__ENV.CHAOS_RECOVERY_SECONDS || '60');
+const MAX_RETRIES = parseInt(__ENV.CHAOS_MAX_RETRIES || '3');
+const MAX_BLAST_RADIUS = parseFloat(__ENV.CHAOS_MAX_BLAST_RADIUS || '0.05');
+const MAX_RECOVERY_MS = parseInt(__ENV.CHAOS_MAX_RECOVERY_MS || '10000');
+const MIN_RETRY_SUCCESS = parseFloat(__ENV.CHAOS_MIN_RETRY_SUCCESS || '0.9');
+
+const BASE_BACKOFF_SECONDS = 0.1;
+// A Retry-After longer than this is not worth waiting for inside one iteration
+const MAX_RETRY_AFTER_SECONDS = 5;
+// Rule names end up in tag selectors of thresholds
+const WINDOW_NAME = /^[A-Za-z0-9_-]+$/;
+
+export const chaosDegraded = new Rate('chaos_degraded');
+export const chaosRequestDuration = new Trend('chaos_request_duration', true);
+export const chaosRetries = new Counter('chaos_retries');
+export const chaosRetrySuccess = new Rate('chaos_retry_success');
+export const chaosRecoveryTime = new Trend('chaos_recovery_time', true);
+
+// Per-VU state: windows this VU sent requests in, and windows it has seen recover from
+const seenWindows = {};
+const recoveredWindows = {};
+
+// Same matching as the backend: `:param` matches one segment, `*` any part of one (e.g. `*.csv`),
+// a trailing `**` the rest
+function compilePath(path) {
+  const segments = path.replace(/^\/+|\/+$/g, '').split('/');
+  if (segments.length === 1 && segments[0] === '**') {
+    return /^.*$/;
+  }
+
+  let rest = '';
+  if (segments[segments.length - 1] === '**') {
+    segments.pop();
+    rest = '(?:/.*)?';
+  }
+  const pattern = segments
+    .map(segment => (segment.startsWith(':')
+      ? '[^/]+'
+      : segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*')))
+    .join('/');
+  return new RegExp(`^${pattern}${rest}$`);
+}
+
+/**
+ * The plan's schedule as `{ name, start, end, method, pattern, retried }`, times in seconds from
+ * startChaos(), sorted by start. Throws when a rule cannot be placed on the timeline.
+ */
+export function chaosWindows(plan) {
+  const names = new Set();
+
+  return plan.rules.map((rule) => {
+    if (!rule.name || !WINDOW_NAME.test(rule.name) || names.has(rule.name)) {
+      throw new Error(`Chaos plan ${plan.name}: every rule needs a unique name of letters, digits, "-" and "_" (got "${rule.name}")`);
+    }
+    if (!rule.durationSeconds) {
+      throw new Error(`Chaos plan ${plan.name}: rule ${rule.name} has no durationSeconds`);
+    }
+    names.add(rule.name);
+
+    const start = rule.startsInSeconds || 0;
+    return {
+      name: rule.name,
+      start,
+      end: start + rule.durationSeconds,
+      method: rule.method || null,
+      pattern: compilePath(rule.path),
+      // Only errors and resets give the client something to retry
+      retried: Boolean((rule.errors && rule.errors.length > 0) || rule.resetRate),
+    };
+  }).sort((a, b) => a.start - b.start);
+}
+
+// Seconds from the first window opening to the recovery period after the last one closing
+export function chaosDurationSeconds(windows) {
+  return Math.max(...windows.map(window => window.end)) + CHAOS_RECOVERY_SECONDS;
+}
+
+/**
+ * Thresholds for every window of the schedule. Submetrics only show up in the summary when a
+ * threshold uses them, so the ones that are merely reported get an always-true threshold.
+ */
+export function chaosThresholds(windows) {
+  const thresholds = {
+    'chaos_degraded{chaos_window:baseline}': [`rate<${MAX_BLAST_RADIUS}`],
+  };
+
+  for (const { name, retried } of windows) {
+    thresholds[`chaos_degraded{chaos_window:${name},chaos_target:false}`] = [`rate<${MAX_BLAST_RADIUS}`];
+    thresholds[`chaos_degraded{chaos_window:${name},chaos_target:true}`] = ['rate>=0'];
+    thresholds[`chaos_degraded{chaos_window:after-${name}}`] = [`rate<${MAX_BLAST_RADIUS}`];
+    thresholds[`chaos_request_duration{chaos_window:${name},chaos_target:true}`] = ['p(95)>=0'];
+    thresholds[`chaos_retries{chaos_window:${name}}`] = ['count>=0'];
+    thresholds[`chaos_recovery_time{chaos_window:${name}}`] = [`p(95)<${MAX_RECOVERY_MS}`];
+    thresholds[`faults_injected{fault:${name}}`] = ['count>=0'];
+    if (retried) {
+      thresholds[`chaos_retry_success{chaos_window:${name}}`] = [`rate>${MIN_RETRY_SUCCESS}`];
+    }
+  }
+
+  return thresholds;
+}
+
+/**
+ * Install the plan's faults; call last in setup() so the schedule lines up with the load.
+ * Returns the state chaosRequest() needs, to pass through setup data.
+ */
+export function startChaos(plan, adminToken) {
+  const windows = chaosWindows(plan);
+  const faults = applyFaults(plan, adminToken);
+
+  console.log(`🌪️ Chaos schedule (${chaosDurationSeconds(windows)}s):`);
+  for (const window of windows) {
+    console.log(`🌪️   ${window.start}s-${window.end}s ${window.name}`);
+  }
+
+  // Windows do not survive setup data (RegExp), so VUs compile them again from the plan
+  return { plan, faults, startedAt: Date.now() };
+}
+
+// The window a request at `elapsed` seconds belongs to, and the active rule, if any
+function phaseAt(windows, elapsed) {
+  const active = windows.find(window => window.start <= elapsed && elapsed < window.end);
+  if (active) {
+    return { name: active.name, active };
+  }
+
+  const ended = windows.filter(window => window.end <= elapsed);
+  if (ended.length === 0) {
+    return { name: 'baseline', active: null };
+  }
+  const last = ended.reduce((latest, window) => (window.end > latest.end ? window : latest));
+  return { name: `after-${last.name}`, active: null };
+}
+
+function targets(window, method, path) {
+  return (!window.method || window.method === method) && window.pattern.test(path);
+}
+
+function isRetryable(response) {
+  return response.status === 0 || response.status === 429 || response.status >= 500;
+}
+
+function retryDelaySeconds(response, attempt) {
+  const retryAfter = parseInt(response.headers['Retry-After']);
+  if (!isNaN(retryAfter)) {
+    return Math.min(retryAfter, MAX_RETRY_AFTER_SECONDS);
+  }
+  return BASE_BACKOFF_SECONDS * Math.pow(2, attempt) * (1 + Math.random());
+}
+
+let compiled = null;
+
+function windowsOf(chaos) {
+  if (!compiled) {
+    compiled = chaosWindows(chaos.plan);
+  }
+  return compiled;
+}
+
+/**
+ * Send one request through the retry policy and record it against the current fault window.
+ * Takes the same options as http-client's request(); returns the last response.
+ */
+export function chaosRequest(chaos, method, route, options = {}, body = null) {
+  const windows = windowsOf(chaos);
+  const path = expandRoute(route.replace(/^\/+/, ''), options.params);
+  const phase = phaseAt(windows, (Date.now() - chaos.startedAt) / 1000);
+  const tags = {
+    chaos_window: phase.name,
+    chaos_target: String(Boolean(phase.active && targets(phase.active, method, path))),
+  };
+  if (phase.active) {
+    seenWindows[phase.name] = true;
+  }
+
+  const started = Date.now();
+  const send = () => request(method, route, body, { ...options, tags: { ...options.tags, ...tags } });
+  let response = send();
+  let retries = 0;
+
+  while (isRetryable(response) && retries < MAX_RETRIES) {
+    sleep(retryDelaySeconds(response, retries));
+    retries++;
+    response = send();
+  }
+
+  const succeeded = response.status !== 0 && response.status < 400;
+  // Retry waits count: they are time the user spends waiting
+  const duration = Date.now() - started;
+  const degraded = !succeeded || duration > CHAOS_SLO_MS;
+
+  chaosDegraded.add(degraded, tags);
+  chaosRequestDuration.add(duration, tags);
+  if (retries > 0) {
+    chaosRetries.add(retries, tags);
+    chaosRetrySuccess.add(succeeded, tags);
+  }
+
+  if (!degraded) {
+    recordRecovery(windows, chaos.startedAt, method, path);
+  }
+  return response;
+}
+
+// The first healthy request to a route a window faulted, after the window has ended
+function recordRecovery(windows, startedAt, method, path) {
+  const now = (Date.now() - startedAt) / 1000;
+
+  for (const window of windows) {
+    if (window.end <= now && seenWindows[window.name] && !recoveredWindows[window.name]
+      && targets(window, method, path)) {
+      recoveredWindows[window.name] = true;
+      chaosRecoveryTime.add((now - window.end) * 1000, { chaos_window: window.name });
+    }
+  }
+}
+
+/**
+ * Per-window results from the end-of-test summary data, read from the submetrics that
+ * chaosThresholds() declares.
+ */
+export function chaosReport(metrics, windows) {
+  const value = (metric, selector, stat) => metrics[`${metric}{${selector}}`]?.values?.[stat];
+
+  return {
+    sloMs: CHAOS_SLO_MS,
+    baselineDegradedRate: value('chaos_degraded', 'chaos_window:baseline', 'rate'),
+    windows: windows.map(({ name, start, end }) => ({
+      name,
+      startSeconds: start,
+      endSeconds: end,
+      faultsInjected: value('faults_injected', `fault:${name}`, 'count') || 0,
+      targetDegradedRate: value('chaos_degraded', `chaos_window:${name},chaos_target:true`, 'rate'),
+      targetP95: value('chaos_request_duration', `chaos_window:${name},chaos_target:true`, 'p(95)'),
+      blastRadius: value('chaos_degraded', `chaos_window:${name},chaos_target:false`, 'rate'),
+      retries: value('chaos_retries', `chaos_window:${name}`, 'count') || 0,
+      retrySuccessRate: value('chaos_retry_success', `chaos_window:${name}`, 'rate'),
+      recoveryP95: value('chaos_recovery_time', `chaos_window:${name}`, 'p(95)'),
+      degradedRateAfter: value('chaos_degraded', `chaos_window:after-${name}`, 'rate'),
+    })),
+  };
+}
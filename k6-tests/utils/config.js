@@ -0,0 +1,148 @@
+/**
+ * Environment Profile Loader
+ *
+ * Reads the profile selected with `ENV` (dev, staging, prod) from config/*.json and
+ * merges it into each test's exported `options`:
+ * - Test defaults < profile options < per-test overrides
+ * - Thresholds and tags are merged key by key, everything else is replaced
+ * - Load-shape keys (stages, vus, duration, iterations) are dropped when a test uses scenarios
+ * - Unknown profile names, option keys and env keys fail fast with a descriptive error
+ * - With BASELINE set, the baseline's regression thresholds are added (see regression.js)
+ */
+
+import { SUMMARY_TREND_STATS, withRegressionThresholds } from './regression.js';
+
+export const PROFILE_NAMES = ['dev', 'staging', 'prod'];
+
+// k6 script options a profile or a test override may set
+const KNOWN_OPTION_KEYS = [
+  'batch',
+  'batchPerHost',
+  'cloud',
+  'discardResponseBodies',
+  'duration',
+  'hosts',
+  'insecureSkipTLSVerify',
+  'iterations',
+  'maxRedirects',
+  'minIterationDuration',
+  'noConnectionReuse',
+  'noCookiesReset',
+  'rps',
+  'scenarios',
+  'setupTimeout',
+  'stages',
+  'summaryTrendStats',
+  'systemTags',
+  'tags',
+  'teardownTimeout',
+  'thresholds',
+  'throw',
+  'userAgent',
+  'vus',
+];
+
+// Options that define the load shape and conflict with `scenarios`
+const LOAD_SHAPE_KEYS = ['stages', 'vus', 'duration', 'iterations'];
+
+// Options merged key by key instead of replaced
+const MERGED_KEYS = ['thresholds', 'tags'];
+
+// Environment values a profile may provide; explicit `-e KEY=value` always wins
+const KNOWN_ENV_KEYS = ['ADMIN_PASSWORD', 'ADMIN_USERNAME', 'BASE_URL', 'ENV', 'KEEP_TEST_DATA', 'TEST_RUN_ID'];
+
+const PROFILE_KEYS = ['options', 'env'];
+
+function assertKnownKeys(object, knownKeys, source) {
+  const unknown = Object.keys(object || {}).filter(key => !knownKeys.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown key(s) ${unknown.map(k => `"${k}"`).join(', ')} in ${source}. Allowed: ${knownKeys.join(', ')}`);
+  }
+}
+
+function loadProfile(name) {
+  if (!PROFILE_NAMES.includes(name)) {
+    throw new Error(`Unknown environment profile "${name}". Available profiles: ${PROFILE_NAMES.join(', ')}`);
+  }
+
+  const source = `config/${name}.json`;
+  let profile;
+  try {
+    profile = JSON.parse(open(`../config/${name}.json`));
+  } catch (e) {
+    throw new Error(`Failed to load ${source}: ${e.message}`);
+  }
+
+  assertKnownKeys(profile, PROFILE_KEYS, source);
+  assertKnownKeys(profile.options, KNOWN_OPTION_KEYS, `${source} "options"`);
+  assertKnownKeys(profile.env, KNOWN_ENV_KEYS, `${source} "env"`);
+
+  return {
+    name,
+    options: profile.options || {},
+    env: profile.env || {},
+  };
+}
+
+export const PROFILE = loadProfile(__ENV.ENV || 'dev');
+
+/**
+ * Resolve an environment value: explicit `__ENV` first, then the profile's `env` block,
+ * then the given fallback.
+ */
+export function getEnv(key, fallback) {
+  if (!KNOWN_ENV_KEYS.includes(key)) {
+    throw new Error(`Unknown environment key "${key}". Allowed: ${KNOWN_ENV_KEYS.join(', ')}`);
+  }
+
+  if (__ENV[key] !== undefined && __ENV[key] !== '') {
+    return __ENV[key];
+  }
+
+  return PROFILE.env[key] !== undefined ? PROFILE.env[key] : fallback;
+}
+
+function mergeLayer(target, layer) {
+  for (const key of Object.keys(layer)) {
+    if (MERGED_KEYS.includes(key)) {
+      target[key] = { ...(target[key] || {}), ...layer[key] };
+    } else {
+      target[key] = layer[key];
+    }
+  }
+  return target;
+}
+
+/**
+ * Build a test's exported `options`.
+ *
+ * @param {object} defaults  Test defaults, replaced by anything the profile defines
+ * @param {object} overrides Per-test values that win over the profile (e.g. a stress ladder)
+ */
+export function loadOptions(defaults = {}, overrides = {}) {
+  assertKnownKeys(defaults, KNOWN_OPTION_KEYS, 'test default options');
+  assertKnownKeys(overrides, KNOWN_OPTION_KEYS, 'test option overrides');
+
+  const merged = {};
+  mergeLayer(merged, defaults);
+  mergeLayer(merged, PROFILE.options);
+  mergeLayer(merged, overrides);
+
+  if (merged.scenarios) {
+    for (const key of LOAD_SHAPE_KEYS) {
+      delete merged[key];
+    }
+  }
+
+  merged.tags = {
+    ...(merged.tags || {}),
+    environment: PROFILE.name,
+  };
+
+  merged.thresholds = withRegressionThresholds(merged.thresholds);
+  if (!merged.summaryTrendStats) {
+    merged.summaryTrendStats = SUMMARY_TREND_STATS;
+  }
+
+  return merged;
+}
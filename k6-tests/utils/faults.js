@@ -0,0 +1,131 @@
+/**
+ * Backend Fault Injection
+ *
+ * Drives the backend's fault injector (/simulation/faults, admin only) so a suite can run a
+ * repeatable chaos experiment instead of relying on random failures:
+ * - loadFaultPlan() in the init context reads the plan named by FAULT_PLAN from
+ *   config/faults/<name>.json: `{ "description", "rules": [...] }`, rules as the backend takes them
+ * - applyFaults(plan) at the end of setup() replaces the backend's rules with the plan; rule time
+ *   windows (startsInSeconds / durationSeconds) count from that moment
+ * - clearFaults() at the start of teardown() removes every rule, so recovery is measured without
+ *   faults, and records what each rule injected into faults_injected (tagged by fault and kind).
+ *   It throws when the rules cannot be removed, so a run never ends silently with the backend
+ *   still faulty; faults_left_active counts the rules left behind
+ *
+ * The backend draws every rule's decisions from a PRNG seeded with the rule's `seed` (or the
+ * server's FAULT_SEED), so the same plan against the same request sequence injects the same faults.
+ *
+ * A plan may fault auth/login itself, so clearFaults() reuses the admin token from setup().
+ *
+ * Usage:
+ *   const FAULT_PLAN = loadFaultPlan();
+ *   export function setup() {
+ *     const adminToken = adminLogin();
+ *     return { adminToken, faults: FAULT_PLAN ? applyFaults(FAULT_PLAN, adminToken) : null };
+ *   }
+ *   export function teardown(data) {
+ *     try { if (data.faults) clearFaults(data.adminToken); ... } finally { cleanupTestRun(data); }
+ *   }
+ */
+
+import { Counter } from 'k6/metrics';
+import { api } from './http-client.js';
+import { adminLogin } from './session.js';
+
+const FAULTS_ROUTE = 'simulation/faults';
+
+export const faultsInjected = new Counter('faults_injected');
+export const faultsLeftActive = new Counter('faults_left_active');
+
+/**
+ * Read the plan named by `name` (default FAULT_PLAN), or return null when none is set.
+ * Init context only: it uses open().
+ */
+export function loadFaultPlan(name = __ENV.FAULT_PLAN) {
+  if (!name) {
+    return null;
+  }
+
+  const source = `config/faults/${name}.json`;
+  let plan;
+  try {
+    plan = JSON.parse(open(`../config/faults/${name}.json`));
+  } catch (e) {
+    throw new Error(`Failed to load fault plan ${source}: ${e.message}`);
+  }
+  if (!Array.isArray(plan.rules) || plan.rules.length === 0) {
+    throw new Error(`Fault plan ${source} has no "rules"`);
+  }
+  return { name, description: plan.description || '', rules: plan.rules };
+}
+
+function describeRule(rule) {
+  const window = rule.activeUntil ? `${rule.activeFrom} to ${rule.activeUntil}` : `from ${rule.activeFrom}`;
+  return `${rule.name || rule.id}: ${rule.method || '*'} ${rule.path}, ${window}`;
+}
+
+/**
+ * Replace the backend's fault rules with the plan's. Throws when the backend refuses the plan,
+ * so a chaos run never goes ahead without its faults. Returns the rules as stored.
+ */
+export function applyFaults(plan, token) {
+  const response = api.put(FAULTS_ROUTE, { rules: plan.rules }, {
+    token,
+    tags: { name: 'fault_injection' },
+  });
+
+  if (response.status !== 200 || !response.data) {
+    throw new Error(`Fault plan ${plan.name} rejected with status ${response.status}: ${response.body}`);
+  }
+
+  console.log(`💥 Fault plan ${plan.name}${plan.description ? ` - ${plan.description}` : ''}`);
+  for (const rule of response.data.rules) {
+    console.log(`💥   ${describeRule(rule)}`);
+  }
+  return response.data.rules;
+}
+
+// faults_injected samples for one rule's backend stats
+function recordStats(rule) {
+  const fault = rule.name || rule.id;
+  const { delayed, errors, resets, slowBodies } = rule.stats;
+
+  faultsInjected.add(delayed, { fault, kind: 'latency' });
+  for (const [status, count] of Object.entries(errors)) {
+    faultsInjected.add(count, { fault, kind: 'error', status });
+  }
+  faultsInjected.add(resets, { fault, kind: 'reset' });
+  faultsInjected.add(slowBodies, { fault, kind: 'slow_body' });
+}
+
+/**
+ * Remove every fault rule and record what each one injected. Returns the rules with their
+ * final stats, or null when they could not be read. Throws when the rules could not be
+ * removed, after counting them into faults_left_active.
+ */
+export function clearFaults(token) {
+  const tags = { name: 'fault_injection' };
+  let listed = api.get(FAULTS_ROUTE, { token, tags, expect: [200, 401] });
+  if (listed.status === 401) {
+    // The setup() token expired during a long run
+    token = adminLogin();
+    listed = api.get(FAULTS_ROUTE, { token, tags });
+  }
+  const rules = listed.status === 200 && listed.data ? listed.data.rules : null;
+  if (rules) {
+    for (const rule of rules) {
+      recordStats(rule);
+      console.log(`💥 ${rule.name || rule.id} matched ${rule.stats.matched} requests`);
+    }
+  } else {
+    console.warn(`Could not read the fault stats: ${listed.status}`);
+  }
+
+  const cleared = api.delete(FAULTS_ROUTE, { token, tags });
+  if (cleared.status !== 200) {
+    // At least one: the rules may not have been listed
+    faultsLeftActive.add(rules ? Math.max(rules.length, 1) : 1);
+    throw new Error(`Could not remove the fault rules (${cleared.status}) - the backend is still injecting faults; clear them with DELETE /simulation/faults`);
+  }
+  return rules;
+}
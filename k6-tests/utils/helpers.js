@@ -1,5 +1,7 @@
-// Base URL configuration
-export const BASE_URL = __ENV.BASE_URL || 'http://localhost:3001';
+import { getEnv, PROFILE } from './config.js';
+
+// Base URL configuration (explicit BASE_URL, then the selected profile, then local default)
+export const BASE_URL = getEnv('BASE_URL', 'http://localhost:3001');
 export const API_BASE_URL = `${BASE_URL}/api/v1`;
 
 // Common headers
@@ -16,37 +18,31 @@ export function getAuthHeaders(token) {
   };
 }
 
-// Environment configuration
-export const ENV_CONFIG = {
-  dev: {
-    baseUrl: 'http://localhost:3000',
-    users: 10,
-    duration: '30s',
-  },
-  staging: {
-    baseUrl: 'https://staging-api.example.com',
-    users: 50,
-    duration: '5m',
-  },
-  prod: {
-    baseUrl: 'https://api.example.com',
-    users: 100,
-    duration: '10m',
-  },
-};
+// X-Forwarded-For header giving requests their own client address. It becomes req.ip for
+// per-IP limits such as the login lockout when the backend trusts the k6 host (TRUST_PROXY).
+export function clientAddressHeaders(id) {
+  const n = Math.abs(id) % 16777216;
+  return {
+    'X-Forwarded-For': `10.${(n >> 16) & 255}.${(n >> 8) & 255}.${n & 255}`,
+  };
+}
 
-// Get current environment config
+// Get current environment config (from config/<ENV>.json)
 export function getEnvConfig() {
-  const env = __ENV.ENV || 'dev';
-  return ENV_CONFIG[env] || ENV_CONFIG.dev;
+  return {
+    name: PROFILE.name,
+    baseUrl: BASE_URL,
+    options: PROFILE.options,
+  };
 }
 
 // Common test data generators
+// Usernames and emails must both be unique, so they share a per-VU random suffix
 export function generateRandomUser() {
-  const timestamp = Date.now();
+  const id = `${Date.now()}_${__VU}_${Math.floor(Math.random() * 1000000)}`;
   return {
-    username: `user_${timestamp}_${Math.floor(Math.random() * 1000)}`,
-    email: `user_${timestamp}@example.com`,
+    username: `user_${id}`,
+    email: `user_${id}@example.com`,
     password: 'TestPassword123!',
   };
 }
@@ -86,12 +82,15 @@ export function validateAuthResponse(response) {
   };
 }
 
+// Accepts both page/limit responses (`page`) and cursor responses (`nextCursor`)
 export function validatePaginatedResponse(response) {
   const body = JSON.parse(response.body);
+  const cursorStyle = body.page === undefined;
   return {
     ...validateResponse(response),
     'has data array': Array.isArray(body.data) || Array.isArray(body.users) || Array.isArray(body.products),
-    'has pagination info': body.total !== undefined && body.page !== undefined,
+    'has pagination info': body.total !== undefined && (cursorStyle ? body.nextCursor !== undefined : body.page !== undefined),
+    'has next cursor field': body.nextCursor === null || typeof body.nextCursor === 'string',
   };
 }
 
@@ -0,0 +1,171 @@
+/**
+ * Shared HTTP Client
+ *
+ * Thin wrapper around k6/http used by every test suite:
+ * - Route templates (e.g. `products/{id}`) expanded against API_BASE_URL
+ * - Automatic `name`/`api` tags derived from the template, so tag cardinality stays bounded
+ * - JSON request bodies and parsed response bodies (`response.data`)
+ * - API availability recorded into the shared `api_availability` metric
+ * - Reusable check predicates for common response assertions
+ */
+
+import http from 'k6/http';
+import {
+    API_BASE_URL,
+    apiAvailability,
+    COMMON_HEADERS,
+    getAuthHeaders
+} from './helpers.js';
+
+// Expand `{param}` placeholders in a route template
+export function expandRoute(route, params = {}) {
+  return route.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    if (params[key] === undefined || params[key] === null) {
+      throw new Error(`Missing route parameter "${key}" for route "${route}"`);
+    }
+    return encodeURIComponent(params[key]);
+  });
+}
+
+// Build a query string, skipping undefined/null values
+function buildQuery(query = {}) {
+  const pairs = Object.keys(query)
+    .filter(key => query[key] !== undefined && query[key] !== null)
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(query[key])}`);
+
+  return pairs.length > 0 ? `?${pairs.join('&')}` : '';
+}
+
+// Derive request tags from the route template, never from the expanded URL
+export function routeTags(route) {
+  const template = route.replace(/^\/+/, '').split('?')[0];
+  return {
+    name: template,
+    api: template.split('/')[0],
+  };
+}
+
+function parseBody(response) {
+  if (!response.body || typeof response.body !== 'string') {
+    return null;
+  }
+
+  try {
+    return JSON.parse(response.body);
+  } catch (e) {
+    return null;
+  }
+}
+
+function encodeBody(body, multipart) {
+  if (body === undefined || body === null) return null;
+  if (multipart || typeof body === 'string' || body instanceof ArrayBuffer) return body;
+  return JSON.stringify(body);
+}
+
+/**
+ * Issue a request against the API.
+ *
+ * Options:
+ * - params:    values for `{placeholders}` in the route template
+ * - query:     query string parameters
+ * - token:     bearer token, adds the Authorization header
+ * - headers:   extra headers merged over the defaults
+ * - tags:      extra tags merged over the derived `name`/`api` tags
+ * - multipart: send `body` as-is so k6 encodes it as multipart/form-data
+ * - timeout:   per-request timeout (e.g. '30s')
+ * - expect:    status codes that count as success in http_req_failed (e.g. [403] for
+ *              negative checks); defaults to k6's 200-399
+ */
+export function request(method, route, body, options = {}) {
+  const {
+    params,
+    query,
+    token,
+    headers = {},
+    tags = {},
+    multipart = false,
+    timeout,
+    expect,
+  } = options;
+
+  const url = `${API_BASE_URL}/${expandRoute(route.replace(/^\/+/, ''), params)}${buildQuery(query)}`;
+
+  const requestHeaders = {
+    ...(token ? getAuthHeaders(token) : COMMON_HEADERS),
+    ...headers,
+  };
+
+  if (multipart) {
+    // Let k6 set the multipart boundary
+    delete requestHeaders['Content-Type'];
+  }
+
+  const requestParams = {
+    headers: requestHeaders,
+    tags: { ...routeTags(route), ...tags },
+  };
+
+  if (timeout) {
+    requestParams.timeout = timeout;
+  }
+
+  if (expect) {
+    requestParams.responseCallback = http.expectedStatuses(...expect);
+  }
+
+  const response = http.request(method, url, encodeBody(body, multipart), requestParams);
+
+  response.data = parseBody(response);
+  apiAvailability.add(response.status !== 0 && response.status < 500);
+
+  return response;
+}
+
+export const api = {
+  get: (route, options) => request('GET', route, null, options),
+  post: (route, body, options) => request('POST', route, body, options),
+  put: (route, body, options) => request('PUT', route, body, options),
+  patch: (route, body, options) => request('PATCH', route, body, options),
+  delete: (route, options) => request('DELETE', route, null, options),
+};
+
+// Resolve a dotted path (e.g. 'user.id') inside a parsed body
+function valueAt(data, path) {
+  if (!path) return data;
+
+  return path.split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    data
+  );
+}
+
+/**
+ * Check predicates for responses returned by `api`.
+ *
+ * Usage:
+ *   check(response, {
+ *     'products status is 200': checks.status(200),
+ *     'products has data': checks.nonEmptyArray('products'),
+ *   });
+ */
+export const checks = {
+  status: (...expected) => (r) => expected.includes(r.status),
+  fasterThan: (ms) => (r) => r.timings.duration < ms,
+  hasBody: () => (r) => r.body !== null && r.body !== undefined && r.body.length > 0,
+  json: () => (r) => r.data !== null,
+  has: (path) => (r) => valueAt(r.data, path) !== undefined,
+  equals: (path, expected) => (r) => valueAt(r.data, path) === expected,
+  isArray: (path) => (r) => Array.isArray(valueAt(r.data, path)),
+  nonEmptyArray: (path) => (r) => {
+    const value = valueAt(r.data, path);
+    return Array.isArray(value) && value.length > 0;
+  },
+  matches: (predicate) => (r) => {
+    try {
+      return Boolean(predicate(r.data, r));
+    } catch (e) {
+      return false;
+    }
+  },
+};
@@ -0,0 +1,182 @@
+/**
+ * User Journey DSL
+ *
+ * Describes a user journey as named steps connected by weighted transitions, and
+ * compiles it into a scenario exec function:
+ * - `entry` weights pick the first step (e.g. 70% browse / 20% search / 10% buy)
+ * - each step's `next` weights pick the following step, or END to finish the journey
+ * - think time between steps is sampled from a per-step (or journey-wide) distribution
+ * - every step runs inside group(<step>) with `journey`/`step` VU tags set
+ *
+ * Usage:
+ *   const shopper = defineJourney('shopper', {
+ *     entry: { browse: 70, search: 20, buy: 10 },
+ *     thinkTime: think.uniform(1, 3),
+ *     steps: {
+ *       browse: { run: (ctx) => ..., next: { detail: 60, search: 20, [END]: 20 } },
+ *       ...
+ *     },
+ *   });
+ *   export const shopperScenario = compileJourney(shopper);
+ */
+
+import { group, sleep } from 'k6';
+import exec from 'k6/execution';
+import { Counter, Rate, Trend } from 'k6/metrics';
+
+export const END = 'end';
+
+const DEFAULT_MAX_STEPS = 20;
+
+export const journeyStepSuccess = new Rate('journey_step_success');
+export const journeyStepsExecuted = new Counter('journey_steps');
+export const journeyDuration = new Trend('journey_duration');
+export const journeyCompletionRate = new Rate('journey_completion_rate');
+
+/**
+ * Think-time distributions, in seconds.
+ */
+export const think = {
+  none: () => ({ type: 'constant', value: 0 }),
+  constant: (value) => ({ type: 'constant', value }),
+  uniform: (min, max) => ({ type: 'uniform', min, max }),
+  exponential: (mean, max = mean * 5) => ({ type: 'exponential', mean, max }),
+  normal: (mean, stddev, min = 0) => ({ type: 'normal', mean, stddev, min }),
+};
+
+export function sampleThinkTime(distribution) {
+  if (!distribution) return 0;
+
+  switch (distribution.type) {
+    case 'constant':
+      return distribution.value;
+    case 'uniform':
+      return Math.random() * (distribution.max - distribution.min) + distribution.min;
+    case 'exponential':
+      return Math.min(-Math.log(1 - Math.random()) * distribution.mean, distribution.max);
+    case 'normal': {
+      // Box-Muller transform
+      const u1 = Math.random() || Number.MIN_VALUE;
+      const u2 = Math.random();
+      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      return Math.max(distribution.min, distribution.mean + z * distribution.stddev);
+    }
+    default:
+      throw new Error(`Unknown think time distribution "${distribution.type}"`);
+  }
+}
+
+// Pick a key from a { key: weight } map
+export function pickWeighted(weights) {
+  const entries = Object.entries(weights);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = Math.random() * total;
+
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+
+  return entries[entries.length - 1][0];
+}
+
+function validateWeights(weights, source, stepNames) {
+  const entries = Object.entries(weights || {});
+  if (entries.length === 0) {
+    throw new Error(`${source} has no transitions`);
+  }
+
+  for (const [target, weight] of entries) {
+    if (target !== END && !stepNames.includes(target)) {
+      throw new Error(`${source} references unknown step "${target}"`);
+    }
+    if (typeof weight !== 'number' || weight < 0) {
+      throw new Error(`${source} has invalid weight ${weight} for "${target}"`);
+    }
+  }
+
+  if (entries.every(([, weight]) => weight === 0)) {
+    throw new Error(`${source} has only zero weights`);
+  }
+}
+
+/**
+ * Define and validate a journey. Runs in the init context, so mistakes fail fast.
+ */
+export function defineJourney(name, definition) {
+  const { entry, steps, thinkTime = think.none(), maxSteps = DEFAULT_MAX_STEPS } = definition;
+  const stepNames = Object.keys(steps || {});
+
+  if (stepNames.length === 0) {
+    throw new Error(`Journey "${name}" has no steps`);
+  }
+  if (stepNames.includes(END)) {
+    throw new Error(`Journey "${name}" uses the reserved step name "${END}"`);
+  }
+
+  validateWeights(entry, `Journey "${name}" entry`, stepNames);
+
+  for (const stepName of stepNames) {
+    const step = steps[stepName];
+    if (typeof step.run !== 'function') {
+      throw new Error(`Step "${stepName}" in journey "${name}" has no run() function`);
+    }
+    validateWeights(step.next || { [END]: 1 }, `Step "${stepName}" in journey "${name}"`, stepNames);
+  }
+
+  return { name, entry, steps, thinkTime, maxSteps };
+}
+
+/**
+ * Compile a journey into an exec function.
+ *
+ * `onComplete({ success, duration, steps })` runs after each journey, so scenarios
+ * can feed their own success/duration metrics.
+ */
+export function compileJourney(journey, { onComplete } = {}) {
+  return function (data) {
+    const startTime = Date.now();
+    const state = {};
+    const visited = [];
+    let success = true;
+    let current = pickWeighted(journey.entry);
+
+    exec.vu.tags.journey = journey.name;
+
+    while (current !== END && visited.length < journey.maxSteps) {
+      const stepName = current;
+      const step = journey.steps[stepName];
+      let stepSuccess = false;
+
+      exec.vu.tags.step = stepName;
+
+      group(stepName, function () {
+        try {
+          stepSuccess = step.run({ data, state, journey: journey.name, step: stepName }) !== false;
+        } catch (e) {
+          console.warn(`Step "${stepName}" in journey "${journey.name}" threw: ${e}`);
+          stepSuccess = false;
+        }
+      });
+
+      journeyStepSuccess.add(stepSuccess);
+      journeyStepsExecuted.add(1);
+      visited.push(stepName);
+      success = success && stepSuccess;
+
+      sleep(sampleThinkTime(step.thinkTime || journey.thinkTime));
+      current = pickWeighted(step.next || { [END]: 1 });
+    }
+
+    delete exec.vu.tags.step;
+    delete exec.vu.tags.journey;
+
+    const duration = Date.now() - startTime;
+    journeyDuration.add(duration);
+    journeyCompletionRate.add(success);
+
+    if (onComplete) {
+      onComplete({ success, duration, steps: visited });
+    }
+  };
+}
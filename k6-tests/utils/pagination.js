@@ -0,0 +1,90 @@
+/**
+ * Cursor Pagination Helpers
+ *
+ * Walks list endpoints that return `nextCursor` (GET /products, GET /users):
+ * - walkPages() follows nextCursor until the listing ends or `maxPages` is reached
+ * - Duplicate items across pages are counted; with cursors there should be none,
+ *   even while other VUs create or delete items
+ * - Every page request is tagged with the route template plus `pagination: cursor`
+ *
+ * Usage:
+ *   const crawl = walkPages('products', { itemsKey: 'products', query: { limit: 50 } });
+ *   check(crawl, { 'crawl reached the end': c => c.complete });
+ */
+
+import { Counter, Trend } from 'k6/metrics';
+import { api } from './http-client.js';
+
+export const paginationPages = new Counter('pagination_pages');
+export const paginationDuplicates = new Counter('pagination_duplicate_items');
+export const paginationWalkDuration = new Trend('pagination_walk_duration');
+
+/**
+ * Follow `nextCursor` through a listing.
+ *
+ * Options:
+ * - itemsKey:  response field holding the page items (e.g. 'products')
+ * - query:     filters and sort, sent with every page (the cursor is tied to sortBy/sortOrder)
+ * - maxPages:  stop after this many pages (default 100)
+ * - token:     bearer token for protected listings
+ * - tags:      extra request tags
+ * - onPage:    called with (items, response) for every page; return false to stop early
+ */
+export function walkPages(route, options = {}) {
+  const { itemsKey, query = {}, maxPages = 100, token, tags = {}, onPage } = options;
+  if (!itemsKey) {
+    throw new Error('walkPages() needs the response field holding the items (itemsKey)');
+  }
+
+  const startTime = Date.now();
+  const seen = {};
+  const result = {
+    pages: 0,
+    items: 0,
+    duplicates: 0,
+    complete: false,
+    failedStatus: null,
+    total: null,
+  };
+
+  let cursor = null;
+  while (result.pages < maxPages) {
+    const response = api.get(route, {
+      query: { ...query, cursor: cursor || undefined },
+      token,
+      tags: { pagination: 'cursor', ...tags },
+    });
+
+    if (response.status !== 200 || !response.data || !Array.isArray(response.data[itemsKey])) {
+      result.failedStatus = response.status;
+      break;
+    }
+
+    const items = response.data[itemsKey];
+    result.pages++;
+    result.items += items.length;
+    result.total = response.data.total;
+    paginationPages.add(1);
+
+    for (const item of items) {
+      if (seen[item.id]) {
+        result.duplicates++;
+        paginationDuplicates.add(1);
+      }
+      seen[item.id] = true;
+    }
+
+    if (onPage && onPage(items, response) === false) {
+      break;
+    }
+
+    cursor = response.data.nextCursor;
+    if (!cursor) {
+      result.complete = true;
+      break;
+    }
+  }
+
+  paginationWalkDuration.add(Date.now() - startTime);
+  return result;
+}
@@ -0,0 +1,288 @@
+/**
+ * Baseline Regression Check
+ *
+ * Compares a run against a named baseline results file and blocks regressions:
+ * - BASELINE names a handleSummary() results file in reports/performance/ or reports/archived/
+ * - Every metric and per-tag submetric present in both runs is compared and written to
+ *   regression-report.json, with a diff table on stdout
+ * - p95/p99 latency, error rate and throughput of the built-in HTTP metrics are turned into
+ *   thresholds, so a regression fails the run with k6's non-zero threshold exit code
+ *
+ * Custom metrics are compared and reported but never gate the run: k6 rejects thresholds
+ * on metrics a script does not define, and a baseline may come from an older script.
+ *
+ * Configuration (environment variables):
+ *   BASELINE                      baseline file name, with or without .json  (unset = off)
+ *   REGRESSION_LATENCY_TOLERANCE  allowed p95/p99 increase, fraction         (default 0.10)
+ *   REGRESSION_LATENCY_SLACK_MS   allowed p95/p99 increase, absolute ms      (default 5)
+ *   REGRESSION_ERROR_TOLERANCE    allowed error rate increase, absolute 0-1  (default 0.01)
+ *   REGRESSION_THROUGHPUT_TOLERANCE allowed throughput drop, fraction        (default 0.10)
+ */
+
+const BASELINE_DIRS = ['performance', 'archived'];
+
+// Trend stats kept in the summary, so results files can serve as p99 baselines later
+export const SUMMARY_TREND_STATS = ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'];
+
+const GATED_LATENCY_METRICS = ['http_req_duration', 'http_req_waiting'];
+const GATED_ERROR_METRICS = ['http_req_failed'];
+const GATED_THROUGHPUT_METRICS = ['http_reqs', 'iterations'];
+const GATED_LATENCY_STATS = ['p(95)', 'p(99)'];
+
+// Stats compared (not gated) for each metric type
+const COMPARED_STATS = {
+  trend: ['avg', 'med', 'p(90)', 'p(95)', 'p(99)', 'max'],
+  rate: ['rate'],
+  counter: ['count', 'rate'],
+  gauge: ['value'],
+};
+
+export function regressionConfigFromEnv() {
+  return {
+    baseline: __ENV.BASELINE || '',
+    latencyTolerance: parseFloat(__ENV.REGRESSION_LATENCY_TOLERANCE || '0.10'),
+    latencySlackMs: parseFloat(__ENV.REGRESSION_LATENCY_SLACK_MS || '5'),
+    errorTolerance: parseFloat(__ENV.REGRESSION_ERROR_TOLERANCE || '0.01'),
+    throughputTolerance: parseFloat(__ENV.REGRESSION_THROUGHPUT_TOLERANCE || '0.10'),
+  };
+}
+
+function loadBaseline(name) {
+  if (!name) {
+    return null;
+  }
+
+  const fileName = name.endsWith('.json') ? name : `${name}.json`;
+  for (const dir of BASELINE_DIRS) {
+    let content;
+    try {
+      content = open(`../reports/${dir}/${fileName}`);
+    } catch (e) {
+      continue;
+    }
+
+    const results = JSON.parse(content);
+    if (!results.metrics) {
+      throw new Error(`Baseline reports/${dir}/${fileName} has no "metrics" - expected a handleSummary() results file`);
+    }
+    return { name: fileName, path: `reports/${dir}/${fileName}`, metrics: results.metrics };
+  }
+
+  throw new Error(`Baseline "${fileName}" not found in ${BASELINE_DIRS.map(dir => `reports/${dir}/`).join(' or ')}`);
+}
+
+export const REGRESSION_CONFIG = regressionConfigFromEnv();
+export const BASELINE = loadBaseline(REGRESSION_CONFIG.baseline);
+
+// `http_req_duration{api:auth}` -> http_req_duration
+function baseMetricName(key) {
+  const brace = key.indexOf('{');
+  return brace === -1 ? key : key.substring(0, brace);
+}
+
+function isSubmetric(key) {
+  return key.indexOf('{') !== -1;
+}
+
+// Error-like rates and counters get worse as they grow; other rates and counters as they shrink
+function lowerIsBetter(key, type) {
+  if (type === 'trend') return true;
+  return /fail|error|exhaust|overload|drop|lost|timeout/i.test(baseMetricName(key));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * The allowed value for a gated stat, or null when the stat is not gated.
+ */
+function gateLimit(key, stat, baselineValue, config) {
+  const name = baseMetricName(key);
+
+  if (GATED_LATENCY_METRICS.includes(name) && GATED_LATENCY_STATS.includes(stat)) {
+    return { op: '<=', limit: round(Math.max(baselineValue * (1 + config.latencyTolerance), baselineValue + config.latencySlackMs)) };
+  }
+  if (GATED_ERROR_METRICS.includes(name) && stat === 'rate') {
+    return { op: '<=', limit: round(baselineValue + config.errorTolerance) };
+  }
+  // Throughput is only gated run-wide: a submetric that disappeared would read as zero throughput
+  if (GATED_THROUGHPUT_METRICS.includes(name) && stat === 'rate' && !isSubmetric(key)) {
+    return { op: '>=', limit: round(baselineValue * (1 - config.throughputTolerance)) };
+  }
+  return null;
+}
+
+/**
+ * Thresholds enforcing the baseline on the built-in metrics. Empty when BASELINE is unset.
+ */
+export function buildRegressionThresholds(baseline = BASELINE, config = REGRESSION_CONFIG) {
+  const thresholds = {};
+  if (!baseline) {
+    return thresholds;
+  }
+
+  for (const [key, metric] of Object.entries(baseline.metrics)) {
+    for (const [stat, value] of Object.entries(metric.values || {})) {
+      const gate = gateLimit(key, stat, value, config);
+      if (gate) {
+        thresholds[key] = thresholds[key] || [];
+        thresholds[key].push(`${stat}${gate.op}${gate.limit}`);
+      }
+    }
+  }
+
+  return thresholds;
+}
+
+/**
+ * Add the regression thresholds to a test's thresholds, keeping the test's own ones.
+ */
+export function withRegressionThresholds(thresholds = {}) {
+  const merged = { ...thresholds };
+
+  for (const [key, expressions] of Object.entries(buildRegressionThresholds())) {
+    merged[key] = [...(merged[key] || []), ...expressions];
+  }
+
+  return merged;
+}
+
+function compareStat(key, type, stat, baselineValue, currentValue, config) {
+  const gate = gateLimit(key, stat, baselineValue, config);
+  const delta = currentValue - baselineValue;
+  const change = baselineValue !== 0 ? delta / baselineValue : null;
+  const worse = lowerIsBetter(key, type) ? delta > 0 : delta < 0;
+
+  let status = 'ok';
+  if (gate) {
+    const withinGate = gate.op === '<=' ? currentValue <= gate.limit : currentValue >= gate.limit;
+    status = withinGate ? 'ok' : 'regressed';
+  } else if (worse && change !== null && Math.abs(change) > config.latencyTolerance) {
+    status = 'worse';
+  }
+
+  return {
+    metric: key,
+    stat,
+    baseline: baselineValue,
+    current: currentValue,
+    change,
+    limit: gate ? `${gate.op} ${gate.limit}` : null,
+    gated: gate !== null,
+    status,
+  };
+}
+
+/**
+ * Compare handleSummary() data with the baseline, metric by metric.
+ */
+export function compareWithBaseline(data, baseline = BASELINE, config = REGRESSION_CONFIG) {
+  const rows = [];
+  const missing = [];
+
+  for (const [key, baselineMetric] of Object.entries(baseline.metrics)) {
+    const currentMetric = data.metrics[key];
+    if (!currentMetric) {
+      missing.push(key);
+      continue;
+    }
+
+    const stats = COMPARED_STATS[baselineMetric.type] || [];
+    for (const stat of stats) {
+      const baselineValue = baselineMetric.values ? baselineMetric.values[stat] : undefined;
+      const currentValue = currentMetric.values ? currentMetric.values[stat] : undefined;
+      if (typeof baselineValue !== 'number' || typeof currentValue !== 'number') {
+        continue;
+      }
+      rows.push(compareStat(key, baselineMetric.type, stat, baselineValue, currentValue, config));
+    }
+  }
+
+  const regressions = rows.filter(row => row.status === 'regressed');
+
+  return {
+    baseline: baseline.path,
+    tolerances: {
+      latency: config.latencyTolerance,
+      latencySlackMs: config.latencySlackMs,
+      errorRate: config.errorTolerance,
+      throughput: config.throughputTolerance,
+    },
+    passed: regressions.length === 0,
+    regressions: regressions.length,
+    warnings: rows.filter(row => row.status === 'worse').length,
+    missingMetrics: missing,
+    newMetrics: Object.keys(data.metrics).filter(key => !baseline.metrics[key]),
+    rows,
+  };
+}
+
+function formatValue(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+function formatChange(change) {
+  if (change === null) return 'n/a';
+  return `${change >= 0 ? '+' : ''}${(change * 100).toFixed(1)}%`;
+}
+
+function pad(text, width) {
+  return text.length >= width ? text : text + ' '.repeat(width - text.length);
+}
+
+/**
+ * Diff table of gated stats and anything that got worse beyond tolerance.
+ */
+export function formatRegressionTable(report) {
+  const marks = { ok: '✅', worse: '⚠️', regressed: '❌' };
+  const header = ['', 'metric', 'stat', 'baseline', 'current', 'change', 'limit'];
+  const lines = report.rows
+    .filter(row => row.gated || row.status !== 'ok')
+    .map(row => [
+      marks[row.status],
+      row.metric,
+      row.stat,
+      formatValue(row.baseline),
+      formatValue(row.current),
+      formatChange(row.change),
+      row.limit || '-',
+    ]);
+
+  const widths = header.map((_, i) => Math.max(header[i].length, ...lines.map(line => line[i].length)));
+  const render = line => line.map((cell, i) => pad(cell, widths[i])).join('  ').trimEnd();
+
+  const output = [
+    '',
+    `📉 Regression check against ${report.baseline}`,
+    render(header),
+    render(widths.map(width => '-'.repeat(width))),
+    ...lines.map(render),
+  ];
+
+  if (report.missingMetrics.length > 0) {
+    output.push(`Missing from this run: ${report.missingMetrics.join(', ')}`);
+  }
+  output.push(report.passed
+    ? `✅ No regressions (${report.warnings} warning(s))`
+    : `❌ ${report.regressions} regression(s) - the run fails its regression thresholds`);
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Add the diff table and regression-report.json to handleSummary() outputs.
+ * Returns the outputs unchanged when BASELINE is unset.
+ */
+export function withRegressionReport(outputs, data) {
+  if (!BASELINE) {
+    return outputs;
+  }
+
+  const report = compareWithBaseline(data);
+  return {
+    ...outputs,
+    'stdout': (outputs.stdout || '') + formatRegressionTable(report),
+    'regression-report.json': JSON.stringify(report, null, 2),
+  };
+}
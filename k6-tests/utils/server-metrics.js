@@ -0,0 +1,402 @@
+/**
+ * Server Metrics Monitor
+ *
+ * Scrapes the backend's Prometheus endpoint (GET /metrics) during a run, so a report can say why
+ * client-side latency degraded, not only that it did:
+ * - stageWindows() names the time windows of a staged load; consecutive stages with the same
+ *   name form one window. tagLoadWindow() at the top of the load's exec function tags the
+ *   VU's metrics with `window`
+ * - monitorScenario() is a one-VU scenario whose exec function calls monitorServer(): one scrape
+ *   every SERVER_METRICS_INTERVAL seconds, each signal recorded into a Trend tagged `window`:
+ *     server_eventloop_lag       event-loop delay p99 since the previous scrape (ms)
+ *     server_cpu_utilization     CPU time per second since the previous scrape (1 = one core)
+ *     server_heap_used_mb        V8 heap in use
+ *     server_active_handles      open libuv handles (sockets, timers)
+ *     server_requests_in_flight  requests being handled
+ *     server_route_latency       p95 handler latency since the previous scrape, per `route`,
+ *                                estimated from the backend's latency histogram (ms)
+ * - monitorThresholds() declares the per-window submetrics, and correlateServerMetrics() in
+ *   handleSummary() lines client p95 up with the signals window by window, reports how closely
+ *   each signal follows client p95 across windows (Pearson r), and names the saturated signals
+ *   of every window whose p95 degraded
+ *
+ * The backend measures event-loop delay between scrapes, so only one monitor should scrape it.
+ *
+ * Configuration (environment variables):
+ *   SERVER_METRICS           'false' leaves the monitor out                (default on)
+ *   SERVER_METRICS_INTERVAL  seconds between scrapes                       (default 5)
+ *   SATURATION_LAG_MS        event-loop lag p95 that counts as saturated   (default 100)
+ *   SATURATION_CPU           CPU utilization that counts as saturated      (default 0.9)
+ */
+
+import { sleep } from 'k6';
+import exec from 'k6/execution';
+import { Counter, Trend } from 'k6/metrics';
+import { api } from './http-client.js';
+
+export const SERVER_METRICS_ENABLED = __ENV.SERVER_METRICS !== 'false';
+const SCRAPE_INTERVAL_SECONDS = parseFloat(__ENV.SERVER_METRICS_INTERVAL || '5');
+const SATURATION_LAG_MS = parseFloat(__ENV.SATURATION_LAG_MS || '100');
+const SATURATION_CPU = parseFloat(__ENV.SATURATION_CPU || '0.9');
+
+// A window degraded when its client p95 is this many times the first window's
+const DEGRADATION_FACTOR = 2;
+// Heap, handles and in-flight requests count as saturated at this many times the first window
+const GROWTH_FACTOR = 2;
+// Correlation needs at least this many windows with data
+const MIN_CORRELATION_POINTS = 3;
+
+const BYTES_PER_MB = 1024 * 1024;
+
+export const serverEventLoopLag = new Trend('server_eventloop_lag', true);
+export const serverCpuUtilization = new Trend('server_cpu_utilization');
+export const serverHeapUsed = new Trend('server_heap_used_mb');
+export const serverActiveHandles = new Trend('server_active_handles');
+export const serverRequestsInFlight = new Trend('server_requests_in_flight');
+export const serverRouteLatency = new Trend('server_route_latency', true);
+export const serverScrapeErrors = new Counter('server_scrape_errors');
+
+// The signals compared with client p95: summary statistic and label
+const SIGNALS = [
+  { key: 'eventLoopLagP95', metric: 'server_eventloop_lag', stat: 'p(95)', label: 'event-loop lag' },
+  { key: 'cpuUtilization', metric: 'server_cpu_utilization', stat: 'avg', label: 'CPU' },
+  { key: 'heapUsedMaxMb', metric: 'server_heap_used_mb', stat: 'max', label: 'heap' },
+  { key: 'activeHandlesMax', metric: 'server_active_handles', stat: 'max', label: 'active handles' },
+  { key: 'requestsInFlightMax', metric: 'server_requests_in_flight', stat: 'max', label: 'in-flight requests' },
+  { key: 'serverLatencyP95', metric: 'server_route_latency', stat: 'p(95)', label: 'handler latency' },
+];
+
+// Per-VU state: the monitor's previous scrape
+let previous = null;
+
+// k6 durations such as '2m', '30s' or '1m30s', in seconds
+function parseDuration(duration) {
+  const units = { ms: 0.001, s: 1, m: 60, h: 3600 };
+  let seconds = 0;
+  String(duration).replace(/(\d+(?:\.\d+)?)(ms|s|m|h)/g, (match, amount, unit) => {
+    seconds += parseFloat(amount) * units[unit];
+    return match;
+  });
+  return seconds;
+}
+
+/**
+ * Time windows `{ name, start, end, target }` (seconds from the scenario start) of `stages`.
+ * `names[i]` names stage i (default `stage-<i + 1>`); `target` is the window's peak target.
+ */
+export function stageWindows(stages, names = []) {
+  const windows = [];
+  let start = 0;
+
+  stages.forEach((stage, i) => {
+    const name = names[i] || `stage-${i + 1}`;
+    const end = start + parseDuration(stage.duration);
+    const last = windows[windows.length - 1];
+
+    if (last && last.name === name) {
+      last.end = end;
+      last.target = Math.max(last.target, stage.target);
+    } else {
+      windows.push({ name, start, end, target: stage.target });
+    }
+    start = end;
+  });
+
+  return windows;
+}
+
+function currentWindow(windows) {
+  const elapsedSeconds = (Date.now() - exec.scenario.startTime) / 1000;
+  const window = windows.find(candidate => elapsedSeconds < candidate.end) || windows[windows.length - 1];
+  return window.name;
+}
+
+/**
+ * Tag the current iteration with its window. Call at the top of the load's exec function.
+ */
+export function tagLoadWindow(windows) {
+  const name = currentWindow(windows);
+  exec.vu.tags.window = name;
+  return name;
+}
+
+/**
+ * The monitor scenario, running alongside a load that starts at the same time.
+ */
+export function monitorScenario(windows, execName = 'serverMonitor') {
+  return {
+    executor: 'constant-vus',
+    vus: 1,
+    duration: `${windows[windows.length - 1].end}s`,
+    tags: { scenario: 'server_monitor' },
+    exec: execName,
+  };
+}
+
+/**
+ * Per-window thresholds that only make k6 keep the submetrics correlateServerMetrics() reads.
+ */
+export function monitorThresholds(windows) {
+  const thresholds = {};
+
+  for (const { name } of windows) {
+    thresholds[`http_req_duration{window:${name}}`] = ['p(95)>=0'];
+    thresholds[`http_req_failed{window:${name}}`] = ['rate>=0'];
+    for (const signal of SIGNALS) {
+      thresholds[`${signal.metric}{window:${name}}`] = [`${signal.stat}>=0`];
+    }
+  }
+
+  return thresholds;
+}
+
+function unescapeLabelValue(value) {
+  return value.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+}
+
+function parseSampleValue(value) {
+  if (value === '+Inf') return Infinity;
+  if (value === '-Inf') return -Infinity;
+  return parseFloat(value);
+}
+
+/**
+ * Samples `{ name, labels, value }` of a Prometheus text exposition.
+ */
+export function parsePrometheus(text) {
+  const samples = [];
+
+  for (const line of text.split('\n')) {
+    const match = line.match(/^([A-Za-z_:][\w:]*)(?:\{(.*)\})?\s+(\S+)/);
+    if (!match) {
+      continue;
+    }
+
+    const labels = {};
+    const labelPattern = /(\w+)="((?:[^"\\]|\\.)*)"/g;
+    let label;
+    while ((label = labelPattern.exec(match[2] || '')) !== null) {
+      labels[label[1]] = unescapeLabelValue(label[2]);
+    }
+    samples.push({ name: match[1], labels, value: parseSampleValue(match[3]) });
+  }
+
+  return samples;
+}
+
+// Cumulative latency histogram buckets per route (all methods together), by upper bound
+function routeHistograms(samples) {
+  const routes = {};
+
+  for (const { name, labels, value } of samples) {
+    if (name !== 'http_request_duration_seconds_bucket' || labels.route === 'metrics') {
+      continue;
+    }
+    const buckets = routes[labels.route] || (routes[labels.route] = {});
+    buckets[labels.le] = (buckets[labels.le] || 0) + value;
+  }
+
+  return routes;
+}
+
+// Quantile of the observations between two scrapes of a cumulative histogram, the way
+// Prometheus' histogram_quantile() does it: linear within the bucket holding the rank
+function quantileBetween(before = {}, after, q) {
+  const bounds = Object.keys(after)
+    .map(le => ({ le, bound: parseSampleValue(le) }))
+    .sort((a, b) => a.bound - b.bound);
+  const counts = bounds.map(({ le }) => after[le] - (before[le] || 0));
+  const total = counts[counts.length - 1];
+  if (!total) {
+    return null;
+  }
+
+  const rank = q * total;
+  for (let i = 0; i < bounds.length; i++) {
+    if (counts[i] >= rank) {
+      const lower = i === 0 ? 0 : bounds[i - 1].bound;
+      if (bounds[i].bound === Infinity) {
+        return lower;
+      }
+      const below = i === 0 ? 0 : counts[i - 1];
+      const inBucket = counts[i] - below;
+      return lower + (bounds[i].bound - lower) * (inBucket > 0 ? (rank - below) / inBucket : 1);
+    }
+  }
+  return null;
+}
+
+function sumOf(samples, name, labels = {}) {
+  return samples
+    .filter(sample => sample.name === name && Object.keys(labels).every(key => sample.labels[key] === labels[key]))
+    .reduce((sum, sample) => sum + sample.value, 0);
+}
+
+/**
+ * Scrape the backend once, record every signal for the current window, then wait for the next
+ * scrape. Call from the monitor scenario's exec function.
+ */
+export function monitorServer(windows) {
+  const window = currentWindow(windows);
+  const tags = { window };
+  const response = api.get('metrics', { tags: { name: 'server_metrics' } });
+
+  if (response.status !== 200 || typeof response.body !== 'string') {
+    serverScrapeErrors.add(1, tags);
+    sleep(SCRAPE_INTERVAL_SECONDS);
+    return;
+  }
+
+  const samples = parsePrometheus(response.body);
+  const scrape = {
+    at: Date.now(),
+    cpuSeconds: sumOf(samples, 'process_cpu_seconds_total'),
+    routes: routeHistograms(samples),
+  };
+
+  serverHeapUsed.add(sumOf(samples, 'nodejs_heap_size_used_bytes') / BYTES_PER_MB, tags);
+  serverActiveHandles.add(sumOf(samples, 'nodejs_active_handles'), tags);
+  // Less the scrape itself
+  serverRequestsInFlight.add(Math.max(0, sumOf(samples, 'http_requests_in_flight') - 1), tags);
+
+  // The rest covers the time since the previous scrape, which the first scrape does not know
+  if (previous) {
+    const lag = samples.find(sample => sample.name === 'nodejs_eventloop_lag_seconds' && sample.labels.stat === 'p99');
+    if (lag) {
+      serverEventLoopLag.add(lag.value * 1000, tags);
+    }
+    serverCpuUtilization.add((scrape.cpuSeconds - previous.cpuSeconds) / ((scrape.at - previous.at) / 1000), tags);
+
+    for (const [route, buckets] of Object.entries(scrape.routes)) {
+      const p95 = quantileBetween(previous.routes[route], buckets, 0.95);
+      if (p95 !== null) {
+        serverRouteLatency.add(p95 * 1000, { ...tags, route });
+      }
+    }
+  }
+
+  previous = scrape;
+  sleep(SCRAPE_INTERVAL_SECONDS);
+}
+
+function pearson(points) {
+  const n = points.length;
+  if (n < MIN_CORRELATION_POINTS) {
+    return null;
+  }
+
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (const [x, y] of points) {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  }
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+// Saturation signals of one window, compared with the absolute limits and the first window
+function saturationSignals(row, first) {
+  const signals = [];
+  const grew = key => first && first[key] > 0 && row[key] >= GROWTH_FACTOR * first[key];
+
+  if (row.eventLoopLagP95 >= SATURATION_LAG_MS) {
+    signals.push(`event-loop lag p95 ${Math.round(row.eventLoopLagP95)}ms`);
+  }
+  if (row.cpuUtilization >= SATURATION_CPU) {
+    signals.push(`CPU at ${Math.round(row.cpuUtilization * 100)}% of a core`);
+  }
+  if (grew('heapUsedMaxMb')) {
+    signals.push(`heap at ${Math.round(row.heapUsedMaxMb)}MB (${(row.heapUsedMaxMb / first.heapUsedMaxMb).toFixed(1)}x)`);
+  }
+  if (grew('activeHandlesMax')) {
+    signals.push(`${row.activeHandlesMax} active handles (${(row.activeHandlesMax / first.activeHandlesMax).toFixed(1)}x)`);
+  }
+  if (grew('requestsInFlightMax')) {
+    signals.push(`${row.requestsInFlightMax} requests in flight (${(row.requestsInFlightMax / first.requestsInFlightMax).toFixed(1)}x)`);
+  }
+  return signals;
+}
+
+function diagnose(row, first) {
+  if (row.clientP95 === undefined) {
+    return 'no client requests';
+  }
+  if (!first || row === first || row.clientP95 < DEGRADATION_FACTOR * first.clientP95) {
+    return 'ok';
+  }
+  if (row.signals.length > 0) {
+    return `p95 degraded with ${row.signals.join(', ')}`;
+  }
+  if (row.serverLatencyP95 !== undefined && row.serverLatencyP95 < row.clientP95 / DEGRADATION_FACTOR) {
+    return 'p95 degraded while handlers stayed fast: the time went to queueing before the handlers, the network or the load generator';
+  }
+  return 'p95 degraded in the handlers without a saturated runtime signal: look at the slowest routes';
+}
+
+/**
+ * Client p95 next to the server signals for every window, from handleSummary() data. Returns
+ * `{ windows, correlation }`: per window the values, saturation signals and a diagnosis, and
+ * per signal its correlation with client p95 across windows.
+ */
+export function correlateServerMetrics(metrics, windows) {
+  const value = (metric, window, stat) => metrics[`${metric}{window:${window}}`]?.values?.[stat];
+
+  const rows = windows.map(({ name, start, end, target }) => {
+    const row = {
+      name,
+      startSeconds: start,
+      endSeconds: end,
+      target,
+      clientP95: value('http_req_duration', name, 'p(95)'),
+      clientErrorRate: value('http_req_failed', name, 'rate'),
+    };
+    for (const signal of SIGNALS) {
+      row[signal.key] = value(signal.metric, name, signal.stat);
+    }
+    return row;
+  });
+
+  const first = rows.find(row => row.clientP95 !== undefined);
+  for (const row of rows) {
+    row.signals = saturationSignals(row, first);
+    row.diagnosis = diagnose(row, first);
+  }
+
+  const correlation = {};
+  for (const signal of SIGNALS) {
+    const points = rows
+      .filter(row => row.clientP95 !== undefined && row[signal.key] !== undefined)
+      .map(row => [row[signal.key], row.clientP95]);
+    correlation[signal.key] = pearson(points);
+  }
+
+  return { windows: rows, correlation };
+}
+
+function formatMs(value) {
+  return value !== undefined ? `${Math.round(value)}ms` : 'N/A';
+}
+
+/**
+ * Print a correlateServerMetrics() report.
+ */
+export function logServerCorrelation(report) {
+  console.log('🖥️ Server Saturation by Window:');
+  for (const row of report.windows) {
+    const cpu = row.cpuUtilization !== undefined ? `${Math.round(row.cpuUtilization * 100)}%` : 'N/A';
+    const errors = row.clientErrorRate !== undefined ? `${(row.clientErrorRate * 100).toFixed(1)}%` : 'N/A';
+    console.log(`- ${row.name} (${row.startSeconds}s-${row.endSeconds}s, peak ${row.target}): client p95 ${formatMs(row.clientP95)}, `
+      + `errors ${errors}, handler p95 ${formatMs(row.serverLatencyP95)}, lag p95 ${formatMs(row.eventLoopLagP95)}, CPU ${cpu}, `
+      + `heap ${row.heapUsedMaxMb !== undefined ? `${Math.round(row.heapUsedMaxMb)}MB` : 'N/A'} - ${row.diagnosis}`);
+  }
+
+  const tracked = SIGNALS
+    .filter(signal => report.correlation[signal.key] !== null)
+    .sort((a, b) => report.correlation[b.key] - report.correlation[a.key])
+    .map(signal => `${signal.label} r=${report.correlation[signal.key].toFixed(2)}`);
+  console.log(`- Client p95 follows: ${tracked.length > 0 ? tracked.join(', ') : 'N/A (too few windows with data)'}`);
+}
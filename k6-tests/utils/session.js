@@ -0,0 +1,208 @@
+/**
+ * Session Manager
+ *
+ * Gives each virtual user a stable authenticated identity:
+ * - provisionUserPool() registers a pool of users once, in setup()
+ * - getSession() binds the current VU to one pool user (module state is per-VU in k6)
+ * - Tokens are refreshed through /auth/refresh shortly before their JWT `exp`, using the
+ *   VU's own single-use refresh token (each VU logs in for one; pool users share only access tokens)
+ * - A 401 on an authenticated request triggers one re-login and a retry
+ * - adminLogin() signs in as the seeded admin for admin-only routes (roles: admin)
+ *
+ * Usage:
+ *   export function setup() { return { users: provisionUserPool() }; }
+ *   export default function (data) {
+ *     const authed = sessionApi(data.users);
+ *     authed.get('auth/profile');
+ *   }
+ */
+
+import encoding from 'k6/encoding';
+import { Counter } from 'k6/metrics';
+import { getEnv } from './config.js';
+import { generateRandomUser } from './helpers.js';
+import { api } from './http-client.js';
+
+export const DEFAULT_POOL_SIZE = parseInt(__ENV.SESSION_POOL_SIZE || '10');
+
+// Refresh this long before the token expires (the backend issues 1h tokens)
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const FALLBACK_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+export const sessionLogins = new Counter('session_logins');
+export const sessionRefreshes = new Counter('session_refreshes');
+export const sessionRelogins = new Counter('session_relogins');
+
+// Per-VU state
+let currentSession = null;
+
+function tokenExpiry(token) {
+  try {
+    const payload = JSON.parse(encoding.b64decode(token.split('.')[1], 'rawurl', 's'));
+    return payload.exp * 1000;
+  } catch (e) {
+    return Date.now() + FALLBACK_TOKEN_TTL_MS;
+  }
+}
+
+function applyTokens(session, body) {
+  session.token = body.access_token;
+  session.refreshToken = body.refresh_token || '';
+  session.expiresAt = tokenExpiry(body.access_token);
+}
+
+/**
+ * Register `size` users. Call from setup() and pass the result through setup data.
+ */
+export function provisionUserPool(size = DEFAULT_POOL_SIZE) {
+  const users = [];
+
+  for (let i = 0; i < size; i++) {
+    const userData = generateRandomUser();
+    userData.username = `${userData.username}_pool${i}`;
+    userData.email = `pool${i}_${userData.email}`;
+
+    const response = api.post('auth/register', userData, { tags: { name: 'session_provision' } });
+
+    if (response.status === 201 && response.data) {
+      users.push({
+        ...userData,
+        userId: response.data.user.id,
+        token: response.data.access_token,
+      });
+    } else {
+      console.warn(`Failed to provision pool user ${userData.username}: ${response.status}`);
+    }
+  }
+
+  if (users.length === 0) {
+    throw new Error('Session pool is empty - could not register any users');
+  }
+
+  console.log(`🔑 Provisioned ${users.length} pooled users`);
+  return users;
+}
+
+/**
+ * Log in as the admin account (ADMIN_USERNAME / ADMIN_PASSWORD, default admin / admin123)
+ * and return its token. Call from setup(); registered users are always customers.
+ */
+export function adminLogin() {
+  const response = api.post('auth/login', {
+    username: getEnv('ADMIN_USERNAME', 'admin'),
+    password: getEnv('ADMIN_PASSWORD', 'admin123'),
+  }, { tags: { name: 'session_admin_login' } });
+
+  if (response.status !== 200 || !response.data) {
+    throw new Error(`Admin login failed with status ${response.status} - check ADMIN_USERNAME/ADMIN_PASSWORD`);
+  }
+  if (!(response.data.user.roles || []).includes('admin')) {
+    throw new Error(`User "${response.data.user.username}" does not have the admin role`);
+  }
+
+  console.log(`🔑 Logged in as admin "${response.data.user.username}"`);
+  return response.data.access_token;
+}
+
+function login(session) {
+  const response = api.post('auth/login', {
+    username: session.username,
+    password: session.password,
+  }, { tags: { name: 'session_login' } });
+
+  if (response.status === 200 && response.data) {
+    applyTokens(session, response.data);
+    sessionLogins.add(1);
+    return true;
+  }
+
+  session.token = '';
+  session.refreshToken = '';
+  session.expiresAt = 0;
+  return false;
+}
+
+// Refresh tokens are single use: a replayed one revokes the whole session, so the
+// rotated token replaces the old one immediately
+function refresh(session) {
+  if (!session.refreshToken) {
+    return login(session);
+  }
+
+  const response = api.post('auth/refresh', { refresh_token: session.refreshToken }, {
+    tags: { name: 'session_refresh' },
+  });
+
+  if (response.status === 200 && response.data) {
+    applyTokens(session, response.data);
+    sessionRefreshes.add(1);
+    return true;
+  }
+
+  return login(session);
+}
+
+/**
+ * Return the current VU's session, binding it to a pool user on first use and
+ * refreshing the token when it is close to expiry.
+ */
+export function getSession(pool) {
+  if (!pool || pool.length === 0) {
+    throw new Error('getSession() needs the user pool returned by provisionUserPool()');
+  }
+
+  if (!currentSession) {
+    const user = pool[(__VU - 1) % pool.length];
+    currentSession = {
+      username: user.username,
+      password: user.password,
+      email: user.email,
+      userId: user.userId,
+      token: '',
+      refreshToken: '',
+      expiresAt: 0,
+    };
+
+    // The pool's refresh token is not shared: several VUs rotating it would look like reuse
+    if (user.token) {
+      currentSession.token = user.token;
+      currentSession.expiresAt = tokenExpiry(user.token);
+    }
+  }
+
+  if (!currentSession.token) {
+    login(currentSession);
+  } else if (Date.now() >= currentSession.expiresAt - REFRESH_MARGIN_MS) {
+    refresh(currentSession);
+  }
+
+  return currentSession;
+}
+
+function sessionRequest(pool, send) {
+  const session = getSession(pool);
+  let response = send(session.token);
+
+  if (response.status === 401 && login(session)) {
+    sessionRelogins.add(1);
+    response = send(session.token);
+  }
+
+  return response;
+}
+
+/**
+ * Same surface as `api` from http-client.js, authenticated as the VU's pooled user.
+ */
+export function sessionApi(pool) {
+  return {
+    get: (route, options = {}) =>
+      sessionRequest(pool, token => api.get(route, { ...options, token })),
+    post: (route, body, options = {}) =>
+      sessionRequest(pool, token => api.post(route, body, { ...options, token })),
+    patch: (route, body, options = {}) =>
+      sessionRequest(pool, token => api.patch(route, body, { ...options, token })),
+    delete: (route, options = {}) =>
+      sessionRequest(pool, token => api.delete(route, { ...options, token })),
+  };
+}
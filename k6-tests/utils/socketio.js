@@ -0,0 +1,276 @@
+/**
+ * Socket.IO Client
+ *
+ * Socket.IO (protocol 5) over Engine.IO (protocol 4) on top of k6/ws, websocket transport only:
+ * - connect() opens /socket.io/?EIO=4&transport=websocket, waits for the Engine.IO open
+ *   packet and joins the namespace with a CONNECT packet (optionally carrying `auth`)
+ * - Engine.IO pings from the server are answered with pongs, so long sessions stay open
+ * - emit(event, ...args) sends EVENT packets; a function as last argument requests an ack
+ *   and is called with the ack arguments, like socket.io-client
+ * - on(event, handler) receives decoded events, plus the reserved `connect`,
+ *   `connect_error`, `disconnect` and `error` (transport errors)
+ * - emits issued before the namespace is joined are buffered and sent on connect
+ *
+ * Binary attachments are not supported.
+ *
+ * Usage:
+ *   const response = connect(BASE_URL, { auth: { token } }, (io) => {
+ *     io.on('connect', () => io.emit('ping', (reply) => console.log(reply)));
+ *     io.on('message', (data) => console.log(data));
+ *     io.setTimeout(() => io.close(), 10000);
+ *   });
+ */
+
+import ws from 'k6/ws';
+
+// Engine.IO packet types
+export const ENGINE = {
+  OPEN: '0',
+  CLOSE: '1',
+  PING: '2',
+  PONG: '3',
+  MESSAGE: '4',
+  UPGRADE: '5',
+  NOOP: '6',
+};
+
+// Socket.IO packet types, carried in Engine.IO MESSAGE packets
+export const PACKET = {
+  CONNECT: 0,
+  DISCONNECT: 1,
+  EVENT: 2,
+  ACK: 3,
+  CONNECT_ERROR: 4,
+  BINARY_EVENT: 5,
+  BINARY_ACK: 6,
+};
+
+const RESERVED_EVENTS = ['connect', 'connect_error', 'disconnect', 'error'];
+
+const DEFAULT_CONNECT_TIMEOUT_MS = 10000;
+
+// Encode a Socket.IO packet: <type>[<namespace>,][<ack id>][<json data>]
+export function encodePacket({ type, nsp = '/', id, data }) {
+  let encoded = String(type);
+  if (nsp !== '/') {
+    encoded += `${nsp},`;
+  }
+  if (id !== undefined) {
+    encoded += id;
+  }
+  if (data !== undefined) {
+    encoded += JSON.stringify(data);
+  }
+  return encoded;
+}
+
+// Decode a Socket.IO packet; throws on malformed input
+export function decodePacket(encoded) {
+  let i = 0;
+  const type = Number(encoded.charAt(i++));
+  if (!(type >= PACKET.CONNECT && type <= PACKET.BINARY_ACK)) {
+    throw new Error(`Unknown Socket.IO packet type in "${encoded.substring(0, 20)}"`);
+  }
+  if (type === PACKET.BINARY_EVENT || type === PACKET.BINARY_ACK) {
+    throw new Error('Binary Socket.IO packets are not supported');
+  }
+
+  let nsp = '/';
+  if (encoded.charAt(i) === '/') {
+    const end = encoded.indexOf(',', i);
+    nsp = end === -1 ? encoded.substring(i) : encoded.substring(i, end);
+    i = end === -1 ? encoded.length : end + 1;
+  }
+
+  let id;
+  const idStart = i;
+  while (i < encoded.length && encoded.charAt(i) >= '0' && encoded.charAt(i) <= '9') {
+    i++;
+  }
+  if (i > idStart) {
+    id = Number(encoded.substring(idStart, i));
+  }
+
+  const data = i < encoded.length ? JSON.parse(encoded.substring(i)) : undefined;
+  return { type, nsp, id, data };
+}
+
+/**
+ * Open a Socket.IO connection and run `handler(io)` with the client; blocks until the
+ * socket closes, like ws.connect(), and returns its response.
+ *
+ * Options:
+ * - namespace:        namespace to join (default '/')
+ * - auth:             CONNECT payload, read by the server as socket.handshake.auth
+ * - query:            extra query string parameters for the handshake URL
+ * - path:             Socket.IO path (default '/socket.io')
+ * - headers, tags:    passed to ws.connect()
+ * - connectTimeoutMs: close with a `connect_error` if the namespace is not joined in time
+ */
+export function connect(baseUrl, options = {}, handler) {
+  const {
+    namespace = '/',
+    auth,
+    query = {},
+    path = '/socket.io',
+    headers,
+    tags,
+    connectTimeoutMs = DEFAULT_CONNECT_TIMEOUT_MS,
+  } = options;
+
+  const wsBase = baseUrl.replace(/^http:\/\//, 'ws://').replace(/^https:\/\//, 'wss://');
+  const params = { ...query, EIO: '4', transport: 'websocket' };
+  const queryString = Object.keys(params)
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+    .join('&');
+  const url = `${wsBase}${path}/?${queryString}`;
+
+  return ws.connect(url, { headers, tags }, function (socket) {
+    const listeners = {};
+    const acks = new Map();
+    const buffered = [];
+    let nextAckId = 0;
+
+    const io = {
+      connected: false,
+      // Engine.IO session id and handshake settings, from the OPEN packet
+      sid: null,
+      handshake: null,
+      // Engine.IO pings answered so far
+      heartbeats: 0,
+
+      on(event, listener) {
+        (listeners[event] = listeners[event] || []).push(listener);
+        return io;
+      },
+
+      emit(event, ...args) {
+        if (RESERVED_EVENTS.includes(event)) {
+          throw new Error(`"${event}" is a reserved event name`);
+        }
+
+        const packet = { type: PACKET.EVENT, nsp: namespace, data: [event, ...args] };
+        if (typeof args[args.length - 1] === 'function') {
+          packet.id = nextAckId++;
+          acks.set(packet.id, packet.data.pop());
+        }
+
+        if (io.connected) {
+          sendPacket(packet);
+        } else {
+          buffered.push(packet);
+        }
+        return io;
+      },
+
+      // Ack ids still waiting for the server's answer
+      pendingAcks() {
+        return acks.size;
+      },
+
+      setTimeout: (callback, ms) => socket.setTimeout(callback, ms),
+      setInterval: (callback, ms) => socket.setInterval(callback, ms),
+
+      close() {
+        if (io.connected) {
+          sendPacket({ type: PACKET.DISCONNECT, nsp: namespace });
+          io.connected = false;
+          fire('disconnect', ['io client disconnect']);
+        }
+        socket.close();
+      },
+    };
+
+    function fire(event, args) {
+      (listeners[event] || []).forEach(listener => listener(...args));
+    }
+
+    function sendPacket(packet) {
+      socket.send(ENGINE.MESSAGE + encodePacket(packet));
+    }
+
+    function onSocketPacket(packet) {
+      if (packet.nsp !== namespace) return;
+
+      switch (packet.type) {
+        case PACKET.CONNECT:
+          io.connected = true;
+          buffered.splice(0).forEach(sendPacket);
+          fire('connect', [packet.data]);
+          break;
+        case PACKET.CONNECT_ERROR:
+          fire('connect_error', [packet.data]);
+          socket.close();
+          break;
+        case PACKET.DISCONNECT:
+          io.connected = false;
+          fire('disconnect', ['io server disconnect']);
+          socket.close();
+          break;
+        case PACKET.EVENT:
+          fire(packet.data[0], packet.data.slice(1));
+          break;
+        case PACKET.ACK: {
+          const ack = acks.get(packet.id);
+          if (ack) {
+            acks.delete(packet.id);
+            ack(...(packet.data || []));
+          }
+          break;
+        }
+      }
+    }
+
+    socket.on('message', function (message) {
+      const engineType = message.charAt(0);
+      const payload = message.substring(1);
+
+      switch (engineType) {
+        case ENGINE.OPEN:
+          io.handshake = JSON.parse(payload);
+          io.sid = io.handshake.sid;
+          sendPacket({ type: PACKET.CONNECT, nsp: namespace, data: auth });
+          break;
+        case ENGINE.PING:
+          socket.send(ENGINE.PONG + payload);
+          io.heartbeats++;
+          break;
+        case ENGINE.MESSAGE: {
+          // Only decoding is guarded: errors thrown by listeners must reach the test
+          let packet;
+          try {
+            packet = decodePacket(payload);
+          } catch (e) {
+            console.warn(`Dropping undecodable Socket.IO packet: ${e.message}`);
+            break;
+          }
+          onSocketPacket(packet);
+          break;
+        }
+        case ENGINE.CLOSE:
+          socket.close();
+          break;
+      }
+    });
+
+    socket.on('error', function (e) {
+      fire('error', [e.error ? e.error() : e]);
+    });
+
+    socket.on('close', function () {
+      if (io.connected) {
+        io.connected = false;
+        fire('disconnect', ['transport close']);
+      }
+    });
+
+    socket.setTimeout(function () {
+      if (!io.connected) {
+        fire('connect_error', [{ message: `Not connected to ${namespace} after ${connectTimeoutMs}ms` }]);
+        socket.close();
+      }
+    }, connectTimeoutMs);
+
+    handler(io);
+  });
+}
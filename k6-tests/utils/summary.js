@@ -0,0 +1,22 @@
+/**
+ * Run Cleanup Summary
+ *
+ * The handleSummary() lines every suite prints about the state it leaves the backend in, read
+ * from the metrics teardown() records:
+ * - test data left behind (test_run_leftovers, see test-run.js)
+ * - faults injected (faults_injected, see faults.js), when the suite ran a fault plan
+ * - fault rules still active (faults_left_active), when clearFaults() could not remove them
+ *
+ * Usage:
+ *   export function handleSummary(data) { console.log('Summary:'); logCleanupSummary(data.metrics); ... }
+ */
+
+export function logCleanupSummary(metrics) {
+  if (metrics.faults_injected) {
+    console.log(`- Faults injected: ${metrics.faults_injected.values.count}`);
+  }
+  if (metrics.faults_left_active && metrics.faults_left_active.values.count > 0) {
+    console.error(`- ❌ Fault rules still active on the backend: ${metrics.faults_left_active.values.count}`);
+  }
+  console.log(`- Test data left behind: ${metrics.test_run_leftovers?.values?.count || 0}`);
+}
@@ -0,0 +1,136 @@
+/**
+ * Test-Run Data Isolation
+ *
+ * Keeps the users, products and uploaded files a run creates from piling up in the backend:
+ * - startTestRun() in setup() picks the run id (TEST_RUN_ID, or `<suite>-<timestamp>`)
+ * - useTestRun(data) at the top of every exec function that creates data sends the id as
+ *   X-Test-Run on each request of the VU; the backend tags users, products and uploads with it
+ * - cleanupTestRun(data) in teardown() purges the run through DELETE /users?testRun=,
+ *   /products?testRun= and /upload?testRun=, then lists and reports whatever is still left behind
+ * - test_run_purged / test_run_leftovers (tagged by entity) carry the counts into the results file
+ *
+ * KEEP_TEST_DATA=true skips the cleanup, e.g. to inspect what a run created.
+ *
+ * Usage:
+ *   export function setup() { return { testRun: startTestRun('api-test'), users: provisionUserPool() }; }
+ *   export default function (data) { useTestRun(data); ... }
+ *   export function teardown(data) { cleanupTestRun(data); }
+ */
+
+import { Counter } from 'k6/metrics';
+import { getEnv } from './config.js';
+import { COMMON_HEADERS } from './helpers.js';
+import { api } from './http-client.js';
+import { adminLogin } from './session.js';
+
+export const TEST_RUN_HEADER = 'X-Test-Run';
+
+// Routes with a DELETE ?testRun= purge and a GET ?testRun= filter, and the listing field
+const CLEANUP_ROUTES = {
+  users: 'users',
+  products: 'products',
+  upload: 'files',
+};
+
+// How many leftover items to name in the teardown report
+const LEFTOVER_SAMPLE_SIZE = 5;
+
+export const testRunPurged = new Counter('test_run_purged');
+export const testRunLeftovers = new Counter('test_run_leftovers');
+
+/**
+ * Choose this run's id and start sending it from the setup() VU, so data created in
+ * setup() (e.g. the session pool) is tagged as well. Return it in the setup data.
+ */
+export function startTestRun(suite) {
+  const testRun = getEnv('TEST_RUN_ID', `${suite}-${Date.now()}`);
+  COMMON_HEADERS[TEST_RUN_HEADER] = testRun;
+  console.log(`🏷️ Test run ${testRun}`);
+  return testRun;
+}
+
+/**
+ * Send the run id from setup data on every request of the current VU.
+ * Module state is per-VU in k6, so every exec function that creates data calls this first.
+ */
+export function useTestRun(data) {
+  if (data && data.testRun) {
+    COMMON_HEADERS[TEST_RUN_HEADER] = data.testRun;
+  }
+}
+
+function purge(route, testRun, token) {
+  const response = api.delete(route, {
+    query: { testRun },
+    token,
+    tags: { name: 'test_run_cleanup' },
+  });
+
+  if (response.status !== 200 || !response.data) {
+    console.warn(`Cleanup of ${route} for ${testRun} failed: ${response.status}`);
+    return 0;
+  }
+  return response.data.deleted;
+}
+
+// Returns { total, sample } of what the run still has stored, or null if it cannot be listed
+function leftovers(route, itemsKey, testRun, token) {
+  const response = api.get(route, {
+    query: { testRun, limit: LEFTOVER_SAMPLE_SIZE },
+    token,
+    tags: { name: 'test_run_leftovers' },
+  });
+
+  if (response.status !== 200 || !response.data) {
+    console.warn(`Could not list leftover ${route} for ${testRun}: ${response.status}`);
+    return null;
+  }
+  return {
+    total: response.data.total,
+    sample: response.data[itemsKey].map(item => item.username || item.name || item.filename || item.id),
+  };
+}
+
+/**
+ * Delete everything tagged with the run id and report what is left behind.
+ * Returns { testRun, purged: { users, products, upload }, leftovers: { users, products, upload } },
+ * with a null leftover count where the listing failed.
+ */
+export function cleanupTestRun(data) {
+  const testRun = data && data.testRun;
+  if (!testRun) {
+    console.warn('No test run id in setup data - nothing to clean up');
+    return null;
+  }
+  if (getEnv('KEEP_TEST_DATA', 'false') === 'true') {
+    console.log(`🧹 KEEP_TEST_DATA=true - leaving the data of ${testRun} in place`);
+    return null;
+  }
+
+  let token;
+  try {
+    token = adminLogin();
+  } catch (e) {
+    console.error(`🧹 Cleanup of ${testRun} skipped: ${e.message}`);
+    return null;
+  }
+
+  const report = { testRun, purged: {}, leftovers: {} };
+
+  for (const [route, itemsKey] of Object.entries(CLEANUP_ROUTES)) {
+    const purged = purge(route, testRun, token);
+    report.purged[route] = purged;
+    testRunPurged.add(purged, { entity: route });
+
+    const left = leftovers(route, itemsKey, testRun, token);
+    report.leftovers[route] = left ? left.total : null;
+    if (left && left.total > 0) {
+      testRunLeftovers.add(left.total, { entity: route });
+      console.warn(`⚠️ ${left.total} ${route} of ${testRun} left behind, e.g. ${left.sample.join(', ')}`);
+    }
+  }
+
+  const purgedText = Object.entries(report.purged).map(([route, count]) => `${count} ${route}`).join(', ');
+  console.log(`🧹 Cleaned up ${testRun}: deleted ${purgedText}`);
+  return report;
+}